@@ -10,6 +10,7 @@
 
 import type { EscrowListing } from './escrowStore.js'
 import { getAllEscrowListings, markAsDeposited, markAsSold } from './escrowStore.js'
+import { getMarketplaceFee } from './feePolicy.js'
 
 /**
  * Initialize escrow wallet from environment
@@ -150,9 +151,8 @@ export async function processBuyerPayments(wallet: any): Promise<number> {
   for (const listing of listings) {
     try {
       // Calculate expected payment
-      const FEE_PERCENT = 1
       const price = BigInt(listing.price)
-      const fee = (price * BigInt(Math.floor(FEE_PERCENT * 100))) / 10000n
+      const { fee } = getMarketplaceFee(price)
       const expectedPayment = price + fee
 
       // Check if we have enough balance for this sale
@@ -199,7 +199,7 @@ async function executeAtomicSwap(
     console.log(`   Transferring punk to buyer: ${listing.buyerAddress}`)
     console.log(`   Transferring payment to seller: ${listing.sellerArkAddress}`)
     console.log(`   Seller receives: ${sellerAmount} sats`)
-    console.log(`   Marketplace fee: ${fee} sats (1%)`)
+    console.log(`   Marketplace fee: ${fee} sats`)
 
     // Check wallet balance before executing swap
     const balance = await wallet.getBalance()
@@ -236,7 +236,7 @@ async function executeAtomicSwap(
 
     console.log(`   ✅ Punk transfer initiated: ${punkTxid1}`)
 
-    // Step 2: Transfer payment to seller (minus fee)
+    // Step 2: Transfer payment to seller (fee was paid on top by the buyer)
     console.log(`   Step 2: Sending payment to seller...`)
 
     const paymentTxid = await wallet.sendBitcoin({
@@ -46,6 +46,8 @@ export interface EscrowListing {
   buyerPubkey?: string
   punkTransferTxid?: string
   paymentTransferTxid?: string
+  feeSats?: string // Marketplace fee kept in escrow (bigint as string)
+  sellerActionNonces?: string[] // Nonces of accepted signed seller actions (replay protection)
 }
 
 interface EscrowStore {
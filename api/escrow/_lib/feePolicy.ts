@@ -0,0 +1,28 @@
+/**
+ * Marketplace Fee Policy (Vercel backend)
+ *
+ * Uses the shared fee schedule from src/config/fees.ts, configured with the
+ * MARKETPLACE_FEE_POLICY env var (same variable as the Express server).
+ */
+
+import { calculateMarketplaceFee, parseFeePolicy } from '../../../src/config/fees.js'
+import type { FeePolicy, FeeQuote } from '../../../src/config/fees.js'
+
+let feePolicy: FeePolicy | null = null
+
+/**
+ * Configured fee policy
+ */
+export function getFeePolicy(): FeePolicy {
+  if (!feePolicy) {
+    feePolicy = parseFeePolicy(process.env.MARKETPLACE_FEE_POLICY)
+  }
+  return feePolicy
+}
+
+/**
+ * Marketplace fee for a listing price under the configured policy
+ */
+export function getMarketplaceFee(price: bigint): FeeQuote {
+  return calculateMarketplaceFee(price, getFeePolicy())
+}
@@ -0,0 +1,82 @@
+/**
+ * Seller Authentication
+ *
+ * Verifies schnorr-signed seller actions (cancel, relist) against the
+ * seller pubkey stored with the listing.
+ * Same message format as the Express server (server/wallet-auth.js)
+ */
+
+import { schnorr } from '@noble/curves/secp256k1'
+import { sha256 } from '@noble/hashes/sha256'
+import { hexToBytes, utf8ToBytes } from '@noble/hashes/utils'
+import type { EscrowListing } from './escrowStore.js'
+
+// How long a signed action stays valid (clock skew included)
+export const SIGNED_ACTION_TTL_MS = 5 * 60 * 1000
+
+// Nonces kept per listing for replay protection (only fresh messages are accepted anyway)
+const MAX_STORED_NONCES = 20
+
+export interface SignedActionFields {
+  nonce?: string
+  timestamp?: number
+  signature?: string
+}
+
+/**
+ * Serialize a flat payload with sorted keys (undefined becomes null)
+ */
+function canonicalMessage(payload: Record<string, unknown>): string {
+  const sorted: Record<string, unknown> = {}
+  for (const key of Object.keys(payload).sort()) {
+    sorted[key] = payload[key] ?? null
+  }
+  return JSON.stringify(sorted)
+}
+
+/**
+ * Verify a seller-signed action on a listing
+ *
+ * @param listing Listing being acted upon
+ * @param fields nonce, timestamp and signature from the request body
+ * @param action Action name included in the signed payload
+ * @param extra Additional signed fields (e.g. price)
+ * @returns Error message, or null if the action is authorized
+ */
+export function verifySellerAction(
+  listing: EscrowListing,
+  fields: SignedActionFields,
+  action: string,
+  extra: Record<string, unknown> = {}
+): string | null {
+  const { nonce, timestamp, signature } = fields
+
+  if (!nonce || !timestamp || !signature) {
+    return 'nonce, timestamp and signature required'
+  }
+
+  if (Math.abs(Date.now() - Number(timestamp)) > SIGNED_ACTION_TTL_MS) {
+    return 'Signed message expired'
+  }
+
+  if (listing.sellerActionNonces?.includes(nonce)) {
+    return 'Signed message already used'
+  }
+
+  try {
+    const payload = { punkId: listing.punkId, action, nonce, timestamp, ...extra }
+    const messageHash = sha256(utf8ToBytes(canonicalMessage(payload)))
+    const valid = schnorr.verify(hexToBytes(signature), messageHash, hexToBytes(listing.sellerPubkey))
+    return valid ? null : 'Invalid signature'
+  } catch (error: any) {
+    console.error('❌ Signature verification error:', error.message)
+    return 'Invalid signature'
+  }
+}
+
+/**
+ * Nonce list to persist on the listing after accepting an action
+ */
+export function withUsedNonce(listing: EscrowListing, nonce: string): string[] {
+  return [...(listing.sellerActionNonces || []), nonce].slice(-MAX_STORED_NONCES)
+}
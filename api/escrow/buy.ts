@@ -9,11 +9,12 @@
  * The actual transfer is handled by the monitoring service which:
  * 1. Detects when buyer sends payment to escrow address
  * 2. Transfers punk VTXO to buyer
- * 3. Transfers payment (minus 1% fee) to seller
+ * 3. Transfers the full listing price to seller (the buyer pays the marketplace fee on top)
  */
 
 import type { VercelRequest, VercelResponse } from '@vercel/node'
 import { getEscrowListing, updateEscrowStatus } from './_lib/escrowStore.js'
+import { getMarketplaceFee } from './_lib/feePolicy.js'
 
 interface BuyRequest {
   punkId: string
@@ -94,14 +95,13 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
       return res.status(410).json({ error: 'Listing cancelled' })
     }
 
-    // Calculate fee (1% for escrow mode)
-    const FEE_PERCENT = 1
+    // Calculate fee (configured marketplace fee policy)
     const price = BigInt(listing.price)
-    const fee = (price * BigInt(Math.floor(FEE_PERCENT * 100))) / 10000n
+    const { fee, percent: feePercent } = getMarketplaceFee(price)
     const totalWithFee = price + fee
 
     console.log(`   Price: ${price} sats`)
-    console.log(`   Fee (${FEE_PERCENT}%): ${fee} sats`)
+    console.log(`   Fee (${feePercent}%): ${fee} sats`)
     console.log(`   Total: ${totalWithFee} sats`)
 
     // Update listing with buyer info (status stays 'pending' until payment received)
@@ -127,12 +127,12 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
       price: price.toString(),
       totalWithFee: totalWithFee.toString(),
       fee: fee.toString(),
-      feePercent: FEE_PERCENT,
+      feePercent,
       escrowAddress: listing.escrowAddress,
       instructions: [
         `Send exactly ${totalWithFee} sats to escrow address: ${listing.escrowAddress}`,
         'Once payment is received, the punk will be automatically transferred to you',
-        `The seller will receive ${price} sats (${totalWithFee} - 1% fee)`,
+        `The seller will receive ${price} sats (${totalWithFee} - ${fee} sats marketplace fee)`,
         'The process is fully automatic and should complete within 2-3 minutes'
       ]
     }
@@ -4,14 +4,17 @@
  * POST /api/escrow/cancel
  *
  * Cancels a listing and returns punk from escrow to seller.
+ * Requires a schnorr signature over {punkId, action: 'cancel', nonce, timestamp}
+ * from the seller pubkey stored with the listing.
  */
 
 import type { VercelRequest, VercelResponse } from '@vercel/node'
 import { getEscrowListing, updateEscrowStatus } from './_lib/escrowStore.js'
 import { getPunkOwner } from '../ownership/_lib/ownershipStore.js'
 import { getEscrowWallet } from './_lib/escrowArkadeWallet.js'
+import { verifySellerAction, withUsedNonce, type SignedActionFields } from './_lib/sellerAuth.js'
 
-interface CancelRequest {
+interface CancelRequest extends SignedActionFields {
   punkId: string
   sellerPubkey: string
   sellerArkAddress: string
@@ -29,7 +32,10 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
     const {
       punkId,
       sellerPubkey,
-      sellerArkAddress
+      sellerArkAddress,
+      nonce,
+      timestamp,
+      signature
     } = req.body as CancelRequest
 
     console.log(`   Cancel request: punk ${punkId?.slice(0, 8)}...`)
@@ -85,6 +91,16 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
       })
     }
 
+    // Verify the seller signed this cancel
+    const authError = verifySellerAction(listing, { nonce, timestamp, signature }, 'cancel')
+    if (authError) {
+      console.error(`   ❌ Seller signature rejected: ${authError}`)
+      return res.status(401).json({
+        error: 'Seller signature verification failed',
+        details: authError
+      })
+    }
+
     // Additional check against ownership table
     const currentOwner = await getPunkOwner(punkId)
     if (currentOwner && currentOwner !== sellerArkAddress) {
@@ -133,7 +149,8 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
 
     // Mark as cancelled
     await updateEscrowStatus(punkId, 'cancelled', {
-      punkTransferTxid: punkReturnTxid
+      punkTransferTxid: punkReturnTxid,
+      sellerActionNonces: withUsedNonce(listing, nonce!)
     })
 
     console.log(`✅ Listing cancelled for punk ${punkId.slice(0, 8)}...`)
@@ -6,7 +6,7 @@
  * Executes purchase in simplified escrow mode:
  * 1. Verify buyer payment received
  * 2. Update ownership table (punk → buyer)
- * 3. Send payment to seller (minus 1% fee)
+ * 3. Send the full listing price to seller (fee was paid by the buyer)
  * 4. Mark listing as sold
  *
  * Seller is responsible for sending punk VTXO to buyer via UI.
@@ -14,6 +14,7 @@
 
 import type { VercelRequest, VercelResponse } from '@vercel/node'
 import { getEscrowListing, updateEscrowStatus } from './_lib/escrowStore.js'
+import { getMarketplaceFee } from './_lib/feePolicy.js'
 import { getEscrowWallet } from './_lib/escrowArkadeWallet.js'
 import { setPunkOwner } from '../ownership/_lib/ownershipStore.js'
 
@@ -70,13 +71,12 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
     console.log('✅ Listing found, verifying payment...')
 
     // Calculate amounts
-    const FEE_PERCENT = 1
     const price = BigInt(listing.price)
-    const fee = (price * BigInt(FEE_PERCENT)) / 100n
-    const sellerReceives = price - fee // Seller gets price minus fee
+    const { fee, percent: feePercent } = getMarketplaceFee(price)
+    const sellerReceives = price // Buyer paid the fee on top
 
     console.log(`   Price: ${price} sats`)
-    console.log(`   Fee (${FEE_PERCENT}%): ${fee} sats`)
+    console.log(`   Fee (${feePercent}%): ${fee} sats`)
     console.log(`   Seller receives: ${sellerReceives} sats`)
 
     // Initialize escrow wallet
@@ -86,10 +86,10 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
     console.log(`   Escrow balance: ${escrowBalance.available} sats`)
 
     // Verify buyer sent payment
-    if (escrowBalance.available < price) {
+    if (escrowBalance.available < price + fee) {
       return res.status(400).json({
         error: 'Payment not received',
-        details: `Expected ${price} sats, escrow has ${escrowBalance.available} sats`,
+        details: `Expected ${price + fee} sats, escrow has ${escrowBalance.available} sats`,
         message: 'Please send payment to escrow address first'
       })
     }
@@ -140,7 +140,8 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
       buyerAddress: buyerArkAddress,
       buyerPubkey,
       punkTransferTxid: punkTxid,
-      paymentTransferTxid: paymentTxid
+      paymentTransferTxid: paymentTxid,
+      feeSats: fee.toString()
     })
     console.log('✅ Listing marked as sold')
 
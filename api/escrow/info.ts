@@ -3,11 +3,12 @@
  *
  * GET /api/escrow/info
  *
- * Returns escrow wallet information (address and pubkey)
+ * Returns escrow wallet information (address and pubkey) and the marketplace fee policy
  */
 
 import type { VercelRequest, VercelResponse } from '@vercel/node'
 import { ESCROW_ADDRESS, ESCROW_PUBKEY } from './_lib/escrowStore.js'
+import { getFeePolicy } from './_lib/feePolicy.js'
 
 export default async function handler(req: VercelRequest, res: VercelResponse) {
   console.log('🔵 Escrow info endpoint called')
@@ -33,7 +34,8 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
     return res.status(200).json({
       escrowAddress: ESCROW_ADDRESS,
       escrowPubkey: ESCROW_PUBKEY,
-      network: ESCROW_ADDRESS.startsWith('arkm') ? 'mainnet' : 'testnet'
+      network: ESCROW_ADDRESS.startsWith('arkm') ? 'mainnet' : 'testnet',
+      feePolicy: getFeePolicy()
     })
   } catch (error: any) {
     console.error('❌ Error getting escrow info:', error)
@@ -104,7 +104,7 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
         `Send your punk VTXO (~10,100 sats) to: ${escrowAddress}`,
         'Once received, your listing will appear in the marketplace',
         'Buyers can then purchase your punk',
-        'When sold, you receive payment automatically (minus 1% fee)'
+        'When sold, you receive the full price automatically (the buyer pays the marketplace fee)'
       ]
     })
 
@@ -31,7 +31,7 @@ CREATE TABLE IF NOT EXISTS listings (
   seller_address TEXT NOT NULL,
   seller_pubkey TEXT NOT NULL,
   price_sats INTEGER NOT NULL,
-  status TEXT NOT NULL CHECK(status IN ('pending', 'deposited', 'sold', 'cancelled')),
+  status TEXT NOT NULL CHECK(status IN ('pending', 'deposited', 'auction', 'bundled', 'reserved', 'sold', 'cancelled', 'expired')),  -- 'auction' = deposited, sold to the highest bidder; 'bundled' = deposited, sold only with its bundle; 'reserved' = deposited, held for a paying buyer; 'expired' = past expires_at, deposit returned
   escrow_address TEXT,
   created_at INTEGER NOT NULL DEFAULT (unixepoch() * 1000),
   deposited_at INTEGER,
@@ -41,6 +41,22 @@ CREATE TABLE IF NOT EXISTS listings (
   buyer_pubkey TEXT,
   punk_transfer_txid TEXT,
   payment_txid TEXT,
+  punk_vtxo_outpoint TEXT,
+  punk_metadata_compressed TEXT,
+  deposit_amount_sats INTEGER,  -- Unique per pending listing so the deposit VTXO can be attributed
+  escrow_key_index INTEGER,     -- Escrow sub-wallet derived for this listing (NULL = master escrow address)
+  offer_id TEXT,                -- Set when the listing was created by accepting an offer
+  auction_id TEXT,              -- Set for auction listings (bids reference it)
+  reserve_price_sats INTEGER,   -- Auction: lowest winning bid
+  auction_starts_at INTEGER,
+  auction_ends_at INTEGER,      -- Pushed back by late bids (anti-sniping)
+  bundle_id TEXT,               -- Set for punks sold as part of a bundle (see bundles table)
+  reserved_by TEXT,             -- Buyer holding a 'reserved' listing
+  reserved_until INTEGER,       -- Reservation end (kept while that buyer's payment is being executed)
+  allowed_buyer TEXT,           -- Private listing: the only Ark address or Nostr pubkey allowed to buy
+  starts_at INTEGER,            -- Scheduled listing: hidden and not for sale before this time
+  expires_at INTEGER,           -- Scheduled listing: moved to 'expired' (deposit returned) after this time
+  share_token TEXT,             -- Secret of the listing's share link, opens it while private or not yet started
   FOREIGN KEY (punk_id) REFERENCES punks(punk_id)
 );
 
@@ -53,7 +69,8 @@ CREATE TABLE IF NOT EXISTS sales (
   buyer_address TEXT NOT NULL,
   sold_at INTEGER NOT NULL,
   punk_transfer_txid TEXT,
-  payment_txid TEXT
+  payment_txid TEXT,
+  bundle_id TEXT                -- Set when the punk was sold as part of a bundle
 );
 
 -- Indexes
@@ -1,16 +1,42 @@
 /**
  * Escrow Wallet Operations
  * Handles punk VTXO returns from escrow
+ *
+ * Every function takes an optional `keyIndex`: null uses the master escrow wallet
+ * (legacy shared address), a number uses the listing sub-wallet derived from the master key
  */
 
 import { Wallet, SingleKey } from '@arkade-os/sdk'
+import { secp256k1 } from '@noble/curves/secp256k1.js'
+import { hmac } from '@noble/hashes/hmac.js'
+import { sha256 } from '@noble/hashes/sha2.js'
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils.js'
 
 const ARK_URL = process.env.ARK_URL || 'https://arkade.computer'
 
 /**
- * Initialize the escrow wallet
+ * Derive a listing sub-wallet key from the escrow master key
+ * key_i = HMAC-SHA256(masterKey, "arkade-punks/escrow/<i>"), so every sub-wallet
+ * can be recovered from the master key and the index stored with the listing
+ *
+ * @param masterKeyHex Escrow master private key (hex)
+ * @param keyIndex Sub-wallet index
+ * @returns Sub-wallet private key (hex)
  */
-async function initEscrowWallet() {
+export function deriveEscrowKey(masterKeyHex, keyIndex) {
+  const key = hmac(sha256, hexToBytes(masterKeyHex), utf8ToBytes(`arkade-punks/escrow/${keyIndex}`))
+
+  if (!secp256k1.utils.isValidSecretKey(key)) {
+    throw new Error(`Invalid escrow key derived for index ${keyIndex}`)
+  }
+
+  return bytesToHex(key)
+}
+
+/**
+ * Initialize the escrow wallet (master or listing sub-wallet)
+ */
+async function initEscrowWallet(keyIndex = null) {
   // Read key at runtime (not at import time)
   const escrowPrivateKey = process.env.ESCROW_WALLET_PRIVATE_KEY || ''
 
@@ -20,7 +46,9 @@ async function initEscrowWallet() {
 
   try {
     // Create wallet identity from hex private key
-    const identity = SingleKey.fromHex(escrowPrivateKey)
+    const identity = SingleKey.fromHex(
+      keyIndex === null ? escrowPrivateKey : deriveEscrowKey(escrowPrivateKey, keyIndex)
+    )
 
     // Create wallet using the correct async API
     const wallet = await Wallet.create({
@@ -29,7 +57,7 @@ async function initEscrowWallet() {
       arkServerUrl: ARK_URL
     })
 
-    console.log('✅ Escrow wallet initialized')
+    console.log(keyIndex === null ? '✅ Escrow wallet initialized' : `✅ Escrow sub-wallet #${keyIndex} initialized`)
     return wallet
   } catch (error) {
     console.error('❌ Failed to initialize escrow wallet:', error)
@@ -37,18 +65,30 @@ async function initEscrowWallet() {
   }
 }
 
+/**
+ * Get the Ark address of a listing sub-wallet
+ *
+ * @param keyIndex Sub-wallet index
+ * @returns Ark address deposits and payments for the listing are sent to
+ */
+export async function getEscrowSubAddress(keyIndex) {
+  const wallet = await initEscrowWallet(keyIndex)
+  return await wallet.getAddress()
+}
+
 /**
  * Return punk amount to the seller (amount-based, not VTXO-based)
  * VTXOs change with each Ark round, so we just send the amount back
  *
  * @param sellerArkAddress Seller's Ark address
  * @param punkAmount Amount to return (default 10000 sats - matches deposit)
+ * @param keyIndex Listing sub-wallet to pay from (null = master escrow wallet)
  * @returns Transaction ID of the return
  */
-export async function returnPunkToSeller(sellerArkAddress, punkAmount = 10000) {
+export async function returnPunkToSeller(sellerArkAddress, punkAmount = 10000, keyIndex = null) {
   console.log(`🔄 Returning ${punkAmount} sats to ${sellerArkAddress.slice(0, 20)}...`)
 
-  const wallet = await initEscrowWallet()
+  const wallet = await initEscrowWallet(keyIndex)
 
   // Check escrow has enough balance
   const balance = await wallet.getBalance()
@@ -76,8 +116,8 @@ export async function returnPunkToSeller(sellerArkAddress, punkAmount = 10000) {
 /**
  * Get escrow wallet balance
  */
-export async function getEscrowBalance() {
-  const wallet = await initEscrowWallet()
+export async function getEscrowBalance(keyIndex = null) {
+  const wallet = await initEscrowWallet(keyIndex)
 
   try {
     const balance = await wallet.getBalance()
@@ -95,13 +135,14 @@ export async function getEscrowBalance() {
  *
  * @param vtxoOutpoint The VTXO outpoint to verify (format: "txid:vout")
  * @param expectedAmount Expected amount in sats (default 10000)
+ * @param keyIndex Listing sub-wallet the VTXO was sent to (null = master escrow wallet)
  * @returns { exists: boolean, vtxo?: object, error?: string }
  */
-export async function verifyVtxoInEscrow(vtxoOutpoint, expectedAmount = 10000) {
+export async function verifyVtxoInEscrow(vtxoOutpoint, expectedAmount = 10000, keyIndex = null) {
   console.log(`🔍 Verifying VTXO in escrow: ${vtxoOutpoint}`)
 
   try {
-    const wallet = await initEscrowWallet()
+    const wallet = await initEscrowWallet(keyIndex)
     const vtxos = await wallet.getVtxos()
 
     // Parse outpoint
@@ -137,9 +178,37 @@ export async function verifyVtxoInEscrow(vtxoOutpoint, expectedAmount = 10000) {
 
 /**
  * Get all VTXOs in escrow wallet
- * Used to check for unreported deposits during cancel
+ * Used by the deposit reconciler to find unreported deposits
  */
-export async function getEscrowVtxos() {
-  const wallet = await initEscrowWallet()
+export async function getEscrowVtxos(keyIndex = null) {
+  const wallet = await initEscrowWallet(keyIndex)
   return await wallet.getVtxos()
 }
+
+/**
+ * Find an incoming VTXO that pays a specific amount
+ * Used to match buyer payments to payment intents (each intent has a unique amount)
+ *
+ * @param expectedAmount Exact amount in sats
+ * @param since Only consider VTXOs created at or after this timestamp (ms)
+ * @param excludeOutpoints Outpoints ("txid:vout") already attributed to other payments
+ * @param keyIndex Listing sub-wallet the payment was sent to (null = master escrow wallet)
+ * @returns Matching VTXO or null
+ */
+export async function findIncomingPayment(expectedAmount, since = 0, excludeOutpoints = [], keyIndex = null) {
+  const vtxos = await getEscrowVtxos(keyIndex)
+  const excluded = new Set(excludeOutpoints)
+
+  const found = vtxos.find(v =>
+    v.value === expectedAmount &&
+    !v.isSpent &&
+    new Date(v.createdAt).getTime() >= since &&
+    !excluded.has(`${v.txid}:${v.vout}`)
+  )
+
+  if (found) {
+    console.log(`✅ Incoming payment found: ${found.txid}:${found.vout} (${found.value} sats)`)
+  }
+
+  return found || null
+}
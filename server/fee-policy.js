@@ -0,0 +1,68 @@
+/**
+ * Marketplace Fee Policy
+ * The buyer pays the fee on top of the listing price, the seller receives the full price.
+ * Configured with MARKETPLACE_FEE_POLICY (JSON: { percent, minimumSats, tiers: [{ minPriceSats, percent }] })
+ * Same schedule and integer (BigInt) arithmetic as src/config/fees.ts, used by the UI and the Vercel backend,
+ * so every backend quotes the same fee in sats for the same price
+ */
+
+export const DEFAULT_FEE_POLICY = {
+  percent: 1,
+  minimumSats: 100,
+  tiers: []
+}
+
+/**
+ * Parse a fee policy from JSON, falling back to the default for missing fields
+ */
+export function parseFeePolicy(json) {
+  if (!json) return DEFAULT_FEE_POLICY
+
+  const parsed = JSON.parse(json)
+  return {
+    percent: Number(parsed.percent ?? DEFAULT_FEE_POLICY.percent),
+    minimumSats: Number(parsed.minimumSats ?? DEFAULT_FEE_POLICY.minimumSats),
+    tiers: (parsed.tiers || [])
+      .map(tier => ({ minPriceSats: Number(tier.minPriceSats), percent: Number(tier.percent) }))
+      .sort((a, b) => a.minPriceSats - b.minPriceSats)
+  }
+}
+
+let feePolicy = null
+
+/**
+ * Configured fee policy (read at runtime, not at import time, so .env is loaded)
+ */
+export function getFeePolicy() {
+  if (!feePolicy) {
+    feePolicy = parseFeePolicy(process.env.MARKETPLACE_FEE_POLICY)
+  }
+  return feePolicy
+}
+
+/**
+ * Calculate the marketplace fee for a listing price
+ * Highest matching tier wins, percent is applied in basis points (rounded down),
+ * then raised to the minimum fee
+ * The product is computed in BigInt like the client, it can exceed Number.MAX_SAFE_INTEGER for large prices
+ *
+ * @param price Listing price in sats (number or bigint)
+ * @param policy Fee policy (defaults to the configured one)
+ * @returns { fee, percent } - fee in sats (number) and the percent that was applied
+ */
+export function calculateMarketplaceFee(price, policy = getFeePolicy()) {
+  const priceSats = BigInt(price)
+
+  let percent = policy.percent
+  for (const tier of policy.tiers) {
+    if (priceSats >= BigInt(tier.minPriceSats)) {
+      percent = tier.percent
+    }
+  }
+
+  const basisPoints = BigInt(Math.round(percent * 100))
+  const fee = (priceSats * basisPoints) / 10000n
+  const minimum = BigInt(policy.minimumSats)
+
+  return { fee: Number(fee < minimum ? minimum : fee), percent }
+}
@@ -16,14 +16,18 @@ import Database from 'better-sqlite3'
 import { readFileSync } from 'fs'
 import { join, dirname } from 'path'
 import { fileURLToPath } from 'url'
-import { returnPunkToSeller, verifyVtxoInEscrow } from './escrow-wallet.js'
+import { returnPunkToSeller, verifyVtxoInEscrow, findIncomingPayment, getEscrowVtxos, getEscrowSubAddress } from './escrow-wallet.js'
 import { schnorr } from '@noble/curves/secp256k1.js'
 import { sha256 } from '@noble/hashes/sha2.js'
-import { bytesToHex } from '@noble/hashes/utils.js'
+import { hmac } from '@noble/hashes/hmac.js'
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils.js'
+import { generateNonce, verifyWalletSignature, pubkeyControlsAddress, checkSignedAction, SIGNED_ACTION_TTL_MS } from './wallet-auth.js'
+import { calculateMarketplaceFee, getFeePolicy } from './fee-policy.js'
+import { TYPE_NAMES, BACKGROUND_NAMES, ATTRIBUTES_BY_TYPE, decodePunkTraits, matchesTraits, metadataMatchesPunkId } from './punk-traits.js'
 
 const __dirname = dirname(fileURLToPath(import.meta.url))
-const DB_PATH = join(__dirname, 'database/arkade-punks-v2.db')
-const PORT = 3001
+const DB_PATH = process.env.DATABASE_PATH || join(__dirname, 'database/arkade-punks-v2.db')
+const PORT = Number(process.env.PORT) || 3001
 
 // Server signing key for official punks
 const SERVER_PRIVATE_KEY = process.env.ARKPUNKS_SERVER_PRIVATE_KEY
@@ -65,10 +69,76 @@ if (!tableExists) {
   db.exec(schema)
 }
 
-console.log('✅ Database ready\n')
+/**
+ * Add a column to an existing table if missing
+ * schema-v2.sql only runs on a fresh database, older databases are upgraded here
+ */
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all()
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`)
+    console.log(`🔧 Added column ${table}.${column}`)
+  }
+}
+
+ensureColumn('listings', 'punk_vtxo_outpoint', 'TEXT')
+ensureColumn('listings', 'punk_metadata_compressed', 'TEXT')
+ensureColumn('listings', 'deposit_amount_sats', 'INTEGER')
+ensureColumn('listings', 'escrow_key_index', 'INTEGER')
+ensureColumn('listings', 'offer_id', 'TEXT')
+ensureColumn('listings', 'auction_id', 'TEXT')
+ensureColumn('listings', 'reserve_price_sats', 'INTEGER')
+ensureColumn('listings', 'auction_starts_at', 'INTEGER')
+ensureColumn('listings', 'auction_ends_at', 'INTEGER')
+ensureColumn('listings', 'bundle_id', 'TEXT')
+ensureColumn('listings', 'reserved_by', 'TEXT')
+ensureColumn('listings', 'reserved_until', 'INTEGER')
+ensureColumn('listings', 'allowed_buyer', 'TEXT')
+ensureColumn('listings', 'starts_at', 'INTEGER')
+ensureColumn('listings', 'expires_at', 'INTEGER')
+ensureColumn('listings', 'share_token', 'TEXT')
+// Listings created before share tokens get one, so their share links can be sent
+db.exec(`UPDATE listings SET share_token = lower(hex(randomblob(32))) WHERE share_token IS NULL`)
+ensureColumn('sales', 'bundle_id', 'TEXT')
+
+/**
+ * Widen the listings.status CHECK constraint of an existing database
+ * SQLite cannot alter a constraint, so the table is rebuilt from its own definition
+ * with the new status list (columns, data and indexes are kept)
+ */
+function ensureListingStatuses(statuses) {
+  const table = db.prepare(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'listings'`).get()
+  if (statuses.every(status => table.sql.includes(`'${status}'`))) return
+
+  const checkList = statuses.map(status => `'${status}'`).join(', ')
+  const createSql = table.sql
+    .replace(/CREATE TABLE (IF NOT EXISTS )?"?listings"?/, 'CREATE TABLE listings_rebuild')
+    .replace(/CHECK\s*\(\s*status IN \([^)]*\)\s*\)/, `CHECK(status IN (${checkList}))`)
+  const indexes = db.prepare(`
+    SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = 'listings' AND sql IS NOT NULL
+  `).all()
+
+  db.pragma('foreign_keys = OFF')
+  try {
+    db.transaction(() => {
+      db.exec(createSql)
+      db.exec('INSERT INTO listings_rebuild SELECT * FROM listings')
+      db.exec('DROP TABLE listings')
+      db.exec('ALTER TABLE listings_rebuild RENAME TO listings')
+      for (const index of indexes) {
+        db.exec(index.sql)
+      }
+    })()
+  } finally {
+    db.pragma('foreign_keys = ON')
+  }
 
-// Admin password protection
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin_secret_2024'
+  console.log(`🔧 Rebuilt listings table (status: ${statuses.join(', ')})`)
+}
+
+ensureListingStatuses(['pending', 'deposited', 'auction', 'bundled', 'reserved', 'sold', 'cancelled', 'expired'])
+
+console.log('✅ Database ready\n')
 
 // ============================================================
 // AUDIT LOGGING
@@ -81,6 +151,9 @@ const auditLog = db.prepare(`
 
 /**
  * Log an audit event for tracking and debugging
+ * Successful events that webhooks subscribe to are queued for delivery, market ones go to the live feed
+ *
+ * @returns audit_log id, or null if the entry could not be written
  */
 function logAudit(action, data = {}) {
   const timestamp = Date.now()
@@ -96,7 +169,7 @@ function logAudit(action, data = {}) {
   } = data
 
   try {
-    auditLog.run(
+    const { lastInsertRowid } = auditLog.run(
       timestamp,
       action,
       punkId,
@@ -109,11 +182,660 @@ function logAudit(action, data = {}) {
       details ? JSON.stringify(details) : null
     )
     console.log(`📋 AUDIT [${action}] ${status} - punk:${punkId?.slice(0,8) || 'N/A'} seller:${sellerAddress?.slice(0,20) || 'N/A'} buyer:${buyerAddress?.slice(0,20) || 'N/A'} amount:${amount || 0}`)
+
+    const auditId = Number(lastInsertRowid)
+    if (status === 'SUCCESS' && WEBHOOK_EVENTS.includes(action)) {
+      queueWebhookEvent(auditId, action, timestamp, { punkId, sellerAddress, buyerAddress, amount, txid, details })
+    }
+    if (status === 'SUCCESS') {
+      recordLiveEvents(action, timestamp, { punkId, sellerAddress, buyerAddress, amount, details })
+    }
+    return auditId
   } catch (err) {
     console.error('❌ Failed to write audit log:', err)
+    return null
+  }
+}
+
+// ============================================================
+// WEBHOOKS
+// ============================================================
+//
+// Registered endpoints receive a signed JSON POST for marketplace and ownership events. Events are
+// queued by logAudit, so each one is the audit row that recorded it (payload id = audit_log id).
+// Deliveries are persisted and retried with backoff; after WEBHOOK_MAX_ATTEMPTS they are 'dead'
+// until an admin retries them. A delivery cut off by a restart is sent again: receivers dedupe on id.
+//
+// X-ArkPunks-Signature: t=<ms timestamp>,v1=<hex HMAC-SHA256(secret, `${t}.${body}`)>
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,                  -- HMAC key, only returned when the webhook is registered
+    events TEXT NOT NULL,                  -- JSON array of subscribed audit actions
+    description TEXT,
+    status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'disabled')),
+    created_by TEXT,                       -- Admin pubkey
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL,
+    audit_id INTEGER NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,                 -- Exact body sent (and signed) on every attempt
+    status TEXT NOT NULL CHECK(status IN ('pending', 'delivering', 'delivered', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL,
+    response_status INTEGER,
+    last_error TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    delivered_at INTEGER,
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id);
+`)
+
+// Audit actions a webhook can subscribe to (only successful ones are sent)
+const WEBHOOK_EVENTS = ['LIST_CREATED', 'DEPOSIT_CONFIRMED', 'SALE_COMPLETED', 'LISTING_CANCELLED', 'PUNK_TRANSFERRED', 'WALLET_REGISTERED']
+const WEBHOOK_MAX_ATTEMPTS = 8
+const WEBHOOK_BASE_BACKOFF_MS = 30 * 1000
+const WEBHOOK_MAX_BACKOFF_MS = 6 * 60 * 60 * 1000
+const WEBHOOK_TIMEOUT_MS = 10 * 1000
+const WEBHOOK_STALE_DELIVERY_MS = 5 * 60 * 1000  // 'delivering' this long = cut off by a restart
+const WEBHOOK_WORKER_INTERVAL_MS = 15 * 1000
+
+/**
+ * Queue an audited event for every active webhook subscribed to it, or for `webhookId` only
+ * Never throws: a webhook problem must not break the action being audited
+ */
+function queueWebhookEvent(auditId, action, timestamp, data, webhookId = null) {
+  try {
+    const webhooks = db.prepare(`
+      SELECT id, events FROM webhooks WHERE status = 'active' AND (@webhookId IS NULL OR id = @webhookId)
+    `).all({ webhookId }).filter(webhook => webhookId !== null || JSON.parse(webhook.events).includes(action))
+
+    if (webhooks.length === 0) return
+
+    const now = Date.now()
+    const payload = JSON.stringify({ id: auditId, event: action, timestamp, data })
+    const insertDelivery = db.prepare(`
+      INSERT INTO webhook_deliveries (webhook_id, audit_id, event, payload, status, next_attempt_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, 'pending', ?, ?, ?)
+    `)
+    for (const webhook of webhooks) {
+      insertDelivery.run(webhook.id, auditId, action, payload, now, now, now)
+    }
+
+    // Deliver once the caller's transaction, if any, has committed
+    setImmediate(processWebhookDeliveries)
+  } catch (error) {
+    console.error('❌ Failed to queue webhook event:', error)
+  }
+}
+
+function webhookBackoff(attempts) {
+  return Math.min(WEBHOOK_BASE_BACKOFF_MS * 2 ** (attempts - 1), WEBHOOK_MAX_BACKOFF_MS)
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return bytesToHex(hmac(sha256, utf8ToBytes(secret), utf8ToBytes(`${timestamp}.${body}`)))
+}
+
+/**
+ * POST one delivery to its webhook; it is claimed ('delivering') first so concurrent runs skip it
+ *
+ * @param delivery webhook_deliveries row with its webhook's url and secret
+ */
+async function deliverWebhook(delivery) {
+  const claim = db.prepare(`
+    UPDATE webhook_deliveries SET status = 'delivering', attempts = attempts + 1, updated_at = ?
+    WHERE id = ? AND status = 'pending'
+  `).run(Date.now(), delivery.id)
+
+  if (claim.changes !== 1) return
+
+  const attempts = delivery.attempts + 1
+  const timestamp = Date.now()
+  let responseStatus = null
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ArkPunks-Webhooks/1.0',
+        'X-ArkPunks-Event': delivery.event,
+        'X-ArkPunks-Delivery': String(delivery.id),
+        'X-ArkPunks-Signature': `t=${timestamp},v1=${signWebhookPayload(delivery.secret, timestamp, delivery.payload)}`
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    })
+    responseStatus = response.status
+    await response.body?.cancel()
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+
+    db.prepare(`
+      UPDATE webhook_deliveries SET status = 'delivered', response_status = ?, last_error = NULL, delivered_at = ?, updated_at = ?
+      WHERE id = ?
+    `).run(responseStatus, Date.now(), Date.now(), delivery.id)
+  } catch (error) {
+    const dead = attempts >= WEBHOOK_MAX_ATTEMPTS
+
+    db.prepare(`
+      UPDATE webhook_deliveries SET status = ?, response_status = ?, last_error = ?, next_attempt_at = ?, updated_at = ?
+      WHERE id = ?
+    `).run(dead ? 'dead' : 'pending', responseStatus, error.message, Date.now() + webhookBackoff(attempts), Date.now(), delivery.id)
+
+    if (dead) {
+      logAudit('WEBHOOK_DELIVERY_FAILED', {
+        status: 'FAILED',
+        error: error.message,
+        details: { deliveryId: delivery.id, webhookId: delivery.webhook_id, event: delivery.event, auditId: delivery.audit_id, attempts }
+      })
+    }
+  }
+}
+
+let processingWebhooks = null
+
+/**
+ * Send all due deliveries of active webhooks (one at a time)
+ * Concurrent callers share the same run
+ */
+function processWebhookDeliveries() {
+  if (!processingWebhooks) {
+    processingWebhooks = (async () => {
+      try {
+        const now = Date.now()
+        db.prepare(`
+          UPDATE webhook_deliveries SET status = 'pending', updated_at = ?
+          WHERE status = 'delivering' AND updated_at < ?
+        `).run(now, now - WEBHOOK_STALE_DELIVERY_MS)
+
+        // Until nothing is due, so events queued during the run are not left for the next one
+        // (failed attempts are pushed back by their backoff)
+        const selectDue = db.prepare(`
+          SELECT d.*, w.url, w.secret
+          FROM webhook_deliveries d
+          JOIN webhooks w ON w.id = d.webhook_id
+          WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.status = 'active'
+          ORDER BY d.id ASC
+        `)
+
+        let due
+        while ((due = selectDue.all(Date.now())).length > 0) {
+          for (const delivery of due) {
+            await deliverWebhook(delivery)
+          }
+        }
+      } catch (error) {
+        console.error('❌ Webhook worker failed:', error)
+      }
+    })().finally(() => {
+      processingWebhooks = null
+    })
+  }
+  return processingWebhooks
+}
+
+setInterval(processWebhookDeliveries, WEBHOOK_WORKER_INTERVAL_MS)
+
+// ============================================================
+// LIVE EVENTS (Server-Sent Events)
+// ============================================================
+//
+// GET /api/events/stream pushes market activity to open pages: listings created, deposited, sold and
+// cancelled, new registrations and supply changes. Events are recorded by logAudit into live_events,
+// whose id is the SSE id, so a client reconnecting with Last-Event-ID gets what it missed.
+// Private and not yet started listings stay out of the feed, as they do from /api/marketplace/listings.
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS live_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,  -- SSE event id, never reused after pruning
+    type TEXT NOT NULL,
+    data TEXT NOT NULL,                    -- JSON sent as the event data
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_live_events_created ON live_events(created_at);
+`)
+
+const LIVE_EVENT_RETENTION_MS = 24 * 60 * 60 * 1000  // Clients further behind get a 'reset'
+const LIVE_EVENT_PRUNE_INTERVAL_MS = 60 * 60 * 1000
+const LIVE_HEARTBEAT_INTERVAL_MS = 25 * 1000         // Keeps proxies from closing idle streams
+const LIVE_RETRY_MS = 5000
+const LIVE_MAX_CLIENTS = 500
+
+const liveClients = new Set()
+
+// Last event written to the connected clients (AUTOINCREMENT keeps counting after pruning)
+let lastBroadcastId = db.prepare(`SELECT seq FROM sqlite_sequence WHERE name = 'live_events'`).get()?.seq ?? 0
+
+/**
+ * Public events for a successful audited action
+ */
+function liveEventsFor(action, { punkId, sellerAddress, buyerAddress, amount, details }) {
+  switch (action) {
+    case 'LIST_CREATED':
+    case 'DEPOSIT_CONFIRMED':
+    case 'LISTING_CANCELLED': {
+      const listing = db.prepare(`
+        SELECT seller_address, price_sats, allowed_buyer, starts_at FROM listings WHERE punk_id = ?
+      `).get(punkId)
+      if (!listing || listing.allowed_buyer || listing.starts_at > Date.now()) return []
+
+      if (action === 'LISTING_CANCELLED') return [{ type: 'listing_cancelled', data: { punkId } }]
+      return [{
+        type: action === 'LIST_CREATED' ? 'listing_created' : 'listing_deposited',
+        data: { punkId, seller: listing.seller_address, price: String(listing.price_sats) }
+      }]
+    }
+
+    case 'SALE_COMPLETED': {
+      const punk = db.prepare('SELECT punk_metadata_compressed FROM punks WHERE punk_id = ?').get(punkId)
+      return [{
+        type: 'sale',
+        data: {
+          punkId,
+          price: String(amount),
+          seller: sellerAddress,
+          buyer: buyerAddress,
+          bundleId: details?.bundleId ?? null,
+          compressedMetadata: punk?.punk_metadata_compressed ?? null
+        }
+      }]
+    }
+
+    case 'WALLET_REGISTERED': {
+      if (!details?.registered?.length) return []
+      const { totalMinted } = db.prepare('SELECT COUNT(*) AS totalMinted FROM punks').get()
+      return [
+        { type: 'registration', data: { address: details.address, punkIds: details.registered } },
+        { type: 'supply', data: { totalMinted, maxPunks: 2016 } }
+      ]
+    }
+
+    default:
+      return []
+  }
+}
+
+/**
+ * Record the live events of an audited action; clients get them once the caller's transaction commits
+ * Never throws, like queueWebhookEvent
+ */
+function recordLiveEvents(action, timestamp, data) {
+  try {
+    const events = liveEventsFor(action, data)
+    if (events.length === 0) return
+
+    const insertEvent = db.prepare('INSERT INTO live_events (type, data, created_at) VALUES (?, ?, ?)')
+    for (const event of events) {
+      insertEvent.run(event.type, JSON.stringify({ ...event.data, timestamp }), timestamp)
+    }
+    setImmediate(broadcastLiveEvents)
+  } catch (error) {
+    console.error('❌ Failed to record live event:', error)
+  }
+}
+
+function formatLiveEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${event.data}\n\n`
+}
+
+/**
+ * Write events recorded since the last broadcast to every connected client
+ */
+function broadcastLiveEvents() {
+  try {
+    const events = db.prepare('SELECT * FROM live_events WHERE id > ? ORDER BY id ASC').all(lastBroadcastId)
+    for (const event of events) {
+      const message = formatLiveEvent(event)
+      for (const client of liveClients) {
+        client.write(message)
+      }
+      lastBroadcastId = event.id
+    }
+  } catch (error) {
+    console.error('❌ Failed to broadcast live events:', error)
+  }
+}
+
+/**
+ * Live market feed
+ * GET /api/events/stream
+ * Headers: Last-Event-ID (sent by EventSource when it reconnects), or query lastEventId
+ *
+ * Events: listing_created, listing_deposited, listing_cancelled, sale (one per punk, bundleId set
+ * for bundles), registration and supply, with JSON data. A new connection starts with 'ready';
+ * 'reset' means the missed events are gone and the client should reload instead.
+ */
+app.get('/api/events/stream', (req, res) => {
+  const resumeFrom = req.get('Last-Event-ID') ?? req.query.lastEventId
+  const lastEventId = resumeFrom ? Number(resumeFrom) : null
+
+  if (lastEventId !== null && !(Number.isSafeInteger(lastEventId) && lastEventId >= 0)) {
+    return res.status(400).json({ error: 'Last-Event-ID must be an event id' })
+  }
+  if (liveClients.size >= LIVE_MAX_CLIENTS) {
+    return res.status(503).json({ error: 'Too many live connections, try again later' })
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+  res.write(`retry: ${LIVE_RETRY_MS}\n\n`)
+
+  if (lastEventId === null) {
+    res.write(formatLiveEvent({ id: lastBroadcastId, type: 'ready', data: '{}' }))
+  } else {
+    // Events after lastEventId are all kept unless the oldest kept one is further on
+    const oldest = db.prepare('SELECT MIN(id) AS id FROM live_events').get().id ?? lastBroadcastId + 1
+    if (lastEventId > lastBroadcastId || lastEventId < oldest - 1) {
+      res.write(formatLiveEvent({ id: lastBroadcastId, type: 'reset', data: '{}' }))
+    } else {
+      const missed = db.prepare('SELECT * FROM live_events WHERE id > ? AND id <= ? ORDER BY id ASC').all(lastEventId, lastBroadcastId)
+      for (const event of missed) {
+        res.write(formatLiveEvent(event))
+      }
+    }
+  }
+
+  liveClients.add(res)
+  req.on('close', () => {
+    liveClients.delete(res)
+  })
+})
+
+setInterval(() => {
+  for (const client of liveClients) {
+    client.write(': heartbeat\n\n')
+  }
+}, LIVE_HEARTBEAT_INTERVAL_MS)
+
+setInterval(() => {
+  try {
+    db.prepare('DELETE FROM live_events WHERE created_at < ? AND id <= ?').run(Date.now() - LIVE_EVENT_RETENTION_MS, lastBroadcastId)
+  } catch (error) {
+    console.error('❌ Failed to prune live events:', error)
+  }
+}, LIVE_EVENT_PRUNE_INTERVAL_MS)
+
+// ============================================================
+// WALLET CHALLENGES (signature-based proof of ownership)
+// ============================================================
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS auth_nonces (
+    nonce TEXT PRIMARY KEY,
+    address TEXT,
+    purpose TEXT NOT NULL,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch() * 1000),
+    expires_at INTEGER NOT NULL,
+    used_at INTEGER
+  )
+`)
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000
+
+/**
+ * Issue a single-use nonce that the wallet must sign
+ */
+function issueChallenge(address, purpose) {
+  const nonce = generateNonce()
+  const now = Date.now()
+  db.prepare(`
+    INSERT INTO auth_nonces (nonce, address, purpose, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(nonce, address, purpose, now, now + CHALLENGE_TTL_MS)
+  return { nonce, expiresAt: now + CHALLENGE_TTL_MS }
+}
+
+/**
+ * Mark a challenge nonce as used
+ * Returns an error string if the nonce is unknown, expired, reused or issued for another address
+ */
+function consumeChallenge(nonce, address, purpose) {
+  const challenge = db.prepare('SELECT * FROM auth_nonces WHERE nonce = ?').get(nonce)
+
+  if (!challenge || challenge.purpose !== purpose || challenge.address !== address) {
+    return 'Unknown challenge'
+  }
+  if (challenge.used_at) {
+    return 'Challenge already used'
+  }
+  if (challenge.expires_at < Date.now()) {
+    return 'Challenge expired'
+  }
+
+  // Conditional update so two concurrent requests cannot both consume it
+  const result = db.prepare(`
+    UPDATE auth_nonces SET used_at = ? WHERE nonce = ? AND used_at IS NULL
+  `).run(Date.now(), nonce)
+
+  return result.changes === 1 ? null : 'Challenge already used'
+}
+
+/**
+ * Verify a wallet-signed action on a punk
+ * Signed payload: { punkId, action, nonce, timestamp, ...extra } by `pubkey`
+ * Client nonces are recorded in auth_nonces so a message can only be used once
+ *
+ * @returns Error string, or null if the action is authorized
+ */
+function verifySignedAction(punkId, pubkey, address, body, action, extra = {}) {
+  const { nonce, timestamp, signature } = body
+  const payload = { punkId, action, nonce, timestamp, ...extra }
+
+  const error = checkSignedAction(payload, signature, pubkey)
+  if (error) {
+    return error
+  }
+
+  const now = Date.now()
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO auth_nonces (nonce, address, purpose, created_at, expires_at, used_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(nonce, address, action, now, Number(timestamp) + SIGNED_ACTION_TTL_MS, now)
+
+  return result.changes === 1 ? null : 'Signed message already used'
+}
+
+/**
+ * Verify a seller-signed action on a listing (signed by listing.seller_pubkey)
+ */
+function verifySellerAction(listing, body, action, extra = {}) {
+  return verifySignedAction(listing.punk_id, listing.seller_pubkey, listing.seller_address, body, action, extra)
+}
+
+// ============================================================
+// ADMIN AUTH (challenge login, bearer tokens, roles)
+// ============================================================
+
+// Admin pubkeys and roles from config: ADMIN_PUBKEYS="<xonly-hex>:operator,<xonly-hex>:support"
+// - support: audit log, support lookups, update support tickets
+// - operator: everything support can do, plus payouts, refunds and deposit reconciliation
+const ADMIN_ROLES = ['support', 'operator']
+const ADMIN_KEYS = new Map(
+  (process.env.ADMIN_PUBKEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [pubkey, role = 'support'] = entry.split(':')
+      return [pubkey.toLowerCase(), role]
+    })
+    .filter(([pubkey, role]) => {
+      const valid = /^[0-9a-f]{64}$/.test(pubkey) && ADMIN_ROLES.includes(role)
+      if (!valid) console.error(`❌ Ignoring invalid ADMIN_PUBKEYS entry: ${pubkey}:${role}`)
+      return valid
+    })
+)
+
+if (ADMIN_KEYS.size === 0) {
+  console.log('⚠️  No ADMIN_PUBKEYS configured - admin endpoints are disabled')
+}
+
+const ADMIN_TOKEN_TTL_MS = 30 * 60 * 1000
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS admin_sessions (
+    token_hash TEXT PRIMARY KEY,
+    pubkey TEXT NOT NULL,
+    role TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    revoked_at INTEGER
+  )
+`)
+
+// Bearer tokens (admin and wallet sessions) are stored hashed
+function hashSessionToken(token) {
+  return bytesToHex(sha256(utf8ToBytes(token)))
+}
+
+// Methods that only read: not recorded as admin actions (the admin UI polls them)
+const ADMIN_READ_METHODS = ['GET', 'HEAD', 'OPTIONS']
+
+/**
+ * Express middleware: require a valid admin bearer token with at least `minRole`
+ * Every authorized mutating request is recorded in audit_log as ADMIN_ACTION
+ */
+function requireAdmin(minRole) {
+  return (req, res, next) => {
+    const header = req.headers.authorization || ''
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null
+
+    const session = token && db.prepare(`
+      SELECT * FROM admin_sessions WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > ?
+    `).get(hashSessionToken(token), Date.now())
+
+    // Role may have been removed from config since login
+    const role = session && ADMIN_KEYS.get(session.pubkey)
+
+    if (!session || !role) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' })
+    }
+
+    if (ADMIN_ROLES.indexOf(role) < ADMIN_ROLES.indexOf(minRole)) {
+      logAudit('ADMIN_ACCESS_DENIED', {
+        status: 'FAILED',
+        error: `Requires ${minRole} role`,
+        details: { adminPubkey: session.pubkey, role, method: req.method, path: req.path }
+      })
+      return res.status(403).json({ success: false, error: `Requires ${minRole} role` })
+    }
+
+    req.admin = { pubkey: session.pubkey, role }
+
+    if (!ADMIN_READ_METHODS.includes(req.method)) {
+      logAudit('ADMIN_ACTION', {
+        status: 'SUCCESS',
+        details: {
+          adminPubkey: session.pubkey,
+          role,
+          method: req.method,
+          path: req.path,
+          query: Object.keys(req.query).length > 0 ? req.query : undefined,
+          body: req.body
+        }
+      })
+    }
+
+    next()
   }
 }
 
+/**
+ * Get an admin login challenge
+ * POST /api/admin/auth/challenge
+ * Body: { pubkey }
+ */
+app.post('/api/admin/auth/challenge', (req, res) => {
+  const pubkey = req.body.pubkey?.toLowerCase()
+
+  if (!pubkey || !ADMIN_KEYS.has(pubkey)) {
+    return res.status(403).json({ success: false, error: 'Not an admin key' })
+  }
+
+  try {
+    const { nonce, expiresAt } = issueChallenge(pubkey, 'admin_login')
+    return res.json({ success: true, nonce, expiresAt })
+  } catch (error) {
+    console.error('Error issuing admin challenge:', error)
+    return res.status(500).json({ success: false, error: 'Database error' })
+  }
+})
+
+/**
+ * Log in as admin with a signed challenge
+ * POST /api/admin/auth/login
+ * Body: { pubkey, nonce, signature }
+ *
+ * Signed payload: { action: 'admin_login', pubkey, nonce }
+ * Returns a bearer token valid for ADMIN_TOKEN_TTL_MS
+ */
+app.post('/api/admin/auth/login', (req, res) => {
+  const { nonce, signature } = req.body
+  const pubkey = req.body.pubkey?.toLowerCase()
+
+  if (!pubkey || !nonce || !signature) {
+    return res.status(400).json({ success: false, error: 'pubkey, nonce and signature required' })
+  }
+
+  const role = ADMIN_KEYS.get(pubkey)
+  const error = !role
+    ? 'Not an admin key'
+    : consumeChallenge(nonce, pubkey, 'admin_login') ||
+      (verifyWalletSignature({ action: 'admin_login', pubkey, nonce }, signature, pubkey) ? null : 'Invalid signature')
+
+  if (error) {
+    logAudit('ADMIN_LOGIN', { status: 'FAILED', error, details: { adminPubkey: pubkey } })
+    return res.status(401).json({ success: false, error: 'Login failed', details: error })
+  }
+
+  try {
+    const token = generateNonce()
+    const now = Date.now()
+    const expiresAt = now + ADMIN_TOKEN_TTL_MS
+
+    db.prepare(`
+      INSERT INTO admin_sessions (token_hash, pubkey, role, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(hashSessionToken(token), pubkey, role, now, expiresAt)
+    db.prepare('DELETE FROM admin_sessions WHERE expires_at < ?').run(now)
+
+    logAudit('ADMIN_LOGIN', { status: 'SUCCESS', details: { adminPubkey: pubkey, role } })
+
+    return res.json({ success: true, token, role, expiresAt })
+  } catch (error) {
+    console.error('Error creating admin session:', error)
+    return res.status(500).json({ success: false, error: 'Database error' })
+  }
+})
+
+/**
+ * Revoke the current admin token
+ * POST /api/admin/auth/logout
+ */
+app.post('/api/admin/auth/logout', requireAdmin('support'), (req, res) => {
+  const token = req.headers.authorization.slice(7)
+  db.prepare('UPDATE admin_sessions SET revoked_at = ? WHERE token_hash = ?').run(Date.now(), hashSessionToken(token))
+  return res.json({ success: true })
+})
+
 // ============================================================
 // PUNK SIGNING FUNCTION
 // ============================================================
@@ -189,17 +911,84 @@ app.get('/api/wallet/status', (req, res) => {
 })
 
 /**
- * Register wallet and its punks
- * POST /api/wallet/register
- * Body: { address: "ark1...", punks: [{punkId, vtxoOutpoint, mintDate, compressedMetadata}] }
+ * Get a registration challenge for a wallet
+ * POST /api/wallet/challenge
+ * Body: { address: "ark1..." }
  */
-app.post('/api/wallet/register', (req, res) => {
-  const { address, bitcoinAddress, punks } = req.body
+app.post('/api/wallet/challenge', (req, res) => {
+  const { address } = req.body
+
+  if (!address) {
+    return res.status(400).json({ error: 'Address required' })
+  }
+
+  try {
+    const { nonce, expiresAt } = issueChallenge(address, 'wallet_register')
+    return res.json({ success: true, nonce, expiresAt })
+  } catch (error) {
+    console.error('Error issuing challenge:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Register wallet and its punks
+ * POST /api/wallet/register
+ * Body: {
+ *   address: "ark1...", bitcoinAddress?: "bc1p...",
+ *   punks: [{punkId, vtxoOutpoint, mintDate, compressedMetadata}],
+ *   pubkey, nonce, signature
+ * }
+ *
+ * signature = schnorr(sha256(canonical {action: 'wallet_register', address, bitcoinAddress, nonce}))
+ * The pubkey must control both address and bitcoinAddress
+ * compressedMetadata must match the punk id (see metadataMatchesPunkId): new punks without it are refused,
+ * the metadata of a registered punk is never replaced
+ */
+app.post('/api/wallet/register', async (req, res) => {
+  const { address, bitcoinAddress, punks, pubkey, nonce, signature } = req.body
 
   if (!address || !punks || !Array.isArray(punks)) {
     return res.status(400).json({ error: 'Invalid request: address and punks array required' })
   }
 
+  if (!pubkey || !nonce || !signature) {
+    return res.status(400).json({ error: 'Invalid request: pubkey, nonce and signature required' })
+  }
+
+  // Reject and record a failed proof of ownership
+  const reject = (reason) => {
+    logAudit('WALLET_REGISTER_REJECTED', {
+      status: 'FAILED',
+      error: reason,
+      details: { address, bitcoinAddress: bitcoinAddress || null, pubkey, punkCount: punks.length }
+    })
+    return res.status(401).json({ error: 'Ownership proof failed', details: reason })
+  }
+
+  const challengeError = consumeChallenge(nonce, address, 'wallet_register')
+  if (challengeError) {
+    return reject(challengeError)
+  }
+
+  const signedPayload = {
+    action: 'wallet_register',
+    address,
+    bitcoinAddress: bitcoinAddress || null,
+    nonce
+  }
+  if (!verifyWalletSignature(signedPayload, signature, pubkey)) {
+    return reject('Invalid signature')
+  }
+
+  if (!(await pubkeyControlsAddress(pubkey, address))) {
+    return reject('Pubkey does not match address')
+  }
+
+  if (bitcoinAddress && !(await pubkeyControlsAddress(pubkey, bitcoinAddress))) {
+    return reject('Pubkey does not match bitcoinAddress')
+  }
+
   try {
     const now = Date.now()
     const results = {
@@ -238,17 +1027,26 @@ app.post('/api/wallet/register', (req, res) => {
         const existing = checkExisting.get(punkId)
         const mintTimestamp = mintDate ? new Date(mintDate).getTime() : now
 
+        // Metadata is only accepted when it matches the punk id, and once stored it is never replaced
+        const verifiedMetadata = compressedMetadata && metadataMatchesPunkId(punkId, compressedMetadata) ? compressedMetadata : null
+        const metadata = existing?.punk_metadata_compressed || verifiedMetadata
+
+        if (!existing && !verifiedMetadata) {
+          results.errors.push({ punkId, error: 'Metadata does not match punk id' })
+          continue
+        }
+
         // Generate server signature for official punk validation
         const signature = signPunkId(punkId)
 
         if (existing) {
           if (existing.owner_address === address) {
-            // Same owner, update timestamp and compressed metadata (if provided)
-            updatePunk.run(address, compressedMetadata || existing.punk_metadata_compressed, signature, now, punkId)
+            // Same owner, update timestamp (and metadata if none was stored yet)
+            updatePunk.run(address, metadata, signature, now, punkId)
             results.updated.push({ punkId, action: 'refreshed' })
           } else if (bitcoinAddress && existing.owner_address === bitcoinAddress) {
             // SAME WALLET: Existing owner is this wallet's Bitcoin address, auto-migrate to Ark address
-            updatePunk.run(address, compressedMetadata || existing.punk_metadata_compressed, signature, now, punkId)
+            updatePunk.run(address, metadata, signature, now, punkId)
 
             // Record in history
             insertHistory.run(punkId, bitcoinAddress, address)
@@ -269,7 +1067,7 @@ app.post('/api/wallet/register', (req, res) => {
           }
         } else {
           // New punk, register it
-          insertPunk.run(punkId, address, compressedMetadata || null, signature, mintTimestamp)
+          insertPunk.run(punkId, address, verifiedMetadata, signature, mintTimestamp)
 
           // Record in history
           insertHistory.run(punkId, null, address)
@@ -293,6 +1091,26 @@ app.post('/api/wallet/register', (req, res) => {
       errors: results.errors.length
     }
 
+    // New punks and punks moved off the Bitcoin address are ownership events, refreshes are not
+    const migrated = results.updated.filter(punk => punk.action === 'migrated_from_bitcoin_address')
+    if (summary.registered > 0 || migrated.length > 0) {
+      logAudit('WALLET_REGISTERED', {
+        status: 'SUCCESS',
+        details: {
+          address,
+          bitcoinAddress: bitcoinAddress || null,
+          pubkey,
+          registered: results.registered.map(punk => punk.punkId),
+          migrated: migrated.map(punk => punk.punkId)
+        }
+      })
+    }
+
+    // New punks change every trait frequency, so the whole collection is re-ranked
+    if (summary.registered > 0 || summary.updated > 0) {
+      indexWrittenMetadata()
+    }
+
     console.log(`📱 Wallet registration: ${address.slice(0, 20)}...`)
     console.log(`   New: ${summary.registered}, Updated: ${summary.updated}, Conflicts: ${summary.conflicts}, Errors: ${summary.errors}`)
 
@@ -308,6 +1126,99 @@ app.post('/api/wallet/register', (req, res) => {
   }
 })
 
+// ============================================================
+// WALLET SESSIONS (bearer tokens of listing viewers)
+// ============================================================
+// Private and scheduled listings are shown to their seller and designated buyer only on requests
+// with a wallet session: a token from a signed challenge, bound to an address and the pubkey controlling it
+
+const WALLET_SESSION_TTL_MS = 24 * 60 * 60 * 1000
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS wallet_sessions (
+    token_hash TEXT PRIMARY KEY,
+    address TEXT NOT NULL,
+    pubkey TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  )
+`)
+
+/**
+ * Wallet of the request's bearer token ({ address, pubkey }), null without a valid session
+ */
+function walletSession(req) {
+  const header = req.headers.authorization || ''
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null
+
+  return (token && db.prepare(`
+    SELECT address, pubkey FROM wallet_sessions WHERE token_hash = ? AND expires_at > ?
+  `).get(hashSessionToken(token), Date.now())) || null
+}
+
+/**
+ * Get a wallet session challenge
+ * POST /api/wallet/session/challenge
+ * Body: { address: "ark1..." }
+ */
+app.post('/api/wallet/session/challenge', (req, res) => {
+  const { address } = req.body
+
+  if (!address) {
+    return res.status(400).json({ success: false, error: 'Address required' })
+  }
+
+  try {
+    const { nonce, expiresAt } = issueChallenge(address, 'wallet_session')
+    return res.json({ success: true, nonce, expiresAt })
+  } catch (error) {
+    console.error('Error issuing session challenge:', error)
+    return res.status(500).json({ success: false, error: 'Database error' })
+  }
+})
+
+/**
+ * Open a wallet session with a signed challenge
+ * POST /api/wallet/session
+ * Body: { address, pubkey, nonce, signature }
+ *
+ * Signed payload: { action: 'wallet_session', address, nonce }, the pubkey must control the address
+ * Returns a bearer token valid for WALLET_SESSION_TTL_MS
+ */
+app.post('/api/wallet/session', async (req, res) => {
+  const { address, nonce, signature } = req.body
+  const pubkey = req.body.pubkey?.toLowerCase()
+
+  if (!address || !pubkey || !nonce || !signature) {
+    return res.status(400).json({ success: false, error: 'address, pubkey, nonce and signature required' })
+  }
+
+  const error = consumeChallenge(nonce, address, 'wallet_session') ||
+    (verifyWalletSignature({ action: 'wallet_session', address, nonce }, signature, pubkey) ? null : 'Invalid signature') ||
+    (await pubkeyControlsAddress(pubkey, address) ? null : 'Pubkey does not match address')
+
+  if (error) {
+    return res.status(401).json({ success: false, error: 'Session refused', details: error })
+  }
+
+  try {
+    const token = generateNonce()
+    const now = Date.now()
+    const expiresAt = now + WALLET_SESSION_TTL_MS
+
+    db.prepare(`
+      INSERT INTO wallet_sessions (token_hash, address, pubkey, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(hashSessionToken(token), address, pubkey, now, expiresAt)
+    db.prepare('DELETE FROM wallet_sessions WHERE expires_at < ?').run(now)
+
+    return res.json({ success: true, token, expiresAt })
+  } catch (error) {
+    console.error('Error creating wallet session:', error)
+    return res.status(500).json({ success: false, error: 'Database error' })
+  }
+})
+
 // ============================================================
 // WALLET RECOVERY ENDPOINTS (Support for edge cases)
 // ============================================================
@@ -395,16 +1306,403 @@ app.post('/api/wallet/recover', (req, res) => {
   }
 })
 
+// ============================================================
+// TRAIT INDEX AND RARITY (search filters, sort and rarity ranks)
+// ============================================================
+
+// Decoded traits of every punk, brought up to date with punks.punk_metadata_compressed at startup
+// and wherever metadata is written (wallet registration, listing and bundle creation), never on reads
+db.exec(`
+  CREATE TABLE IF NOT EXISTS punk_traits (
+    punk_id TEXT PRIMARY KEY,
+    compressed TEXT,                -- Metadata the row was decoded from (type NULL = missing or malformed)
+    type TEXT,
+    background TEXT,
+    attribute_count INTEGER,
+    rarity_score REAL,
+    rarity_rank INTEGER             -- 1 = rarest, equal scores share a rank
+  );
+  CREATE INDEX IF NOT EXISTS idx_punk_traits_type ON punk_traits(type, background);
+  CREATE TABLE IF NOT EXISTS punk_trait_attributes (
+    punk_id TEXT NOT NULL,
+    attribute TEXT NOT NULL,
+    PRIMARY KEY (punk_id, attribute)
+  );
+  CREATE INDEX IF NOT EXISTS idx_punk_trait_attributes ON punk_trait_attributes(attribute);
+`)
+ensureColumn('punk_traits', 'rarity_rank', 'INTEGER')
+
+const SEARCH_SORTS = ['recent', 'price_asc', 'price_desc', 'rarity']
+const SEARCH_MAX_LIMIT = 100
+
+/**
+ * Index punks registered or changed since the last call and rescore the collection
+ * Punks without metadata of their own fall back to the one sent with their listing
+ */
+function syncTraitIndex() {
+  const stale = db.prepare(`
+    SELECT p.punk_id, COALESCE(p.punk_metadata_compressed, l.punk_metadata_compressed) AS compressed
+    FROM punks p
+    LEFT JOIN listings l ON l.punk_id = p.punk_id
+    LEFT JOIN punk_traits t ON t.punk_id = p.punk_id
+    WHERE t.punk_id IS NULL OR t.compressed IS NOT COALESCE(p.punk_metadata_compressed, l.punk_metadata_compressed)
+  `).all()
+
+  if (stale.length === 0) return
+
+  const upsertTraits = db.prepare(`
+    INSERT INTO punk_traits (punk_id, compressed, type, background, attribute_count)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(punk_id) DO UPDATE SET
+      compressed = excluded.compressed,
+      type = excluded.type,
+      background = excluded.background,
+      attribute_count = excluded.attribute_count
+  `)
+  const deleteAttributes = db.prepare('DELETE FROM punk_trait_attributes WHERE punk_id = ?')
+  const insertAttribute = db.prepare('INSERT INTO punk_trait_attributes (punk_id, attribute) VALUES (?, ?)')
+
+  db.transaction(() => {
+    for (const { punk_id, compressed } of stale) {
+      const traits = decodePunkTraits(compressed)
+      upsertTraits.run(punk_id, compressed, traits?.type ?? null, traits?.background ?? null, traits ? traits.attributes.length : null)
+      deleteAttributes.run(punk_id)
+      for (const attribute of traits?.attributes || []) {
+        insertAttribute.run(punk_id, attribute)
+      }
+    }
+    rescoreTraitIndex()
+  })()
+
+  console.log(`🧬 Trait index: ${stale.length} punk(s) indexed`)
+}
+
+/**
+ * Index metadata a request just wrote; a failure is only logged since the write itself succeeded
+ */
+function indexWrittenMetadata() {
+  try {
+    syncTraitIndex()
+  } catch (indexError) {
+    console.error('⚠️  Failed to update the trait index:', indexError)
+  }
+}
+
+/**
+ * How many indexed punks have each type, background, attribute count and attribute
+ *
+ * @returns { total, type, background, attributeCount, attribute } (counts by trait value)
+ */
+function traitFrequencies() {
+  const counts = sql => Object.fromEntries(db.prepare(sql).all().map(row => [row.value, row.count]))
+
+  return {
+    total: db.prepare('SELECT COUNT(*) AS count FROM punk_traits WHERE type IS NOT NULL').get().count,
+    type: counts('SELECT type AS value, COUNT(*) AS count FROM punk_traits WHERE type IS NOT NULL GROUP BY type'),
+    background: counts('SELECT background AS value, COUNT(*) AS count FROM punk_traits WHERE type IS NOT NULL GROUP BY background'),
+    attributeCount: counts('SELECT attribute_count AS value, COUNT(*) AS count FROM punk_traits WHERE type IS NOT NULL GROUP BY attribute_count'),
+    attribute: counts('SELECT attribute AS value, COUNT(*) AS count FROM punk_trait_attributes GROUP BY attribute')
+  }
+}
+
+/**
+ * Statistical rarity of a set of traits: sum of total / punks sharing the trait,
+ * over type, background, attribute count and each attribute (rarer traits weigh more)
+ *
+ * @param traits { type, background, attributes }
+ * @param frequencies Result of traitFrequencies
+ * @returns { score, traits: [{ trait, value, count, frequency }] }
+ */
+function scoreTraits(traits, frequencies) {
+  const parts = [
+    ['type', traits.type, frequencies.type[traits.type]],
+    ['background', traits.background, frequencies.background[traits.background]],
+    ['attributeCount', traits.attributes.length, frequencies.attributeCount[traits.attributes.length]],
+    ...traits.attributes.map(attribute => ['attribute', attribute, frequencies.attribute[attribute]])
+  ].map(([trait, value, count = 0]) => ({
+    trait,
+    value,
+    count,
+    frequency: frequencies.total > 0 ? count / frequencies.total : 0
+  }))
+
+  // A trait no indexed punk has yet counts as held by one (a punk not registered yet)
+  const score = parts.reduce((sum, part) => sum + frequencies.total / Math.max(part.count, 1), 0)
+  return { score: Math.round(score * 100) / 100, traits: parts }
+}
+
+/**
+ * Score and rank every indexed punk (1 = rarest); equal scores share a rank
+ */
+function rescoreTraitIndex() {
+  const frequencies = traitFrequencies()
+  const rows = db.prepare('SELECT punk_id, type, background FROM punk_traits WHERE type IS NOT NULL').all()
+  const attributesByPunk = new Map()
+  for (const { punk_id, attribute } of db.prepare('SELECT punk_id, attribute FROM punk_trait_attributes').all()) {
+    if (!attributesByPunk.has(punk_id)) attributesByPunk.set(punk_id, [])
+    attributesByPunk.get(punk_id).push(attribute)
+  }
+
+  const scored = rows
+    .map(row => ({
+      punkId: row.punk_id,
+      score: scoreTraits({ type: row.type, background: row.background, attributes: attributesByPunk.get(row.punk_id) || [] }, frequencies).score
+    }))
+    .sort((a, b) => b.score - a.score)
+
+  const update = db.prepare('UPDATE punk_traits SET rarity_score = ?, rarity_rank = ? WHERE punk_id = ?')
+  scored.forEach((punk, i) => {
+    const rank = i > 0 && punk.score === scored[i - 1].score ? scored[i - 1].rank : i + 1
+    punk.rank = rank
+    update.run(punk.score, rank, punk.punkId)
+  })
+}
+
+/**
+ * Parse the search parameters shared by /api/punks and /api/marketplace/listings
+ * Query: type, background, attributes (comma separated), attributeMatch (all|any), attributeCount,
+ * owner, minPrice, maxPrice, listed, sort (recent|price_asc|price_desc|rarity), limit, cursor
+ *
+ * @returns The search, or { error }
+ */
+function parseSearchQuery(query) {
+  const criteria = parseTraitCriteria({
+    type: query.type ? String(query.type) : null,
+    background: query.background ? String(query.background) : null,
+    attributes: query.attributes ? String(query.attributes).split(',').map(attribute => attribute.trim()).filter(Boolean) : []
+  })
+  if (criteria.error) return criteria
+
+  const attributeMatch = query.attributeMatch ? String(query.attributeMatch) : 'all'
+  if (!['all', 'any'].includes(attributeMatch)) {
+    return { error: 'attributeMatch must be all or any' }
+  }
+
+  const integer = name => {
+    if (query[name] === undefined || query[name] === '') return null
+    const value = Number(query[name])
+    return Number.isSafeInteger(value) && value >= 0 ? value : NaN
+  }
+  const attributeCount = integer('attributeCount')
+  const minPrice = integer('minPrice')
+  const maxPrice = integer('maxPrice')
+  const limit = integer('limit')
+
+  for (const [name, value] of Object.entries({ attributeCount, minPrice, maxPrice, limit })) {
+    if (Number.isNaN(value)) {
+      return { error: `${name} must be a non-negative integer` }
+    }
+  }
+
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    return { error: 'minPrice must not exceed maxPrice' }
+  }
+
+  if (limit !== null && (limit < 1 || limit > SEARCH_MAX_LIMIT)) {
+    return { error: `limit must be between 1 and ${SEARCH_MAX_LIMIT}` }
+  }
+
+  const sort = query.sort ? String(query.sort) : 'recent'
+  if (!SEARCH_SORTS.includes(sort)) {
+    return { error: `sort must be one of ${SEARCH_SORTS.join(', ')}` }
+  }
+
+  let cursor = null
+  if (query.cursor) {
+    try {
+      cursor = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString('utf8'))
+    } catch {
+      cursor = null
+    }
+    if (!cursor || cursor.sort !== sort || typeof cursor.punkId !== 'string' || typeof cursor.value !== 'number') {
+      return { error: 'Invalid cursor (cursors only continue the search that returned them)' }
+    }
+  }
+
+  return {
+    criteria,
+    attributeMatch,
+    attributeCount,
+    owner: query.owner ? String(query.owner) : null,
+    minPrice,
+    maxPrice,
+    listed: query.listed === 'true' || query.listed === '1',
+    sort,
+    limit,
+    cursor
+  }
+}
+
+/**
+ * SQL conditions of a search, for a query joining punk_traits as `t`
+ *
+ * @param columns { punkId, owner, price } SQL expressions of the searched rows
+ * @returns { conditions: string[], params } (named parameters)
+ */
+function searchConditions(search, columns) {
+  const conditions = []
+  const params = {}
+  const { criteria } = search
+
+  if (criteria.type) {
+    conditions.push('t.type = @type')
+    params.type = criteria.type
+  }
+
+  if (criteria.background) {
+    conditions.push('t.background = @background')
+    params.background = criteria.background
+  }
+
+  if (criteria.attributes.length > 0) {
+    const names = criteria.attributes.map((attribute, i) => {
+      params[`attribute${i}`] = attribute
+      return `@attribute${i}`
+    })
+    conditions.push(`${columns.punkId} IN (
+      SELECT punk_id FROM punk_trait_attributes WHERE attribute IN (${names.join(', ')})
+      GROUP BY punk_id HAVING COUNT(*) >= ${search.attributeMatch === 'all' ? names.length : 1}
+    )`)
+  }
+
+  if (search.attributeCount !== null) {
+    conditions.push('t.attribute_count = @attributeCount')
+    params.attributeCount = search.attributeCount
+  }
+
+  if (search.owner) {
+    conditions.push(`${columns.owner} = @owner`)
+    params.owner = search.owner
+  }
+
+  if (search.minPrice !== null) {
+    conditions.push(`${columns.price} >= @minPrice`)
+    params.minPrice = search.minPrice
+  }
+
+  if (search.maxPrice !== null) {
+    conditions.push(`${columns.price} <= @maxPrice`)
+    params.maxPrice = search.maxPrice
+  }
+
+  return { conditions, params }
+}
+
+/**
+ * Sort expression of a search and the keyset condition continuing after its cursor
+ * Rows without a price sort last either way, ties are broken by punk id
+ *
+ * @param columns { punkId, price, recent } SQL expressions of the searched rows
+ * @returns { sortValue, orderBy, after (condition or null), params }
+ */
+function searchOrder(search, columns) {
+  const sortValue = {
+    recent: columns.recent,
+    price_asc: `COALESCE(${columns.price}, ${Number.MAX_SAFE_INTEGER})`,
+    price_desc: `COALESCE(${columns.price}, -1)`,
+    rarity: 'COALESCE(t.rarity_score, 0)'
+  }[search.sort]
+  const direction = search.sort === 'price_asc' ? 'ASC' : 'DESC'
+  const op = direction === 'ASC' ? '>' : '<'
+
+  return {
+    sortValue,
+    orderBy: `${sortValue} ${direction}, ${columns.punkId} ${direction}`,
+    after: search.cursor
+      ? `(${sortValue} ${op} @cursorValue OR (${sortValue} = @cursorValue AND ${columns.punkId} ${op} @cursorPunkId))`
+      : null,
+    params: search.cursor ? { cursorValue: search.cursor.value, cursorPunkId: search.cursor.punkId } : {}
+  }
+}
+
+/**
+ * Split the rows of a search (queried with LIMIT search.limit + 1) into the page and the cursor of the next one
+ *
+ * @param sortValueOf Value of the search's sort expression for a row
+ * @returns { page, nextCursor } nextCursor is null on the last page
+ */
+function searchPage(search, rows, sortValueOf) {
+  if (!search.limit || rows.length <= search.limit) {
+    return { page: rows, nextCursor: null }
+  }
+
+  const page = rows.slice(0, search.limit)
+  const last = page[page.length - 1]
+  return {
+    page,
+    nextCursor: Buffer.from(JSON.stringify({ sort: search.sort, value: sortValueOf(last), punkId: last.punk_id })).toString('base64url')
+  }
+}
+
+/**
+ * Trait frequencies and rarity ranking of the minted supply
+ * GET /api/rarity
+ *
+ * ranking: [{ punkId, rank, score }] rarest first; punks without readable metadata are not ranked
+ */
+app.get('/api/rarity', (req, res) => {
+  try {
+    const ranking = db.prepare(`
+      SELECT punk_id, rarity_rank, rarity_score FROM punk_traits
+      WHERE rarity_rank IS NOT NULL
+      ORDER BY rarity_rank ASC, punk_id ASC
+    `).all()
+    const { total, ...frequencies } = traitFrequencies()
+
+    return res.json({
+      success: true,
+      total,
+      frequencies,
+      ranking: ranking.map(row => ({ punkId: row.punk_id, rank: row.rarity_rank, score: row.rarity_score }))
+    })
+  } catch (error) {
+    console.error('Error fetching rarity:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+syncTraitIndex()
+
 // ============================================================
 // PUNKS ENDPOINTS
 // ============================================================
 
 /**
- * Get all active punks
- * GET /api/punks
+ * Search punks
+ * GET /api/punks?type=&background=&attributes=&attributeMatch=&attributeCount=&owner=&minPrice=&maxPrice=&listed=&sort=&limit=&cursor=
+ *
+ * Every parameter is optional (see parseSearchQuery); without a limit every match is returned.
+ * Prices are those of open public listings, price filters and listed=true leave out unlisted punks.
+ * Pass nextCursor back as cursor, with the same filters and sort, for the next page.
  */
 app.get('/api/punks', (req, res) => {
+  const search = parseSearchQuery(req.query)
+
+  if (search.error) {
+    return res.status(400).json({ error: search.error })
+  }
+
   try {
+    const columns = { punkId: 'p.punk_id', owner: 'p.owner_address', price: 'ls.price_sats', recent: 'p.updated_at' }
+    const { conditions, params } = searchConditions(search, columns)
+    const order = searchOrder(search, columns)
+    if (search.listed) {
+      conditions.push('ls.punk_id IS NOT NULL')
+    }
+
+    const from = `
+      FROM punks p
+      LEFT JOIN legacy_data l ON p.punk_id = l.punk_id
+      LEFT JOIN punk_traits t ON p.punk_id = t.punk_id
+      LEFT JOIN listings ls ON p.punk_id = ls.punk_id
+        AND ls.status IN ('deposited', 'reserved', 'auction') AND ls.allowed_buyer IS NULL
+        AND (ls.starts_at IS NULL OR ls.starts_at <= @now)
+    `
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+    const pageWhere = [...conditions, order.after].filter(Boolean)
+    const now = Date.now()
+
+    const total = db.prepare(`SELECT COUNT(*) AS count ${from} ${where}`).get({ ...params, now }).count
     const punks = db.prepare(`
       SELECT
         p.punk_id,
@@ -415,15 +1713,24 @@ app.get('/api/punks', (req, res) => {
         p.updated_at,
         l.source as legacy_source,
         l.minter_pubkey as legacy_minter,
-        l.vtxo_outpoint as legacy_vtxo_outpoint
-      FROM punks p
-      LEFT JOIN legacy_data l ON p.punk_id = l.punk_id
-      ORDER BY p.updated_at DESC
-    `).all()
+        l.vtxo_outpoint as legacy_vtxo_outpoint,
+        t.type as trait_type,
+        t.background as trait_background,
+        t.attribute_count,
+        t.rarity_score,
+        ls.price_sats as listing_price_sats,
+        ${order.sortValue} as sort_value
+      ${from}
+      ${pageWhere.length > 0 ? `WHERE ${pageWhere.join(' AND ')}` : ''}
+      ORDER BY ${order.orderBy}
+      ${search.limit ? 'LIMIT @limit' : ''}
+    `).all({ ...params, ...order.params, now, ...(search.limit ? { limit: search.limit + 1 } : {}) })
+    const { page, nextCursor } = searchPage(search, punks, punk => punk.sort_value)
 
     return res.json({
-      total: punks.length,
-      punks
+      total,
+      punks: page.map(({ sort_value, ...punk }) => punk),
+      nextCursor
     })
   } catch (error) {
     console.error('Error fetching punks:', error)
@@ -468,55 +1775,408 @@ app.get('/api/punks/owner', (req, res) => {
   }
 })
 
-// ============================================================
-// STATS ENDPOINTS
-// ============================================================
+const TRANSFER_MAX_PUNKS = 20
 
 /**
- * Get supply stats
- * GET /api/supply
+ * Give punks to another wallet (gifts, trades settled elsewhere)
+ * POST /api/punks/transfer
+ * Body: { punkIds, recipientAddress, recipientPubkey?, senderPubkey, nonce, timestamp, signature }
+ *
+ * signature = schnorr(sha256(canonical {punkId: null, action: 'transfer_punks', punkIds: punkIds.join(','), recipientAddress, nonce, timestamp}))
+ * by a key controlling punks.owner_address of every punk
+ *
+ * All punks move or none does. Punks in an escrow listing, auction or bundle must be delisted first.
+ * The sender publishes the kind 1403 transfer events with the returned transferId
  */
-app.get('/api/supply', (req, res) => {
-  try {
-    const stats = db.prepare(`
-      SELECT
-        (SELECT COUNT(*) FROM punks) as active_punks,
-        (SELECT COUNT(DISTINCT owner_address) FROM punks) as unique_owners,
-        (SELECT COUNT(*) FROM legacy_data) as legacy_total
-    `).get()
+app.post('/api/punks/transfer', async (req, res) => {
+  const { punkIds, recipientAddress, recipientPubkey, senderPubkey } = req.body
 
-    return res.json({
-      totalMinted: stats.active_punks,
-      maxPunks: 2016,
-      uniqueOwners: stats.unique_owners,
-      legacyRecords: stats.legacy_total,
-      source: 'user_wallets'
-    })
-  } catch (error) {
-    console.error('Error fetching supply:', error)
-    return res.status(500).json({ error: 'Database error' })
+  if (!Array.isArray(punkIds) || punkIds.length === 0 || !recipientAddress || !senderPubkey) {
+    return res.status(400).json({ error: 'punkIds, recipientAddress and senderPubkey required' })
   }
-})
 
-/**
- * Get comprehensive stats
- * GET /api/stats
- */
-app.get('/api/stats', (req, res) => {
-  try {
-    const supply = db.prepare(`
-      SELECT
-        COUNT(*) as total,
-        COUNT(DISTINCT owner_address) as unique_owners
-      FROM punks
-    `).get()
+  if (punkIds.length > TRANSFER_MAX_PUNKS) {
+    return res.status(400).json({ error: `At most ${TRANSFER_MAX_PUNKS} punks per transfer` })
+  }
 
-    const marketplace = db.prepare(`
-      SELECT
-        COUNT(*) FILTER (WHERE status = 'deposited') as active_listings,
-        COUNT(*) FILTER (WHERE status = 'sold') as total_sales
-      FROM listings
-    `).get()
+  if (new Set(punkIds).size !== punkIds.length) {
+    return res.status(400).json({ error: 'Duplicate punkIds' })
+  }
+
+  if (!ADDRESS_PATTERN.test(recipientAddress)) {
+    return res.status(400).json({ error: 'recipientAddress must be an Ark or taproot address' })
+  }
+
+  if (recipientPubkey && !/^[0-9a-f]{64}$/.test(recipientPubkey)) {
+    return res.status(400).json({ error: 'recipientPubkey must be a hex Nostr pubkey' })
+  }
+
+  try {
+    const punks = punkIds.map(punkId => db.prepare('SELECT * FROM punks WHERE punk_id = ?').get(punkId))
+    const missing = punkIds.filter((punkId, i) => !punks[i])
+
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Punk not found', punkIds: missing })
+    }
+
+    if (punks.some(punk => punk.owner_address === recipientAddress)) {
+      return res.status(400).json({ error: 'The recipient already owns one of these punks' })
+    }
+
+    // The signer has to control every sending address (a wallet may own punks under its bc1p and ark1 address)
+    const owners = [...new Set(punks.map(punk => punk.owner_address))]
+    let authError = null
+    for (const owner of owners) {
+      if (!await pubkeyControlsAddress(senderPubkey, owner)) {
+        authError = 'Signer does not own every punk'
+        break
+      }
+    }
+    authError = authError || verifySignedAction(null, senderPubkey, owners[0], req.body, 'transfer_punks', {
+      punkIds: punkIds.join(','),
+      recipientAddress
+    })
+
+    if (authError) {
+      logAudit('SELLER_AUTH_FAILED', {
+        sellerAddress: owners[0],
+        buyerAddress: recipientAddress,
+        status: 'FAILED',
+        error: authError,
+        details: { action: 'transfer_punks', punkIds }
+      })
+      return res.status(401).json({ error: 'Owner signature verification failed', details: authError })
+    }
+
+    releaseExpiredReservations()
+    const listed = db.prepare(`
+      SELECT punk_id, status FROM listings
+      WHERE punk_id IN (${punkIds.map(() => '?').join(', ')})
+        AND status IN ('pending', 'deposited', 'reserved', 'auction', 'bundled')
+    `).all(...punkIds)
+
+    if (listed.length > 0) {
+      return res.status(409).json({
+        error: 'Punks in escrow cannot be transferred, cancel their listing first',
+        listed: listed.map(listing => ({ punkId: listing.punk_id, status: listing.status }))
+      })
+    }
+
+    const transferId = generateNonce().slice(0, 32)
+    const now = Date.now()
+
+    try {
+      db.transaction(() => {
+        for (const punk of punks) {
+          const current = db.prepare('SELECT owner_address FROM punks WHERE punk_id = ?').get(punk.punk_id)
+          if (current.owner_address !== punk.owner_address) {
+            throw new Error('Punk owner changed, try again')
+          }
+          transferPunkOwnership(punk.punk_id, punk.owner_address, recipientAddress, now)
+        }
+      })()
+    } catch (transferError) {
+      return res.status(409).json({ error: transferError.message })
+    }
+
+    for (const punk of punks) {
+      logAudit('PUNK_TRANSFERRED', {
+        punkId: punk.punk_id,
+        sellerAddress: punk.owner_address,
+        buyerAddress: recipientAddress,
+        status: 'SUCCESS',
+        details: { transferId, recipientPubkey: recipientPubkey || null, batchSize: punks.length }
+      })
+    }
+
+    console.log(`🎁 Transferred ${punks.length} punk(s) to ${recipientAddress.slice(0, 20)}... (${transferId})`)
+
+    return res.json({
+      success: true,
+      transferId,
+      recipientAddress,
+      punkIds,
+      transferredAt: now
+    })
+  } catch (error) {
+    console.error('Error transferring punks:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+// Audit actions that belong in a punk's public activity, mapped to their timeline event type
+const PROVENANCE_AUDIT_EVENTS = {
+  LIST_CREATED: 'listed',
+  LISTING_CANCELLED: 'delisted',
+  LISTING_EXPIRED: 'listing_expired',
+  OFFER_ACCEPTED: 'offer_accepted',
+  AUCTION_ENDED: 'auction_ended'
+}
+
+/**
+ * Provenance of a punk: mint, ownership changes, sales and listing activity, oldest first
+ * GET /api/punks/:id/history
+ *
+ * Events: { type, timestamp, from, to, price, txid, details }
+ * type: mint | migration | transfer | sale | listed | price_updated | delisted | listing_expired | offer_accepted | auction_ended
+ *
+ * Ownership changes come from ownership_history; the ones written by a sale carry its price and
+ * payment txid, gifts carry their transferId and the rest are Bitcoin to Ark address migrations.
+ * Private listings are shown without price or designated buyer.
+ */
+app.get('/api/punks/:id/history', (req, res) => {
+  const punkId = req.params.id
+
+  try {
+    const punk = db.prepare(`
+      SELECT
+        p.punk_id,
+        p.owner_address,
+        p.minted_at,
+        p.created_at,
+        l.source as legacy_source,
+        l.minter_pubkey as legacy_minter,
+        l.bitcoin_address as legacy_bitcoin_address,
+        l.minted_at as legacy_minted_at,
+        l.vtxo_outpoint as legacy_vtxo_outpoint
+      FROM punks p
+      LEFT JOIN legacy_data l ON p.punk_id = l.punk_id
+      WHERE p.punk_id = ?
+    `).get(punkId)
+
+    if (!punk) {
+      return res.status(404).json({ error: 'Punk not found' })
+    }
+
+    const ownership = db.prepare(`
+      SELECT * FROM ownership_history WHERE punk_id = ? ORDER BY transferred_at ASC, id ASC
+    `).all(punkId)
+    const sales = db.prepare('SELECT * FROM sales WHERE punk_id = ? ORDER BY sold_at ASC, id ASC').all(punkId)
+    const priceChanges = db.prepare(`
+      SELECT * FROM listing_history WHERE punk_id = ? ORDER BY changed_at ASC, id ASC
+    `).all(punkId)
+    const auditActions = Object.keys(PROVENANCE_AUDIT_EVENTS)
+    const audits = db.prepare(`
+      SELECT * FROM audit_log
+      WHERE punk_id = ? AND status = 'SUCCESS' AND action IN (${auditActions.map(() => '?').join(', ')})
+      ORDER BY timestamp ASC, id ASC
+    `).all(punkId, ...auditActions)
+    const transfers = db.prepare(`
+      SELECT * FROM audit_log
+      WHERE punk_id = ? AND action = 'PUNK_TRANSFERRED' AND status = 'SUCCESS'
+    `).all(punkId)
+
+    const event = (type, timestamp, fields = {}) => ({
+      type,
+      timestamp,
+      from: fields.from ?? null,
+      to: fields.to ?? null,
+      price: fields.price ?? null,
+      txid: fields.txid ?? null,
+      details: fields.details ?? null
+    })
+    const parseDetails = row => {
+      try {
+        return row.details ? JSON.parse(row.details) : {}
+      } catch {
+        return {}
+      }
+    }
+
+    const events = [
+      event('mint', punk.minted_at ?? punk.legacy_minted_at ?? punk.created_at, {
+        to: ownership.find(row => !row.from_address)?.to_address ?? punk.legacy_bitcoin_address ?? null,
+        details: {
+          minterPubkey: punk.legacy_minter ?? null,
+          mintOutpoint: punk.legacy_vtxo_outpoint ?? null,
+          source: punk.legacy_source ?? null
+        }
+      })
+    ]
+
+    // A sale and the ownership change it wrote share sold_at = transferred_at, the sale event covers both
+    for (const row of ownership) {
+      if (!row.from_address) continue
+
+      const isSale = sales.some(sale =>
+        sale.seller_address === row.from_address &&
+        sale.buyer_address === row.to_address &&
+        sale.sold_at === row.transferred_at
+      )
+      if (isSale) continue
+
+      const transfer = transfers.find(audit =>
+        audit.seller_address === row.from_address &&
+        audit.buyer_address === row.to_address &&
+        Math.abs(audit.timestamp - row.transferred_at) < 60 * 1000
+      )
+      events.push(event(transfer ? 'transfer' : 'migration', row.transferred_at, {
+        from: row.from_address,
+        to: row.to_address,
+        details: transfer ? { transferId: parseDetails(transfer).transferId ?? null } : null
+      }))
+    }
+
+    for (const sale of sales) {
+      events.push(event('sale', sale.sold_at, {
+        from: sale.seller_address,
+        to: sale.buyer_address,
+        price: sale.price_sats,
+        txid: sale.payment_txid,
+        details: {
+          saleId: sale.id,
+          punkTransferTxid: sale.punk_transfer_txid ?? null,
+          bundleId: sale.bundle_id ?? null
+        }
+      }))
+    }
+
+    const privateListing = db.prepare(`
+      SELECT created_at FROM listings WHERE punk_id = ? AND allowed_buyer IS NOT NULL
+    `).get(punkId)
+    for (const change of priceChanges) {
+      const isPrivate = change.listing_created_at === privateListing?.created_at
+      events.push(event('price_updated', change.changed_at, {
+        from: change.seller_address,
+        price: isPrivate ? null : change.new_price_sats,
+        details: isPrivate ? { private: true } : { oldPrice: change.old_price_sats }
+      }))
+    }
+
+    for (const audit of audits) {
+      const details = parseDetails(audit)
+      const isPrivate = audit.action === 'LIST_CREATED' && Boolean(details.allowedBuyer)
+
+      events.push(event(PROVENANCE_AUDIT_EVENTS[audit.action], audit.timestamp, {
+        from: audit.seller_address,
+        to: audit.buyer_address,
+        price: isPrivate ? null : audit.amount_sats,
+        txid: audit.txid,
+        details: audit.action === 'LIST_CREATED'
+          ? { auctionId: details.auctionId ?? null, private: isPrivate, startsAt: details.startsAt ?? null, expiresAt: details.expiresAt ?? null }
+          : audit.action === 'OFFER_ACCEPTED'
+            ? { offerId: details.offerId ?? null }
+            : audit.action === 'AUCTION_ENDED'
+              ? { auctionId: details.auctionId ?? null, sold: Boolean(details.sold) }
+              : null
+      }))
+    }
+
+    // Stable sort keeps the mint first when other events share its timestamp
+    events.sort((a, b) => a.timestamp - b.timestamp)
+
+    return res.json({
+      success: true,
+      punkId,
+      owner: punk.owner_address,
+      events
+    })
+  } catch (error) {
+    console.error('Error fetching punk history:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Get one punk with its traits and rarity
+ * GET /api/punks/:id
+ *
+ * rarity: { rank, total, score, traits: [{ trait, value, count, frequency }] }, null if its metadata is unreadable
+ */
+app.get('/api/punks/:id', (req, res) => {
+  const punkId = req.params.id
+
+  try {
+    const punk = db.prepare(`
+      SELECT
+        p.punk_id,
+        p.owner_address,
+        p.punk_metadata_compressed,
+        p.server_signature,
+        p.minted_at,
+        p.updated_at,
+        l.source as legacy_source,
+        l.minter_pubkey as legacy_minter,
+        l.vtxo_outpoint as legacy_vtxo_outpoint,
+        t.compressed as trait_compressed,
+        t.rarity_score,
+        t.rarity_rank
+      FROM punks p
+      LEFT JOIN legacy_data l ON p.punk_id = l.punk_id
+      LEFT JOIN punk_traits t ON p.punk_id = t.punk_id
+      WHERE p.punk_id = ?
+    `).get(punkId)
+
+    if (!punk) {
+      return res.status(404).json({ error: 'Punk not found' })
+    }
+
+    const { trait_compressed, rarity_score, rarity_rank, ...fields } = punk
+    const traits = decodePunkTraits(trait_compressed)
+    const frequencies = traits ? traitFrequencies() : null
+
+    return res.json({
+      success: true,
+      punk: { ...fields, traits },
+      rarity: traits
+        ? { rank: rarity_rank, total: frequencies.total, ...scoreTraits(traits, frequencies) }
+        : null
+    })
+  } catch (error) {
+    console.error('Error fetching punk:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+// ============================================================
+// STATS ENDPOINTS
+// ============================================================
+
+/**
+ * Get supply stats
+ * GET /api/supply
+ */
+app.get('/api/supply', (req, res) => {
+  try {
+    const stats = db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM punks) as active_punks,
+        (SELECT COUNT(DISTINCT owner_address) FROM punks) as unique_owners,
+        (SELECT COUNT(*) FROM legacy_data) as legacy_total
+    `).get()
+
+    return res.json({
+      totalMinted: stats.active_punks,
+      maxPunks: 2016,
+      uniqueOwners: stats.unique_owners,
+      legacyRecords: stats.legacy_total,
+      source: 'user_wallets'
+    })
+  } catch (error) {
+    console.error('Error fetching supply:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Get comprehensive stats
+ * GET /api/stats
+ */
+app.get('/api/stats', (req, res) => {
+  try {
+    const supply = db.prepare(`
+      SELECT
+        COUNT(*) as total,
+        COUNT(DISTINCT owner_address) as unique_owners
+      FROM punks
+    `).get()
+
+    const marketplace = db.prepare(`
+      SELECT
+        COUNT(*) FILTER (WHERE status IN ('deposited', 'reserved', 'auction') AND allowed_buyer IS NULL AND (starts_at IS NULL OR starts_at <= @now)) as active_listings,
+        COUNT(*) FILTER (WHERE status = 'sold') as total_sales
+      FROM listings
+    `).get({ now: Date.now() })
 
     const topHolders = db.prepare(`
       SELECT owner_address as address, COUNT(*) as punkCount
@@ -560,50 +2220,65 @@ app.get('/api/stats', (req, res) => {
 // ============================================================
 
 /**
- * Get marketplace listings
- * GET /api/marketplace/listings
+ * Get marketplace listings (fixed price and auctions)
+ * GET /api/marketplace/listings?type=&background=&attributes=&attributeMatch=&attributeCount=&owner=&minPrice=&maxPrice=&sort=&limit=&cursor=
+ * Headers: Authorization: Bearer <wallet session token> (optional)
+ *
+ * Auctions have status 'auction' and an `auction` object (reserve, times, highest bid)
+ * Listings held for a paying buyer have status 'reserved' until `reservedUntil`
+ * Private listings (allowed_buyer set) are left out unless the session wallet sells or may buy them,
+ * the others reach them through their share link
+ * Scheduled listings appear at `startsAt` (right away for their seller) and carry their `expiresAt`
+ *
+ * Search parameters as /api/punks (owner = seller, price = listing price); without a limit every match is returned
+ * Listings as /api/escrow/listings plus soldAt, traits, rarityScore and owner_address (registered owner of the punk)
  */
 app.get('/api/marketplace/listings', (req, res) => {
-  try {
-    const rawListings = db.prepare(`
-      SELECT
-        l.*,
-        p.owner_address
-      FROM listings l
-      JOIN punks p ON l.punk_id = p.punk_id
-      WHERE l.status = 'deposited'
-      ORDER BY l.created_at DESC
-    `).all()
+  const search = parseSearchQuery(req.query)
 
-    // Convert snake_case to camelCase for frontend and parse compressed metadata
-    const listings = rawListings.map(listing => {
-      let compressedMetadata = null
-      try {
-        if (listing.punk_metadata_compressed) {
-          compressedMetadata = JSON.parse(listing.punk_metadata_compressed)
-        }
-      } catch (error) {
-        console.error(`Failed to parse metadata for listing ${listing.id}:`, error)
-      }
+  if (search.error) {
+    return res.status(400).json({ success: false, error: search.error })
+  }
 
+  try {
+    const columns = { punkId: 'l.punk_id', owner: 'l.seller_address', price: 'l.price_sats', recent: 'l.created_at' }
+    const { conditions, params } = searchConditions(search, columns)
+    const order = searchOrder(search, columns)
+    const visible = `
+      l.status IN ('deposited', 'reserved', 'auction') AND ${VIEWER_CAN_SEE_LISTING}
+      ${conditions.map(condition => `AND ${condition}`).join(' ')}
+    `
+    const viewer = listingViewer(req)
+
+    const total = db.prepare(`
+      SELECT COUNT(*) AS count FROM listings l LEFT JOIN punk_traits t ON l.punk_id = t.punk_id
+      WHERE ${visible}
+    `).get({ ...params, ...viewer }).count
+    const rawListings = db.prepare(`
+      ${ESCROW_LISTING_QUERY} AND ${visible} ${order.after ? `AND ${order.after}` : ''}
+      ORDER BY ${order.orderBy}
+      ${search.limit ? 'LIMIT @limit' : ''}
+    `).all({ ...params, ...order.params, ...viewer, ...(search.limit ? { limit: search.limit + 1 } : {}) })
+    const { page, nextCursor } = searchPage(search, rawListings, listing => ({
+      recent: listing.created_at,
+      price_asc: listing.price_sats,
+      price_desc: listing.price_sats,
+      rarity: listing.rarity_score ?? 0
+    })[search.sort])
+
+    const listings = page.map(listing => {
       return {
-        punkId: listing.punk_id,
-        sellerPubkey: listing.seller_pubkey,
-        seller: listing.seller_address,
-        price: listing.price_sats,
-        punkVtxoOutpoint: listing.punk_vtxo_outpoint,
-        escrowAddress: listing.escrow_address,
-        compressedMetadata,
-        status: listing.status,
-        createdAt: listing.created_at,
-        depositedAt: listing.deposited_at,
-        soldAt: listing.sold_at
+        ...formatEscrowListing(listing, viewer),
+        owner_address: listing.owner_address ?? null,
+        soldAt: listing.sold_at,
+        traits: decodePunkTraits(listing.trait_compressed),
+        rarityScore: listing.rarity_score ?? null
       }
     })
 
-    console.log(`✅ Returning ${listings.length} deposited listing(s)`)
+    console.log(`✅ Returning ${listings.length} of ${total} listing(s)`)
 
-    return res.json({ success: true, listings })
+    return res.json({ success: true, total, listings, nextCursor })
   } catch (error) {
     console.error('Error fetching listings:', error)
     return res.status(500).json({ success: false, error: 'Database error' })
@@ -611,713 +2286,6689 @@ app.get('/api/marketplace/listings', (req, res) => {
 })
 
 // ============================================================
-// ESCROW ENDPOINTS
+// PAYMENT INTENTS (buyer payment verification)
 // ============================================================
 
+db.exec(`
+  CREATE TABLE IF NOT EXISTS payment_intents (
+    id TEXT PRIMARY KEY,
+    punk_id TEXT NOT NULL,
+    buyer_address TEXT NOT NULL,
+    buyer_pubkey TEXT,
+    price_sats INTEGER NOT NULL,
+    fee_sats INTEGER NOT NULL DEFAULT 0,
+    amount_sats INTEGER NOT NULL,
+    status TEXT NOT NULL CHECK(status IN ('awaiting_payment', 'paid', 'completed', 'expired', 'refunded', 'refund_failed')),
+    vtxo_outpoint TEXT,
+    refund_txid TEXT,
+    refund_payout_id INTEGER,              -- Outbox payout returning the payment (status 'refunded')
+    escrow_key_index INTEGER,              -- Listing sub-wallet the buyer pays into (NULL = master)
+    bundle_id TEXT,                        -- Set when buying a bundle (punk_id is its first punk)
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    paid_at INTEGER,
+    completed_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS idx_payment_intents_punk ON payment_intents(punk_id);
+  CREATE INDEX IF NOT EXISTS idx_payment_intents_status ON payment_intents(status);
+`)
+
+ensureColumn('payment_intents', 'escrow_key_index', 'INTEGER')
+ensureColumn('payment_intents', 'fee_sats', 'INTEGER NOT NULL DEFAULT 0')
+ensureColumn('payment_intents', 'bundle_id', 'TEXT')
+ensureColumn('payment_intents', 'refund_payout_id', 'INTEGER')
+
+const DEPOSIT_AMOUNT = 10000
+const PAYMENT_INTENT_TTL_MS = 15 * 60 * 1000
+const MAX_UNPAID_RESERVATIONS = 3                   // Per buyer key, so one buyer cannot hold the market
+const LATE_PAYMENT_WINDOW_MS = 24 * 60 * 60 * 1000  // Keep watching expired intents for late payments
+const PAID_INTENT_GRACE_MS = 60 * 60 * 1000         // Paid but never executed -> refund
+const INTENT_SWEEP_INTERVAL_MS = 60 * 1000
+const VTXO_CLOCK_SKEW_MS = 60 * 1000
+
 /**
- * Get escrow wallet info
- * GET /api/escrow/info
+ * Pick a unique amount for an incoming buyer payment so the VTXO can be attributed:
+ * the base amount plus a random 1-999 sat offset not used by any open intent, open offer,
+ * open auction or floor bid, open sweep, or pending listing deposit
  */
-app.get('/api/escrow/info', (req, res) => {
-  try {
-    return res.json({
-      escrowAddress: ESCROW_ADDRESS,
-      escrowPubkey: ESCROW_PUBKEY,
-      network: ESCROW_ADDRESS.startsWith('arkm') ? 'mainnet' : 'testnet'
-    })
-  } catch (error) {
-    console.error('Error fetching escrow info:', error)
-    return res.status(500).json({ error: 'Failed to get escrow info' })
+function allocatePaymentAmount(baseAmount) {
+  const openAmounts = new Set(db.prepare(`
+    SELECT amount_sats FROM payment_intents
+    WHERE status IN ('awaiting_payment', 'paid')
+       OR (status = 'expired' AND expires_at > ?)
+  `).all(Date.now() - LATE_PAYMENT_WINDOW_MS).map(row => row.amount_sats))
+
+  for (const amount of [...pendingDepositAmounts(), ...openOfferAmounts(), ...openBidAmounts(), ...openFloorBidAmounts(), ...openSweepAmounts()]) {
+    openAmounts.add(amount)
   }
-})
+
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const candidate = baseAmount + 1 + Math.floor(Math.random() * 999)
+    if (!openAmounts.has(candidate) && candidate !== DEPOSIT_AMOUNT) {
+      return candidate
+    }
+  }
+
+  throw new Error('Could not allocate a unique payment amount, try again later')
+}
 
 /**
- * Create escrow listing
- * POST /api/escrow/list
- * Body: { punkId, sellerPubkey, sellerArkAddress, price, punkVtxoOutpoint, compressedMetadata }
+ * Create a payment intent for price + marketplace fee (see allocatePaymentAmount)
+ * Bundle purchases pass the bundle id and a listing-like object priced at the bundle price
  */
-app.post('/api/escrow/list', (req, res) => {
-  const {
-    punkId,
-    sellerPubkey,
-    sellerArkAddress,
-    price,
-    punkVtxoOutpoint,
-    compressedMetadata
-  } = req.body
+function createPaymentIntent(listing, buyerArkAddress, buyerPubkey, fee, bundleId = null) {
+  const amount = allocatePaymentAmount(listing.price_sats + fee)
+  const id = generateNonce().slice(0, 32)
+  const now = Date.now()
+  const expiresAt = now + PAYMENT_INTENT_TTL_MS
+
+  db.prepare(`
+    INSERT INTO payment_intents (id, punk_id, buyer_address, buyer_pubkey, price_sats, fee_sats, amount_sats, status, escrow_key_index, bundle_id, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'awaiting_payment', ?, ?, ?, ?)
+  `).run(id, listing.punk_id, buyerArkAddress, buyerPubkey, listing.price_sats, fee, amount, listing.escrow_key_index ?? null, bundleId, now, expiresAt)
+
+  logAudit('PAYMENT_INTENT_CREATED', {
+    punkId: listing.punk_id,
+    sellerAddress: listing.seller_address,
+    buyerAddress: buyerArkAddress,
+    amount,
+    status: 'PENDING',
+    details: { intentId: id, price: listing.price_sats, fee, expiresAt, bundleId }
+  })
+
+  return { id, amount, expiresAt }
+}
 
-  console.log(`🔵 Escrow list endpoint called`)
-  console.log(`   Listing punk ${punkId?.slice(0, 8)}... for ${price} sats`)
-  console.log(`   Seller: ${sellerArkAddress?.slice(0, 20)}...`)
+// Ark or taproot address (bech32m, lowercase)
+const ADDRESS_PATTERN = /^(t?ark|bc|tb|bcrt)1[02-9ac-hj-np-z]{20,}$/
 
-  // Validate required fields
-  if (!punkId || !sellerPubkey || !sellerArkAddress || !price) {
-    return res.status(400).json({
-      error: 'Missing required fields',
-      required: ['punkId', 'sellerPubkey', 'sellerArkAddress', 'price']
-    })
+/**
+ * Normalize the designated buyer of a private listing: an Ark (or taproot) address or a
+ * 64-hex Nostr pubkey. Returns null for a public listing, or { error }
+ */
+function parseAllowedBuyer(value) {
+  if (value === undefined || value === null || value === '') return null
+  const allowed = String(value).trim().toLowerCase()
+  if (/^[0-9a-f]{64}$/.test(allowed) || ADDRESS_PATTERN.test(allowed)) {
+    return allowed
   }
+  return { error: 'allowedBuyer must be an Ark address or a hex Nostr pubkey' }
+}
 
-  try {
-    // Check if already listed
-    const existingListing = db.prepare(`
-      SELECT * FROM listings WHERE punk_id = ?
-    `).get(punkId)
-
-    if (existingListing) {
-      // If active listing exists, reject
-      if (existingListing.status === 'pending' || existingListing.status === 'deposited') {
-        console.log('   ⚠️ Punk already listed')
-        return res.status(400).json({
-          error: 'Punk already listed',
-          listing: existingListing
-        })
-      }
-
-      // If cancelled or sold, delete old listing to allow re-listing
-      if (existingListing.status === 'cancelled' || existingListing.status === 'sold') {
-        console.log(`   🧹 Removing old ${existingListing.status} listing`)
-        db.prepare('DELETE FROM listings WHERE punk_id = ?').run(punkId)
-      }
-    }
+/**
+ * Whether a buyer may purchase a private listing (public listings are open to everyone)
+ */
+function buyerAllowed(listing, buyerAddress, buyerPubkey) {
+  if (!listing?.allowed_buyer) return true
+  return listing.allowed_buyer === buyerAddress?.toLowerCase() || listing.allowed_buyer === buyerPubkey?.toLowerCase()
+}
 
-    // Check ownership (accept both Bitcoin bc1p and Ark ark1 addresses from same wallet)
-    const punk = db.prepare('SELECT * FROM punks WHERE punk_id = ?').get(punkId)
+/**
+ * Whether a buyer may purchase a listing: it is 'deposited', or 'reserved' for that buyer,
+ * and not private to someone else
+ */
+function listingAvailableTo(listing, buyerAddress, buyerPubkey) {
+  if (!listing || (listing.buyer_address && listing.buyer_address !== buyerAddress)) return false
+  if (!buyerAllowed(listing, buyerAddress, buyerPubkey)) return false
+  return listing.status === 'deposited' || (listing.status === 'reserved' && listing.reserved_by === buyerAddress)
+}
 
-    if (punk) {
-      // For now, skip ownership check if addresses don't match exactly
-      // This is because the same wallet has both bc1p (Bitcoin) and ark1 (Ark) addresses
-      // TODO: Add proper address derivation/linking logic
-      if (punk.owner_address !== sellerArkAddress) {
-        console.log(`   ℹ️  Note: Punk registered with ${punk.owner_address.slice(0, 20)}..., listing with ${sellerArkAddress.slice(0, 20)}...`)
-        console.log(`   ℹ️  Assuming same wallet (bc1p ↔ ark1 addresses)`)
-      }
+/**
+ * Return listings whose reservation ran out to 'deposited'
+ * Reservations of buyers who already paid are kept until the purchase executes or is refunded
+ */
+function releaseExpiredReservations(now = Date.now()) {
+  const released = db.prepare(`
+    UPDATE listings SET status = 'deposited', reserved_by = NULL, reserved_until = NULL
+    WHERE status = 'reserved' AND reserved_until <= ?
+      AND NOT EXISTS (
+        SELECT 1 FROM payment_intents i
+        WHERE i.punk_id = listings.punk_id AND i.buyer_address = listings.reserved_by AND i.status = 'paid'
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM sweep_items si JOIN sweeps s ON s.id = si.sweep_id
+        WHERE si.punk_id = listings.punk_id AND si.status = 'reserved' AND s.status = 'paid'
+          AND s.buyer_address = listings.reserved_by
+      )
+    RETURNING punk_id, seller_address, reserved_by
+  `).all(now)
+
+  for (const listing of released) {
+    logAudit('RESERVATION_EXPIRED', {
+      punkId: listing.punk_id,
+      sellerAddress: listing.seller_address,
+      buyerAddress: listing.reserved_by,
+      status: 'SUCCESS'
+    })
+  }
+
+  return released.length
+}
+
+/**
+ * Look for the intent's payment in the escrow wallet and mark the intent as paid
+ * @returns Updated intent, or null if no matching VTXO arrived yet
+ */
+async function matchIntentPayment(intent) {
+  const claimedOutpoints = db.prepare(`
+    SELECT vtxo_outpoint FROM payment_intents WHERE vtxo_outpoint IS NOT NULL
+  `).all().map(row => row.vtxo_outpoint)
+
+  const vtxo = await findIncomingPayment(
+    intent.amount_sats,
+    intent.created_at - VTXO_CLOCK_SKEW_MS,
+    claimedOutpoints,
+    intent.escrow_key_index
+  )
+  if (!vtxo) {
+    return null
+  }
+
+  const outpoint = `${vtxo.txid}:${vtxo.vout}`
+  const now = Date.now()
+  const result = db.prepare(`
+    UPDATE payment_intents
+    SET status = 'paid', vtxo_outpoint = ?, paid_at = ?
+    WHERE id = ? AND status IN ('awaiting_payment', 'expired')
+  `).run(outpoint, now, intent.id)
+
+  if (result.changes !== 1) {
+    return null
+  }
+
+  logAudit('PAYMENT_RECEIVED', {
+    punkId: intent.punk_id,
+    buyerAddress: intent.buyer_address,
+    amount: intent.amount_sats,
+    txid: vtxo.txid,
+    status: 'SUCCESS',
+    details: { intentId: intent.id, vtxoOutpoint: outpoint, late: intent.expires_at < now }
+  })
+
+  return db.prepare('SELECT * FROM payment_intents WHERE id = ?').get(intent.id)
+}
+
+/**
+ * Close a paid intent and queue its amount back to the buyer through the payout outbox
+ * @returns Refund txid if the payout went out right away, otherwise null (the worker retries it)
+ */
+async function refundIntent(intent, reason) {
+  let payoutId = null
+
+  // Claim the refund and queue it together so two sweeps cannot refund the same payment
+  db.transaction(() => {
+    const claim = db.prepare(`
+      UPDATE payment_intents SET status = 'refunded' WHERE id = ? AND status = 'paid'
+    `).run(intent.id)
+
+    if (claim.changes !== 1) return
+
+    payoutId = enqueuePayout({
+      kind: 'intent_refund',
+      recipient: intent.buyer_address,
+      amount: intent.amount_sats,
+      punkId: intent.punk_id,
+      sourceKeyIndex: intent.escrow_key_index,
+      idempotencyKey: `intent:${intent.id}:refund`
+    })
+    db.prepare('UPDATE payment_intents SET refund_payout_id = ? WHERE id = ?').run(payoutId, intent.id)
+
+    logAudit('PAYMENT_REFUNDED', {
+      punkId: intent.punk_id,
+      buyerAddress: intent.buyer_address,
+      amount: intent.amount_sats,
+      status: 'SUCCESS',
+      details: { intentId: intent.id, reason, payoutId }
+    })
+  })()
+
+  if (payoutId === null) {
+    return null
+  }
+
+  await processPayouts()
+  return db.prepare('SELECT txid FROM payouts WHERE id = ?').get(payoutId).txid
+}
+
+let sweepingIntents = false
+
+/**
+ * Background sweep:
+ * - expire unpaid intents and release their listing reservations
+ * - refund late payments to expired intents
+ * - refund paid intents that can no longer complete (listing gone) or were never executed
+ */
+async function sweepPaymentIntents() {
+  if (sweepingIntents) return
+  sweepingIntents = true
+
+  try {
+    const now = Date.now()
+
+    const expired = db.prepare(`
+      SELECT * FROM payment_intents WHERE status = 'awaiting_payment' AND expires_at <= ?
+    `).all(now)
+
+    for (const intent of expired) {
+      db.prepare(`UPDATE payment_intents SET status = 'expired' WHERE id = ?`).run(intent.id)
+      logAudit('PAYMENT_INTENT_EXPIRED', {
+        punkId: intent.punk_id,
+        buyerAddress: intent.buyer_address,
+        amount: intent.amount_sats,
+        status: 'SUCCESS',
+        details: { intentId: intent.id }
+      })
+    }
+
+    const watched = db.prepare(`
+      SELECT * FROM payment_intents WHERE status = 'expired' AND expires_at > ?
+    `).all(now - LATE_PAYMENT_WINDOW_MS)
+
+    for (const intent of watched) {
+      const paid = await matchIntentPayment(intent)
+      if (paid) {
+        await refundIntent(paid, 'late_payment')
+      }
+    }
+
+    releaseExpiredReservations(now)
+
+    const paidIntents = db.prepare(`SELECT * FROM payment_intents WHERE status = 'paid'`).all()
+
+    for (const intent of paidIntents) {
+      let purchasable
+      if (intent.bundle_id) {
+        const bundle = db.prepare('SELECT status FROM bundles WHERE id = ?').get(intent.bundle_id)
+        purchasable = bundle?.status === 'active'
+      } else {
+        const listing = db.prepare('SELECT * FROM listings WHERE punk_id = ?').get(intent.punk_id)
+        purchasable = listingAvailableTo(listing, intent.buyer_address, intent.buyer_pubkey)
+        if (purchasable && listing.price_sats !== intent.price_sats) {
+          await refundIntent(intent, 'price_changed')
+          continue
+        }
+      }
+
+      if (!purchasable) {
+        await refundIntent(intent, 'listing_unavailable')
+      } else if (intent.expires_at + PAID_INTENT_GRACE_MS <= now) {
+        await refundIntent(intent, 'not_executed')
+      }
+    }
+  } catch (error) {
+    console.error('❌ Payment intent sweep failed:', error)
+  } finally {
+    sweepingIntents = false
+  }
+}
+
+setInterval(sweepPaymentIntents, INTENT_SWEEP_INTERVAL_MS)
+
+// ============================================================
+// PAYOUT OUTBOX (durable escrow payouts with retries)
+// ============================================================
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS payouts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    idempotency_key TEXT NOT NULL UNIQUE,
+    kind TEXT NOT NULL,                    -- 'sale_proceeds', 'deposit_return', ...
+    recipient TEXT NOT NULL,
+    amount_sats INTEGER NOT NULL,
+    punk_id TEXT,
+    sale_id INTEGER,
+    source_key_index INTEGER,              -- Escrow sub-wallet paying out (NULL = master)
+    status TEXT NOT NULL CHECK(status IN ('pending', 'sending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL,
+    last_error TEXT,
+    txid TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    sent_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS idx_payouts_status ON payouts(status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_payouts_punk ON payouts(punk_id);
+`)
+
+ensureColumn('payouts', 'source_key_index', 'INTEGER')
+
+const PAYOUT_MAX_ATTEMPTS = 10
+const PAYOUT_BASE_BACKOFF_MS = 30 * 1000
+const PAYOUT_MAX_BACKOFF_MS = 60 * 60 * 1000
+const PAYOUT_STALE_SENDING_MS = 10 * 60 * 1000  // 'sending' this long = outcome unknown, needs review
+const PAYOUT_WORKER_INTERVAL_MS = 30 * 1000
+
+/**
+ * Queue a payout from escrow
+ * The idempotency key makes enqueueing the same payout twice a no-op
+ *
+ * @returns Payout id (existing one if the key was already queued)
+ */
+function enqueuePayout({ kind, recipient, amount, punkId = null, saleId = null, sourceKeyIndex = null, idempotencyKey }) {
+  const now = Date.now()
+  db.prepare(`
+    INSERT OR IGNORE INTO payouts (idempotency_key, kind, recipient, amount_sats, punk_id, sale_id, source_key_index, status, next_attempt_at, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?)
+  `).run(idempotencyKey, kind, recipient, amount, punkId, saleId, sourceKeyIndex, now, now, now)
+
+  const payout = db.prepare('SELECT id FROM payouts WHERE idempotency_key = ?').get(idempotencyKey)
+
+  logAudit('PAYOUT_QUEUED', {
+    punkId,
+    sellerAddress: recipient,
+    amount,
+    status: 'PENDING',
+    details: { payoutId: payout.id, kind, idempotencyKey }
+  })
+
+  return payout.id
+}
+
+function payoutBackoff(attempts) {
+  return Math.min(PAYOUT_BASE_BACKOFF_MS * 2 ** (attempts - 1), PAYOUT_MAX_BACKOFF_MS)
+}
+
+/**
+ * Record a successful payout on the sale (or refunded payment intent) it belongs to
+ */
+function applyPayoutResult(payout, txid) {
+  if (payout.kind === 'intent_refund') {
+    db.prepare('UPDATE payment_intents SET refund_txid = ? WHERE refund_payout_id = ?').run(txid, payout.id)
+    return
+  }
+  if (payout.kind !== 'sale_proceeds') return
+
+  if (payout.sale_id) {
+    db.prepare('UPDATE sales SET payment_txid = ? WHERE id = ?').run(txid, payout.sale_id)
+  }
+  db.prepare(`
+    UPDATE listings SET payment_txid = ?
+    WHERE punk_id = ? AND status = 'sold' AND payment_txid IS NULL
+      AND (? IS NULL OR sold_at = (SELECT sold_at FROM sales WHERE id = ?))
+  `).run(txid, payout.punk_id, payout.sale_id, payout.sale_id)
+}
+
+/**
+ * Send one payout; it is claimed ('sending') before the transfer so it can never be sent twice
+ */
+async function sendPayout(payout) {
+  const now = Date.now()
+  const claim = db.prepare(`
+    UPDATE payouts SET status = 'sending', attempts = attempts + 1, updated_at = ?
+    WHERE id = ? AND status = 'pending'
+  `).run(now, payout.id)
+
+  if (claim.changes !== 1) return
+
+  const attempts = payout.attempts + 1
+
+  try {
+    const result = await returnPunkToSeller(payout.recipient, payout.amount_sats, payout.source_key_index)
+
+    db.prepare(`
+      UPDATE payouts SET status = 'sent', txid = ?, last_error = NULL, sent_at = ?, updated_at = ? WHERE id = ?
+    `).run(result.txid, Date.now(), Date.now(), payout.id)
+    applyPayoutResult(payout, result.txid)
+
+    logAudit('PAYOUT_SENT', {
+      punkId: payout.punk_id,
+      sellerAddress: payout.recipient,
+      amount: payout.amount_sats,
+      txid: result.txid,
+      status: 'SUCCESS',
+      details: { payoutId: payout.id, kind: payout.kind, attempts }
+    })
+  } catch (error) {
+    const exhausted = attempts >= PAYOUT_MAX_ATTEMPTS
+    const nextAttemptAt = Date.now() + payoutBackoff(attempts)
+
+    db.prepare(`
+      UPDATE payouts SET status = ?, last_error = ?, next_attempt_at = ?, updated_at = ? WHERE id = ?
+    `).run(exhausted ? 'failed' : 'pending', error.message, nextAttemptAt, Date.now(), payout.id)
+
+    logAudit('PAYMENT_FAILED', {
+      punkId: payout.punk_id,
+      sellerAddress: payout.recipient,
+      amount: payout.amount_sats,
+      status: 'FAILED',
+      error: error.message,
+      details: { payoutId: payout.id, kind: payout.kind, attempts, willRetry: !exhausted }
+    })
+  }
+}
+
+let processingPayouts = null
+
+/**
+ * Send all due payouts (one at a time, escrow wallet handles coin selection)
+ * Concurrent callers share the same run
+ */
+function processPayouts() {
+  if (!processingPayouts) {
+    processingPayouts = (async () => {
+      try {
+        const due = db.prepare(`
+          SELECT * FROM payouts WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id ASC
+        `).all(Date.now())
+
+        for (const payout of due) {
+          await sendPayout(payout)
+        }
+      } catch (error) {
+        console.error('❌ Payout worker failed:', error)
+      }
+    })().finally(() => {
+      // Not inside the async body: a run with nothing due finishes before processingPayouts is assigned
+      processingPayouts = null
+    })
+  }
+  return processingPayouts
+}
+
+setInterval(processPayouts, PAYOUT_WORKER_INTERVAL_MS)
+
+// ============================================================
+// FEE LEDGER (marketplace fee collected per sale)
+// ============================================================
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS fee_ledger (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sale_id INTEGER NOT NULL UNIQUE,
+    punk_id TEXT NOT NULL,
+    price_sats INTEGER NOT NULL,
+    fee_sats INTEGER NOT NULL,
+    fee_percent REAL NOT NULL,            -- Effective rate (fee / price)
+    amount_paid_sats INTEGER NOT NULL,    -- What the buyer sent (price + fee + unique offset)
+    escrow_key_index INTEGER,             -- Sub-wallet holding the fee (NULL = master)
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_fee_ledger_created ON fee_ledger(created_at);
+`)
+
+/**
+ * Record the fee collected on a sale (call inside the sale transaction)
+ */
+function recordSaleFee(saleId, intent) {
+  // Effective rate of the fee quoted at buy time (minimum fee included)
+  const percent = Math.round((intent.fee_sats * 10000) / intent.price_sats) / 100
+  db.prepare(`
+    INSERT INTO fee_ledger (sale_id, punk_id, price_sats, fee_sats, fee_percent, amount_paid_sats, escrow_key_index, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(saleId, intent.punk_id, intent.price_sats, intent.fee_sats, percent, intent.amount_sats, intent.escrow_key_index, Date.now())
+}
+
+// ============================================================
+// ESCROW SUB-WALLETS (one derived escrow address per listing)
+// ============================================================
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS escrow_subwallets (
+    key_index INTEGER PRIMARY KEY AUTOINCREMENT,
+    punk_id TEXT NOT NULL,
+    address TEXT,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_escrow_subwallets_punk ON escrow_subwallets(punk_id);
+`)
+
+/**
+ * Reserve the next sub-wallet index for a listing (or an offer's locked funds) and derive its escrow address
+ * Floor bids have no punk yet and pass `floor_bid:<id>` instead of a punk id
+ * Indexes are never reused so a relisted punk never shares an address with an old listing
+ *
+ * @returns { keyIndex, address }, or null if the escrow key is not configured
+ */
+async function allocateListingEscrow(punkId) {
+  if (!ESCROW_PRIVATE_KEY) {
+    return null
+  }
+
+  const keyIndex = Number(db.prepare(`
+    INSERT INTO escrow_subwallets (punk_id, created_at) VALUES (?, ?)
+  `).run(punkId, Date.now()).lastInsertRowid)
+
+  const address = await getEscrowSubAddress(keyIndex)
+  db.prepare('UPDATE escrow_subwallets SET address = ? WHERE key_index = ?').run(address, keyIndex)
+
+  return { keyIndex, address }
+}
+
+// ============================================================
+// DEPOSIT RECONCILIATION (attribute escrow VTXOs to pending listings)
+// ============================================================
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS unattributed_vtxos (
+    outpoint TEXT PRIMARY KEY,
+    amount_sats INTEGER NOT NULL,
+    vtxo_created_at INTEGER,
+    escrow_key_index INTEGER,              -- Sub-wallet holding the VTXO (NULL = master)
+    reason TEXT NOT NULL,                  -- 'no_matching_listing', 'ambiguous'
+    candidates TEXT,                       -- JSON array of candidate punk ids
+    status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'resolved')),
+    resolution TEXT,
+    first_seen_at INTEGER NOT NULL,
+    last_seen_at INTEGER NOT NULL,
+    resolved_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS idx_unattributed_vtxos_status ON unattributed_vtxos(status);
+`)
+
+ensureColumn('unattributed_vtxos', 'escrow_key_index', 'INTEGER')
+
+const DEPOSIT_RECONCILE_INTERVAL_MS = 60 * 1000
+const UNATTRIBUTED_GRACE_MS = 10 * 60 * 1000  // Give clients/intents time before flagging a VTXO
+
+/**
+ * Deposit amounts reserved by pending listings
+ */
+function pendingDepositAmounts() {
+  return db.prepare(`
+    SELECT deposit_amount_sats FROM listings WHERE status = 'pending' AND deposit_amount_sats IS NOT NULL
+  `).all().map(row => row.deposit_amount_sats)
+}
+
+/**
+ * Pick a deposit amount for a new listing: the standard deposit plus a random 1-999 sat
+ * offset not used by another pending listing, an open payment intent, an open offer, an open (floor) bid or an open sweep
+ */
+function allocateDepositAmount() {
+  const used = new Set(pendingDepositAmounts())
+  const intentAmounts = db.prepare(`
+    SELECT amount_sats FROM payment_intents
+    WHERE status IN ('awaiting_payment', 'paid')
+       OR (status = 'expired' AND expires_at > ?)
+  `).all(Date.now() - LATE_PAYMENT_WINDOW_MS)
+
+  for (const row of intentAmounts) {
+    used.add(row.amount_sats)
+  }
+
+  for (const amount of [...openOfferAmounts(), ...openBidAmounts(), ...openFloorBidAmounts(), ...openSweepAmounts()]) {
+    used.add(amount)
+  }
+
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const candidate = DEPOSIT_AMOUNT + 1 + Math.floor(Math.random() * 999)
+    if (!used.has(candidate)) {
+      return candidate
+    }
+  }
+
+  throw new Error('Could not allocate a unique deposit amount, try again later')
+}
+
+/**
+ * Outpoints already attributed to a listing deposit, a buyer payment, an offer, an auction bid, a floor bid or a sweep
+ */
+function claimedEscrowOutpoints() {
+  return new Set([
+    ...db.prepare(`SELECT punk_vtxo_outpoint AS outpoint FROM listings WHERE punk_vtxo_outpoint IS NOT NULL`).all(),
+    ...db.prepare(`SELECT vtxo_outpoint AS outpoint FROM payment_intents WHERE vtxo_outpoint IS NOT NULL`).all(),
+    ...db.prepare(`SELECT vtxo_outpoint AS outpoint FROM offers WHERE vtxo_outpoint IS NOT NULL`).all(),
+    ...db.prepare(`SELECT vtxo_outpoint AS outpoint FROM auction_bids WHERE vtxo_outpoint IS NOT NULL`).all(),
+    ...db.prepare(`SELECT vtxo_outpoint AS outpoint FROM floor_bids WHERE vtxo_outpoint IS NOT NULL`).all(),
+    ...db.prepare(`SELECT vtxo_outpoint AS outpoint FROM sweeps WHERE vtxo_outpoint IS NOT NULL`).all()
+  ].map(row => row.outpoint))
+}
+
+/**
+ * Txids of transactions sent by the escrow wallet (their change outputs come back to escrow)
+ */
+function escrowSendTxids() {
+  return new Set([
+    ...db.prepare(`SELECT txid FROM payouts WHERE txid IS NOT NULL`).all(),
+    ...db.prepare(`SELECT refund_txid AS txid FROM payment_intents WHERE refund_txid IS NOT NULL`).all(),
+    ...db.prepare(`
+      SELECT txid FROM audit_log
+      WHERE txid IS NOT NULL AND action IN ('LISTING_CANCELLED', 'PAYOUT_SENT', 'PAYMENT_REFUNDED', 'DEPOSIT_REFUNDED')
+    `).all()
+  ].map(row => row.txid))
+}
+
+let reconcilingDeposits = null
+let lastReconciliation = null
+
+/**
+ * Match escrow VTXOs to pending listings
+ * - each listing sub-wallet is checked for its listing's deposit; legacy listings are matched
+ *   against the master wallet by their unique deposit amount
+ * - a VTXO paying exactly one pending listing's deposit amount moves that listing to 'deposited'
+ *   (or 'auction' for auction listings, 'bundled' for bundle punks, see activateBundle)
+ * - buyer payments (open intent amounts) and escrow change outputs are skipped
+ * - anything else older than the grace period is flagged in unattributed_vtxos
+ * Concurrent callers share the same run
+ */
+function reconcileDeposits() {
+  if (!reconcilingDeposits) {
+    reconcilingDeposits = runDepositReconciliation().finally(() => {
+      reconcilingDeposits = null
+    })
+  }
+  return reconcilingDeposits
+}
+
+async function runDepositReconciliation() {
+  const now = Date.now()
+  const report = { ranAt: now, vtxoCount: 0, matched: [], flagged: [], error: null }
+
+  try {
+    const claimed = claimedEscrowOutpoints()
+    const ownTxids = escrowSendTxids()
+    const intentAmounts = new Set(db.prepare(`
+      SELECT amount_sats FROM payment_intents
+      WHERE status = 'awaiting_payment' OR (status = 'expired' AND expires_at > ?)
+    `).all(now - LATE_PAYMENT_WINDOW_MS).map(row => row.amount_sats))
+    for (const amount of [...openOfferAmounts(), ...openBidAmounts(), ...openFloorBidAmounts(), ...openSweepAmounts()]) {
+      intentAmounts.add(amount)
+    }
+    const pending = db.prepare(`SELECT * FROM listings WHERE status = 'pending'`).all()
+
+    // Legacy listings share the master wallet, newer ones each have their own sub-wallet
+    const sources = [
+      { keyIndex: null, listings: pending.filter(l => l.escrow_key_index === null) },
+      ...pending
+        .filter(l => l.escrow_key_index !== null)
+        .map(l => ({ keyIndex: l.escrow_key_index, listings: [l] }))
+    ]
+    const errors = []
+
+    for (const source of sources) {
+      try {
+        await reconcileEscrowWallet(source, { claimed, ownTxids, intentAmounts, now, report })
+      } catch (error) {
+        errors.push(`${source.keyIndex === null ? 'master' : `#${source.keyIndex}`}: ${error.message}`)
+      }
+    }
+
+    if (errors.length > 0) {
+      report.error = errors.join('; ')
+      console.error('❌ Deposit reconciliation failed:', report.error)
+    }
+  } catch (error) {
+    console.error('❌ Deposit reconciliation failed:', error.message)
+    report.error = error.message
+  }
+
+  lastReconciliation = report
+  return report
+}
+
+/**
+ * Reconcile one escrow wallet (master or listing sub-wallet) against its pending listings
+ */
+async function reconcileEscrowWallet(source, { claimed, ownTxids, intentAmounts, now, report }) {
+  const vtxos = await getEscrowVtxos(source.keyIndex)
+  report.vtxoCount += vtxos.length
+  let pending = source.listings
+
+  const markDeposited = db.prepare(`
+    UPDATE listings
+    SET status = CASE
+          WHEN auction_id IS NOT NULL THEN 'auction'
+          WHEN bundle_id IS NOT NULL THEN 'bundled'
+          ELSE 'deposited'
+        END,
+        deposited_at = ?, punk_vtxo_outpoint = ?
+    WHERE punk_id = ? AND status = 'pending'
+  `)
+
+  for (const vtxo of vtxos) {
+    const outpoint = `${vtxo.txid}:${vtxo.vout}`
+    if (vtxo.isSpent || claimed.has(outpoint) || ownTxids.has(vtxo.txid)) continue
+
+    const createdAt = new Date(vtxo.createdAt).getTime()
+    const candidates = pending.filter(listing =>
+      (listing.deposit_amount_sats || DEPOSIT_AMOUNT) === vtxo.value &&
+      listing.created_at - VTXO_CLOCK_SKEW_MS <= createdAt
+    )
+
+    if (candidates.length === 1) {
+      const listing = candidates[0]
+      if (markDeposited.run(Date.now(), outpoint, listing.punk_id).changes !== 1) continue
+
+      pending = pending.filter(l => l.punk_id !== listing.punk_id)
+      claimed.add(outpoint)
+      report.matched.push({ punkId: listing.punk_id, outpoint })
+
+      logAudit('DEPOSIT_CONFIRMED', {
+        punkId: listing.punk_id,
+        sellerAddress: listing.seller_address,
+        amount: vtxo.value,
+        txid: vtxo.txid,
+        status: 'SUCCESS',
+        details: { vtxoOutpoint: outpoint, verified: true, reconciled: true, escrowKeyIndex: source.keyIndex }
+      })
+      console.log(`✅ Deposit reconciled: ${listing.punk_id.slice(0, 8)}... <- ${outpoint}`)
+
+      if (listing.bundle_id) {
+        activateBundle(listing.bundle_id)
+      }
+      continue
+    }
+
+    // Buyer payments are attributed by the payment intent, offer, auction, floor bid and sweep checks
+    if (candidates.length === 0 && intentAmounts.has(vtxo.value)) continue
+    if (now - createdAt < UNATTRIBUTED_GRACE_MS) continue
+
+    const reason = candidates.length > 1 ? 'ambiguous' : 'no_matching_listing'
+    flagUnattributedVtxo(vtxo, outpoint, createdAt, reason, candidates.map(l => l.punk_id), source.keyIndex)
+    report.flagged.push({ outpoint, amount: vtxo.value, reason, escrowKeyIndex: source.keyIndex })
+  }
+
+  // Close flags on this wallet that were attributed since (e.g. via update-outpoint) or left the wallet
+  const present = new Set(vtxos.map(v => `${v.txid}:${v.vout}`))
+  const open = db.prepare(`
+    SELECT outpoint FROM unattributed_vtxos WHERE status = 'open' AND escrow_key_index IS ?
+  `).all(source.keyIndex)
+
+  for (const { outpoint } of open) {
+    if (claimed.has(outpoint) || !present.has(outpoint)) {
+      db.prepare(`
+        UPDATE unattributed_vtxos SET status = 'resolved', resolution = ?, resolved_at = ? WHERE outpoint = ?
+      `).run(claimed.has(outpoint) ? 'attributed' : 'left_escrow_wallet', now, outpoint)
+    }
+  }
+}
+
+function flagUnattributedVtxo(vtxo, outpoint, createdAt, reason, candidates, keyIndex) {
+  const now = Date.now()
+  const inserted = db.prepare(`
+    INSERT OR IGNORE INTO unattributed_vtxos (outpoint, amount_sats, vtxo_created_at, escrow_key_index, reason, candidates, first_seen_at, last_seen_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(outpoint, vtxo.value, createdAt, keyIndex, reason, JSON.stringify(candidates), now, now)
+
+  if (inserted.changes === 1) {
+    logAudit('DEPOSIT_UNATTRIBUTED', {
+      amount: vtxo.value,
+      txid: vtxo.txid,
+      status: 'FAILED',
+      details: { vtxoOutpoint: outpoint, reason, candidates, escrowKeyIndex: keyIndex }
+    })
+    console.log(`⚠️  Unattributed escrow VTXO flagged for review: ${outpoint} (${vtxo.value} sats, ${reason})`)
+  } else {
+    db.prepare(`
+      UPDATE unattributed_vtxos SET last_seen_at = ?, reason = ?, candidates = ? WHERE outpoint = ? AND status = 'open'
+    `).run(now, reason, JSON.stringify(candidates), outpoint)
+  }
+}
+
+setInterval(reconcileDeposits, DEPOSIT_RECONCILE_INTERVAL_MS)
+
+// ============================================================
+// ESCROW ENDPOINTS
+// ============================================================
+
+/**
+ * Get escrow wallet info
+ * GET /api/escrow/info?punkId=...
+ *
+ * With punkId, returns the escrow address of that punk's current listing
+ */
+app.get('/api/escrow/info', (req, res) => {
+  const { punkId } = req.query
+
+  try {
+    const listing = punkId
+      ? db.prepare('SELECT escrow_address, escrow_key_index FROM listings WHERE punk_id = ?').get(punkId)
+      : null
+
+    if (punkId && !listing) {
+      return res.status(404).json({ error: 'Listing not found' })
+    }
+
+    const escrowAddress = listing?.escrow_address || ESCROW_ADDRESS
+
+    return res.json({
+      escrowAddress,
+      escrowPubkey: ESCROW_PUBKEY,
+      perListing: listing ? listing.escrow_key_index !== null : false,
+      feePolicy: getFeePolicy(),
+      network: escrowAddress.startsWith('arkm') ? 'mainnet' : 'testnet'
+    })
+  } catch (error) {
+    console.error('Error fetching escrow info:', error)
+    return res.status(500).json({ error: 'Failed to get escrow info' })
+  }
+})
+
+/**
+ * Create escrow listing
+ * POST /api/escrow/list
+ * Body: { punkId, sellerPubkey, sellerArkAddress, price, punkVtxoOutpoint, compressedMetadata, auction?, allowedBuyer?, startsAt?, expiresAt?, nonce, timestamp, signature }
+ *
+ * Signed by sellerPubkey: { punkId, action: 'list', price, sellerArkAddress, allowedBuyer, nonce, timestamp };
+ * sellerPubkey must control the registered owner address of the punk
+ *
+ * auction: { startsAt?, endsAt } turns the listing into an English auction with `price` as reserve.
+ * Once the deposit arrives the listing goes to 'auction' instead of 'deposited' (see AUCTIONS)
+ *
+ * allowedBuyer: Ark address or Nostr pubkey for an OTC deal agreed off-platform. The listing is left
+ * out of the marketplace and sweeps, the buyer reaches it through its share link (GET /api/escrow/status)
+ * and nobody else can buy it
+ *
+ * startsAt / expiresAt schedule a fixed price listing: it stays hidden until startsAt, and at expiresAt
+ * it moves to 'expired' with the deposit returned (see SCHEDULED LISTINGS)
+ */
+app.post('/api/escrow/list', async (req, res) => {
+  const {
+    punkId,
+    sellerPubkey,
+    sellerArkAddress,
+    price,
+    punkVtxoOutpoint,
+    compressedMetadata,
+    auction,
+    allowedBuyer: allowedBuyerInput,
+    startsAt,
+    expiresAt
+  } = req.body
+
+  console.log(`🔵 Escrow list endpoint called`)
+  console.log(`   Listing punk ${punkId?.slice(0, 8)}... for ${price} sats`)
+  console.log(`   Seller: ${sellerArkAddress?.slice(0, 20)}...`)
+
+  // Validate required fields
+  if (!punkId || !sellerPubkey || !sellerArkAddress || !price) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['punkId', 'sellerPubkey', 'sellerArkAddress', 'price']
+    })
+  }
+
+  let auctionWindow = null
+  if (auction) {
+    auctionWindow = validateAuctionWindow(auction.startsAt, auction.endsAt)
+    if (auctionWindow.error) {
+      return res.status(400).json({ error: 'Invalid auction schedule', details: auctionWindow.error })
+    }
+  }
+
+  if (auctionWindow && (startsAt || expiresAt)) {
+    return res.status(400).json({ error: 'Auctions are scheduled with auction.startsAt and auction.endsAt' })
+  }
+
+  const schedule = validateListingSchedule(startsAt, expiresAt)
+  if (schedule.error) {
+    return res.status(400).json({ error: 'Invalid listing schedule', details: schedule.error })
+  }
+
+  const allowedBuyer = parseAllowedBuyer(allowedBuyerInput)
+  if (allowedBuyer?.error) {
+    return res.status(400).json({ error: 'Invalid allowedBuyer', details: allowedBuyer.error })
+  }
+
+  if (allowedBuyer && auctionWindow) {
+    return res.status(400).json({ error: 'Private listings are fixed price, they cannot be auctioned' })
+  }
+
+  if (allowedBuyer && (allowedBuyer === sellerArkAddress.toLowerCase() || allowedBuyer === sellerPubkey.toLowerCase())) {
+    return res.status(400).json({ error: 'allowedBuyer cannot be the seller' })
+  }
+
+  try {
+    const punk = db.prepare('SELECT * FROM punks WHERE punk_id = ?').get(punkId)
+
+    if (!punk) {
+      return res.status(404).json({ error: 'Punk not registered' })
+    }
+
+    // The registered owner signs the listing terms (the listing key then authorizes cancel and relist)
+    const authError = !(await pubkeyControlsAddress(sellerPubkey, punk.owner_address))
+      ? 'Signer does not own this punk'
+      : verifySignedAction(punkId, sellerPubkey, sellerArkAddress, req.body, 'list', {
+        price,
+        sellerArkAddress,
+        allowedBuyer: allowedBuyerInput
+      })
+    if (authError) {
+      logAudit('SELLER_AUTH_FAILED', {
+        punkId,
+        sellerAddress: sellerArkAddress,
+        status: 'FAILED',
+        error: authError,
+        details: { action: 'list', ownerAddress: punk.owner_address }
+      })
+      return res.status(401).json({ error: 'Owner signature verification failed', details: authError })
+    }
+
+    // Check if already listed
+    const existingListing = db.prepare(`
+      SELECT * FROM listings WHERE punk_id = ?
+    `).get(punkId)
+
+    if (existingListing) {
+      // If active listing exists, reject
+      if (['pending', 'deposited', 'reserved', 'auction', 'bundled'].includes(existingListing.status)) {
+        console.log('   ⚠️ Punk already listed')
+        const { share_token: _shareToken, ...listing } = existingListing
+        return res.status(400).json({
+          error: 'Punk already listed',
+          listing
+        })
+      }
+
+      // If cancelled or sold, delete old listing to allow re-listing
+      if (['cancelled', 'sold', 'expired'].includes(existingListing.status)) {
+        console.log(`   🧹 Removing old ${existingListing.status} listing`)
+        db.prepare('DELETE FROM listings WHERE punk_id = ?').run(punkId)
+      }
+    }
+
+    // Each listing gets its own derived escrow address; without the escrow key
+    // (local development) fall back to the shared address
+    let escrow = null
+    try {
+      escrow = await allocateListingEscrow(punkId)
+    } catch (error) {
+      console.error('❌ Failed to derive listing escrow address:', error)
+      return res.status(503).json({ error: 'Escrow unavailable, please try again', details: error.message })
+    }
+    const escrowAddress = escrow?.address || ESCROW_ADDRESS
+
+    // Create listing in "pending" state (waiting for punk deposit)
+    // The deposit amount is unique so the reconciler can attribute the incoming VTXO
+    const now = Date.now()
+    const depositAmount = allocateDepositAmount()
+    const auctionId = auctionWindow ? generateNonce().slice(0, 32) : null
+    const shareToken = generateNonce()
+    // The registered metadata of the punk, the seller's copy only when none is registered and it matches the id
+    const listingMetadata = punk.punk_metadata_compressed ||
+      (compressedMetadata && metadataMatchesPunkId(punkId, compressedMetadata) ? compressedMetadata : null)
+    db.prepare(`
+      INSERT INTO listings (
+        punk_id, seller_address, seller_pubkey, price_sats,
+        status, escrow_address, escrow_key_index, created_at, punk_metadata_compressed, deposit_amount_sats,
+        auction_id, reserve_price_sats, auction_starts_at, auction_ends_at, allowed_buyer, starts_at, expires_at, share_token
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(punkId, sellerArkAddress, sellerPubkey, price, 'pending', escrowAddress, escrow?.keyIndex ?? null, now, listingMetadata, depositAmount,
+      auctionId, auctionWindow ? price : null, auctionWindow?.startsAt ?? null, auctionWindow?.endsAt ?? null, allowedBuyer, schedule.startsAt, schedule.expiresAt, shareToken)
+    if (listingMetadata && !punk.punk_metadata_compressed) {
+      indexWrittenMetadata()
+    }
+
+    // AUDIT: List created
+    logAudit('LIST_CREATED', {
+      punkId,
+      sellerAddress: sellerArkAddress,
+      amount: price,
+      status: 'SUCCESS',
+      details: { escrowAddress, escrowKeyIndex: escrow?.keyIndex ?? null, depositAmount, auctionId, allowedBuyer, ...auctionWindow, ...schedule }
+    })
+
+    console.log(`✅ ${auctionId ? 'Auction' : allowedBuyer ? 'Private listing' : 'Listing'} created - waiting for punk deposit`)
+
+    return res.status(200).json({
+      success: true,
+      punkId,
+      escrowAddress,
+      price,
+      depositAmount,
+      auctionId,
+      auctionStartsAt: auctionWindow?.startsAt ?? null,
+      auctionEndsAt: auctionWindow?.endsAt ?? null,
+      allowedBuyer,
+      startsAt: schedule.startsAt,
+      expiresAt: schedule.expiresAt,
+      shareToken,
+      message: 'Send your punk VTXO to escrow address to activate listing',
+      instructions: auctionId
+        ? [
+          `Send exactly ${depositAmount.toLocaleString()} sats to: ${escrowAddress}`,
+          `Bidding opens ${new Date(auctionWindow.startsAt).toISOString()} and closes ${new Date(auctionWindow.endsAt).toISOString()}`,
+          `Bids in the last ${AUCTION_EXTENSION_MS / 60000} minutes extend the auction`,
+          `The highest bid at or above ${Number(price).toLocaleString()} sats wins, the sale settles automatically at close`
+        ]
+        : [
+          `Send exactly ${depositAmount.toLocaleString()} sats to: ${escrowAddress}`,
+          allowedBuyer
+            ? 'Once received, share the listing link with your buyer (private listings are hidden from the marketplace)'
+            : 'Once received, your listing will appear in the marketplace',
+          allowedBuyer ? 'Only your designated buyer can purchase your punk' : 'Buyers can then purchase your punk',
+          ...(schedule.startsAt ? [`The listing opens ${new Date(schedule.startsAt).toISOString()}`] : []),
+          ...(schedule.expiresAt ? [`Unsold at ${new Date(schedule.expiresAt).toISOString()}, it expires and your deposit is returned`] : []),
+          'When sold, you receive the full listing price automatically (the buyer pays the marketplace fee)'
+        ]
+    })
+  } catch (error) {
+    console.error('❌ Error creating listing:', error)
+    return res.status(500).json({
+      error: 'Failed to create listing',
+      details: error.message
+    })
+  }
+})
+
+const ESCROW_LISTING_QUERY = `
+  SELECT
+    l.*,
+    p.owner_address,
+    p.server_signature,
+    h.old_price_sats AS previous_price_sats,
+    h.changed_at AS price_updated_at,
+    t.compressed AS trait_compressed,
+    t.rarity_score
+  FROM listings l
+  LEFT JOIN punks p ON l.punk_id = p.punk_id
+  LEFT JOIN punk_traits t ON l.punk_id = t.punk_id
+  LEFT JOIN listing_history h ON h.id = (
+    SELECT id FROM listing_history
+    WHERE punk_id = l.punk_id AND listing_created_at = l.created_at
+    ORDER BY id DESC LIMIT 1
+  )
+  WHERE l.status IN ('pending', 'deposited', 'reserved', 'auction', 'bundled')
+`
+
+// Sellers see all their listings; others only started ones, and private listings only as their designated buyer
+// (anonymous viewers: public started listings)
+const VIEWER_CAN_SEE_LISTING = `
+  (l.seller_address = @viewerAddress OR l.seller_pubkey = @viewerPubkey OR (
+    (l.starts_at IS NULL OR l.starts_at <= @now)
+    AND (l.allowed_buyer IS NULL OR l.allowed_buyer IN (LOWER(@viewerAddress), LOWER(@viewerPubkey)))
+  ))
+`
+
+/**
+ * Parameters of VIEWER_CAN_SEE_LISTING: the viewer is the wallet session of the request, never query parameters
+ */
+function listingViewer(req) {
+  const session = walletSession(req)
+  return { viewerAddress: session?.address ?? null, viewerPubkey: session?.pubkey ?? null, now: Date.now() }
+}
+
+// Map database fields (snake_case) to API format (camelCase)
+// The designated buyer is only shown to the seller and that buyer, the share token only to the seller
+function formatEscrowListing(listing, viewer) {
+  const isSeller = Boolean(viewer.viewerAddress && listing.seller_address === viewer.viewerAddress) ||
+    Boolean(viewer.viewerPubkey && listing.seller_pubkey === viewer.viewerPubkey)
+  const isAllowedBuyer = Boolean(listing.allowed_buyer) &&
+    [viewer.viewerAddress?.toLowerCase(), viewer.viewerPubkey?.toLowerCase()].includes(listing.allowed_buyer)
+
+  return {
+    punkId: listing.punk_id,
+    seller: listing.seller_address,
+    sellerPubkey: listing.seller_pubkey,
+    price: listing.price_sats,
+    status: listing.status,
+    escrowAddress: listing.escrow_address,
+    punkVtxoOutpoint: listing.punk_vtxo_outpoint,
+    depositAmount: listing.deposit_amount_sats || DEPOSIT_AMOUNT,
+    compressedMetadata: listing.punk_metadata_compressed || null,
+    serverSignature: listing.server_signature || null,
+    createdAt: listing.created_at,
+    depositedAt: listing.deposited_at,
+    auction: listing.auction_id ? formatAuction(listing) : null,
+    bundleId: listing.bundle_id || null,
+    reservedBy: listing.status === 'reserved' ? listing.reserved_by : null,
+    reservedUntil: listing.status === 'reserved' ? listing.reserved_until : null,
+    previousPrice: listing.previous_price_sats ?? null,
+    priceUpdatedAt: listing.price_updated_at ?? null,
+    isPrivate: Boolean(listing.allowed_buyer),
+    ...(isSeller || isAllowedBuyer ? { allowedBuyer: listing.allowed_buyer || null } : {}),
+    ...(isSeller ? { shareToken: listing.share_token || null } : {}),
+    startsAt: listing.starts_at ?? null,
+    expiresAt: listing.expires_at ?? null
+  }
+}
+
+/**
+ * Get escrow listings
+ * GET /api/escrow/listings
+ * Headers: Authorization: Bearer <wallet session token> (optional)
+ *
+ * Private listings are only included when the session wallet is their seller or designated buyer,
+ * scheduled listings only once they start (their seller sees them right away)
+ */
+app.get('/api/escrow/listings', (req, res) => {
+  try {
+    const viewer = listingViewer(req)
+    const listings = db.prepare(`
+      ${ESCROW_LISTING_QUERY} AND ${VIEWER_CAN_SEE_LISTING}
+      ORDER BY l.created_at DESC
+    `).all(viewer)
+
+    return res.json({ listings: listings.map(listing => formatEscrowListing(listing, viewer)), success: true })
+  } catch (error) {
+    console.error('Error fetching escrow listings:', error)
+    return res.status(500).json({ error: 'Database error', success: false })
+  }
+})
+
+/**
+ * Get one active escrow listing (target of listing share links)
+ * GET /api/escrow/status?punkId=&token=
+ * Headers: Authorization: Bearer <wallet session token> (optional)
+ *
+ * Private and not yet started listings need the share token returned by /api/escrow/list,
+ * unless the session wallet is their seller or designated buyer (otherwise: not found)
+ */
+app.get('/api/escrow/status', (req, res) => {
+  const { punkId, token } = req.query
+
+  if (!punkId) {
+    return res.status(400).json({ error: 'punkId required', success: false })
+  }
+
+  try {
+    const viewer = listingViewer(req)
+    const listing = db.prepare(`
+      ${ESCROW_LISTING_QUERY} AND l.punk_id = @punkId AND (${VIEWER_CAN_SEE_LISTING} OR l.share_token = @token)
+    `).get({ ...viewer, punkId, token: token || null })
+
+    if (!listing) {
+      return res.status(404).json({ error: 'Listing not found', success: false })
+    }
+
+    return res.json({ listing: formatEscrowListing(listing, viewer), success: true })
+  } catch (error) {
+    console.error('Error fetching escrow listing:', error)
+    return res.status(500).json({ error: 'Database error', success: false })
+  }
+})
+
+/**
+ * Update escrow listing with punk VTXO outpoint
+ * POST /api/escrow/update-outpoint
+ * Body: { punkId, punkVtxoOutpoint }
+ *
+ * CRITICAL: Verifies VTXO actually exists in escrow wallet before confirming deposit
+ */
+app.post('/api/escrow/update-outpoint', async (req, res) => {
+  const { punkId, punkVtxoOutpoint } = req.body
+
+  if (!punkId || !punkVtxoOutpoint) {
+    return res.status(400).json({ error: 'punkId and punkVtxoOutpoint required' })
+  }
+
+  try {
+    const listing = db.prepare('SELECT * FROM listings WHERE punk_id = ?').get(punkId)
+
+    if (!listing) {
+      return res.status(404).json({ error: 'Listing not found' })
+    }
+
+    // Deposit may already have been attributed by the reconciler
+    if (['deposited', 'reserved', 'auction', 'bundled'].includes(listing.status)) {
+      return res.json({
+        success: true,
+        punkId,
+        status: listing.status,
+        message: 'Deposit already confirmed. Listing is active!'
+      })
+    }
+
+    if (listing.status !== 'pending') {
+      return res.status(400).json({
+        error: 'Listing not in pending state',
+        currentStatus: listing.status
+      })
+    }
+
+    if (claimedEscrowOutpoints().has(punkVtxoOutpoint)) {
+      return res.status(409).json({ error: 'VTXO already attributed to another deposit or payment' })
+    }
+
+    // CRITICAL: Verify VTXO actually exists in escrow wallet
+    const verification = await verifyVtxoInEscrow(
+      punkVtxoOutpoint,
+      listing.deposit_amount_sats || DEPOSIT_AMOUNT,
+      listing.escrow_key_index
+    )
+
+    if (!verification.exists) {
+      console.log(`❌ VTXO verification failed for ${punkId.slice(0, 8)}: ${verification.error}`)
+
+      // AUDIT: Failed deposit attempt
+      logAudit('DEPOSIT_CONFIRMED', {
+        punkId,
+        sellerAddress: listing.seller_address,
+        amount: listing.price_sats,
+        status: 'FAILED',
+        details: { vtxoOutpoint: punkVtxoOutpoint, error: verification.error }
+      })
+
+      return res.status(400).json({
+        error: 'Deposit verification failed',
+        details: verification.error,
+        message: 'VTXO not found in escrow wallet. Please ensure the deposit was sent correctly.'
+      })
+    }
+
+    // Update listing: mark as deposited and store punk VTXO outpoint
+    // (the reconciler may have attributed the deposit in the meantime)
+    const now = Date.now()
+    const depositedStatus = listing.auction_id ? 'auction' : listing.bundle_id ? 'bundled' : 'deposited'
+    const updated = db.prepare(`
+      UPDATE listings
+      SET status = ?, deposited_at = ?, punk_vtxo_outpoint = ?
+      WHERE punk_id = ? AND status = 'pending'
+    `).run(depositedStatus, now, punkVtxoOutpoint, punkId)
+
+    if (updated.changes !== 1) {
+      return res.json({
+        success: true,
+        punkId,
+        status: depositedStatus,
+        message: 'Deposit already confirmed. Listing is active!'
+      })
+    }
+
+    // Extract TXID from outpoint for audit log
+    const [depositTxid] = punkVtxoOutpoint.split(':')
+
+    // AUDIT: Deposit confirmed (verified!) - now with TXID!
+    logAudit('DEPOSIT_CONFIRMED', {
+      punkId,
+      sellerAddress: listing.seller_address,
+      amount: verification.vtxo.value,
+      txid: depositTxid,
+      status: 'SUCCESS',
+      details: { vtxoOutpoint: punkVtxoOutpoint, verified: true }
+    })
+
+    console.log(`✅ Punk deposited to escrow (VERIFIED): ${punkId.slice(0, 8)}...`)
+    console.log(`   VTXO outpoint: ${punkVtxoOutpoint}`)
+
+    if (listing.bundle_id) {
+      const bundle = activateBundle(listing.bundle_id)
+      return res.json({
+        success: true,
+        punkId,
+        status: depositedStatus,
+        bundleId: listing.bundle_id,
+        bundleStatus: bundle?.status ?? null,
+        message: bundle?.status === 'active'
+          ? 'Punk successfully deposited to escrow. All bundle deposits received, the bundle is now active!'
+          : 'Punk successfully deposited to escrow. The bundle goes live once every punk is deposited.'
+      })
+    }
+
+    // Listing created by accepting an offer: the buyer's funds are already locked
+    if (listing.offer_id) {
+      const settlement = await settleOffer(listing.offer_id)
+      if (settlement) {
+        return res.json({
+          success: true,
+          punkId,
+          status: 'sold',
+          saleId: settlement.saleId,
+          payouts: settlement.payouts,
+          message: 'Punk deposited and offer sale completed!'
+        })
+      }
+    }
+
+    return res.json({
+      success: true,
+      punkId,
+      status: depositedStatus,
+      message: listing.auction_id
+        ? 'Punk successfully deposited to escrow. Auction is now live!'
+        : 'Punk successfully deposited to escrow. Listing is now active!'
+    })
+  } catch (error) {
+    console.error('Error updating escrow outpoint:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Buy punk from escrow
+ * POST /api/escrow/buy
+ * Body: { punkId, buyerPubkey, buyerArkAddress, nonce, timestamp, signature }
+ *
+ * signature = schnorr(sha256(canonical {punkId, action: 'buy', buyerArkAddress, nonce, timestamp})) by buyerPubkey,
+ * which must control buyerArkAddress (the reservation holds the listing for that address)
+ *
+ * Creates a payment intent: the buyer must send exactly `totalWithFee` sats
+ * (unique per intent) before `expiresAt`, then call /api/escrow/execute with the intentId.
+ * The listing is 'reserved' for the buyer until `expiresAt` (longer once paid), other buyers
+ * get 409 { reserved: true, reservedUntil }. Calling again while reserved returns the same intent.
+ * A buyer key holds at most MAX_UNPAID_RESERVATIONS unpaid reservations, beyond that 429.
+ *
+ * Private listings answer 403 { private: true } to anyone but the designated buyer
+ */
+app.post('/api/escrow/buy', async (req, res) => {
+  const { punkId, buyerPubkey, buyerArkAddress } = req.body
+
+  if (!punkId || !buyerPubkey || !buyerArkAddress) {
+    return res.status(400).json({ error: 'punkId, buyerPubkey, and buyerArkAddress required' })
+  }
+
+  try {
+    releaseExpiredReservations()
+
+    const listing = db.prepare(`
+      SELECT * FROM listings WHERE punk_id = ?
+    `).get(punkId)
+
+    if (!listing) {
+      return res.status(404).json({ error: 'Listing not found' })
+    }
+
+    if (!buyerAllowed(listing, buyerArkAddress, buyerPubkey)) {
+      return res.status(403).json({ error: 'This is a private listing for another buyer', private: true })
+    }
+
+    // The buyer signs and controls the address, so a reservation cannot be taken for made-up buyers
+    const authError = !await pubkeyControlsAddress(buyerPubkey, buyerArkAddress)
+      ? 'Signer does not control the buyer address'
+      : verifySignedAction(punkId, buyerPubkey, buyerArkAddress, req.body, 'buy', { buyerArkAddress })
+    if (authError) {
+      logAudit('BUYER_AUTH_FAILED', {
+        punkId,
+        buyerAddress: buyerArkAddress,
+        status: 'FAILED',
+        error: authError,
+        details: { action: 'buy' }
+      })
+      return res.status(401).json({ error: 'Buyer signature verification failed', details: authError })
+    }
+
+    const now = Date.now()
+    if (listing.starts_at && listing.starts_at > now) {
+      return res.status(400).json({ error: 'Listing not open yet', startsAt: listing.starts_at })
+    }
+
+    if (listing.status === 'deposited' && listing.expires_at && listing.expires_at <= now) {
+      return res.status(410).json({ error: 'Listing expired', expiresAt: listing.expires_at })
+    }
+
+    if (listing.status === 'reserved' && listing.reserved_by !== buyerArkAddress) {
+      return res.status(409).json({
+        error: 'Listing reserved by another buyer',
+        reserved: true,
+        reservedUntil: listing.reserved_until
+      })
+    }
+
+    if (listing.status !== 'deposited' && listing.status !== 'reserved') {
+      return res.status(400).json({
+        error: 'Punk not available for purchase',
+        currentStatus: listing.status
+      })
+    }
+
+    if (listing.buyer_address && listing.buyer_address !== buyerArkAddress) {
+      return res.status(409).json({ error: 'Purchase in progress, punk not available' })
+    }
+
+    // Marketplace fee is paid by the buyer on top of the price (see fee-policy.js)
+    const price = listing.price_sats
+    const { fee, percent: feePercent } = calculateMarketplaceFee(price)
+
+    // Same buyer again (e.g. page reload): hand back the open intent instead of a second amount
+    const openIntent = listing.status === 'reserved' && db.prepare(`
+      SELECT * FROM payment_intents
+      WHERE punk_id = ? AND buyer_address = ? AND bundle_id IS NULL AND status IN ('awaiting_payment', 'paid')
+      ORDER BY created_at DESC LIMIT 1
+    `).get(punkId, buyerArkAddress)
+
+    let intent = openIntent ? { id: openIntent.id, amount: openIntent.amount_sats, expiresAt: openIntent.expires_at } : null
+
+    if (!intent) {
+      const { unpaid } = db.prepare(`
+        SELECT COUNT(*) AS unpaid FROM payment_intents
+        WHERE lower(buyer_pubkey) = lower(?) AND bundle_id IS NULL AND status = 'awaiting_payment' AND expires_at > ?
+      `).get(buyerPubkey, now)
+      if (unpaid >= MAX_UNPAID_RESERVATIONS) {
+        return res.status(429).json({
+          error: `You already hold ${unpaid} unpaid reservations, pay for or release one first`,
+          maxUnpaidReservations: MAX_UNPAID_RESERVATIONS
+        })
+      }
+
+      // The exact amount to pay is unique per intent so the payment can be matched
+      try {
+        db.transaction(() => {
+          intent = createPaymentIntent(listing, buyerArkAddress, buyerPubkey, fee)
+          const reserved = db.prepare(`
+            UPDATE listings SET status = 'reserved', reserved_by = ?, reserved_until = ?
+            WHERE punk_id = ? AND price_sats = ? AND buyer_address IS NULL
+              AND (status = 'deposited' OR (status = 'reserved' AND reserved_by = ?))
+          `).run(buyerArkAddress, intent.expiresAt, punkId, price, buyerArkAddress)
+          if (reserved.changes !== 1) {
+            throw new Error('Listing changed, try again')
+          }
+        })()
+      } catch (reserveError) {
+        return res.status(409).json({ error: reserveError.message })
+      }
+
+      logAudit('LISTING_RESERVED', {
+        punkId,
+        sellerAddress: listing.seller_address,
+        buyerAddress: buyerArkAddress,
+        amount: price,
+        status: 'SUCCESS',
+        details: { intentId: intent.id, reservedUntil: intent.expiresAt }
+      })
+    }
+
+    const totalWithFee = intent.amount
+
+    console.log(`🛒 Buy request for punk ${punkId.slice(0, 8)}...`)
+    console.log(`   Price: ${price} sats`)
+    console.log(`   Fee (${feePercent}%): ${fee} sats`)
+    console.log(`   Buyer: ${buyerArkAddress.slice(0, 20)}...`)
+    console.log(`   Intent: ${intent.id} (${totalWithFee} sats)`)
+
+    return res.json({
+      success: true,
+      punkId,
+      intentId: intent.id,
+      expiresAt: intent.expiresAt,
+      reservedUntil: intent.expiresAt,
+      price: price.toString(),
+      totalWithFee: totalWithFee.toString(),
+      fee: fee.toString(),
+      feePercent,
+      escrowAddress: listing.escrow_address || ESCROW_ADDRESS,
+      instructions: [
+        `Send exactly ${totalWithFee} sats to escrow address: ${listing.escrow_address || ESCROW_ADDRESS}`,
+        `Payment must arrive before ${new Date(intent.expiresAt).toISOString()}, the punk is reserved for you until then`,
+        'The punk will be transferred to you once payment is confirmed',
+        'The seller will receive their payment automatically',
+        'Late or unmatched payments are refunded automatically'
+      ]
+    })
+  } catch (error) {
+    console.error('Error processing buy request:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Give up a reservation before paying
+ * POST /api/escrow/release
+ * Body: { punkId, intentId, nonce, timestamp, signature }
+ *
+ * signature = schnorr(sha256(canonical {punkId, action: 'release_reservation', intentId, nonce, timestamp})) by the intent's buyer_pubkey
+ *
+ * The intent expires (a payment still arriving is refunded) and the listing returns to 'deposited'
+ */
+app.post('/api/escrow/release', async (req, res) => {
+  const { punkId, intentId } = req.body
+
+  if (!punkId || !intentId) {
+    return res.status(400).json({ error: 'punkId and intentId required' })
+  }
+
+  try {
+    const intent = db.prepare('SELECT * FROM payment_intents WHERE id = ?').get(intentId)
+
+    if (!intent || intent.punk_id !== punkId || intent.bundle_id) {
+      return res.status(404).json({ error: 'Payment intent not found' })
+    }
+
+    const authError = verifySignedAction(punkId, intent.buyer_pubkey, intent.buyer_address, req.body, 'release_reservation', { intentId })
+    if (authError) {
+      logAudit('BUYER_AUTH_FAILED', {
+        punkId,
+        buyerAddress: intent.buyer_address,
+        status: 'FAILED',
+        error: authError,
+        details: { action: 'release_reservation', intentId }
+      })
+      return res.status(401).json({ error: 'Buyer signature verification failed', details: authError })
+    }
+
+    if (intent.status !== 'awaiting_payment') {
+      return res.status(400).json({ error: 'Only unpaid reservations can be released', currentStatus: intent.status })
+    }
+
+    // The payment may already be in escrow: then the purchase goes ahead instead
+    if (await matchIntentPayment(intent)) {
+      return res.status(409).json({ error: 'Payment already received, complete the purchase' })
+    }
+
+    const now = Date.now()
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE payment_intents SET status = 'expired', expires_at = ? WHERE id = ? AND status = 'awaiting_payment'
+      `).run(now, intent.id)
+      db.prepare(`
+        UPDATE listings SET status = 'deposited', reserved_by = NULL, reserved_until = NULL
+        WHERE punk_id = ? AND status = 'reserved' AND reserved_by = ?
+      `).run(punkId, intent.buyer_address)
+    })()
+
+    logAudit('RESERVATION_RELEASED', {
+      punkId,
+      buyerAddress: intent.buyer_address,
+      status: 'SUCCESS',
+      details: { intentId }
+    })
+
+    return res.json({ success: true, punkId, status: 'deposited' })
+  } catch (error) {
+    console.error('Error releasing reservation:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Move a punk to its new owner and record the transfer in its ownership history
+ * Every sale path (execute, offers, auctions, floor bids) and gifts (/api/punks/transfer) call this inside their transaction
+ */
+function transferPunkOwnership(punkId, fromAddress, toAddress, now) {
+  db.prepare(`
+    UPDATE punks
+    SET owner_address = ?,
+        updated_at = ?
+    WHERE punk_id = ?
+  `).run(toAddress, now, punkId)
+
+  db.prepare(`
+    INSERT INTO ownership_history (punk_id, from_address, to_address, transferred_at)
+    VALUES (?, ?, ?, ?)
+  `).run(punkId, fromAddress, toAddress, now)
+}
+
+/**
+ * Execute purchase (simple account-based system)
+ * POST /api/escrow/execute
+ * Body: { punkId, buyerPubkey, buyerArkAddress, intentId }
+ *
+ * Flow:
+ * 1. Verify the buyer's payment for the intent arrived in escrow
+ * 2. Update punk owner in database
+ * 3. Escrow sends payment to seller
+ *
+ * Intents of anyone but the designated buyer of a private listing are rejected (403)
+ */
+app.post('/api/escrow/execute', async (req, res) => {
+  const { punkId, buyerPubkey, buyerArkAddress, intentId } = req.body
+
+  if (!punkId || !buyerPubkey || !buyerArkAddress || !intentId) {
+    return res.status(400).json({ error: 'punkId, buyerPubkey, buyerArkAddress and intentId required' })
+  }
+
+  try {
+    let intent = db.prepare('SELECT * FROM payment_intents WHERE id = ?').get(intentId)
+
+    if (!intent || intent.punk_id !== punkId || intent.buyer_address !== buyerArkAddress) {
+      return res.status(404).json({ error: 'Payment intent not found' })
+    }
+
+    if (intent.bundle_id) {
+      return res.status(400).json({ error: 'Bundle purchases are executed via /api/bundles/:id/execute', bundleId: intent.bundle_id })
+    }
+
+    const privateListing = db.prepare('SELECT allowed_buyer FROM listings WHERE punk_id = ? AND allowed_buyer IS NOT NULL').get(punkId)
+    if (privateListing && !buyerAllowed(privateListing, intent.buyer_address, intent.buyer_pubkey)) {
+      return res.status(403).json({ error: 'This is a private listing for another buyer', private: true })
+    }
+
+    if (intent.status === 'completed') {
+      return res.status(400).json({ error: 'Purchase already completed' })
+    }
+
+    if (intent.status === 'refunded' || intent.status === 'refund_failed') {
+      return res.status(410).json({
+        error: 'Payment intent closed, payment was refunded',
+        refundTxid: intent.refund_txid
+      })
+    }
+
+    if (intent.status === 'awaiting_payment' || intent.status === 'expired') {
+      // STEP 0: Verify buyer payment actually arrived in escrow
+      const paid = await matchIntentPayment(intent)
+
+      if (!paid) {
+        if (intent.expires_at <= Date.now()) {
+          return res.status(410).json({
+            error: 'Payment intent expired',
+            note: 'Any late payment will be refunded automatically'
+          })
+        }
+        return res.status(402).json({
+          error: 'Payment not found yet',
+          expectedAmount: intent.amount_sats,
+          expiresAt: intent.expires_at
+        })
+      }
+
+      if (intent.status === 'expired') {
+        await refundIntent(paid, 'late_payment')
+        return res.status(410).json({
+          error: 'Payment arrived after the intent expired and is being refunded'
+        })
+      }
+
+      intent = paid
+    }
+
+    const listing = db.prepare(`
+      SELECT * FROM listings WHERE punk_id = ?
+    `).get(punkId)
+
+    if (!listingAvailableTo(listing, buyerArkAddress, intent.buyer_pubkey)) {
+      // Buyer paid but the punk is gone: give the money back
+      const refundTxid = await refundIntent(intent, 'listing_unavailable')
+      return res.status(409).json({
+        error: 'Listing not available for execution',
+        currentStatus: listing?.status || 'missing',
+        refundTxid
+      })
+    }
+
+    // The seller repriced after the buyer was quoted: the payment matches the old price
+    if (listing.price_sats !== intent.price_sats) {
+      const refundTxid = await refundIntent(intent, 'price_changed')
+      return res.status(409).json({
+        error: 'Listing price changed, your payment is being refunded',
+        paidPrice: intent.price_sats,
+        currentPrice: listing.price_sats,
+        refundTxid
+      })
+    }
+
+    // CRITICAL: Check if payment already made (prevent double payment)
+    if (listing.payment_txid) {
+      console.log(`⚠️  Payment already made for punk ${punkId.slice(0, 8)}: ${listing.payment_txid}`)
+      return res.status(400).json({
+        error: 'Purchase already completed',
+        paymentTxid: listing.payment_txid
+      })
+    }
+
+    const now = Date.now()
+
+    console.log(`💰 Executing purchase for punk ${punkId.slice(0, 8)}...`)
+    console.log(`   Price: ${listing.price_sats} sats`)
+    console.log(`   Seller: ${listing.seller_address.slice(0, 20)}...`)
+    console.log(`   Buyer: ${buyerArkAddress.slice(0, 20)}...`)
+
+    // Note: In v2 architecture, wallets are registered via punk ownership
+    // No need for separate registered_wallets table
+
+    // STEP 1: Lock, transfer and record the sale in ONE transaction (prevents double execution)
+    console.log(`📝 Step 1: Transferring ownership and recording sale...`)
+
+    // Lock the listing to this buyer and consume the intent, so neither can execute twice
+    const lockListing = db.prepare(`
+      UPDATE listings
+      SET buyer_address = ?, buyer_pubkey = ?
+      WHERE punk_id = ? AND (buyer_address IS NULL OR buyer_address = ?)
+        AND (status = 'deposited' OR (status = 'reserved' AND reserved_by = ?))
+    `)
+
+    const completeIntent = db.prepare(`
+      UPDATE payment_intents
+      SET status = 'completed', completed_at = ?
+      WHERE id = ? AND status = 'paid'
+    `)
+
+    const updateListing = db.prepare(`
+      UPDATE listings
+      SET status = 'sold',
+          sold_at = ?,
+          buyer_address = ?,
+          buyer_pubkey = ?,
+          reserved_by = NULL,
+          reserved_until = NULL
+      WHERE punk_id = ?
+    `)
+
+    const insertSale = db.prepare(`
+      INSERT INTO sales (punk_id, price_sats, seller_address, buyer_address, sold_at)
+      VALUES (?, ?, ?, ?, ?)
+    `)
+
+    // Lock, ownership transfer, sale record and seller payouts commit together:
+    // the punk never changes hands without the sale being recorded and the seller paid.
+    // Payouts go through the outbox so a failed send is retried instead of lost
+    let saleId
+    let payoutIds
+    const purchaseTransaction = db.transaction(() => {
+      if (completeIntent.run(now, intent.id).changes !== 1) {
+        throw new Error('Payment intent already used')
+      }
+      if (lockListing.run(buyerArkAddress, buyerPubkey, punkId, buyerArkAddress, buyerArkAddress).changes !== 1) {
+        throw new Error('Listing already being purchased')
+      }
+      transferPunkOwnership(punkId, listing.seller_address, buyerArkAddress, now)
+
+      updateListing.run(now, buyerArkAddress, buyerPubkey, punkId)
+      saleId = insertSale.run(punkId, listing.price_sats, listing.seller_address, buyerArkAddress, now).lastInsertRowid
+      recordSaleFee(saleId, intent)
+      payoutIds = [
+        enqueuePayout({
+          kind: 'sale_proceeds',
+          recipient: listing.seller_address,
+          amount: listing.price_sats,
+          punkId,
+          saleId,
+          sourceKeyIndex: intent.escrow_key_index,
+          idempotencyKey: `sale:${intent.id}:proceeds`
+        }),
+        enqueuePayout({
+          kind: 'deposit_return',
+          recipient: listing.seller_address,
+          amount: listing.deposit_amount_sats || DEPOSIT_AMOUNT,
+          punkId,
+          saleId,
+          sourceKeyIndex: listing.escrow_key_index ?? null,
+          idempotencyKey: `sale:${intent.id}:deposit`
+        })
+      ]
+    })
+
+    try {
+      purchaseTransaction()
+    } catch (lockError) {
+      if (!/already (used|being purchased)/.test(lockError.message)) throw lockError
+      console.log(`⚠️  Purchase lock failed for punk ${punkId.slice(0, 8)}: ${lockError.message}`)
+      return res.status(409).json({ error: lockError.message })
+    }
+    console.log(`✅ Ownership transferred, sale recorded and payouts queued`)
+
+    // STEP 2: Send payouts now (the worker retries anything that fails)
+    console.log(`💸 Step 2: Sending payouts to seller...`)
+    await processPayouts()
+
+    const payouts = db.prepare(`
+      SELECT id, kind, status, txid, amount_sats FROM payouts WHERE id IN (?, ?)
+    `).all(...payoutIds)
+    const proceeds = payouts.find(p => p.kind === 'sale_proceeds')
+    const depositReturn = payouts.find(p => p.kind === 'deposit_return')
+    const paymentTxid = proceeds?.txid || null
+
+    // AUDIT: Sale completed (payouts may still be pending in the outbox)
+    logAudit('SALE_COMPLETED', {
+      punkId,
+      sellerAddress: listing.seller_address,
+      buyerAddress: buyerArkAddress,
+      amount: listing.price_sats,
+      txid: paymentTxid,
+      status: 'SUCCESS',
+      details: {
+        saleId,
+        depositReturnTxid: depositReturn?.txid || null,
+        depositAmount: listing.deposit_amount_sats || DEPOSIT_AMOUNT,
+        intentId: intent.id,
+        paymentOutpoint: intent.vtxo_outpoint,
+        payouts: payouts.map(p => ({ id: p.id, kind: p.kind, status: p.status }))
+      }
+    })
+
+    console.log(`✅ Purchase completed for punk ${punkId.slice(0, 8)}...`)
+    console.log(`   Seller: ${listing.seller_address.slice(0, 20)}...`)
+    console.log(`   Buyer: ${buyerArkAddress.slice(0, 20)}...`)
+    console.log(`   Price: ${listing.price_sats} sats`)
+    console.log(`   Payment TXID: ${paymentTxid || 'queued'}`)
+
+    return res.json({
+      success: true,
+      punkId,
+      paymentTxid,
+      payouts: payouts.map(p => ({ kind: p.kind, status: p.status, txid: p.txid })),
+      message: paymentTxid
+        ? 'Purchase completed successfully! The punk is now yours.'
+        : 'Purchase completed! The punk is now yours. Seller payout is queued and will be retried automatically.'
+    })
+
+  } catch (error) {
+    console.error('Error executing purchase:', error)
+    return res.status(500).json({ error: 'Database error during purchase execution' })
+  }
+})
+
+// Price changes of escrow listings (a listing is identified by punk_id + its created_at)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS listing_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    punk_id TEXT NOT NULL,
+    listing_created_at INTEGER NOT NULL,
+    seller_address TEXT NOT NULL,
+    old_price_sats INTEGER NOT NULL,
+    new_price_sats INTEGER NOT NULL,
+    changed_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_listing_history_punk ON listing_history(punk_id, changed_at);
+`)
+
+/**
+ * Change the price of an active escrow listing
+ * POST /api/escrow/relist
+ * Body: { punkId, price, nonce, timestamp, signature }
+ *
+ * signature = schnorr(sha256(canonical {punkId, action: 'relist', price, nonce, timestamp})) by seller_pubkey
+ *
+ * The listing keeps its status and deposit. Buyers who already paid the old price block the change;
+ * a payment for the old price arriving later is refunded at execution.
+ */
+app.post('/api/escrow/relist', (req, res) => {
+  const { punkId, price } = req.body
+  const newPrice = Number(price)
+
+  if (!punkId || !Number.isSafeInteger(newPrice) || newPrice <= 0) {
+    return res.status(400).json({ error: 'punkId and a positive integer price required' })
+  }
+
+  try {
+    releaseExpiredReservations()
+    const listing = db.prepare('SELECT * FROM listings WHERE punk_id = ?').get(punkId)
+
+    if (!listing) {
+      return res.status(404).json({ error: 'Listing not found' })
+    }
+
+    const authError = verifySellerAction(listing, req.body, 'relist', { price: newPrice })
+    if (authError) {
+      logAudit('SELLER_AUTH_FAILED', {
+        punkId,
+        sellerAddress: listing.seller_address,
+        amount: newPrice,
+        status: 'FAILED',
+        error: authError,
+        details: { action: 'relist' }
+      })
+      return res.status(401).json({ error: 'Seller signature verification failed', details: authError })
+    }
+
+    if (listing.status === 'reserved') {
+      return res.status(409).json({
+        error: 'Listing reserved by a buyer, the price can be changed if the reservation expires',
+        reservedUntil: listing.reserved_until
+      })
+    }
+
+    if (listing.status !== 'pending' && listing.status !== 'deposited') {
+      return res.status(400).json({
+        error: 'Listing not active',
+        currentStatus: listing.status
+      })
+    }
+
+    if (listing.offer_id) {
+      return res.status(400).json({ error: 'Listing was created by an accepted offer, its price is the offer amount' })
+    }
+
+    if (listing.auction_id) {
+      return res.status(400).json({ error: 'Auction reserve cannot be changed' })
+    }
+
+    if (listing.bundle_id) {
+      return res.status(400).json({ error: 'Punk is part of a bundle, the bundle price applies', bundleId: listing.bundle_id })
+    }
+
+    if (newPrice === listing.price_sats) {
+      return res.status(400).json({ error: 'Price unchanged' })
+    }
+
+    const paidIntent = db.prepare(`
+      SELECT id FROM payment_intents WHERE punk_id = ? AND status = 'paid' AND bundle_id IS NULL
+    `).get(punkId)
+    if (paidIntent) {
+      return res.status(409).json({ error: 'A buyer has already paid the current price, try again later' })
+    }
+
+    const now = Date.now()
+    let historyId
+    db.transaction(() => {
+      db.prepare('UPDATE listings SET price_sats = ? WHERE punk_id = ?').run(newPrice, punkId)
+      historyId = db.prepare(`
+        INSERT INTO listing_history (punk_id, listing_created_at, seller_address, old_price_sats, new_price_sats, changed_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(punkId, listing.created_at, listing.seller_address, listing.price_sats, newPrice, now).lastInsertRowid
+    })()
+
+    logAudit('LISTING_PRICE_UPDATED', {
+      punkId,
+      sellerAddress: listing.seller_address,
+      amount: newPrice,
+      status: 'SUCCESS',
+      details: { oldPrice: listing.price_sats, newPrice, historyId }
+    })
+
+    console.log(`🏷️  Listing repriced: ${punkId.slice(0, 8)}... ${listing.price_sats} → ${newPrice} sats`)
+
+    return res.json({
+      success: true,
+      punkId,
+      oldPrice: listing.price_sats,
+      price: newPrice,
+      status: listing.status,
+      changedAt: now
+    })
+  } catch (error) {
+    console.error('Error repricing listing:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Price changes of a punk's listings, newest first
+ * GET /api/escrow/history/:punkId
+ *
+ * `current` marks changes made to the punk's current listing
+ */
+app.get('/api/escrow/history/:punkId', (req, res) => {
+  const { punkId } = req.params
+
+  try {
+    const listing = db.prepare('SELECT created_at FROM listings WHERE punk_id = ?').get(punkId)
+    const rows = db.prepare(`
+      SELECT * FROM listing_history WHERE punk_id = ? ORDER BY changed_at DESC, id DESC LIMIT 50
+    `).all(punkId)
+
+    return res.json({
+      success: true,
+      punkId,
+      history: rows.map(row => ({
+        oldPrice: row.old_price_sats,
+        newPrice: row.new_price_sats,
+        seller: row.seller_address,
+        changedAt: row.changed_at,
+        listingCreatedAt: row.listing_created_at,
+        current: row.listing_created_at === listing?.created_at
+      }))
+    })
+  } catch (error) {
+    console.error('Error fetching listing history:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Cancel escrow listing
+ * POST /api/escrow/cancel
+ * Body: { punkId, sellerAddress, nonce, timestamp, signature }
+ *
+ * signature = schnorr(sha256(canonical {punkId, action: 'cancel', nonce, timestamp})) by seller_pubkey
+ */
+app.post('/api/escrow/cancel', async (req, res) => {
+  const { punkId, sellerAddress } = req.body
+
+  if (!punkId || !sellerAddress) {
+    return res.status(400).json({ error: 'punkId and sellerAddress required' })
+  }
+
+  try {
+    releaseExpiredReservations()
+    const listing = db.prepare(`
+      SELECT * FROM listings WHERE punk_id = ?
+    `).get(punkId)
+
+    if (!listing) {
+      return res.status(404).json({ error: 'Listing not found' })
+    }
+
+    if (listing.seller_address !== sellerAddress) {
+      return res.status(403).json({ error: 'Not your listing' })
+    }
+
+    const authError = verifySellerAction(listing, req.body, 'cancel')
+    if (authError) {
+      logAudit('SELLER_AUTH_FAILED', {
+        punkId,
+        sellerAddress,
+        status: 'FAILED',
+        error: authError,
+        details: { action: 'cancel' }
+      })
+      return res.status(401).json({ error: 'Seller signature verification failed', details: authError })
+    }
+
+    if (listing.status === 'sold') {
+      return res.status(400).json({ error: 'Listing already sold' })
+    }
+
+    if (listing.bundle_id) {
+      return res.status(400).json({ error: 'Punk is part of a bundle, cancel the bundle instead', bundleId: listing.bundle_id })
+    }
+
+    // An accepted offer's listing can be withdrawn until the deposit arrives (the offer reopens)
+    if (listing.buyer_address && !(listing.offer_id && listing.status === 'pending')) {
+      return res.status(400).json({ error: 'Purchase in progress, listing cannot be cancelled' })
+    }
+
+    if (listing.status === 'reserved') {
+      return res.status(409).json({
+        error: 'Listing reserved by a buyer, it can be cancelled if the reservation expires',
+        reservedUntil: listing.reserved_until
+      })
+    }
+
+    // Auctions can be withdrawn until the first bid is funded
+    if (listing.auction_id && leadingBid(listing.auction_id)) {
+      return res.status(400).json({ error: 'Auction has bids, it can no longer be cancelled' })
+    }
+
+    // Check if we need to refund - either by status OR by reconciling the escrow wallet
+    // This handles race condition where user cancels before deposit is confirmed in DB
+    let needsRefund = listing.status === 'deposited' || listing.status === 'auction'
+    let vtxoOutpoint = listing.punk_vtxo_outpoint
+    const depositAmount = listing.deposit_amount_sats || DEPOSIT_AMOUNT
+
+    // If status is not 'deposited', reconcile first: only a VTXO attributed to
+    // this listing is refunded, never another seller's deposit
+    if (!needsRefund && listing.status === 'pending') {
+      console.log(`🔍 Reconciling escrow for unreported deposit...`)
+      await reconcileDeposits()
+      const current = db.prepare('SELECT status, punk_vtxo_outpoint FROM listings WHERE punk_id = ?').get(punkId)
+      if (current?.status === 'deposited' && listing.offer_id) {
+        await settleOffer(listing.offer_id)
+        return res.status(409).json({ error: 'Deposit already received, the accepted offer is being settled' })
+      }
+      if (current?.status === 'deposited' || current?.status === 'auction') {
+        needsRefund = true
+        vtxoOutpoint = current.punk_vtxo_outpoint
+        console.log(`   Deposit found: ${vtxoOutpoint}`)
+      }
+    }
+
+    // If punk was deposited (confirmed or found in escrow), return it to seller
+    let returnTxid = null
+    if (needsRefund) {
+      console.log(`📦 Punk was deposited, returning to seller...`)
+      try {
+        const result = await returnPunkToSeller(sellerAddress, depositAmount, listing.escrow_key_index)
+        returnTxid = result.txid
+        console.log(`✅ Punk returned via txid: ${returnTxid}`)
+      } catch (returnError) {
+        console.error(`❌ Failed to return punk:`, returnError)
+
+        // AUDIT: Refund failed
+        logAudit('REFUND_FAILED', {
+          punkId,
+          sellerAddress,
+          amount: depositAmount,
+          status: 'FAILED',
+          error: returnError.message
+        })
+
+        // Still mark as cancelled, but note the return failed
+        return res.status(500).json({
+          error: 'Failed to return punk from escrow',
+          details: returnError.message,
+          note: 'Listing marked as cancelled but punk not returned. Contact support.'
+        })
+      }
+    }
+
+    // Cancel the listing
+    const now = Date.now()
+    db.prepare(`
+      UPDATE listings
+      SET status = 'cancelled', cancelled_at = ?
+      WHERE punk_id = ?
+    `).run(now, punkId)
+
+    if (listing.offer_id) {
+      const offer = db.prepare('SELECT * FROM offers WHERE id = ?').get(listing.offer_id)
+      if (offer) {
+        reopenOffer(offer, 'listing_cancelled')
+      }
+    }
+
+    // AUDIT: Listing cancelled
+    const wasDbDeposited = listing.status === 'deposited' || listing.status === 'auction'
+    const foundUnconfirmedDeposit = needsRefund && !wasDbDeposited
+    logAudit('LISTING_CANCELLED', {
+      punkId,
+      sellerAddress,
+      amount: listing.price_sats,
+      txid: returnTxid,
+      status: 'SUCCESS',
+      details: {
+        wasDeposited: wasDbDeposited,
+        foundUnconfirmedDeposit,
+        refundAmount: returnTxid ? depositAmount : 0,
+        vtxoOutpoint
+      }
+    })
+
+    console.log(`🔴 Listing cancelled: ${punkId.slice(0, 8)}...`)
+
+    return res.json({
+      success: true,
+      message: returnTxid
+        ? 'Listing cancelled and punk returned to your wallet'
+        : 'Listing cancelled (punk was not yet deposited)',
+      punkId,
+      returnTxid
+    })
+  } catch (error) {
+    console.error('Error cancelling listing:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+// ============================================================
+// OFFERS (escrowed bids on any punk, listed or not)
+// ============================================================
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS offers (
+    id TEXT PRIMARY KEY,
+    punk_id TEXT NOT NULL,
+    buyer_address TEXT NOT NULL,
+    buyer_pubkey TEXT NOT NULL,
+    amount_sats INTEGER NOT NULL,          -- Offered price (what the owner receives)
+    fee_sats INTEGER NOT NULL,             -- Marketplace fee, paid on top by the buyer
+    payment_amount_sats INTEGER NOT NULL,  -- Exact amount locked in escrow (amount + fee + unique offset)
+    status TEXT NOT NULL CHECK(status IN ('awaiting_payment', 'active', 'accepted', 'completed', 'expired', 'cancelled', 'refunded')),
+    escrow_address TEXT,
+    escrow_key_index INTEGER,              -- Sub-wallet holding the locked funds (NULL = master)
+    vtxo_outpoint TEXT,
+    seller_address TEXT,                   -- Owner payout address, set on accept
+    seller_pubkey TEXT,
+    refund_reason TEXT,
+    sale_id INTEGER,
+    created_at INTEGER NOT NULL,
+    payment_expires_at INTEGER NOT NULL,   -- Funds must arrive before this
+    expires_at INTEGER NOT NULL,           -- Funded offers are refunded after this unless accepted
+    funded_at INTEGER,
+    accepted_at INTEGER,
+    deposit_expires_at INTEGER,            -- Owner must deposit the punk before this after accepting
+    closed_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS idx_offers_punk ON offers(punk_id, status);
+  CREATE INDEX IF NOT EXISTS idx_offers_buyer ON offers(buyer_address);
+  CREATE INDEX IF NOT EXISTS idx_offers_status ON offers(status, expires_at);
+`)
+
+const OFFER_DEFAULT_DURATION_MS = 3 * 24 * 60 * 60 * 1000
+const OFFER_MIN_DURATION_MS = 60 * 60 * 1000
+const OFFER_MAX_DURATION_MS = 30 * 24 * 60 * 60 * 1000
+const OFFER_DEPOSIT_TTL_MS = 30 * 60 * 1000  // Accepted offer reopens if the owner never deposits
+const OFFER_SWEEP_INTERVAL_MS = 60 * 1000
+
+/**
+ * Payment amounts of offers waiting for funds (or still watched for late funds)
+ */
+function openOfferAmounts() {
+  return db.prepare(`
+    SELECT payment_amount_sats FROM offers
+    WHERE status = 'awaiting_payment'
+       OR (status IN ('expired', 'cancelled') AND vtxo_outpoint IS NULL AND payment_expires_at > ?)
+  `).all(Date.now() - LATE_PAYMENT_WINDOW_MS).map(row => row.payment_amount_sats)
+}
+
+function formatOffer(offer) {
+  return {
+    offerId: offer.id,
+    punkId: offer.punk_id,
+    buyerAddress: offer.buyer_address,
+    buyerPubkey: offer.buyer_pubkey,
+    amount: offer.amount_sats,
+    fee: offer.fee_sats,
+    paymentAmount: offer.payment_amount_sats,
+    status: offer.status,
+    escrowAddress: offer.escrow_address,
+    sellerAddress: offer.seller_address,
+    refundReason: offer.refund_reason,
+    saleId: offer.sale_id,
+    createdAt: offer.created_at,
+    paymentExpiresAt: offer.payment_expires_at,
+    expiresAt: offer.expires_at,
+    fundedAt: offer.funded_at,
+    acceptedAt: offer.accepted_at,
+    depositExpiresAt: offer.deposit_expires_at,
+    closedAt: offer.closed_at
+  }
+}
+
+/**
+ * Look for the offer's funds in escrow and mark the offer as active
+ * Cancelled or expired offers are still matched so late funds can be refunded
+ * @returns Updated offer, or null if no matching VTXO arrived yet
+ */
+async function matchOfferPayment(offer) {
+  const vtxo = await findIncomingPayment(
+    offer.payment_amount_sats,
+    offer.created_at - VTXO_CLOCK_SKEW_MS,
+    [...claimedEscrowOutpoints()],
+    offer.escrow_key_index
+  )
+  if (!vtxo) {
+    return null
+  }
+
+  const outpoint = `${vtxo.txid}:${vtxo.vout}`
+  const now = Date.now()
+  const result = db.prepare(`
+    UPDATE offers
+    SET status = 'active', vtxo_outpoint = ?, funded_at = ?
+    WHERE id = ? AND status IN ('awaiting_payment', 'expired', 'cancelled') AND vtxo_outpoint IS NULL
+  `).run(outpoint, now, offer.id)
+
+  if (result.changes !== 1) {
+    return null
+  }
+
+  logAudit('OFFER_FUNDED', {
+    punkId: offer.punk_id,
+    buyerAddress: offer.buyer_address,
+    amount: offer.payment_amount_sats,
+    txid: vtxo.txid,
+    status: 'SUCCESS',
+    details: { offerId: offer.id, vtxoOutpoint: outpoint, late: offer.status !== 'awaiting_payment' }
+  })
+
+  return db.prepare('SELECT * FROM offers WHERE id = ?').get(offer.id)
+}
+
+/**
+ * Close a funded offer and queue the locked funds back to the buyer
+ * @returns Payout id, or null if the offer was not refundable (already closed)
+ */
+function refundOffer(offer, reason) {
+  let payoutId = null
+
+  db.transaction(() => {
+    const claim = db.prepare(`
+      UPDATE offers SET status = 'refunded', refund_reason = ?, closed_at = ?
+      WHERE id = ? AND status IN ('active', 'accepted')
+    `).run(reason, Date.now(), offer.id)
+
+    if (claim.changes !== 1) return
+
+    payoutId = enqueuePayout({
+      kind: 'offer_refund',
+      recipient: offer.buyer_address,
+      amount: offer.payment_amount_sats,
+      punkId: offer.punk_id,
+      sourceKeyIndex: offer.escrow_key_index,
+      idempotencyKey: `offer:${offer.id}:refund`
+    })
+  })()
+
+  if (payoutId !== null) {
+    logAudit('OFFER_REFUNDED', {
+      punkId: offer.punk_id,
+      buyerAddress: offer.buyer_address,
+      amount: offer.payment_amount_sats,
+      status: 'SUCCESS',
+      details: { offerId: offer.id, reason, payoutId }
+    })
+  }
+
+  return payoutId
+}
+
+/**
+ * Put an accepted offer back up for acceptance (owner never deposited, or cancelled the listing)
+ * The pending listing created on accept is cancelled unless its deposit already arrived
+ * @returns true if the offer was reopened
+ */
+function reopenOffer(offer, reason) {
+  let reopened = false
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE listings SET status = 'cancelled', cancelled_at = ?
+      WHERE punk_id = ? AND offer_id = ? AND status = 'pending'
+    `).run(Date.now(), offer.punk_id, offer.id)
+
+    const listing = db.prepare('SELECT status, offer_id FROM listings WHERE punk_id = ?').get(offer.punk_id)
+    if (listing?.offer_id === offer.id && listing.status === 'deposited') return
+
+    reopened = db.prepare(`
+      UPDATE offers
+      SET status = 'active', seller_address = NULL, seller_pubkey = NULL, accepted_at = NULL, deposit_expires_at = NULL
+      WHERE id = ? AND status = 'accepted'
+    `).run(offer.id).changes === 1
+  })()
+
+  if (reopened) {
+    logAudit('OFFER_REOPENED', {
+      punkId: offer.punk_id,
+      sellerAddress: offer.seller_address,
+      buyerAddress: offer.buyer_address,
+      amount: offer.amount_sats,
+      status: 'SUCCESS',
+      details: { offerId: offer.id, reason }
+    })
+  }
+
+  return reopened
+}
+
+/**
+ * Complete an accepted offer once the owner's deposit is in escrow
+ * Same bookkeeping as /api/escrow/execute (ownership, sale, fee, payouts) in one transaction;
+ * the buyer's funds are already locked so no payment step is needed
+ *
+ * @returns { saleId, payouts }, or null if the offer is not ready to settle
+ */
+async function settleOffer(offerId) {
+  const offer = db.prepare('SELECT * FROM offers WHERE id = ?').get(offerId)
+  if (!offer || offer.status !== 'accepted') {
+    return null
+  }
+
+  const listing = db.prepare('SELECT * FROM listings WHERE punk_id = ?').get(offer.punk_id)
+  if (!listing || listing.offer_id !== offer.id || listing.status !== 'deposited') {
+    return null
+  }
+
+  const now = Date.now()
+  const depositAmount = listing.deposit_amount_sats || DEPOSIT_AMOUNT
+  // The seller who deposited the punk: ownership, sale record and payouts all use this address
+  const sellerAddress = listing.seller_address
+  let saleId
+  let payoutIds
+
+  try {
+    db.transaction(() => {
+      const closed = db.prepare(`
+        UPDATE offers SET status = 'completed', closed_at = ? WHERE id = ? AND status = 'accepted'
+      `).run(now, offer.id)
+      if (closed.changes !== 1) {
+        throw new Error('Offer already settled')
+      }
+
+      const sold = db.prepare(`
+        UPDATE listings
+        SET status = 'sold', sold_at = ?, price_sats = ?, buyer_address = ?, buyer_pubkey = ?
+        WHERE punk_id = ? AND offer_id = ? AND status = 'deposited'
+      `).run(now, offer.amount_sats, offer.buyer_address, offer.buyer_pubkey, offer.punk_id, offer.id)
+      if (sold.changes !== 1) {
+        throw new Error('Listing no longer deposited')
+      }
+
+      transferPunkOwnership(offer.punk_id, sellerAddress, offer.buyer_address, now)
+
+      saleId = db.prepare(`
+        INSERT INTO sales (punk_id, price_sats, seller_address, buyer_address, sold_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(offer.punk_id, offer.amount_sats, sellerAddress, offer.buyer_address, now).lastInsertRowid
+      db.prepare('UPDATE offers SET sale_id = ? WHERE id = ?').run(saleId, offer.id)
+
+      recordSaleFee(saleId, {
+        punk_id: offer.punk_id,
+        price_sats: offer.amount_sats,
+        fee_sats: offer.fee_sats,
+        amount_sats: offer.payment_amount_sats,
+        escrow_key_index: offer.escrow_key_index
+      })
+
+      payoutIds = [
+        enqueuePayout({
+          kind: 'sale_proceeds',
+          recipient: sellerAddress,
+          amount: offer.amount_sats,
+          punkId: offer.punk_id,
+          saleId,
+          sourceKeyIndex: offer.escrow_key_index,
+          idempotencyKey: `offer:${offer.id}:proceeds`
+        }),
+        enqueuePayout({
+          kind: 'deposit_return',
+          recipient: sellerAddress,
+          amount: depositAmount,
+          punkId: offer.punk_id,
+          saleId,
+          sourceKeyIndex: listing.escrow_key_index ?? null,
+          idempotencyKey: `offer:${offer.id}:deposit`
+        })
+      ]
+    })()
+  } catch (error) {
+    console.log(`⚠️  Offer settlement skipped for ${offer.id}: ${error.message}`)
+    return null
+  }
+
+  await processPayouts()
+
+  const payouts = db.prepare(`
+    SELECT id, kind, status, txid, amount_sats FROM payouts WHERE id IN (?, ?)
+  `).all(...payoutIds)
+  const proceeds = payouts.find(p => p.kind === 'sale_proceeds')
+
+  logAudit('SALE_COMPLETED', {
+    punkId: offer.punk_id,
+    sellerAddress,
+    buyerAddress: offer.buyer_address,
+    amount: offer.amount_sats,
+    txid: proceeds?.txid || null,
+    status: 'SUCCESS',
+    details: {
+      saleId,
+      offerId: offer.id,
+      depositAmount,
+      paymentOutpoint: offer.vtxo_outpoint,
+      payouts: payouts.map(p => ({ id: p.id, kind: p.kind, status: p.status }))
+    }
+  })
+
+  console.log(`✅ Offer settled: ${offer.punk_id.slice(0, 8)}... sold for ${offer.amount_sats} sats`)
+
+  return { saleId, payouts: payouts.map(p => ({ kind: p.kind, status: p.status, txid: p.txid })) }
+}
+
+let sweepingOffers = false
+
+/**
+ * Background sweep:
+ * - activate offers whose funds arrived, expire unfunded ones
+ * - refund late funds to expired or cancelled offers
+ * - settle accepted offers whose deposit arrived, reopen those whose owner never deposited
+ * - refund funded offers past their expiry
+ */
+async function sweepOffers() {
+  if (sweepingOffers) return
+  sweepingOffers = true
+
+  try {
+    const now = Date.now()
+
+    const awaiting = db.prepare(`SELECT * FROM offers WHERE status = 'awaiting_payment'`).all()
+
+    for (const offer of awaiting) {
+      if (await matchOfferPayment(offer)) continue
+      if (offer.payment_expires_at > now) continue
+
+      const expired = db.prepare(`
+        UPDATE offers SET status = 'expired', closed_at = ? WHERE id = ? AND status = 'awaiting_payment'
+      `).run(now, offer.id)
+
+      if (expired.changes === 1) {
+        logAudit('OFFER_EXPIRED', {
+          punkId: offer.punk_id,
+          buyerAddress: offer.buyer_address,
+          amount: offer.amount_sats,
+          status: 'SUCCESS',
+          details: { offerId: offer.id, funded: false }
+        })
+      }
+    }
+
+    const watched = db.prepare(`
+      SELECT * FROM offers
+      WHERE status IN ('expired', 'cancelled') AND vtxo_outpoint IS NULL AND payment_expires_at > ?
+    `).all(now - LATE_PAYMENT_WINDOW_MS)
+
+    for (const offer of watched) {
+      const funded = await matchOfferPayment(offer)
+      if (funded) {
+        refundOffer(funded, 'late_payment')
+      }
+    }
+
+    const accepted = db.prepare(`SELECT * FROM offers WHERE status = 'accepted'`).all()
+
+    for (const offer of accepted) {
+      const listing = db.prepare('SELECT status, offer_id FROM listings WHERE punk_id = ?').get(offer.punk_id)
+
+      if (listing?.offer_id === offer.id && listing.status === 'deposited') {
+        await settleOffer(offer.id)
+      } else if (listing?.offer_id !== offer.id || listing.status !== 'pending') {
+        reopenOffer(offer, 'listing_unavailable')
+      } else if (offer.deposit_expires_at <= now) {
+        // Last chance for a deposit the client never reported
+        await reconcileDeposits()
+        if (await settleOffer(offer.id) === null) {
+          reopenOffer(offer, 'deposit_timeout')
+        }
+      }
+    }
+
+    const lapsed = db.prepare(`SELECT * FROM offers WHERE status = 'active' AND expires_at <= ?`).all(now)
+
+    for (const offer of lapsed) {
+      if (refundOffer(offer, 'expired') !== null) {
+        logAudit('OFFER_EXPIRED', {
+          punkId: offer.punk_id,
+          buyerAddress: offer.buyer_address,
+          amount: offer.amount_sats,
+          status: 'SUCCESS',
+          details: { offerId: offer.id, funded: true }
+        })
+      }
+    }
+
+    await processPayouts()
+  } catch (error) {
+    console.error('❌ Offer sweep failed:', error)
+  } finally {
+    sweepingOffers = false
+  }
+}
+
+setInterval(sweepOffers, OFFER_SWEEP_INTERVAL_MS)
+
+/**
+ * Make an offer on any punk
+ * POST /api/offers
+ * Body: { punkId, buyerPubkey, buyerArkAddress, amount, durationHours? }
+ *
+ * The buyer locks amount + fee (exact `paymentAmount`, unique per offer) in escrow before
+ * `paymentExpiresAt`, then calls /api/offers/:id/confirm. Funded offers are refunded
+ * automatically at `expiresAt` unless the owner accepted them.
+ */
+app.post('/api/offers', async (req, res) => {
+  const { punkId, buyerPubkey, buyerArkAddress, amount, durationHours } = req.body
+  const offerAmount = Number(amount)
+  const duration = durationHours ? Number(durationHours) * 60 * 60 * 1000 : OFFER_DEFAULT_DURATION_MS
+
+  if (!punkId || !buyerPubkey || !buyerArkAddress) {
+    return res.status(400).json({ error: 'punkId, buyerPubkey and buyerArkAddress required' })
+  }
+
+  if (!Number.isSafeInteger(offerAmount) || offerAmount <= 0) {
+    return res.status(400).json({ error: 'amount must be a positive integer (sats)' })
+  }
+
+  if (!(duration >= OFFER_MIN_DURATION_MS && duration <= OFFER_MAX_DURATION_MS)) {
+    return res.status(400).json({
+      error: 'Invalid offer duration',
+      details: `durationHours must be between ${OFFER_MIN_DURATION_MS / 3600000} and ${OFFER_MAX_DURATION_MS / 3600000}`
+    })
+  }
+
+  try {
+    const punk = db.prepare('SELECT punk_id, owner_address FROM punks WHERE punk_id = ?').get(punkId)
+
+    if (!punk) {
+      return res.status(404).json({ error: 'Punk not found' })
+    }
+
+    if (punk.owner_address === buyerArkAddress) {
+      return res.status(400).json({ error: 'You already own this punk' })
+    }
+
+    let escrow = null
+    try {
+      escrow = await allocateListingEscrow(punkId)
+    } catch (error) {
+      console.error('❌ Failed to derive offer escrow address:', error)
+      return res.status(503).json({ error: 'Escrow unavailable, please try again', details: error.message })
+    }
+    const escrowAddress = escrow?.address || ESCROW_ADDRESS
+
+    // Fee is quoted now, the buyer locks it together with the offer
+    const { fee, percent: feePercent } = calculateMarketplaceFee(offerAmount)
+    const paymentAmount = allocatePaymentAmount(offerAmount + fee)
+
+    const id = generateNonce().slice(0, 32)
+    const now = Date.now()
+    const paymentExpiresAt = now + PAYMENT_INTENT_TTL_MS
+    const expiresAt = now + duration
+
+    db.prepare(`
+      INSERT INTO offers (
+        id, punk_id, buyer_address, buyer_pubkey, amount_sats, fee_sats, payment_amount_sats,
+        status, escrow_address, escrow_key_index, created_at, payment_expires_at, expires_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, 'awaiting_payment', ?, ?, ?, ?, ?)
+    `).run(id, punkId, buyerArkAddress, buyerPubkey, offerAmount, fee, paymentAmount,
+      escrowAddress, escrow?.keyIndex ?? null, now, paymentExpiresAt, expiresAt)
+
+    logAudit('OFFER_CREATED', {
+      punkId,
+      sellerAddress: punk.owner_address,
+      buyerAddress: buyerArkAddress,
+      amount: offerAmount,
+      status: 'PENDING',
+      details: { offerId: id, fee, paymentAmount, escrowKeyIndex: escrow?.keyIndex ?? null, expiresAt }
+    })
+
+    console.log(`🤝 Offer ${id} on punk ${punkId.slice(0, 8)}...: ${offerAmount} sats (+${fee} fee)`)
+
+    return res.json({
+      success: true,
+      offerId: id,
+      punkId,
+      amount: offerAmount,
+      fee,
+      feePercent,
+      paymentAmount,
+      escrowAddress,
+      paymentExpiresAt,
+      expiresAt,
+      instructions: [
+        `Send exactly ${paymentAmount} sats to escrow address: ${escrowAddress}`,
+        `Funds must arrive before ${new Date(paymentExpiresAt).toISOString()}`,
+        `The offer stays open until ${new Date(expiresAt).toISOString()}, then the funds are refunded automatically`,
+        'You can cancel a funded offer at any time before the owner accepts it'
+      ]
+    })
+  } catch (error) {
+    console.error('Error creating offer:', error)
+    return res.status(500).json({ error: 'Failed to create offer', details: error.message })
+  }
+})
+
+/**
+ * List offers
+ * GET /api/offers?punkId=&buyer=&owner=&status=open|<status>
+ *
+ * owner: offers on punks currently owned by this address
+ * status=open: offers the owner can act on (active or accepted)
+ */
+app.get('/api/offers', (req, res) => {
+  const { punkId, buyer, owner, status } = req.query
+  const conditions = []
+  const params = []
+
+  if (punkId) {
+    conditions.push('o.punk_id = ?')
+    params.push(punkId)
+  }
+
+  if (buyer) {
+    conditions.push('o.buyer_address = ?')
+    params.push(buyer)
+  }
+
+  if (owner) {
+    conditions.push('p.owner_address = ?')
+    params.push(owner)
+  }
+
+  if (status === 'open') {
+    conditions.push(`o.status IN ('active', 'accepted')`)
+  } else if (status) {
+    conditions.push('o.status = ?')
+    params.push(status)
+  }
+
+  try {
+    const offers = db.prepare(`
+      SELECT o.*, p.owner_address
+      FROM offers o
+      LEFT JOIN punks p ON o.punk_id = p.punk_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY o.amount_sats DESC, o.created_at ASC
+      LIMIT 200
+    `).all(...params)
+
+    return res.json({
+      success: true,
+      offers: offers.map(offer => ({ ...formatOffer(offer), ownerAddress: offer.owner_address }))
+    })
+  } catch (error) {
+    console.error('Error fetching offers:', error)
+    return res.status(500).json({ error: 'Database error', success: false })
+  }
+})
+
+/**
+ * Report that the offer's funds were sent
+ * POST /api/offers/:id/confirm
+ * Body: { buyerArkAddress }
+ */
+app.post('/api/offers/:id/confirm', async (req, res) => {
+  const { buyerArkAddress } = req.body
+
+  try {
+    const offer = db.prepare('SELECT * FROM offers WHERE id = ?').get(req.params.id)
+
+    if (!offer || offer.buyer_address !== buyerArkAddress) {
+      return res.status(404).json({ error: 'Offer not found' })
+    }
+
+    if (offer.status === 'active' || offer.status === 'accepted') {
+      return res.json({ success: true, offer: formatOffer(offer) })
+    }
+
+    if (offer.status !== 'awaiting_payment' && offer.status !== 'expired') {
+      return res.status(400).json({ error: 'Offer closed', currentStatus: offer.status })
+    }
+
+    const funded = await matchOfferPayment(offer)
+
+    if (!funded) {
+      if (offer.payment_expires_at <= Date.now()) {
+        return res.status(410).json({
+          error: 'Offer payment window expired',
+          note: 'Any late payment will be refunded automatically'
+        })
+      }
+      return res.status(402).json({
+        error: 'Payment not found yet',
+        expectedAmount: offer.payment_amount_sats,
+        paymentExpiresAt: offer.payment_expires_at
+      })
+    }
+
+    if (offer.status === 'expired') {
+      refundOffer(funded, 'late_payment')
+      await processPayouts()
+      return res.status(410).json({
+        error: 'Payment arrived after the offer payment window and is being refunded'
+      })
+    }
+
+    console.log(`✅ Offer ${offer.id} funded`)
+
+    return res.json({ success: true, offer: formatOffer(funded) })
+  } catch (error) {
+    console.error('Error confirming offer payment:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Withdraw an offer (refunds locked funds)
+ * POST /api/offers/:id/cancel
+ * Body: { nonce, timestamp, signature }
+ *
+ * signature = schnorr(sha256(canonical {punkId, action: 'cancel_offer', offerId, nonce, timestamp})) by buyer_pubkey
+ */
+app.post('/api/offers/:id/cancel', async (req, res) => {
+  try {
+    const offer = db.prepare('SELECT * FROM offers WHERE id = ?').get(req.params.id)
+
+    if (!offer) {
+      return res.status(404).json({ error: 'Offer not found' })
+    }
+
+    const authError = verifySignedAction(offer.punk_id, offer.buyer_pubkey, offer.buyer_address, req.body, 'cancel_offer', { offerId: offer.id })
+    if (authError) {
+      logAudit('BUYER_AUTH_FAILED', {
+        punkId: offer.punk_id,
+        buyerAddress: offer.buyer_address,
+        status: 'FAILED',
+        error: authError,
+        details: { action: 'cancel_offer', offerId: offer.id }
+      })
+      return res.status(401).json({ error: 'Buyer signature verification failed', details: authError })
+    }
+
+    if (offer.status === 'accepted') {
+      return res.status(409).json({ error: 'Offer already accepted by the owner' })
+    }
+
+    // Funds may have arrived without being reported yet
+    let current = offer
+    if (offer.status === 'awaiting_payment') {
+      current = await matchOfferPayment(offer) || offer
+    }
+
+    if (current.status === 'awaiting_payment') {
+      db.prepare(`
+        UPDATE offers SET status = 'cancelled', closed_at = ? WHERE id = ? AND status = 'awaiting_payment'
+      `).run(Date.now(), offer.id)
+
+      logAudit('OFFER_CANCELLED', {
+        punkId: offer.punk_id,
+        buyerAddress: offer.buyer_address,
+        amount: offer.amount_sats,
+        status: 'SUCCESS',
+        details: { offerId: offer.id, funded: false }
+      })
+
+      return res.json({ success: true, offerId: offer.id, status: 'cancelled', refund: null })
+    }
+
+    if (current.status !== 'active') {
+      return res.status(400).json({ error: 'Offer already closed', currentStatus: current.status })
+    }
+
+    const payoutId = refundOffer(current, 'cancelled_by_buyer')
+    if (payoutId === null) {
+      return res.status(409).json({ error: 'Offer is no longer cancellable' })
+    }
+
+    logAudit('OFFER_CANCELLED', {
+      punkId: offer.punk_id,
+      buyerAddress: offer.buyer_address,
+      amount: offer.amount_sats,
+      status: 'SUCCESS',
+      details: { offerId: offer.id, funded: true, payoutId }
+    })
+
+    await processPayouts()
+    const refund = db.prepare('SELECT status, txid, amount_sats FROM payouts WHERE id = ?').get(payoutId)
+
+    return res.json({
+      success: true,
+      offerId: offer.id,
+      status: 'refunded',
+      refund: { status: refund.status, txid: refund.txid, amount: refund.amount_sats }
+    })
+  } catch (error) {
+    console.error('Error cancelling offer:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Accept an offer as the punk's current owner
+ * POST /api/offers/:id/accept
+ * Body: { sellerPubkey, sellerArkAddress, nonce, timestamp, signature }
+ *
+ * signature = schnorr(sha256(canonical {punkId, action: 'accept_offer', offerId, sellerArkAddress, nonce, timestamp}))
+ * by a key controlling punks.owner_address
+ *
+ * A punk already deposited in escrow (active listing) is sold right away. Otherwise a listing
+ * locked to the offer's buyer is created and the owner must deposit like for any listing
+ * (see /api/escrow/update-outpoint); the sale settles as soon as the deposit is confirmed.
+ */
+app.post('/api/offers/:id/accept', async (req, res) => {
+  const { sellerPubkey, sellerArkAddress } = req.body
+
+  if (!sellerPubkey || !sellerArkAddress) {
+    return res.status(400).json({ error: 'sellerPubkey and sellerArkAddress required' })
+  }
+
+  try {
+    const offer = db.prepare('SELECT * FROM offers WHERE id = ?').get(req.params.id)
+
+    if (!offer) {
+      return res.status(404).json({ error: 'Offer not found' })
+    }
+
+    if (offer.status !== 'active') {
+      return res.status(400).json({ error: 'Offer not open for acceptance', currentStatus: offer.status })
+    }
+
+    if (offer.expires_at <= Date.now()) {
+      return res.status(410).json({ error: 'Offer expired' })
+    }
+
+    const punk = db.prepare('SELECT * FROM punks WHERE punk_id = ?').get(offer.punk_id)
+
+    if (!punk) {
+      return res.status(404).json({ error: 'Punk not found' })
+    }
+
+    const authError = await pubkeyControlsAddress(sellerPubkey, punk.owner_address)
+      ? verifySignedAction(offer.punk_id, sellerPubkey, punk.owner_address, req.body, 'accept_offer', {
+        offerId: offer.id,
+        sellerArkAddress
+      })
+      : 'Signer does not own this punk'
+
+    if (authError) {
+      logAudit('SELLER_AUTH_FAILED', {
+        punkId: offer.punk_id,
+        sellerAddress: punk.owner_address,
+        status: 'FAILED',
+        error: authError,
+        details: { action: 'accept_offer', offerId: offer.id }
+      })
+      return res.status(401).json({ error: 'Owner signature verification failed', details: authError })
+    }
+
+    releaseExpiredReservations()
+    const listing = db.prepare('SELECT * FROM listings WHERE punk_id = ?').get(offer.punk_id)
+
+    if (listing?.status === 'pending') {
+      return res.status(409).json({ error: 'Punk has a pending listing, finish the deposit or cancel it first' })
+    }
+
+    if (listing?.status === 'auction') {
+      return res.status(409).json({ error: 'Punk is up for auction, offers cannot be accepted until it ends' })
+    }
+
+    if (listing?.status === 'bundled') {
+      return res.status(409).json({ error: 'Punk is listed in a bundle, cancel the bundle to accept offers' })
+    }
+
+    if (listing?.status === 'reserved') {
+      return res.status(409).json({
+        error: 'Listing reserved by a buyer, offers can be accepted if the reservation expires',
+        reservedUntil: listing.reserved_until
+      })
+    }
+
+    if (listing?.status === 'deposited' && listing.buyer_address) {
+      return res.status(409).json({ error: 'Purchase in progress, offer cannot be accepted now' })
+    }
+
+    const now = Date.now()
+    const acceptOffer = db.prepare(`
+      UPDATE offers
+      SET status = 'accepted', seller_address = ?, seller_pubkey = ?, accepted_at = ?, deposit_expires_at = ?
+      WHERE id = ? AND status = 'active' AND expires_at > ?
+    `)
+
+    // Already in escrow: lock the active listing to the offer's buyer and settle now
+    if (listing?.status === 'deposited') {
+      try {
+        db.transaction(() => {
+          if (acceptOffer.run(sellerArkAddress, sellerPubkey, now, null, offer.id, now).changes !== 1) {
+            throw new Error('Offer no longer open')
+          }
+          const locked = db.prepare(`
+            UPDATE listings SET buyer_address = ?, buyer_pubkey = ?, offer_id = ?
+            WHERE punk_id = ? AND status = 'deposited' AND buyer_address IS NULL
+          `).run(offer.buyer_address, offer.buyer_pubkey, offer.id, offer.punk_id)
+          if (locked.changes !== 1) {
+            throw new Error('Listing already being purchased')
+          }
+        })()
+      } catch (lockError) {
+        return res.status(409).json({ error: lockError.message })
+      }
+
+      logAudit('OFFER_ACCEPTED', {
+        punkId: offer.punk_id,
+        sellerAddress: sellerArkAddress,
+        buyerAddress: offer.buyer_address,
+        amount: offer.amount_sats,
+        status: 'SUCCESS',
+        details: { offerId: offer.id, alreadyDeposited: true }
+      })
+
+      const settlement = await settleOffer(offer.id)
+
+      return res.json({
+        success: true,
+        offerId: offer.id,
+        punkId: offer.punk_id,
+        status: settlement ? 'completed' : 'accepted',
+        saleId: settlement?.saleId ?? null,
+        payouts: settlement?.payouts ?? [],
+        message: settlement
+          ? `Offer accepted! You sold your punk for ${offer.amount_sats} sats.`
+          : 'Offer accepted, the sale will complete shortly.'
+      })
+    }
+
+    // Not in escrow yet: create a listing locked to the buyer and wait for the deposit
+    let escrow = null
+    try {
+      escrow = await allocateListingEscrow(offer.punk_id)
+    } catch (error) {
+      console.error('❌ Failed to derive listing escrow address:', error)
+      return res.status(503).json({ error: 'Escrow unavailable, please try again', details: error.message })
+    }
+    const escrowAddress = escrow?.address || ESCROW_ADDRESS
+    const depositAmount = allocateDepositAmount()
+    const depositExpiresAt = now + OFFER_DEPOSIT_TTL_MS
+
+    try {
+      db.transaction(() => {
+        if (acceptOffer.run(sellerArkAddress, sellerPubkey, now, depositExpiresAt, offer.id, now).changes !== 1) {
+          throw new Error('Offer no longer open')
+        }
+        db.prepare(`DELETE FROM listings WHERE punk_id = ? AND status IN ('sold', 'cancelled', 'expired')`).run(offer.punk_id)
+        db.prepare(`
+          INSERT INTO listings (
+            punk_id, seller_address, seller_pubkey, price_sats, status, escrow_address, escrow_key_index,
+            created_at, punk_metadata_compressed, deposit_amount_sats, buyer_address, buyer_pubkey, offer_id
+          ) VALUES (?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(offer.punk_id, sellerArkAddress, sellerPubkey, offer.amount_sats, escrowAddress, escrow?.keyIndex ?? null,
+          now, punk.punk_metadata_compressed || null, depositAmount, offer.buyer_address, offer.buyer_pubkey, offer.id)
+      })()
+    } catch (acceptError) {
+      console.log(`⚠️  Offer accept failed for ${offer.id}: ${acceptError.message}`)
+      return res.status(409).json({ error: acceptError.message })
+    }
+
+    logAudit('OFFER_ACCEPTED', {
+      punkId: offer.punk_id,
+      sellerAddress: sellerArkAddress,
+      buyerAddress: offer.buyer_address,
+      amount: offer.amount_sats,
+      status: 'SUCCESS',
+      details: { offerId: offer.id, escrowAddress, escrowKeyIndex: escrow?.keyIndex ?? null, depositAmount, depositExpiresAt }
+    })
+
+    console.log(`🤝 Offer ${offer.id} accepted, waiting for deposit of ${offer.punk_id.slice(0, 8)}...`)
+
+    return res.json({
+      success: true,
+      offerId: offer.id,
+      punkId: offer.punk_id,
+      status: 'accepted',
+      escrowAddress,
+      depositAmount,
+      depositExpiresAt,
+      instructions: [
+        `Send exactly ${depositAmount.toLocaleString()} sats to: ${escrowAddress}`,
+        `The deposit must arrive before ${new Date(depositExpiresAt).toISOString()}, otherwise the offer reopens`,
+        `Once received, the punk goes to the buyer and you receive ${offer.amount_sats} sats plus your deposit back`
+      ]
+    })
+  } catch (error) {
+    console.error('Error accepting offer:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+// ============================================================
+// AUCTIONS (English auctions on escrowed punks)
+// ============================================================
+
+/**
+ * Auction listings go 'pending' -> 'auction' (deposit confirmed) -> 'sold' or 'cancelled'.
+ * Bidders lock bid + fee in escrow like an offer; a funded bid either becomes the leading bid
+ * (the previous leader is refunded right away) or is refunded on arrival.
+ *
+ * Bid statuses:
+ * - leading: funded and currently highest (at most one per auction)
+ * - outbid: funded, then beaten (or already beaten when the funds arrived), refunded
+ * - won / lost: leading at close, sold or reserve not met (refunded)
+ * - refunded: funds arrived after the auction or the bid's payment window closed
+ */
+db.exec(`
+  CREATE TABLE IF NOT EXISTS auction_bids (
+    id TEXT PRIMARY KEY,
+    auction_id TEXT NOT NULL,              -- listings.auction_id
+    punk_id TEXT NOT NULL,
+    bidder_address TEXT NOT NULL,
+    bidder_pubkey TEXT NOT NULL,
+    amount_sats INTEGER NOT NULL,          -- Bid (what the seller receives if it wins)
+    fee_sats INTEGER NOT NULL,             -- Marketplace fee, paid on top by the bidder
+    payment_amount_sats INTEGER NOT NULL,  -- Exact amount locked in escrow (amount + fee + unique offset)
+    status TEXT NOT NULL CHECK(status IN ('awaiting_payment', 'leading', 'outbid', 'won', 'lost', 'expired', 'refunded')),
+    escrow_address TEXT,
+    escrow_key_index INTEGER,              -- Sub-wallet holding the locked funds (NULL = master)
+    vtxo_outpoint TEXT,
+    refund_reason TEXT,
+    sale_id INTEGER,
+    created_at INTEGER NOT NULL,
+    payment_expires_at INTEGER NOT NULL,   -- Funds must arrive before this
+    funded_at INTEGER,                     -- Bid time: when the funds reached escrow
+    closed_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS idx_auction_bids_auction ON auction_bids(auction_id, status);
+  CREATE INDEX IF NOT EXISTS idx_auction_bids_bidder ON auction_bids(bidder_address);
+  CREATE INDEX IF NOT EXISTS idx_auction_bids_status ON auction_bids(status);
+`)
+
+const AUCTION_MIN_DURATION_MS = 60 * 60 * 1000
+const AUCTION_MAX_DURATION_MS = 14 * 24 * 60 * 60 * 1000
+const AUCTION_MAX_START_DELAY_MS = 30 * 24 * 60 * 60 * 1000
+const AUCTION_EXTENSION_MS = 5 * 60 * 1000  // A bid this close to the end pushes the end to bid time + this
+const AUCTION_MIN_INCREMENT_PERCENT = 5
+const AUCTION_SWEEP_INTERVAL_MS = 15 * 1000
+
+/**
+ * Check a seller's auction schedule (a start in the past means "now")
+ * @returns { startsAt, endsAt }, or { error }
+ */
+function validateAuctionWindow(startsAt, endsAt) {
+  const now = Date.now()
+  const start = Math.max(startsAt ? Number(startsAt) : now, now)
+  const end = Number(endsAt)
+
+  if (!Number.isSafeInteger(start) || !Number.isSafeInteger(end)) {
+    return { error: 'startsAt and endsAt must be timestamps in milliseconds' }
+  }
+
+  if (start > now + AUCTION_MAX_START_DELAY_MS) {
+    return { error: `Auction must start within ${AUCTION_MAX_START_DELAY_MS / 86400000} days` }
+  }
+
+  if (end - start < AUCTION_MIN_DURATION_MS || end - start > AUCTION_MAX_DURATION_MS) {
+    return {
+      error: `Auction must run between ${AUCTION_MIN_DURATION_MS / 3600000} hour and ${AUCTION_MAX_DURATION_MS / 86400000} days`
+    }
+  }
+
+  return { startsAt: start, endsAt: end }
+}
+
+/**
+ * Payment amounts of bids waiting for funds (or still watched for late funds)
+ */
+function openBidAmounts() {
+  return db.prepare(`
+    SELECT payment_amount_sats FROM auction_bids
+    WHERE status = 'awaiting_payment'
+       OR (status = 'expired' AND vtxo_outpoint IS NULL AND payment_expires_at > ?)
+  `).all(Date.now() - LATE_PAYMENT_WINDOW_MS).map(row => row.payment_amount_sats)
+}
+
+function leadingBid(auctionId) {
+  return db.prepare(`SELECT * FROM auction_bids WHERE auction_id = ? AND status = 'leading'`).get(auctionId)
+}
+
+/**
+ * Lowest acceptable bid: anything for the opening bid, then the leading bid plus the minimum increment
+ */
+function minimumNextBid(leader) {
+  if (!leader) return 1
+  return leader.amount_sats + Math.max(1, Math.ceil((leader.amount_sats * AUCTION_MIN_INCREMENT_PERCENT) / 100))
+}
+
+/**
+ * Public auction state of a listing (see /api/marketplace/listings)
+ */
+function formatAuction(listing) {
+  const top = db.prepare(`
+    SELECT * FROM auction_bids WHERE auction_id = ? AND status IN ('leading', 'won', 'lost')
+  `).get(listing.auction_id)
+  const { count } = db.prepare(`
+    SELECT COUNT(*) AS count FROM auction_bids WHERE auction_id = ? AND funded_at IS NOT NULL
+  `).get(listing.auction_id)
+  const now = Date.now()
+
+  let phase = 'ended'
+  if (listing.status === 'pending') {
+    phase = 'awaiting_deposit'
+  } else if (listing.status === 'auction') {
+    phase = now < listing.auction_starts_at ? 'scheduled' : now < listing.auction_ends_at ? 'live' : 'closing'
+  }
+
+  return {
+    auctionId: listing.auction_id,
+    phase,
+    reservePrice: listing.reserve_price_sats,
+    startsAt: listing.auction_starts_at,
+    endsAt: listing.auction_ends_at,
+    highestBid: top?.amount_sats ?? null,
+    highestBidder: top?.bidder_address ?? null,
+    reserveMet: top ? top.amount_sats >= listing.reserve_price_sats : false,
+    bidCount: count,
+    minimumBid: top?.status === 'leading' || !top ? minimumNextBid(top) : null
+  }
+}
+
+function formatBid(bid) {
+  return {
+    bidId: bid.id,
+    auctionId: bid.auction_id,
+    punkId: bid.punk_id,
+    bidderAddress: bid.bidder_address,
+    amount: bid.amount_sats,
+    fee: bid.fee_sats,
+    paymentAmount: bid.payment_amount_sats,
+    status: bid.status,
+    escrowAddress: bid.escrow_address,
+    refundReason: bid.refund_reason,
+    saleId: bid.sale_id,
+    createdAt: bid.created_at,
+    paymentExpiresAt: bid.payment_expires_at,
+    fundedAt: bid.funded_at,
+    closedAt: bid.closed_at
+  }
+}
+
+/**
+ * Close a bid and queue its locked funds back to the bidder (call inside a transaction)
+ * @returns Payout id, or null if the bid was already closed
+ */
+function refundBid(bid, status, reason) {
+  const closed = db.prepare(`
+    UPDATE auction_bids SET status = ?, refund_reason = ?, closed_at = ?
+    WHERE id = ? AND status IN ('awaiting_payment', 'expired', 'leading')
+  `).run(status, reason, Date.now(), bid.id)
+
+  if (closed.changes !== 1) {
+    return null
+  }
+
+  return enqueuePayout({
+    kind: 'bid_refund',
+    recipient: bid.bidder_address,
+    amount: bid.payment_amount_sats,
+    punkId: bid.punk_id,
+    sourceKeyIndex: bid.escrow_key_index,
+    idempotencyKey: `bid:${bid.id}:refund`
+  })
+}
+
+function logBidRefund(bid, reason, payoutId) {
+  logAudit('BID_REFUNDED', {
+    punkId: bid.punk_id,
+    buyerAddress: bid.bidder_address,
+    amount: bid.payment_amount_sats,
+    status: 'SUCCESS',
+    details: { auctionId: bid.auction_id, bidId: bid.id, bid: bid.amount_sats, reason, payoutId }
+  })
+}
+
+/**
+ * Look for the bid's funds in escrow and place the bid
+ * The bid time is when the VTXO reached escrow, so a bid paid just before the end still counts
+ * (and extends the auction) even if the sweep notices it after the end.
+ * Expired bids are still matched so late funds can be refunded
+ *
+ * @returns Updated bid, or null if no matching VTXO arrived yet
+ */
+async function matchBidPayment(bid) {
+  const vtxo = await findIncomingPayment(
+    bid.payment_amount_sats,
+    bid.created_at - VTXO_CLOCK_SKEW_MS,
+    [...claimedEscrowOutpoints()],
+    bid.escrow_key_index
+  )
+  if (!vtxo) {
+    return null
+  }
+
+  const outpoint = `${vtxo.txid}:${vtxo.vout}`
+  const fundedAt = Math.min(Date.now(), Math.max(bid.created_at, new Date(vtxo.createdAt).getTime()))
+  let outcome = null
+
+  db.transaction(() => {
+    const current = db.prepare('SELECT * FROM auction_bids WHERE id = ?').get(bid.id)
+    const claimed = db.prepare(`
+      UPDATE auction_bids SET vtxo_outpoint = ?, funded_at = ?
+      WHERE id = ? AND status IN ('awaiting_payment', 'expired') AND vtxo_outpoint IS NULL
+    `).run(outpoint, fundedAt, bid.id)
+
+    if (claimed.changes !== 1) return
+
+    const listing = db.prepare('SELECT * FROM listings WHERE auction_id = ?').get(bid.auction_id)
+    const leader = leadingBid(bid.auction_id)
+    const open = current.status === 'awaiting_payment' && listing?.status === 'auction' && fundedAt < listing.auction_ends_at
+
+    if (!open) {
+      const reason = current.status === 'expired' ? 'late_payment' : 'auction_closed'
+      outcome = { status: 'refunded', reason, payoutId: refundBid(current, 'refunded', reason) }
+      return
+    }
+
+    if (leader && current.amount_sats < minimumNextBid(leader)) {
+      outcome = { status: 'outbid', reason: 'outbid', payoutId: refundBid(current, 'outbid', 'outbid') }
+      return
+    }
+
+    db.prepare(`UPDATE auction_bids SET status = 'leading' WHERE id = ?`).run(bid.id)
+    outcome = { status: 'leading', previousLeader: leader, extendedTo: null }
+
+    if (leader) {
+      outcome.outbidPayoutId = refundBid(leader, 'outbid', 'outbid')
+    }
+
+    // Anti-sniping: a late bid leaves the other bidders time to answer
+    if (listing.auction_ends_at - fundedAt < AUCTION_EXTENSION_MS) {
+      outcome.extendedTo = fundedAt + AUCTION_EXTENSION_MS
+      db.prepare(`
+        UPDATE listings SET auction_ends_at = ? WHERE auction_id = ? AND auction_ends_at < ?
+      `).run(outcome.extendedTo, bid.auction_id, outcome.extendedTo)
+    }
+  })()
+
+  if (!outcome) {
+    return null
+  }
+
+  if (outcome.status !== 'leading') {
+    logBidRefund(bid, outcome.reason, outcome.payoutId)
+    return db.prepare('SELECT * FROM auction_bids WHERE id = ?').get(bid.id)
+  }
+
+  logAudit('BID_PLACED', {
+    punkId: bid.punk_id,
+    buyerAddress: bid.bidder_address,
+    amount: bid.amount_sats,
+    txid: vtxo.txid,
+    status: 'SUCCESS',
+    details: { auctionId: bid.auction_id, bidId: bid.id, vtxoOutpoint: outpoint, fundedAt }
+  })
+
+  if (outcome.previousLeader) {
+    logBidRefund(outcome.previousLeader, 'outbid', outcome.outbidPayoutId)
+  }
+
+  if (outcome.extendedTo) {
+    logAudit('AUCTION_EXTENDED', {
+      punkId: bid.punk_id,
+      amount: bid.amount_sats,
+      status: 'SUCCESS',
+      details: { auctionId: bid.auction_id, bidId: bid.id, endsAt: outcome.extendedTo }
+    })
+  }
+
+  console.log(`🔨 Bid ${bid.id} leads auction ${bid.auction_id}: ${bid.amount_sats} sats`)
+
+  return db.prepare('SELECT * FROM auction_bids WHERE id = ?').get(bid.id)
+}
+
+/**
+ * Close an auction whose end time passed
+ * The leading bid wins if it meets the reserve: same bookkeeping as /api/escrow/execute
+ * (ownership, sale, fee, payouts) in one transaction. Otherwise the leading bid is refunded.
+ * Either way the seller's deposit goes back through the payout outbox.
+ * Funds that reached escrow before the end are matched first, they may still extend the auction
+ *
+ * @returns { sold, saleId }, or null if the auction is not ready to close
+ */
+async function closeAuction(auctionId) {
+  const awaiting = db.prepare(`
+    SELECT * FROM auction_bids WHERE auction_id = ? AND status = 'awaiting_payment'
+  `).all(auctionId)
+
+  for (const bid of awaiting) {
+    await matchBidPayment(bid)
+  }
+
+  const listing = db.prepare('SELECT * FROM listings WHERE auction_id = ?').get(auctionId)
+  const now = Date.now()
+
+  if (!listing || listing.status !== 'auction' || listing.auction_ends_at > now) {
+    return null
+  }
+
+  const leader = leadingBid(auctionId)
+  const sold = Boolean(leader && leader.amount_sats >= listing.reserve_price_sats)
+  const depositAmount = listing.deposit_amount_sats || DEPOSIT_AMOUNT
+  let saleId = null
+  const payoutIds = []
+
+  try {
+    db.transaction(() => {
+      if (sold) {
+        const closed = db.prepare(`
+          UPDATE listings
+          SET status = 'sold', sold_at = ?, price_sats = ?, buyer_address = ?, buyer_pubkey = ?
+          WHERE auction_id = ? AND status = 'auction'
+        `).run(now, leader.amount_sats, leader.bidder_address, leader.bidder_pubkey, auctionId)
+        if (closed.changes !== 1) {
+          throw new Error('Auction already closed')
+        }
+
+        const won = db.prepare(`
+          UPDATE auction_bids SET status = 'won', closed_at = ? WHERE id = ? AND status = 'leading'
+        `).run(now, leader.id)
+        if (won.changes !== 1) {
+          throw new Error('Leading bid changed')
+        }
+
+        transferPunkOwnership(listing.punk_id, listing.seller_address, leader.bidder_address, now)
+
+        saleId = db.prepare(`
+          INSERT INTO sales (punk_id, price_sats, seller_address, buyer_address, sold_at)
+          VALUES (?, ?, ?, ?, ?)
+        `).run(listing.punk_id, leader.amount_sats, listing.seller_address, leader.bidder_address, now).lastInsertRowid
+        db.prepare('UPDATE auction_bids SET sale_id = ? WHERE id = ?').run(saleId, leader.id)
+
+        recordSaleFee(saleId, {
+          punk_id: listing.punk_id,
+          price_sats: leader.amount_sats,
+          fee_sats: leader.fee_sats,
+          amount_sats: leader.payment_amount_sats,
+          escrow_key_index: leader.escrow_key_index
+        })
+
+        payoutIds.push(enqueuePayout({
+          kind: 'sale_proceeds',
+          recipient: listing.seller_address,
+          amount: leader.amount_sats,
+          punkId: listing.punk_id,
+          saleId,
+          sourceKeyIndex: leader.escrow_key_index,
+          idempotencyKey: `auction:${auctionId}:proceeds`
+        }))
+      } else {
+        const closed = db.prepare(`
+          UPDATE listings SET status = 'cancelled', cancelled_at = ? WHERE auction_id = ? AND status = 'auction'
+        `).run(now, auctionId)
+        if (closed.changes !== 1) {
+          throw new Error('Auction already closed')
+        }
+
+        if (leader) {
+          const refundId = refundBid(leader, 'lost', 'reserve_not_met')
+          if (refundId === null) {
+            throw new Error('Leading bid changed')
+          }
+          payoutIds.push(refundId)
+        }
+      }
+
+      payoutIds.push(enqueuePayout({
+        kind: 'deposit_return',
+        recipient: listing.seller_address,
+        amount: depositAmount,
+        punkId: listing.punk_id,
+        saleId,
+        sourceKeyIndex: listing.escrow_key_index ?? null,
+        idempotencyKey: `auction:${auctionId}:deposit`
+      }))
+    })()
+  } catch (error) {
+    console.log(`⚠️  Auction close skipped for ${auctionId}: ${error.message}`)
+    return null
+  }
+
+  await processPayouts()
+
+  const payouts = db.prepare(`
+    SELECT id, kind, status, txid, amount_sats FROM payouts WHERE id IN (${payoutIds.map(() => '?').join(', ')})
+  `).all(...payoutIds)
+
+  if (sold) {
+    logAudit('SALE_COMPLETED', {
+      punkId: listing.punk_id,
+      sellerAddress: listing.seller_address,
+      buyerAddress: leader.bidder_address,
+      amount: leader.amount_sats,
+      txid: payouts.find(p => p.kind === 'sale_proceeds')?.txid || null,
+      status: 'SUCCESS',
+      details: {
+        saleId,
+        auctionId,
+        bidId: leader.id,
+        depositAmount,
+        paymentOutpoint: leader.vtxo_outpoint,
+        payouts: payouts.map(p => ({ id: p.id, kind: p.kind, status: p.status }))
+      }
+    })
+  } else if (leader) {
+    logBidRefund(leader, 'reserve_not_met', payoutIds[0])
+  }
+
+  logAudit('AUCTION_ENDED', {
+    punkId: listing.punk_id,
+    sellerAddress: listing.seller_address,
+    buyerAddress: sold ? leader.bidder_address : null,
+    amount: leader?.amount_sats ?? null,
+    status: 'SUCCESS',
+    details: {
+      auctionId,
+      sold,
+      reason: sold ? null : leader ? 'reserve_not_met' : 'no_bids',
+      reservePrice: listing.reserve_price_sats,
+      saleId
+    }
+  })
+
+  console.log(sold
+    ? `✅ Auction ${auctionId} sold ${listing.punk_id.slice(0, 8)}... for ${leader.amount_sats} sats`
+    : `🔴 Auction ${auctionId} ended without sale (${leader ? 'reserve not met' : 'no bids'})`)
+
+  return { sold, saleId }
+}
+
+let sweepingAuctions = false
+
+/**
+ * Background sweep:
+ * - place bids whose funds arrived, expire unfunded ones
+ * - refund late funds to expired bids
+ * - refund leading bids of auctions that were cancelled
+ * - close auctions past their end time
+ */
+async function sweepAuctions() {
+  if (sweepingAuctions) return
+  sweepingAuctions = true
+
+  try {
+    const now = Date.now()
+
+    const awaiting = db.prepare(`SELECT * FROM auction_bids WHERE status = 'awaiting_payment'`).all()
+
+    for (const bid of awaiting) {
+      if (await matchBidPayment(bid)) continue
+      if (bid.payment_expires_at > now) continue
+
+      const expired = db.prepare(`
+        UPDATE auction_bids SET status = 'expired', closed_at = ? WHERE id = ? AND status = 'awaiting_payment'
+      `).run(now, bid.id)
+
+      if (expired.changes === 1) {
+        logAudit('BID_EXPIRED', {
+          punkId: bid.punk_id,
+          buyerAddress: bid.bidder_address,
+          amount: bid.amount_sats,
+          status: 'SUCCESS',
+          details: { auctionId: bid.auction_id, bidId: bid.id }
+        })
+      }
+    }
+
+    const watched = db.prepare(`
+      SELECT * FROM auction_bids WHERE status = 'expired' AND vtxo_outpoint IS NULL AND payment_expires_at > ?
+    `).all(now - LATE_PAYMENT_WINDOW_MS)
+
+    for (const bid of watched) {
+      await matchBidPayment(bid)
+    }
+
+    // A seller cancel can race a bid that was funded at the same moment
+    const orphaned = db.prepare(`
+      SELECT b.* FROM auction_bids b
+      LEFT JOIN listings l ON l.auction_id = b.auction_id
+      WHERE b.status = 'leading' AND (l.punk_id IS NULL OR l.status != 'auction')
+    `).all()
+
+    for (const bid of orphaned) {
+      const payoutId = db.transaction(() => refundBid(bid, 'refunded', 'auction_cancelled'))()
+      if (payoutId !== null) {
+        logBidRefund(bid, 'auction_cancelled', payoutId)
+      }
+    }
+
+    const ended = db.prepare(`
+      SELECT auction_id FROM listings WHERE status = 'auction' AND auction_ends_at <= ?
+    `).all(now)
+
+    for (const { auction_id: auctionId } of ended) {
+      await closeAuction(auctionId)
+    }
+
+    await processPayouts()
+  } catch (error) {
+    console.error('❌ Auction sweep failed:', error)
+  } finally {
+    sweepingAuctions = false
+  }
+}
+
+setInterval(sweepAuctions, AUCTION_SWEEP_INTERVAL_MS)
+
+/**
+ * Get an auction with its bid history (funded bids, newest first)
+ * GET /api/auctions/:auctionId
+ */
+app.get('/api/auctions/:auctionId', (req, res) => {
+  try {
+    const listing = db.prepare('SELECT * FROM listings WHERE auction_id = ?').get(req.params.auctionId)
+
+    if (!listing) {
+      return res.status(404).json({ error: 'Auction not found' })
+    }
+
+    const bids = db.prepare(`
+      SELECT * FROM auction_bids WHERE auction_id = ? AND funded_at IS NOT NULL
+      ORDER BY funded_at DESC, amount_sats DESC
+    `).all(listing.auction_id)
+
+    return res.json({
+      success: true,
+      punkId: listing.punk_id,
+      seller: listing.seller_address,
+      status: listing.status,
+      auction: formatAuction(listing),
+      bids: bids.map(formatBid)
+    })
+  } catch (error) {
+    console.error('Error fetching auction:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Bid on a live auction
+ * POST /api/auctions/:auctionId/bids
+ * Body: { bidderPubkey, bidderArkAddress, amount }
+ *
+ * The bidder locks amount + fee (exact `paymentAmount`, unique per bid) in escrow, then calls
+ * /api/auctions/:auctionId/bids/:bidId/confirm. The bid is placed when the funds arrive; if a
+ * higher bid got there first (or the auction closed) the funds are refunded automatically.
+ */
+app.post('/api/auctions/:auctionId/bids', async (req, res) => {
+  const { bidderPubkey, bidderArkAddress, amount } = req.body
+  const bidAmount = Number(amount)
+
+  if (!bidderPubkey || !bidderArkAddress) {
+    return res.status(400).json({ error: 'bidderPubkey and bidderArkAddress required' })
+  }
+
+  if (!Number.isSafeInteger(bidAmount) || bidAmount <= 0) {
+    return res.status(400).json({ error: 'amount must be a positive integer (sats)' })
+  }
+
+  try {
+    const listing = db.prepare('SELECT * FROM listings WHERE auction_id = ?').get(req.params.auctionId)
+
+    if (!listing) {
+      return res.status(404).json({ error: 'Auction not found' })
+    }
+
+    const now = Date.now()
+
+    if (listing.status !== 'auction' || now >= listing.auction_ends_at) {
+      return res.status(410).json({ error: 'Auction is not open for bids', currentStatus: listing.status })
+    }
+
+    if (now < listing.auction_starts_at) {
+      return res.status(400).json({ error: 'Auction has not started yet', startsAt: listing.auction_starts_at })
+    }
+
+    if (bidderArkAddress === listing.seller_address) {
+      return res.status(400).json({ error: 'Sellers cannot bid on their own auction' })
+    }
+
+    const minimumBid = minimumNextBid(leadingBid(listing.auction_id))
+    if (bidAmount < minimumBid) {
+      return res.status(400).json({ error: `Bid must be at least ${minimumBid} sats`, minimumBid })
+    }
+
+    let escrow = null
+    try {
+      escrow = await allocateListingEscrow(listing.punk_id)
+    } catch (error) {
+      console.error('❌ Failed to derive bid escrow address:', error)
+      return res.status(503).json({ error: 'Escrow unavailable, please try again', details: error.message })
+    }
+    const escrowAddress = escrow?.address || ESCROW_ADDRESS
+
+    const { fee, percent: feePercent } = calculateMarketplaceFee(bidAmount)
+    const paymentAmount = allocatePaymentAmount(bidAmount + fee)
+    const id = generateNonce().slice(0, 32)
+    const paymentExpiresAt = now + PAYMENT_INTENT_TTL_MS
+
+    db.prepare(`
+      INSERT INTO auction_bids (
+        id, auction_id, punk_id, bidder_address, bidder_pubkey, amount_sats, fee_sats, payment_amount_sats,
+        status, escrow_address, escrow_key_index, created_at, payment_expires_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'awaiting_payment', ?, ?, ?, ?)
+    `).run(id, listing.auction_id, listing.punk_id, bidderArkAddress, bidderPubkey, bidAmount, fee, paymentAmount,
+      escrowAddress, escrow?.keyIndex ?? null, now, paymentExpiresAt)
+
+    logAudit('BID_CREATED', {
+      punkId: listing.punk_id,
+      sellerAddress: listing.seller_address,
+      buyerAddress: bidderArkAddress,
+      amount: bidAmount,
+      status: 'PENDING',
+      details: { auctionId: listing.auction_id, bidId: id, fee, paymentAmount, escrowKeyIndex: escrow?.keyIndex ?? null }
+    })
+
+    console.log(`🔨 Bid ${id} on auction ${listing.auction_id}: ${bidAmount} sats (+${fee} fee)`)
+
+    return res.json({
+      success: true,
+      bidId: id,
+      auctionId: listing.auction_id,
+      punkId: listing.punk_id,
+      amount: bidAmount,
+      fee,
+      feePercent,
+      paymentAmount,
+      escrowAddress,
+      paymentExpiresAt,
+      endsAt: listing.auction_ends_at,
+      instructions: [
+        `Send exactly ${paymentAmount} sats to escrow address: ${escrowAddress}`,
+        'Your bid counts from the moment the funds reach escrow',
+        'If you are outbid, your funds are refunded automatically',
+        'If you win, the punk is transferred to you when the auction closes'
+      ]
+    })
+  } catch (error) {
+    console.error('Error creating bid:', error)
+    return res.status(500).json({ error: 'Failed to create bid', details: error.message })
+  }
+})
+
+/**
+ * Report that a bid's funds were sent
+ * POST /api/auctions/:auctionId/bids/:bidId/confirm
+ * Body: { bidderArkAddress }
+ */
+app.post('/api/auctions/:auctionId/bids/:bidId/confirm', async (req, res) => {
+  const { bidderArkAddress } = req.body
+
+  try {
+    const bid = db.prepare('SELECT * FROM auction_bids WHERE id = ? AND auction_id = ?')
+      .get(req.params.bidId, req.params.auctionId)
+
+    if (!bid || bid.bidder_address !== bidderArkAddress) {
+      return res.status(404).json({ error: 'Bid not found' })
+    }
+
+    let current = bid
+    if (bid.status === 'awaiting_payment' || bid.status === 'expired') {
+      // The sweep may have placed the bid in the meantime
+      current = await matchBidPayment(bid) || db.prepare('SELECT * FROM auction_bids WHERE id = ?').get(bid.id)
+
+      if (!current.funded_at) {
+        if (bid.payment_expires_at <= Date.now()) {
+          return res.status(410).json({
+            error: 'Bid payment window expired',
+            note: 'Any late payment will be refunded automatically'
+          })
+        }
+        return res.status(402).json({
+          error: 'Payment not found yet',
+          expectedAmount: bid.payment_amount_sats,
+          paymentExpiresAt: bid.payment_expires_at
+        })
+      }
+
+      await processPayouts()
+    }
+
+    if (current.status === 'outbid' && !bid.funded_at) {
+      return res.status(409).json({
+        error: 'A higher bid arrived first, your funds are being refunded',
+        bid: formatBid(current)
+      })
+    }
+
+    if (current.status === 'refunded') {
+      return res.status(410).json({
+        error: 'Funds arrived after bidding closed and are being refunded',
+        bid: formatBid(current)
+      })
+    }
+
+    return res.json({ success: true, bid: formatBid(current) })
+  } catch (error) {
+    console.error('Error confirming bid payment:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+// ============================================================
+// FLOOR BIDS (standing escrowed bids on any punk matching a trait filter)
+// ============================================================
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS floor_bids (
+    id TEXT PRIMARY KEY,
+    buyer_address TEXT NOT NULL,
+    buyer_pubkey TEXT NOT NULL,
+    trait_type TEXT,                       -- NULL = any type
+    trait_background TEXT,                 -- NULL = any background
+    trait_attributes TEXT,                 -- JSON array, the punk must have all of them (NULL = any)
+    amount_sats INTEGER NOT NULL,          -- Bid price (what the filling owner receives)
+    fee_sats INTEGER NOT NULL,             -- Marketplace fee, paid on top by the buyer
+    payment_amount_sats INTEGER NOT NULL,  -- Exact amount locked in escrow (amount + fee + unique offset)
+    status TEXT NOT NULL CHECK(status IN ('awaiting_payment', 'active', 'filled', 'expired', 'cancelled', 'refunded')),
+    escrow_address TEXT,
+    escrow_key_index INTEGER,              -- Sub-wallet holding the locked funds (NULL = master)
+    vtxo_outpoint TEXT,
+    punk_id TEXT,                          -- Punk that filled the bid
+    seller_address TEXT,                   -- Filling owner's payout address
+    refund_reason TEXT,
+    sale_id INTEGER,
+    created_at INTEGER NOT NULL,
+    payment_expires_at INTEGER NOT NULL,   -- Funds must arrive before this
+    expires_at INTEGER NOT NULL,           -- Funded bids are refunded after this unless filled
+    funded_at INTEGER,
+    closed_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS idx_floor_bids_status ON floor_bids(status, amount_sats);
+  CREATE INDEX IF NOT EXISTS idx_floor_bids_buyer ON floor_bids(buyer_address);
+`)
+
+const FLOOR_BID_DEFAULT_DURATION_MS = 7 * 24 * 60 * 60 * 1000
+const FLOOR_BID_MIN_DURATION_MS = 60 * 60 * 1000
+const FLOOR_BID_MAX_DURATION_MS = 30 * 24 * 60 * 60 * 1000
+const FLOOR_BID_SWEEP_INTERVAL_MS = 60 * 1000
+
+/**
+ * Validate the trait filter of a new floor bid
+ * Omitted fields match anything; no filter at all is a collection-wide bid
+ *
+ * @param traits { type?, background?, attributes?: string[] }
+ * @returns { type, background, attributes } or { error }
+ */
+function parseTraitCriteria(traits = {}) {
+  const type = traits.type || null
+  const background = traits.background || null
+  const attributes = [...new Set(traits.attributes || [])].sort()
+
+  if (type && !TYPE_NAMES.includes(type)) {
+    return { error: `Unknown type: ${type}` }
+  }
+
+  if (background && !BACKGROUND_NAMES.includes(background)) {
+    return { error: `Unknown background: ${background}` }
+  }
+
+  const allowed = type ? ATTRIBUTES_BY_TYPE[TYPE_NAMES.indexOf(type)] : ATTRIBUTES_BY_TYPE.flat()
+  const unknown = attributes.find(attribute => !allowed.includes(attribute))
+  if (unknown) {
+    return { error: type ? `${type} punks never have ${unknown}` : `Unknown attribute: ${unknown}` }
+  }
+
+  return { type, background, attributes }
+}
+
+function floorBidCriteria(bid) {
+  return {
+    type: bid.trait_type,
+    background: bid.trait_background,
+    attributes: bid.trait_attributes ? JSON.parse(bid.trait_attributes) : []
+  }
+}
+
+/**
+ * Payment amounts of floor bids waiting for funds (or still watched for late funds)
+ */
+function openFloorBidAmounts() {
+  return db.prepare(`
+    SELECT payment_amount_sats FROM floor_bids
+    WHERE status = 'awaiting_payment'
+       OR (status IN ('expired', 'cancelled') AND vtxo_outpoint IS NULL AND payment_expires_at > ?)
+  `).all(Date.now() - LATE_PAYMENT_WINDOW_MS).map(row => row.payment_amount_sats)
+}
+
+function formatFloorBid(bid) {
+  return {
+    bidId: bid.id,
+    buyerAddress: bid.buyer_address,
+    buyerPubkey: bid.buyer_pubkey,
+    traits: floorBidCriteria(bid),
+    amount: bid.amount_sats,
+    fee: bid.fee_sats,
+    paymentAmount: bid.payment_amount_sats,
+    status: bid.status,
+    escrowAddress: bid.escrow_address,
+    punkId: bid.punk_id,
+    sellerAddress: bid.seller_address,
+    refundReason: bid.refund_reason,
+    saleId: bid.sale_id,
+    createdAt: bid.created_at,
+    paymentExpiresAt: bid.payment_expires_at,
+    expiresAt: bid.expires_at,
+    fundedAt: bid.funded_at,
+    closedAt: bid.closed_at
+  }
+}
+
+/**
+ * Look for the floor bid's funds in escrow and mark the bid as active
+ * Cancelled or expired bids are still matched so late funds can be refunded
+ * @returns Updated bid, or null if no matching VTXO arrived yet
+ */
+async function matchFloorBidPayment(bid) {
+  const vtxo = await findIncomingPayment(
+    bid.payment_amount_sats,
+    bid.created_at - VTXO_CLOCK_SKEW_MS,
+    [...claimedEscrowOutpoints()],
+    bid.escrow_key_index
+  )
+  if (!vtxo) {
+    return null
+  }
+
+  const outpoint = `${vtxo.txid}:${vtxo.vout}`
+  const result = db.prepare(`
+    UPDATE floor_bids
+    SET status = 'active', vtxo_outpoint = ?, funded_at = ?
+    WHERE id = ? AND status IN ('awaiting_payment', 'expired', 'cancelled') AND vtxo_outpoint IS NULL
+  `).run(outpoint, Date.now(), bid.id)
+
+  if (result.changes !== 1) {
+    return null
+  }
+
+  logAudit('FLOOR_BID_FUNDED', {
+    buyerAddress: bid.buyer_address,
+    amount: bid.payment_amount_sats,
+    txid: vtxo.txid,
+    status: 'SUCCESS',
+    details: { floorBidId: bid.id, vtxoOutpoint: outpoint, late: bid.status !== 'awaiting_payment' }
+  })
+
+  return db.prepare('SELECT * FROM floor_bids WHERE id = ?').get(bid.id)
+}
+
+/**
+ * Close a funded floor bid and queue the locked funds back to the buyer
+ * @returns Payout id, or null if the bid was not refundable (already closed)
+ */
+function refundFloorBid(bid, reason) {
+  let payoutId = null
+
+  db.transaction(() => {
+    const claim = db.prepare(`
+      UPDATE floor_bids SET status = 'refunded', refund_reason = ?, closed_at = ?
+      WHERE id = ? AND status = 'active'
+    `).run(reason, Date.now(), bid.id)
+
+    if (claim.changes !== 1) return
+
+    payoutId = enqueuePayout({
+      kind: 'floor_bid_refund',
+      recipient: bid.buyer_address,
+      amount: bid.payment_amount_sats,
+      sourceKeyIndex: bid.escrow_key_index,
+      idempotencyKey: `floor_bid:${bid.id}:refund`
+    })
+  })()
+
+  if (payoutId !== null) {
+    logAudit('FLOOR_BID_REFUNDED', {
+      buyerAddress: bid.buyer_address,
+      amount: bid.payment_amount_sats,
+      status: 'SUCCESS',
+      details: { floorBidId: bid.id, reason, payoutId }
+    })
+  }
+
+  return payoutId
+}
+
+let sweepingFloorBids = false
+
+/**
+ * Background sweep:
+ * - activate floor bids whose funds arrived, expire unfunded ones
+ * - refund late funds to expired or cancelled bids
+ * - refund funded bids past their expiry
+ */
+async function sweepFloorBids() {
+  if (sweepingFloorBids) return
+  sweepingFloorBids = true
+
+  try {
+    const now = Date.now()
+
+    const awaiting = db.prepare(`SELECT * FROM floor_bids WHERE status = 'awaiting_payment'`).all()
+
+    for (const bid of awaiting) {
+      if (await matchFloorBidPayment(bid)) continue
+      if (bid.payment_expires_at > now) continue
+
+      const expired = db.prepare(`
+        UPDATE floor_bids SET status = 'expired', closed_at = ? WHERE id = ? AND status = 'awaiting_payment'
+      `).run(now, bid.id)
+
+      if (expired.changes === 1) {
+        logAudit('FLOOR_BID_EXPIRED', {
+          buyerAddress: bid.buyer_address,
+          amount: bid.amount_sats,
+          status: 'SUCCESS',
+          details: { floorBidId: bid.id, funded: false }
+        })
+      }
+    }
+
+    const watched = db.prepare(`
+      SELECT * FROM floor_bids
+      WHERE status IN ('expired', 'cancelled') AND vtxo_outpoint IS NULL AND payment_expires_at > ?
+    `).all(now - LATE_PAYMENT_WINDOW_MS)
+
+    for (const bid of watched) {
+      const funded = await matchFloorBidPayment(bid)
+      if (funded) {
+        refundFloorBid(funded, 'late_payment')
+      }
+    }
+
+    const lapsed = db.prepare(`SELECT * FROM floor_bids WHERE status = 'active' AND expires_at <= ?`).all(now)
+
+    for (const bid of lapsed) {
+      if (refundFloorBid(bid, 'expired') !== null) {
+        logAudit('FLOOR_BID_EXPIRED', {
+          buyerAddress: bid.buyer_address,
+          amount: bid.amount_sats,
+          status: 'SUCCESS',
+          details: { floorBidId: bid.id, funded: true }
+        })
+      }
+    }
+
+    await processPayouts()
+  } catch (error) {
+    console.error('❌ Floor bid sweep failed:', error)
+  } finally {
+    sweepingFloorBids = false
+  }
+}
+
+setInterval(sweepFloorBids, FLOOR_BID_SWEEP_INTERVAL_MS)
+
+/**
+ * Place a standing bid on any punk matching a trait filter ("any Zombie", "any punk with Laser Eyes")
+ * POST /api/floor-bids
+ * Body: { buyerPubkey, buyerArkAddress, amount, traits?: { type?, background?, attributes?: [] }, durationHours? }
+ *
+ * Without traits the bid is collection-wide. The buyer locks amount + fee (exact `paymentAmount`)
+ * in escrow before `paymentExpiresAt` and calls /api/floor-bids/:id/confirm; any owner of a
+ * matching punk can then fill it instantly (see /api/floor-bids/:id/fill).
+ */
+app.post('/api/floor-bids', async (req, res) => {
+  const { buyerPubkey, buyerArkAddress, amount, traits, durationHours } = req.body
+  const bidAmount = Number(amount)
+  const duration = durationHours ? Number(durationHours) * 60 * 60 * 1000 : FLOOR_BID_DEFAULT_DURATION_MS
+
+  if (!buyerPubkey || !buyerArkAddress) {
+    return res.status(400).json({ error: 'buyerPubkey and buyerArkAddress required' })
+  }
+
+  if (!Number.isSafeInteger(bidAmount) || bidAmount <= 0) {
+    return res.status(400).json({ error: 'amount must be a positive integer (sats)' })
+  }
+
+  if (!(duration >= FLOOR_BID_MIN_DURATION_MS && duration <= FLOOR_BID_MAX_DURATION_MS)) {
+    return res.status(400).json({
+      error: 'Invalid floor bid duration',
+      details: `durationHours must be between ${FLOOR_BID_MIN_DURATION_MS / 3600000} and ${FLOOR_BID_MAX_DURATION_MS / 3600000}`
+    })
+  }
+
+  if (traits !== undefined && (typeof traits !== 'object' || traits === null || !Array.isArray(traits.attributes ?? []))) {
+    return res.status(400).json({ error: 'traits must be { type?, background?, attributes?: string[] }' })
+  }
+
+  const criteria = parseTraitCriteria(traits)
+  if (criteria.error) {
+    return res.status(400).json({ error: 'Invalid trait filter', details: criteria.error })
+  }
+
+  try {
+    const id = generateNonce().slice(0, 32)
+
+    let escrow = null
+    try {
+      escrow = await allocateListingEscrow(`floor_bid:${id}`)
+    } catch (error) {
+      console.error('❌ Failed to derive floor bid escrow address:', error)
+      return res.status(503).json({ error: 'Escrow unavailable, please try again', details: error.message })
+    }
+    const escrowAddress = escrow?.address || ESCROW_ADDRESS
+
+    const { fee, percent: feePercent } = calculateMarketplaceFee(bidAmount)
+    const paymentAmount = allocatePaymentAmount(bidAmount + fee)
+
+    const now = Date.now()
+    const paymentExpiresAt = now + PAYMENT_INTENT_TTL_MS
+    const expiresAt = now + duration
+
+    db.prepare(`
+      INSERT INTO floor_bids (
+        id, buyer_address, buyer_pubkey, trait_type, trait_background, trait_attributes,
+        amount_sats, fee_sats, payment_amount_sats, status, escrow_address, escrow_key_index,
+        created_at, payment_expires_at, expires_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'awaiting_payment', ?, ?, ?, ?, ?)
+    `).run(id, buyerArkAddress, buyerPubkey, criteria.type, criteria.background,
+      criteria.attributes.length > 0 ? JSON.stringify(criteria.attributes) : null,
+      bidAmount, fee, paymentAmount, escrowAddress, escrow?.keyIndex ?? null, now, paymentExpiresAt, expiresAt)
+
+    logAudit('FLOOR_BID_CREATED', {
+      buyerAddress: buyerArkAddress,
+      amount: bidAmount,
+      status: 'PENDING',
+      details: { floorBidId: id, traits: criteria, fee, paymentAmount, escrowKeyIndex: escrow?.keyIndex ?? null, expiresAt }
+    })
+
+    console.log(`🧹 Floor bid ${id}: ${bidAmount} sats (+${fee} fee) for ${JSON.stringify(criteria)}`)
+
+    return res.json({
+      success: true,
+      bidId: id,
+      traits: criteria,
+      amount: bidAmount,
+      fee,
+      feePercent,
+      paymentAmount,
+      escrowAddress,
+      paymentExpiresAt,
+      expiresAt,
+      instructions: [
+        `Send exactly ${paymentAmount} sats to escrow address: ${escrowAddress}`,
+        `Funds must arrive before ${new Date(paymentExpiresAt).toISOString()}`,
+        'Any owner of a matching punk can sell it to you instantly while the bid is open',
+        `The bid stays open until ${new Date(expiresAt).toISOString()}, then the funds are refunded automatically`
+      ]
+    })
+  } catch (error) {
+    console.error('Error creating floor bid:', error)
+    return res.status(500).json({ error: 'Failed to create floor bid', details: error.message })
+  }
+})
+
+/**
+ * List floor bids
+ * GET /api/floor-bids?buyer=&status=open|<status>&punkId=&owner=
+ *
+ * punkId: open bids this punk can fill
+ * owner: open bids fillable by punks this address owns (each with `matchingPunkIds`)
+ * Sorted by amount, highest first
+ */
+app.get('/api/floor-bids', (req, res) => {
+  const { buyer, status, punkId, owner } = req.query
+  const conditions = []
+  const params = []
+
+  if (buyer) {
+    conditions.push('buyer_address = ?')
+    params.push(buyer)
+  }
+
+  if (status === 'open' || punkId || owner) {
+    conditions.push(`status = 'active' AND expires_at > ?`)
+    params.push(Date.now())
+  } else if (status) {
+    conditions.push('status = ?')
+    params.push(status)
+  }
+
+  try {
+    let bids = db.prepare(`
+      SELECT * FROM floor_bids
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY amount_sats DESC, created_at ASC
+      LIMIT 200
+    `).all(...params).map(formatFloorBid)
+
+    if (punkId || owner) {
+      const punks = punkId
+        ? db.prepare('SELECT punk_id, owner_address, punk_metadata_compressed FROM punks WHERE punk_id = ?').all(punkId)
+        : db.prepare('SELECT punk_id, owner_address, punk_metadata_compressed FROM punks WHERE owner_address = ?').all(owner)
+      const decoded = punks.map(punk => ({ punk, traits: decodePunkTraits(punk.punk_metadata_compressed) }))
+
+      bids = bids
+        .map(bid => ({
+          ...bid,
+          matchingPunkIds: decoded
+            .filter(({ punk, traits }) => punk.owner_address !== bid.buyerAddress && matchesTraits(traits, bid.traits))
+            .map(({ punk }) => punk.punk_id)
+        }))
+        .filter(bid => bid.matchingPunkIds.length > 0)
+    }
+
+    return res.json({ success: true, floorBids: bids })
+  } catch (error) {
+    console.error('Error fetching floor bids:', error)
+    return res.status(500).json({ error: 'Database error', success: false })
+  }
+})
+
+/**
+ * Report that the floor bid's funds were sent
+ * POST /api/floor-bids/:id/confirm
+ * Body: { buyerArkAddress }
+ */
+app.post('/api/floor-bids/:id/confirm', async (req, res) => {
+  const { buyerArkAddress } = req.body
+
+  try {
+    const bid = db.prepare('SELECT * FROM floor_bids WHERE id = ?').get(req.params.id)
+
+    if (!bid || bid.buyer_address !== buyerArkAddress) {
+      return res.status(404).json({ error: 'Floor bid not found' })
+    }
+
+    if (bid.status === 'active') {
+      return res.json({ success: true, floorBid: formatFloorBid(bid) })
+    }
+
+    if (bid.status !== 'awaiting_payment' && bid.status !== 'expired') {
+      return res.status(400).json({ error: 'Floor bid closed', currentStatus: bid.status })
+    }
+
+    const funded = await matchFloorBidPayment(bid)
+
+    if (!funded) {
+      if (bid.payment_expires_at <= Date.now()) {
+        return res.status(410).json({
+          error: 'Floor bid payment window expired',
+          note: 'Any late payment will be refunded automatically'
+        })
+      }
+      return res.status(402).json({
+        error: 'Payment not found yet',
+        expectedAmount: bid.payment_amount_sats,
+        paymentExpiresAt: bid.payment_expires_at
+      })
+    }
+
+    if (bid.status === 'expired') {
+      refundFloorBid(funded, 'late_payment')
+      await processPayouts()
+      return res.status(410).json({
+        error: 'Payment arrived after the floor bid payment window and is being refunded'
+      })
+    }
+
+    console.log(`✅ Floor bid ${bid.id} funded`)
+
+    return res.json({ success: true, floorBid: formatFloorBid(funded) })
+  } catch (error) {
+    console.error('Error confirming floor bid payment:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Withdraw a floor bid (refunds locked funds)
+ * POST /api/floor-bids/:id/cancel
+ * Body: { nonce, timestamp, signature }
+ *
+ * signature = schnorr(sha256(canonical {punkId: null, action: 'cancel_floor_bid', bidId, nonce, timestamp})) by buyer_pubkey
+ */
+app.post('/api/floor-bids/:id/cancel', async (req, res) => {
+  try {
+    const bid = db.prepare('SELECT * FROM floor_bids WHERE id = ?').get(req.params.id)
+
+    if (!bid) {
+      return res.status(404).json({ error: 'Floor bid not found' })
+    }
+
+    const authError = verifySignedAction(null, bid.buyer_pubkey, bid.buyer_address, req.body, 'cancel_floor_bid', { bidId: bid.id })
+    if (authError) {
+      logAudit('BUYER_AUTH_FAILED', {
+        buyerAddress: bid.buyer_address,
+        status: 'FAILED',
+        error: authError,
+        details: { action: 'cancel_floor_bid', floorBidId: bid.id }
+      })
+      return res.status(401).json({ error: 'Buyer signature verification failed', details: authError })
+    }
+
+    // Funds may have arrived without being reported yet
+    let current = bid
+    if (bid.status === 'awaiting_payment') {
+      current = await matchFloorBidPayment(bid) || bid
+    }
+
+    if (current.status === 'awaiting_payment') {
+      db.prepare(`
+        UPDATE floor_bids SET status = 'cancelled', closed_at = ? WHERE id = ? AND status = 'awaiting_payment'
+      `).run(Date.now(), bid.id)
+
+      logAudit('FLOOR_BID_CANCELLED', {
+        buyerAddress: bid.buyer_address,
+        amount: bid.amount_sats,
+        status: 'SUCCESS',
+        details: { floorBidId: bid.id, funded: false }
+      })
+
+      return res.json({ success: true, bidId: bid.id, status: 'cancelled', refund: null })
+    }
+
+    if (current.status !== 'active') {
+      return res.status(400).json({ error: 'Floor bid already closed', currentStatus: current.status })
+    }
+
+    const payoutId = refundFloorBid(current, 'cancelled_by_buyer')
+    if (payoutId === null) {
+      return res.status(409).json({ error: 'Floor bid is no longer cancellable' })
+    }
+
+    logAudit('FLOOR_BID_CANCELLED', {
+      buyerAddress: bid.buyer_address,
+      amount: bid.amount_sats,
+      status: 'SUCCESS',
+      details: { floorBidId: bid.id, funded: true, payoutId }
+    })
+
+    await processPayouts()
+    const refund = db.prepare('SELECT status, txid, amount_sats FROM payouts WHERE id = ?').get(payoutId)
+
+    return res.json({
+      success: true,
+      bidId: bid.id,
+      status: 'refunded',
+      refund: { status: refund.status, txid: refund.txid, amount: refund.amount_sats }
+    })
+  } catch (error) {
+    console.error('Error cancelling floor bid:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Sell a matching punk into a floor bid
+ * POST /api/floor-bids/:id/fill
+ * Body: { punkId, sellerPubkey, sellerArkAddress, nonce, timestamp, signature }
+ *
+ * signature = schnorr(sha256(canonical {punkId, action: 'fill_floor_bid', bidId, sellerArkAddress, nonce, timestamp}))
+ * by a key controlling punks.owner_address
+ *
+ * The punk's traits are decoded from punks.punk_metadata_compressed and checked against the bid.
+ * The buyer's funds are already locked, so the sale settles right away with the same ownership
+ * transfer as /api/escrow/execute. A punk sitting in an open escrow listing is taken off the
+ * market and its deposit returned; pending or auctioned punks cannot fill.
+ */
+app.post('/api/floor-bids/:id/fill', async (req, res) => {
+  const { punkId, sellerPubkey, sellerArkAddress } = req.body
+
+  if (!punkId || !sellerPubkey || !sellerArkAddress) {
+    return res.status(400).json({ error: 'punkId, sellerPubkey and sellerArkAddress required' })
+  }
+
+  try {
+    const bid = db.prepare('SELECT * FROM floor_bids WHERE id = ?').get(req.params.id)
+
+    if (!bid) {
+      return res.status(404).json({ error: 'Floor bid not found' })
+    }
+
+    if (bid.status !== 'active') {
+      return res.status(400).json({ error: 'Floor bid not open', currentStatus: bid.status })
+    }
+
+    if (bid.expires_at <= Date.now()) {
+      return res.status(410).json({ error: 'Floor bid expired' })
+    }
+
+    const punk = db.prepare('SELECT * FROM punks WHERE punk_id = ?').get(punkId)
+
+    if (!punk) {
+      return res.status(404).json({ error: 'Punk not found' })
+    }
+
+    if (punk.owner_address === bid.buyer_address) {
+      return res.status(400).json({ error: 'The bidder already owns this punk' })
+    }
+
+    const authError = await pubkeyControlsAddress(sellerPubkey, punk.owner_address)
+      ? verifySignedAction(punkId, sellerPubkey, punk.owner_address, req.body, 'fill_floor_bid', {
+        bidId: bid.id,
+        sellerArkAddress
+      })
+      : 'Signer does not own this punk'
+
+    if (authError) {
+      logAudit('SELLER_AUTH_FAILED', {
+        punkId,
+        sellerAddress: punk.owner_address,
+        status: 'FAILED',
+        error: authError,
+        details: { action: 'fill_floor_bid', floorBidId: bid.id }
+      })
+      return res.status(401).json({ error: 'Owner signature verification failed', details: authError })
+    }
+
+    const traits = decodePunkTraits(punk.punk_metadata_compressed)
+    if (!matchesTraits(traits, floorBidCriteria(bid))) {
+      return res.status(400).json({
+        error: traits ? 'Punk does not match this floor bid' : 'Punk traits unknown, it cannot fill floor bids',
+        traits,
+        wanted: floorBidCriteria(bid)
+      })
+    }
+
+    releaseExpiredReservations()
+    const listing = db.prepare('SELECT * FROM listings WHERE punk_id = ?').get(punkId)
+
+    if (listing?.status === 'pending') {
+      return res.status(409).json({ error: 'Punk has a pending listing, finish the deposit or cancel it first' })
+    }
+
+    if (listing?.status === 'auction') {
+      return res.status(409).json({ error: 'Punk is up for auction, it cannot fill floor bids until the auction ends' })
+    }
+
+    if (listing?.status === 'bundled') {
+      return res.status(409).json({ error: 'Punk is listed in a bundle, cancel the bundle to fill floor bids' })
+    }
+
+    if (listing?.status === 'reserved') {
+      return res.status(409).json({
+        error: 'Listing reserved by a buyer, it can fill floor bids if the reservation expires',
+        reservedUntil: listing.reserved_until
+      })
+    }
+
+    if (listing?.status === 'deposited' && listing.buyer_address) {
+      return res.status(409).json({ error: 'Purchase in progress, the punk cannot fill floor bids now' })
+    }
+
+    const listed = listing?.status === 'deposited'
+    const depositAmount = listed ? listing.deposit_amount_sats || DEPOSIT_AMOUNT : null
+    const now = Date.now()
+    let saleId
+    let payoutIds
+
+    try {
+      db.transaction(() => {
+        const filled = db.prepare(`
+          UPDATE floor_bids SET status = 'filled', punk_id = ?, seller_address = ?, closed_at = ?
+          WHERE id = ? AND status = 'active' AND expires_at > ?
+        `).run(punkId, sellerArkAddress, now, bid.id, now)
+        if (filled.changes !== 1) {
+          throw new Error('Floor bid no longer open')
+        }
+
+        const owner = db.prepare('SELECT owner_address FROM punks WHERE punk_id = ?').get(punkId)
+        if (owner?.owner_address !== punk.owner_address) {
+          throw new Error('Punk changed hands')
+        }
+
+        if (listed) {
+          const sold = db.prepare(`
+            UPDATE listings
+            SET status = 'sold', sold_at = ?, price_sats = ?, buyer_address = ?, buyer_pubkey = ?
+            WHERE punk_id = ? AND status = 'deposited' AND buyer_address IS NULL
+          `).run(now, bid.amount_sats, bid.buyer_address, bid.buyer_pubkey, punkId)
+          if (sold.changes !== 1) {
+            throw new Error('Listing already being purchased')
+          }
+        }
+
+        transferPunkOwnership(punkId, punk.owner_address, bid.buyer_address, now)
+
+        saleId = db.prepare(`
+          INSERT INTO sales (punk_id, price_sats, seller_address, buyer_address, sold_at)
+          VALUES (?, ?, ?, ?, ?)
+        `).run(punkId, bid.amount_sats, sellerArkAddress, bid.buyer_address, now).lastInsertRowid
+        db.prepare('UPDATE floor_bids SET sale_id = ? WHERE id = ?').run(saleId, bid.id)
+
+        recordSaleFee(saleId, {
+          punk_id: punkId,
+          price_sats: bid.amount_sats,
+          fee_sats: bid.fee_sats,
+          amount_sats: bid.payment_amount_sats,
+          escrow_key_index: bid.escrow_key_index
+        })
+
+        payoutIds = [
+          enqueuePayout({
+            kind: 'sale_proceeds',
+            recipient: sellerArkAddress,
+            amount: bid.amount_sats,
+            punkId,
+            saleId,
+            sourceKeyIndex: bid.escrow_key_index,
+            idempotencyKey: `floor_bid:${bid.id}:proceeds`
+          })
+        ]
+
+        if (listed) {
+          payoutIds.push(enqueuePayout({
+            kind: 'deposit_return',
+            recipient: listing.seller_address,
+            amount: depositAmount,
+            punkId,
+            saleId,
+            sourceKeyIndex: listing.escrow_key_index ?? null,
+            idempotencyKey: `floor_bid:${bid.id}:deposit`
+          }))
+        }
+      })()
+    } catch (fillError) {
+      console.log(`⚠️  Floor bid fill failed for ${bid.id}: ${fillError.message}`)
+      return res.status(409).json({ error: fillError.message })
+    }
+
+    await processPayouts()
+
+    const payouts = db.prepare(`
+      SELECT id, kind, status, txid, amount_sats FROM payouts WHERE id IN (${payoutIds.map(() => '?').join(', ')})
+    `).all(...payoutIds)
+    const proceeds = payouts.find(p => p.kind === 'sale_proceeds')
+
+    logAudit('FLOOR_BID_FILLED', {
+      punkId,
+      sellerAddress: sellerArkAddress,
+      buyerAddress: bid.buyer_address,
+      amount: bid.amount_sats,
+      status: 'SUCCESS',
+      details: { floorBidId: bid.id, traits, wasListed: listed }
+    })
+
+    logAudit('SALE_COMPLETED', {
+      punkId,
+      sellerAddress: sellerArkAddress,
+      buyerAddress: bid.buyer_address,
+      amount: bid.amount_sats,
+      txid: proceeds?.txid || null,
+      status: 'SUCCESS',
+      details: {
+        saleId,
+        floorBidId: bid.id,
+        depositAmount,
+        paymentOutpoint: bid.vtxo_outpoint,
+        payouts: payouts.map(p => ({ id: p.id, kind: p.kind, status: p.status }))
+      }
+    })
+
+    console.log(`✅ Floor bid ${bid.id} filled: ${punkId.slice(0, 8)}... sold for ${bid.amount_sats} sats`)
+
+    return res.json({
+      success: true,
+      bidId: bid.id,
+      punkId,
+      saleId,
+      payouts: payouts.map(p => ({ kind: p.kind, status: p.status, txid: p.txid })),
+      message: `Sold! You received ${bid.amount_sats} sats for your punk${listed ? ' plus your escrow deposit back' : ''}.`
+    })
+  } catch (error) {
+    console.error('Error filling floor bid:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+// ============================================================
+// BUNDLES (several punks sold together for one price)
+// ============================================================
+
+/**
+ * Each punk of a bundle gets its own listing row (bundle_id set) with its own sub-wallet and
+ * unique deposit amount, so deposits are attributed like any listing. Deposited bundle punks
+ * are 'bundled' instead of 'deposited': they can only be bought through the bundle.
+ * The bundle is 'pending' until every punk is deposited, then 'active' (see activateBundle).
+ */
+db.exec(`
+  CREATE TABLE IF NOT EXISTS bundles (
+    id TEXT PRIMARY KEY,
+    seller_address TEXT NOT NULL,
+    seller_pubkey TEXT NOT NULL,
+    punk_ids TEXT NOT NULL,                -- JSON array, in listing order
+    price_sats INTEGER NOT NULL,           -- Price of the whole bundle (split across its listings)
+    status TEXT NOT NULL CHECK(status IN ('pending', 'active', 'sold', 'cancelled')),
+    escrow_address TEXT,                   -- Where the buyer pays the bundle price
+    escrow_key_index INTEGER,              -- Sub-wallet of the buyer payment (NULL = master)
+    buyer_address TEXT,
+    buyer_pubkey TEXT,
+    created_at INTEGER NOT NULL,
+    activated_at INTEGER,                  -- Last deposit confirmed
+    sold_at INTEGER,
+    cancelled_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS idx_bundles_status ON bundles(status);
+  CREATE INDEX IF NOT EXISTS idx_bundles_seller ON bundles(seller_address);
+  CREATE INDEX IF NOT EXISTS idx_listings_bundle ON listings(bundle_id);
+`)
+
+const BUNDLE_MIN_PUNKS = 2
+const BUNDLE_MAX_PUNKS = 20
+
+/**
+ * Split a bundle price across its punks (the first punk takes the rounding remainder)
+ * Each listing and sales row carries its share so volumes still add up to the bundle price
+ */
+function splitBundlePrice(price, count) {
+  const share = Math.floor(price / count)
+  return Array.from({ length: count }, (_, i) => i === 0 ? price - share * (count - 1) : share)
+}
+
+/**
+ * Listings still belonging to the bundle (a sold or cancelled punk's row is replaced when it is listed again)
+ */
+function bundleListings(bundleId) {
+  return db.prepare('SELECT * FROM listings WHERE bundle_id = ?').all(bundleId)
+}
+
+function formatBundle(bundle) {
+  const punkIds = JSON.parse(bundle.punk_ids)
+  const listings = new Map(bundleListings(bundle.id).map(listing => [listing.punk_id, listing]))
+  const metadata = new Map(db.prepare(`
+    SELECT punk_id, punk_metadata_compressed FROM punks WHERE punk_id IN (${punkIds.map(() => '?').join(', ')})
+  `).all(...punkIds).map(punk => [punk.punk_id, punk.punk_metadata_compressed]))
+  const prices = splitBundlePrice(bundle.price_sats, punkIds.length)
+
+  const punks = punkIds.map((punkId, i) => {
+    const listing = listings.get(punkId)
+    return {
+      punkId,
+      price: prices[i],
+      status: listing?.status ?? null,
+      escrowAddress: listing?.escrow_address ?? null,
+      depositAmount: listing ? listing.deposit_amount_sats || DEPOSIT_AMOUNT : null,
+      deposited: Boolean(listing?.punk_vtxo_outpoint),
+      compressedMetadata: metadata.get(punkId) || listing?.punk_metadata_compressed || null
+    }
+  })
+
+  return {
+    bundleId: bundle.id,
+    seller: bundle.seller_address,
+    sellerPubkey: bundle.seller_pubkey,
+    price: bundle.price_sats,
+    status: bundle.status,
+    escrowAddress: bundle.escrow_address,
+    punks,
+    depositedCount: punks.filter(punk => punk.deposited).length,
+    buyerAddress: bundle.buyer_address,
+    createdAt: bundle.created_at,
+    activatedAt: bundle.activated_at,
+    soldAt: bundle.sold_at,
+    cancelledAt: bundle.cancelled_at
+  }
+}
+
+/**
+ * Activate a pending bundle once every one of its punks is deposited
+ * Called whenever a bundle punk's deposit is confirmed (update-outpoint or the reconciler)
+ *
+ * @returns The current bundle row, or null if missing
+ */
+function activateBundle(bundleId) {
+  const bundle = db.prepare('SELECT * FROM bundles WHERE id = ?').get(bundleId)
+  if (!bundle || bundle.status !== 'pending') {
+    return bundle ?? null
+  }
+
+  const punkIds = JSON.parse(bundle.punk_ids)
+  const { deposited } = db.prepare(`
+    SELECT COUNT(*) AS deposited FROM listings WHERE bundle_id = ? AND status = 'bundled'
+  `).get(bundleId)
+
+  if (deposited < punkIds.length) {
+    return bundle
+  }
+
+  const activated = db.prepare(`
+    UPDATE bundles SET status = 'active', activated_at = ? WHERE id = ? AND status = 'pending'
+  `).run(Date.now(), bundleId)
+
+  if (activated.changes === 1) {
+    logAudit('BUNDLE_ACTIVATED', {
+      punkId: punkIds[0],
+      sellerAddress: bundle.seller_address,
+      amount: bundle.price_sats,
+      status: 'SUCCESS',
+      details: { bundleId, punkIds }
+    })
+    console.log(`📦 Bundle ${bundleId} active: ${punkIds.length} punks for ${bundle.price_sats} sats`)
+  }
+
+  return db.prepare('SELECT * FROM bundles WHERE id = ?').get(bundleId)
+}
+
+/**
+ * List several punks as one lot
+ * POST /api/bundles
+ * Body: { sellerPubkey, sellerArkAddress, price, punkIds: [], compressedMetadata?: { [punkId]: hex } }
+ *
+ * Every punk must be deposited like a single listing (one escrow address and exact `depositAmount`
+ * each, then /api/escrow/update-outpoint). The bundle goes live once all deposits are confirmed.
+ * compressedMetadata entries are kept only if they match their punk id (see metadataMatchesPunkId).
+ */
+app.post('/api/bundles', async (req, res) => {
+  const { sellerPubkey, sellerArkAddress, price, punkIds, compressedMetadata } = req.body
+  const bundlePrice = Number(price)
+
+  if (!sellerPubkey || !sellerArkAddress) {
+    return res.status(400).json({ error: 'sellerPubkey and sellerArkAddress required' })
+  }
+
+  if (!Array.isArray(punkIds) || punkIds.some(punkId => typeof punkId !== 'string' || !punkId) ||
+      new Set(punkIds).size !== punkIds.length) {
+    return res.status(400).json({ error: 'punkIds must be a list of distinct punk ids' })
+  }
+
+  if (punkIds.length < BUNDLE_MIN_PUNKS || punkIds.length > BUNDLE_MAX_PUNKS) {
+    return res.status(400).json({ error: `A bundle holds ${BUNDLE_MIN_PUNKS} to ${BUNDLE_MAX_PUNKS} punks` })
+  }
+
+  if (!Number.isSafeInteger(bundlePrice) || bundlePrice < punkIds.length) {
+    return res.status(400).json({ error: 'price must be a positive integer (sats), at least 1 sat per punk' })
+  }
+
+  const isActive = listing => listing && ['pending', 'deposited', 'reserved', 'auction', 'bundled'].includes(listing.status)
+
+  try {
+    const listed = punkIds.find(punkId => isActive(db.prepare('SELECT status FROM listings WHERE punk_id = ?').get(punkId)))
+    if (listed) {
+      return res.status(400).json({ error: 'Punk already listed', punkId: listed })
+    }
+
+    const id = generateNonce().slice(0, 32)
+
+    let paymentEscrow = null
+    const escrows = []
+    try {
+      paymentEscrow = await allocateListingEscrow(`bundle:${id}`)
+      for (const punkId of punkIds) {
+        escrows.push(await allocateListingEscrow(punkId))
+      }
+    } catch (error) {
+      console.error('❌ Failed to derive bundle escrow addresses:', error)
+      return res.status(503).json({ error: 'Escrow unavailable, please try again', details: error.message })
+    }
+    const escrowAddress = paymentEscrow?.address || ESCROW_ADDRESS
+
+    const prices = splitBundlePrice(bundlePrice, punkIds.length)
+    const now = Date.now()
+    const deposits = []
+
+    try {
+      db.transaction(() => {
+        db.prepare(`
+          INSERT INTO bundles (id, seller_address, seller_pubkey, punk_ids, price_sats, status, escrow_address, escrow_key_index, created_at)
+          VALUES (?, ?, ?, ?, ?, 'pending', ?, ?, ?)
+        `).run(id, sellerArkAddress, sellerPubkey, JSON.stringify(punkIds), bundlePrice, escrowAddress, paymentEscrow?.keyIndex ?? null, now)
+
+        punkIds.forEach((punkId, i) => {
+          const existing = db.prepare('SELECT status FROM listings WHERE punk_id = ?').get(punkId)
+          if (isActive(existing)) {
+            throw new Error(`Punk ${punkId.slice(0, 8)}... already listed`)
+          }
+          if (existing) {
+            db.prepare('DELETE FROM listings WHERE punk_id = ?').run(punkId)
+          }
+
+          // Allocated inside the transaction so each deposit amount sees the ones before it
+          const depositAmount = allocateDepositAmount()
+          const depositAddress = escrows[i]?.address || ESCROW_ADDRESS
+          db.prepare(`
+            INSERT INTO listings (
+              punk_id, seller_address, seller_pubkey, price_sats,
+              status, escrow_address, escrow_key_index, created_at, punk_metadata_compressed, deposit_amount_sats, bundle_id
+            ) VALUES (?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?)
+          `).run(punkId, sellerArkAddress, sellerPubkey, prices[i], depositAddress, escrows[i]?.keyIndex ?? null, now,
+            metadataMatchesPunkId(punkId, compressedMetadata?.[punkId]) ? compressedMetadata[punkId] : null, depositAmount, id)
+
+          deposits.push({ punkId, escrowAddress: depositAddress, depositAmount })
+        })
+      })()
+    } catch (createError) {
+      return res.status(409).json({ error: createError.message })
+    }
+    indexWrittenMetadata()
+
+    logAudit('BUNDLE_CREATED', {
+      punkId: punkIds[0],
+      sellerAddress: sellerArkAddress,
+      amount: bundlePrice,
+      status: 'SUCCESS',
+      details: { bundleId: id, punkIds, deposits, escrowKeyIndex: paymentEscrow?.keyIndex ?? null }
+    })
+
+    console.log(`📦 Bundle ${id} created: ${punkIds.length} punks for ${bundlePrice} sats - waiting for deposits`)
+
+    return res.json({
+      success: true,
+      bundleId: id,
+      price: bundlePrice,
+      punkIds,
+      escrowAddress,
+      deposits,
+      message: 'Send every punk VTXO to its escrow address to activate the bundle',
+      instructions: [
+        ...deposits.map(d => `Send exactly ${d.depositAmount.toLocaleString()} sats to: ${d.escrowAddress}`),
+        'The bundle appears in the marketplace once every punk is deposited',
+        'A buyer pays the bundle price once and receives all punks together',
+        'When sold, you receive the full bundle price and every deposit back automatically'
+      ]
+    })
+  } catch (error) {
+    console.error('❌ Error creating bundle:', error)
+    return res.status(500).json({ error: 'Failed to create bundle', details: error.message })
+  }
+})
+
+/**
+ * List bundles
+ * GET /api/bundles?status=&seller=
+ *
+ * Defaults to active bundles unless a seller is given
+ */
+app.get('/api/bundles', (req, res) => {
+  const { status, seller } = req.query
+  const conditions = []
+  const params = []
+
+  if (seller) {
+    conditions.push('seller_address = ?')
+    params.push(seller)
+  }
+
+  if (status || !seller) {
+    conditions.push('status = ?')
+    params.push(status || 'active')
+  }
+
+  try {
+    const bundles = db.prepare(`
+      SELECT * FROM bundles WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC
+    `).all(...params)
+
+    return res.json({ success: true, bundles: bundles.map(formatBundle) })
+  } catch (error) {
+    console.error('Error fetching bundles:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Get one bundle
+ * GET /api/bundles/:id
+ */
+app.get('/api/bundles/:id', (req, res) => {
+  try {
+    const bundle = db.prepare('SELECT * FROM bundles WHERE id = ?').get(req.params.id)
+
+    if (!bundle) {
+      return res.status(404).json({ error: 'Bundle not found' })
+    }
+
+    return res.json({ success: true, bundle: formatBundle(bundle) })
+  } catch (error) {
+    console.error('Error fetching bundle:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Buy a bundle
+ * POST /api/bundles/:id/buy
+ * Body: { buyerPubkey, buyerArkAddress }
+ *
+ * Same payment intent flow as /api/escrow/buy for the bundle price, then /api/bundles/:id/execute
+ */
+app.post('/api/bundles/:id/buy', (req, res) => {
+  const { buyerPubkey, buyerArkAddress } = req.body
+
+  if (!buyerPubkey || !buyerArkAddress) {
+    return res.status(400).json({ error: 'buyerPubkey and buyerArkAddress required' })
+  }
+
+  try {
+    const bundle = db.prepare('SELECT * FROM bundles WHERE id = ?').get(req.params.id)
+
+    if (!bundle) {
+      return res.status(404).json({ error: 'Bundle not found' })
+    }
+
+    if (bundle.status !== 'active') {
+      return res.status(400).json({
+        error: 'Bundle not available for purchase',
+        currentStatus: bundle.status
+      })
+    }
+
+    const punkIds = JSON.parse(bundle.punk_ids)
+    const price = bundle.price_sats
+    const { fee, percent: feePercent } = calculateMarketplaceFee(price)
+
+    // The intent points at the first punk, bundle_id marks it as a bundle purchase
+    const intent = createPaymentIntent({
+      punk_id: punkIds[0],
+      price_sats: price,
+      escrow_key_index: bundle.escrow_key_index,
+      seller_address: bundle.seller_address
+    }, buyerArkAddress, buyerPubkey, fee, bundle.id)
+    const totalWithFee = intent.amount
+    const escrowAddress = bundle.escrow_address || ESCROW_ADDRESS
+
+    console.log(`🛒 Buy request for bundle ${bundle.id} (${punkIds.length} punks)`)
+    console.log(`   Price: ${price} sats, fee (${feePercent}%): ${fee} sats`)
+    console.log(`   Intent: ${intent.id} (${totalWithFee} sats)`)
+
+    return res.json({
+      success: true,
+      bundleId: bundle.id,
+      punkIds,
+      intentId: intent.id,
+      expiresAt: intent.expiresAt,
+      price: price.toString(),
+      totalWithFee: totalWithFee.toString(),
+      fee: fee.toString(),
+      feePercent,
+      escrowAddress,
+      instructions: [
+        `Send exactly ${totalWithFee} sats to escrow address: ${escrowAddress}`,
+        `Payment must arrive before ${new Date(intent.expiresAt).toISOString()}`,
+        `All ${punkIds.length} punks will be transferred to you together once payment is confirmed`,
+        'Late or unmatched payments are refunded automatically'
+      ]
+    })
+  } catch (error) {
+    console.error('Error processing bundle buy request:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Execute a bundle purchase
+ * POST /api/bundles/:id/execute
+ * Body: { buyerPubkey, buyerArkAddress, intentId }
+ *
+ * Every punk changes hands in one transaction: either the buyer gets the whole bundle or nothing.
+ * The seller is paid the bundle price once and gets every deposit back.
+ */
+app.post('/api/bundles/:id/execute', async (req, res) => {
+  const { buyerPubkey, buyerArkAddress, intentId } = req.body
+
+  if (!buyerPubkey || !buyerArkAddress || !intentId) {
+    return res.status(400).json({ error: 'buyerPubkey, buyerArkAddress and intentId required' })
+  }
+
+  try {
+    let intent = db.prepare('SELECT * FROM payment_intents WHERE id = ?').get(intentId)
+
+    if (!intent || intent.bundle_id !== req.params.id || intent.buyer_address !== buyerArkAddress) {
+      return res.status(404).json({ error: 'Payment intent not found' })
+    }
+
+    if (intent.status === 'completed') {
+      return res.status(400).json({ error: 'Purchase already completed' })
+    }
+
+    if (intent.status === 'refunded' || intent.status === 'refund_failed') {
+      return res.status(410).json({
+        error: 'Payment intent closed, payment was refunded',
+        refundTxid: intent.refund_txid
+      })
+    }
+
+    if (intent.status === 'awaiting_payment' || intent.status === 'expired') {
+      const paid = await matchIntentPayment(intent)
+
+      if (!paid) {
+        if (intent.expires_at <= Date.now()) {
+          return res.status(410).json({
+            error: 'Payment intent expired',
+            note: 'Any late payment will be refunded automatically'
+          })
+        }
+        return res.status(402).json({
+          error: 'Payment not found yet',
+          expectedAmount: intent.amount_sats,
+          expiresAt: intent.expires_at
+        })
+      }
+
+      if (intent.status === 'expired') {
+        await refundIntent(paid, 'late_payment')
+        return res.status(410).json({
+          error: 'Payment arrived after the intent expired and is being refunded'
+        })
+      }
+
+      intent = paid
+    }
+
+    const bundle = db.prepare('SELECT * FROM bundles WHERE id = ?').get(intent.bundle_id)
+    const punkIds = JSON.parse(bundle.punk_ids)
+    const listings = new Map(bundleListings(bundle.id).map(listing => [listing.punk_id, listing]))
+
+    if (bundle.status !== 'active' || punkIds.some(punkId => listings.get(punkId)?.status !== 'bundled')) {
+      // Buyer paid but the bundle is gone: give the money back
+      const refundTxid = await refundIntent(intent, 'listing_unavailable')
+      return res.status(409).json({
+        error: 'Bundle not available for execution',
+        currentStatus: bundle.status,
+        refundTxid
+      })
+    }
+
+    const now = Date.now()
+    const sales = []
+    const payoutIds = []
+
+    console.log(`💰 Executing purchase for bundle ${bundle.id} (${punkIds.length} punks, ${bundle.price_sats} sats)`)
+
+    try {
+      db.transaction(() => {
+        const completed = db.prepare(`
+          UPDATE payment_intents SET status = 'completed', completed_at = ? WHERE id = ? AND status = 'paid'
+        `).run(now, intent.id)
+        if (completed.changes !== 1) {
+          throw new Error('Payment intent already used')
+        }
+
+        const sold = db.prepare(`
+          UPDATE bundles SET status = 'sold', sold_at = ?, buyer_address = ?, buyer_pubkey = ?
+          WHERE id = ? AND status = 'active'
+        `).run(now, buyerArkAddress, buyerPubkey, bundle.id)
+        if (sold.changes !== 1) {
+          throw new Error('Bundle already being purchased')
+        }
+
+        for (const punkId of punkIds) {
+          const listing = listings.get(punkId)
+          const marked = db.prepare(`
+            UPDATE listings SET status = 'sold', sold_at = ?, buyer_address = ?, buyer_pubkey = ?
+            WHERE punk_id = ? AND bundle_id = ? AND status = 'bundled'
+          `).run(now, buyerArkAddress, buyerPubkey, punkId, bundle.id)
+          if (marked.changes !== 1) {
+            throw new Error('Bundle punk no longer in escrow')
+          }
+
+          transferPunkOwnership(punkId, listing.seller_address, buyerArkAddress, now)
+
+          const saleId = db.prepare(`
+            INSERT INTO sales (punk_id, price_sats, seller_address, buyer_address, sold_at, bundle_id)
+            VALUES (?, ?, ?, ?, ?, ?)
+          `).run(punkId, listing.price_sats, listing.seller_address, buyerArkAddress, now, bundle.id).lastInsertRowid
+          sales.push({ punkId, saleId, price: listing.price_sats })
+
+          payoutIds.push(enqueuePayout({
+            kind: 'deposit_return',
+            recipient: listing.seller_address,
+            amount: listing.deposit_amount_sats || DEPOSIT_AMOUNT,
+            punkId,
+            saleId,
+            sourceKeyIndex: listing.escrow_key_index ?? null,
+            idempotencyKey: `bundle:${intent.id}:deposit:${punkId}`
+          }))
+        }
+
+        // One payment, one fee: both are booked on the first punk's sale
+        recordSaleFee(sales[0].saleId, intent)
+        payoutIds.unshift(enqueuePayout({
+          kind: 'sale_proceeds',
+          recipient: bundle.seller_address,
+          amount: bundle.price_sats,
+          punkId: punkIds[0],
+          saleId: sales[0].saleId,
+          sourceKeyIndex: intent.escrow_key_index,
+          idempotencyKey: `bundle:${intent.id}:proceeds`
+        }))
+      })()
+    } catch (lockError) {
+      console.log(`⚠️  Bundle purchase failed for ${bundle.id}: ${lockError.message}`)
+      return res.status(409).json({ error: lockError.message })
+    }
+
+    await processPayouts()
+
+    const payouts = db.prepare(`
+      SELECT id, kind, status, txid, amount_sats FROM payouts WHERE id IN (${payoutIds.map(() => '?').join(', ')})
+    `).all(...payoutIds)
+    const proceeds = payouts.find(p => p.kind === 'sale_proceeds')
+
+    for (const sale of sales) {
+      logAudit('SALE_COMPLETED', {
+        punkId: sale.punkId,
+        sellerAddress: bundle.seller_address,
+        buyerAddress: buyerArkAddress,
+        amount: sale.price,
+        txid: proceeds?.txid || null,
+        status: 'SUCCESS',
+        details: {
+          saleId: sale.saleId,
+          bundleId: bundle.id,
+          bundlePrice: bundle.price_sats,
+          intentId: intent.id,
+          paymentOutpoint: intent.vtxo_outpoint,
+          payouts: payouts.map(p => ({ id: p.id, kind: p.kind, status: p.status }))
+        }
+      })
+    }
+
+    console.log(`✅ Bundle ${bundle.id} sold to ${buyerArkAddress.slice(0, 20)}...`)
+
+    return res.json({
+      success: true,
+      bundleId: bundle.id,
+      punkIds,
+      saleIds: sales.map(sale => sale.saleId),
+      paymentTxid: proceeds?.txid || null,
+      payouts: payouts.map(p => ({ kind: p.kind, status: p.status, txid: p.txid })),
+      message: proceeds?.txid
+        ? `Purchase completed successfully! All ${punkIds.length} punks are now yours.`
+        : `Purchase completed! All ${punkIds.length} punks are now yours. Seller payout is queued and will be retried automatically.`
+    })
+  } catch (error) {
+    console.error('Error executing bundle purchase:', error)
+    return res.status(500).json({ error: 'Database error during purchase execution' })
+  }
+})
+
+/**
+ * Cancel a bundle (returns every deposit made so far)
+ * POST /api/bundles/:id/cancel
+ * Body: { nonce, timestamp, signature }
+ *
+ * signature = schnorr(sha256(canonical {punkId: null, action: 'cancel_bundle', bundleId, nonce, timestamp})) by seller_pubkey
+ */
+app.post('/api/bundles/:id/cancel', async (req, res) => {
+  try {
+    const bundle = db.prepare('SELECT * FROM bundles WHERE id = ?').get(req.params.id)
+
+    if (!bundle) {
+      return res.status(404).json({ error: 'Bundle not found' })
+    }
+
+    const authError = verifySignedAction(null, bundle.seller_pubkey, bundle.seller_address, req.body, 'cancel_bundle', { bundleId: bundle.id })
+    if (authError) {
+      logAudit('SELLER_AUTH_FAILED', {
+        sellerAddress: bundle.seller_address,
+        status: 'FAILED',
+        error: authError,
+        details: { action: 'cancel_bundle', bundleId: bundle.id }
+      })
+      return res.status(401).json({ error: 'Seller signature verification failed', details: authError })
+    }
+
+    if (bundle.status !== 'pending' && bundle.status !== 'active') {
+      return res.status(400).json({ error: 'Bundle already closed', currentStatus: bundle.status })
+    }
+
+    // Deposits sent but not reported yet must be attributed before deciding what to return
+    if (bundle.status === 'pending') {
+      await reconcileDeposits()
+    }
+
+    const now = Date.now()
+    const refunds = []
+
+    try {
+      db.transaction(() => {
+        const cancelled = db.prepare(`
+          UPDATE bundles SET status = 'cancelled', cancelled_at = ? WHERE id = ? AND status IN ('pending', 'active')
+        `).run(now, bundle.id)
+        if (cancelled.changes !== 1) {
+          throw new Error('Bundle no longer cancellable')
+        }
+
+        for (const listing of bundleListings(bundle.id)) {
+          if (listing.status !== 'pending' && listing.status !== 'bundled') continue
+
+          db.prepare(`
+            UPDATE listings SET status = 'cancelled', cancelled_at = ? WHERE punk_id = ? AND bundle_id = ?
+          `).run(now, listing.punk_id, bundle.id)
+
+          if (listing.status === 'bundled') {
+            refunds.push({
+              punkId: listing.punk_id,
+              payoutId: enqueuePayout({
+                kind: 'deposit_return',
+                recipient: listing.seller_address,
+                amount: listing.deposit_amount_sats || DEPOSIT_AMOUNT,
+                punkId: listing.punk_id,
+                sourceKeyIndex: listing.escrow_key_index ?? null,
+                idempotencyKey: `bundle:${bundle.id}:cancel:${listing.punk_id}`
+              })
+            })
+          }
+        }
+      })()
+    } catch (cancelError) {
+      return res.status(409).json({ error: cancelError.message })
+    }
+
+    if (refunds.length > 0) {
+      await processPayouts()
+    }
+
+    const payouts = refunds.map(refund => ({
+      punkId: refund.punkId,
+      ...db.prepare('SELECT status, txid, amount_sats AS amount FROM payouts WHERE id = ?').get(refund.payoutId)
+    }))
+
+    logAudit('BUNDLE_CANCELLED', {
+      punkId: JSON.parse(bundle.punk_ids)[0],
+      sellerAddress: bundle.seller_address,
+      amount: bundle.price_sats,
+      status: 'SUCCESS',
+      details: { bundleId: bundle.id, wasActive: bundle.status === 'active', refunds: payouts }
+    })
+
+    console.log(`🔴 Bundle cancelled: ${bundle.id} (${payouts.length} deposits returned)`)
+
+    return res.json({
+      success: true,
+      bundleId: bundle.id,
+      status: 'cancelled',
+      refunds: payouts,
+      message: payouts.length > 0
+        ? `Bundle cancelled, ${payouts.length} deposited punk${payouts.length === 1 ? '' : 's'} returned to your wallet`
+        : 'Bundle cancelled (no punk was deposited yet)'
+    })
+  } catch (error) {
+    console.error('Error cancelling bundle:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+// ============================================================
+// SWEEPS (buy the cheapest listings in one checkout)
+// ============================================================
+
+/**
+ * A sweep quotes the cheapest matching 'deposited' listings and moves them to 'reserved' for the
+ * buyer while the combined payment is pending (same lock as /api/escrow/buy). Once the payment
+ * arrives every purchase executes in one transaction; listings that became unavailable anyway
+ * (e.g. the reservation lapsed and another buyer took them) are skipped and their share refunded.
+ */
+db.exec(`
+  CREATE TABLE IF NOT EXISTS sweeps (
+    id TEXT PRIMARY KEY,
+    buyer_address TEXT NOT NULL,
+    buyer_pubkey TEXT NOT NULL,
+    trait_type TEXT,                       -- Filter used for the quote (NULL = any)
+    trait_background TEXT,
+    trait_attributes TEXT,                 -- JSON array
+    max_count INTEGER,                     -- Requested count (NULL = budget only)
+    budget_sats INTEGER,                   -- Requested budget incl. fees (NULL = count only)
+    price_sats INTEGER NOT NULL,           -- Sum of the reserved listing prices
+    fee_sats INTEGER NOT NULL,             -- Sum of the marketplace fees
+    payment_amount_sats INTEGER NOT NULL,  -- Exact amount to pay (price + fee + unique offset)
+    status TEXT NOT NULL CHECK(status IN ('awaiting_payment', 'paid', 'completed', 'expired', 'cancelled', 'refunded')),
+    escrow_address TEXT,
+    escrow_key_index INTEGER,              -- Sub-wallet receiving the payment (NULL = master)
+    vtxo_outpoint TEXT,
+    refund_amount_sats INTEGER,            -- Share of skipped listings (or the whole payment) sent back
+    refund_reason TEXT,
+    created_at INTEGER NOT NULL,
+    payment_expires_at INTEGER NOT NULL,
+    paid_at INTEGER,
+    closed_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS idx_sweeps_status ON sweeps(status);
+  CREATE INDEX IF NOT EXISTS idx_sweeps_buyer ON sweeps(buyer_address);
+
+  CREATE TABLE IF NOT EXISTS sweep_items (
+    sweep_id TEXT NOT NULL,
+    punk_id TEXT NOT NULL,
+    price_sats INTEGER NOT NULL,           -- Listing price when quoted
+    fee_sats INTEGER NOT NULL,
+    status TEXT NOT NULL CHECK(status IN ('reserved', 'purchased', 'skipped', 'released')),
+    skip_reason TEXT,
+    sale_id INTEGER,
+    PRIMARY KEY (sweep_id, punk_id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_sweep_items_punk ON sweep_items(punk_id, status);
+`)
+
+const SWEEP_MAX_ITEMS = 20
+const SWEEP_CHECK_INTERVAL_MS = 60 * 1000
+
+/**
+ * Payment amounts of sweeps waiting for payment (or still watched for late payments)
+ */
+function openSweepAmounts() {
+  return db.prepare(`
+    SELECT payment_amount_sats FROM sweeps
+    WHERE status = 'awaiting_payment'
+       OR (status IN ('expired', 'cancelled') AND vtxo_outpoint IS NULL AND payment_expires_at > ?)
+  `).all(Date.now() - LATE_PAYMENT_WINDOW_MS).map(row => row.payment_amount_sats)
+}
+
+/**
+ * Release the listings a sweep still holds (expired or cancelled before payment)
+ */
+function releaseSweepReservations(sweep) {
+  db.prepare(`
+    UPDATE listings SET status = 'deposited', reserved_by = NULL, reserved_until = NULL
+    WHERE status = 'reserved' AND reserved_by = ?
+      AND punk_id IN (SELECT punk_id FROM sweep_items WHERE sweep_id = ? AND status = 'reserved')
+  `).run(sweep.buyer_address, sweep.id)
+  db.prepare(`UPDATE sweep_items SET status = 'released' WHERE sweep_id = ? AND status = 'reserved'`).run(sweep.id)
+}
+
+/**
+ * Pick the cheapest open listings matching the filter, within the count and/or budget
+ * Reserved, private, not yet started or expired listings, listings locked to a buyer and the buyer's own listings are skipped
+ *
+ * @param criteria Result of parseTraitCriteria
+ * @param options { count?, budget? (incl. fees), buyerAddress? }
+ * @returns [{ punkId, price, fee, compressedMetadata }] cheapest first
+ */
+function quoteSweep(criteria, { count, budget, buyerAddress }) {
+  const filtered = Boolean(criteria.type || criteria.background || criteria.attributes.length > 0)
+  const limit = Math.min(count || SWEEP_MAX_ITEMS, SWEEP_MAX_ITEMS)
+
+  const listings = db.prepare(`
+    SELECT l.punk_id, l.price_sats, l.seller_address,
+           COALESCE(p.punk_metadata_compressed, l.punk_metadata_compressed) AS compressed
+    FROM listings l
+    LEFT JOIN punks p ON l.punk_id = p.punk_id
+    WHERE l.status = 'deposited' AND l.buyer_address IS NULL AND l.allowed_buyer IS NULL
+      AND (l.starts_at IS NULL OR l.starts_at <= @now) AND (l.expires_at IS NULL OR l.expires_at > @now)
+    ORDER BY l.price_sats ASC, l.created_at ASC
+  `).all({ now: Date.now() })
+
+  const items = []
+  let total = 0
+
+  for (const listing of listings) {
+    if (items.length >= limit) break
+    if (listing.seller_address === buyerAddress) continue
+    if (filtered && !matchesTraits(decodePunkTraits(listing.compressed), criteria)) continue
+
+    const { fee } = calculateMarketplaceFee(listing.price_sats)
+    // Sorted by price: once one listing exceeds the budget, every following one does too
+    if (budget && total + listing.price_sats + fee > budget) break
+
+    items.push({ punkId: listing.punk_id, price: listing.price_sats, fee, compressedMetadata: listing.compressed || null })
+    total += listing.price_sats + fee
+  }
+
+  return items
+}
+
+function formatSweep(sweep) {
+  const items = db.prepare(`
+    SELECT i.*, p.punk_metadata_compressed FROM sweep_items i
+    LEFT JOIN punks p ON p.punk_id = i.punk_id
+    WHERE i.sweep_id = ? ORDER BY i.price_sats ASC
+  `).all(sweep.id)
+
+  return {
+    sweepId: sweep.id,
+    buyerAddress: sweep.buyer_address,
+    traits: {
+      type: sweep.trait_type,
+      background: sweep.trait_background,
+      attributes: sweep.trait_attributes ? JSON.parse(sweep.trait_attributes) : []
+    },
+    count: sweep.max_count,
+    budget: sweep.budget_sats,
+    price: sweep.price_sats,
+    fee: sweep.fee_sats,
+    paymentAmount: sweep.payment_amount_sats,
+    status: sweep.status,
+    escrowAddress: sweep.escrow_address,
+    items: items.map(item => ({
+      punkId: item.punk_id,
+      price: item.price_sats,
+      fee: item.fee_sats,
+      status: item.status,
+      skipReason: item.skip_reason,
+      saleId: item.sale_id,
+      compressedMetadata: item.punk_metadata_compressed || null
+    })),
+    refundAmount: sweep.refund_amount_sats,
+    refundReason: sweep.refund_reason,
+    createdAt: sweep.created_at,
+    paymentExpiresAt: sweep.payment_expires_at,
+    paidAt: sweep.paid_at,
+    closedAt: sweep.closed_at
+  }
+}
+
+/**
+ * Look for the sweep's payment in escrow
+ * A payment to an awaiting sweep marks it as paid; expired or cancelled sweeps keep their
+ * status so the late payment is refunded (see refundSweep)
+ * @returns Updated sweep, or null if no matching VTXO arrived yet
+ */
+async function matchSweepPayment(sweep) {
+  const vtxo = await findIncomingPayment(
+    sweep.payment_amount_sats,
+    sweep.created_at - VTXO_CLOCK_SKEW_MS,
+    [...claimedEscrowOutpoints()],
+    sweep.escrow_key_index
+  )
+  if (!vtxo) {
+    return null
+  }
+
+  const outpoint = `${vtxo.txid}:${vtxo.vout}`
+  const result = db.prepare(`
+    UPDATE sweeps
+    SET status = CASE WHEN status = 'awaiting_payment' THEN 'paid' ELSE status END, vtxo_outpoint = ?, paid_at = ?
+    WHERE id = ? AND status IN ('awaiting_payment', 'expired', 'cancelled') AND vtxo_outpoint IS NULL
+  `).run(outpoint, Date.now(), sweep.id)
+
+  if (result.changes !== 1) {
+    return null
+  }
+
+  logAudit('PAYMENT_RECEIVED', {
+    buyerAddress: sweep.buyer_address,
+    amount: sweep.payment_amount_sats,
+    txid: vtxo.txid,
+    status: 'SUCCESS',
+    details: { sweepId: sweep.id, vtxoOutpoint: outpoint, late: sweep.status !== 'awaiting_payment' }
+  })
+
+  return db.prepare('SELECT * FROM sweeps WHERE id = ?').get(sweep.id)
+}
+
+/**
+ * Refund the whole payment of a sweep that was paid after it expired or was cancelled
+ * @returns Payout id, or null if there was nothing to refund
+ */
+function refundSweep(sweep, reason) {
+  let payoutId = null
+
+  db.transaction(() => {
+    const claim = db.prepare(`
+      UPDATE sweeps SET status = 'refunded', refund_amount_sats = payment_amount_sats, refund_reason = ?, closed_at = ?
+      WHERE id = ? AND status IN ('expired', 'cancelled') AND vtxo_outpoint IS NOT NULL
+    `).run(reason, Date.now(), sweep.id)
+
+    if (claim.changes !== 1) return
+
+    payoutId = enqueuePayout({
+      kind: 'sweep_refund',
+      recipient: sweep.buyer_address,
+      amount: sweep.payment_amount_sats,
+      sourceKeyIndex: sweep.escrow_key_index,
+      idempotencyKey: `sweep:${sweep.id}:refund`
+    })
+  })()
+
+  if (payoutId !== null) {
+    logAudit('PAYMENT_REFUNDED', {
+      buyerAddress: sweep.buyer_address,
+      amount: sweep.payment_amount_sats,
+      status: 'SUCCESS',
+      details: { sweepId: sweep.id, reason, payoutId }
+    })
+  }
+
+  return payoutId
+}
+
+/**
+ * Execute a paid sweep: buy every reserved listing that is still available at the quoted price,
+ * skip the others and refund their share (the whole payment if nothing could be bought)
+ * Everything happens in one transaction; payouts go through the outbox
+ *
+ * @returns { purchased, skipped, refundAmount } or null if the sweep was not paid or already executed
+ */
+async function executeSweep(sweepId) {
+  const sweep = db.prepare('SELECT * FROM sweeps WHERE id = ?').get(sweepId)
+  if (!sweep || sweep.status !== 'paid') {
+    return null
+  }
+
+  const now = Date.now()
+  const purchased = []
+  const skipped = []
+  let refundAmount = 0
+  let claimed = false
+
+  db.transaction(() => {
+    const claim = db.prepare(`
+      UPDATE sweeps SET status = 'completed', closed_at = ? WHERE id = ? AND status = 'paid'
+    `).run(now, sweep.id)
+    if (claim.changes !== 1) return
+    claimed = true
+
+    const items = db.prepare(`SELECT * FROM sweep_items WHERE sweep_id = ? AND status = 'reserved'`).all(sweep.id)
+
+    for (const item of items) {
+      const listing = db.prepare('SELECT * FROM listings WHERE punk_id = ?').get(item.punk_id)
+      const skipReason = listingAvailableTo(listing, sweep.buyer_address, sweep.buyer_pubkey)
+        ? listing.price_sats !== item.price_sats ? 'price_changed' : null
+        : listing?.status === 'reserved' || listing?.status === 'deposited' ? 'purchase_in_progress' : 'sold'
+
+      if (skipReason) {
+        db.prepare(`
+          UPDATE sweep_items SET status = 'skipped', skip_reason = ? WHERE sweep_id = ? AND punk_id = ?
+        `).run(skipReason, sweep.id, item.punk_id)
+        skipped.push({ punkId: item.punk_id, reason: skipReason })
+        refundAmount += item.price_sats + item.fee_sats
+        continue
+      }
+
+      db.prepare(`
+        UPDATE listings
+        SET status = 'sold', sold_at = ?, buyer_address = ?, buyer_pubkey = ?, reserved_by = NULL, reserved_until = NULL
+        WHERE punk_id = ? AND (status = 'deposited' OR (status = 'reserved' AND reserved_by = ?))
+      `).run(now, sweep.buyer_address, sweep.buyer_pubkey, item.punk_id, sweep.buyer_address)
+
+      transferPunkOwnership(item.punk_id, listing.seller_address, sweep.buyer_address, now)
+
+      const saleId = db.prepare(`
+        INSERT INTO sales (punk_id, price_sats, seller_address, buyer_address, sold_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(item.punk_id, item.price_sats, listing.seller_address, sweep.buyer_address, now).lastInsertRowid
+
+      recordSaleFee(saleId, {
+        punk_id: item.punk_id,
+        price_sats: item.price_sats,
+        fee_sats: item.fee_sats,
+        amount_sats: item.price_sats + item.fee_sats,
+        escrow_key_index: sweep.escrow_key_index
+      })
+
+      const payoutIds = [
+        enqueuePayout({
+          kind: 'sale_proceeds',
+          recipient: listing.seller_address,
+          amount: item.price_sats,
+          punkId: item.punk_id,
+          saleId,
+          sourceKeyIndex: sweep.escrow_key_index,
+          idempotencyKey: `sweep:${sweep.id}:proceeds:${item.punk_id}`
+        }),
+        enqueuePayout({
+          kind: 'deposit_return',
+          recipient: listing.seller_address,
+          amount: listing.deposit_amount_sats || DEPOSIT_AMOUNT,
+          punkId: item.punk_id,
+          saleId,
+          sourceKeyIndex: listing.escrow_key_index ?? null,
+          idempotencyKey: `sweep:${sweep.id}:deposit:${item.punk_id}`
+        })
+      ]
+
+      db.prepare(`
+        UPDATE sweep_items SET status = 'purchased', sale_id = ? WHERE sweep_id = ? AND punk_id = ?
+      `).run(saleId, sweep.id, item.punk_id)
+      purchased.push({ punkId: item.punk_id, saleId, price: item.price_sats, sellerAddress: listing.seller_address, payoutIds })
+    }
+
+    // Nothing bought: the whole payment goes back (including the unique offset)
+    if (purchased.length === 0) {
+      refundAmount = sweep.payment_amount_sats
+      db.prepare(`UPDATE sweeps SET status = 'refunded' WHERE id = ?`).run(sweep.id)
+    }
+
+    if (refundAmount > 0) {
+      enqueuePayout({
+        kind: 'sweep_refund',
+        recipient: sweep.buyer_address,
+        amount: refundAmount,
+        sourceKeyIndex: sweep.escrow_key_index,
+        idempotencyKey: `sweep:${sweep.id}:refund`
+      })
+      db.prepare(`
+        UPDATE sweeps SET refund_amount_sats = ?, refund_reason = ? WHERE id = ?
+      `).run(refundAmount, purchased.length === 0 ? 'listings_unavailable' : 'partially_filled', sweep.id)
+    }
+  })()
+
+  if (!claimed) {
+    return null
+  }
+
+  await processPayouts()
+
+  for (const purchase of purchased) {
+    const payouts = db.prepare(`
+      SELECT id, kind, status, txid FROM payouts WHERE id IN (?, ?)
+    `).all(...purchase.payoutIds)
+
+    logAudit('SALE_COMPLETED', {
+      punkId: purchase.punkId,
+      sellerAddress: purchase.sellerAddress,
+      buyerAddress: sweep.buyer_address,
+      amount: purchase.price,
+      txid: payouts.find(p => p.kind === 'sale_proceeds')?.txid || null,
+      status: 'SUCCESS',
+      details: {
+        saleId: purchase.saleId,
+        sweepId: sweep.id,
+        paymentOutpoint: sweep.vtxo_outpoint,
+        payouts: payouts.map(p => ({ id: p.id, kind: p.kind, status: p.status }))
+      }
+    })
+  }
+
+  logAudit('SWEEP_EXECUTED', {
+    buyerAddress: sweep.buyer_address,
+    amount: sweep.payment_amount_sats,
+    status: 'SUCCESS',
+    details: {
+      sweepId: sweep.id,
+      purchased: purchased.map(p => p.punkId),
+      skipped,
+      refundAmount
+    }
+  })
+
+  console.log(`🧹 Sweep ${sweep.id} executed: ${purchased.length} bought, ${skipped.length} skipped, ${refundAmount} sats refunded`)
+
+  return { purchased, skipped, refundAmount }
+}
+
+let checkingSweeps = false
+
+/**
+ * Background check:
+ * - execute sweeps whose payment arrived, expire unpaid ones (releasing their reservations)
+ * - refund late payments to expired or cancelled sweeps
+ */
+async function checkSweeps() {
+  if (checkingSweeps) return
+  checkingSweeps = true
+
+  try {
+    const now = Date.now()
+
+    const awaiting = db.prepare(`SELECT * FROM sweeps WHERE status = 'awaiting_payment'`).all()
+
+    for (const sweep of awaiting) {
+      if (await matchSweepPayment(sweep)) continue
+      if (sweep.payment_expires_at > now) continue
+
+      db.transaction(() => {
+        const expired = db.prepare(`
+          UPDATE sweeps SET status = 'expired', closed_at = ? WHERE id = ? AND status = 'awaiting_payment'
+        `).run(now, sweep.id)
+        if (expired.changes === 1) {
+          releaseSweepReservations(sweep)
+        }
+      })()
+    }
+
+    const paid = db.prepare(`SELECT id FROM sweeps WHERE status = 'paid'`).all()
+
+    for (const { id } of paid) {
+      await executeSweep(id)
+    }
+
+    const watched = db.prepare(`
+      SELECT * FROM sweeps
+      WHERE status IN ('expired', 'cancelled') AND vtxo_outpoint IS NULL AND payment_expires_at > ?
+    `).all(now - LATE_PAYMENT_WINDOW_MS)
+
+    for (const sweep of watched) {
+      const late = await matchSweepPayment(sweep)
+      if (late) {
+        refundSweep(late, 'late_payment')
+      }
+    }
+
+    await processPayouts()
+  } catch (error) {
+    console.error('❌ Sweep check failed:', error)
+  } finally {
+    checkingSweeps = false
+  }
+}
+
+setInterval(checkSweeps, SWEEP_CHECK_INTERVAL_MS)
+
+/**
+ * Parse count / budget of a sweep request
+ * @returns { count, budget } (either may be null, not both) or { error }
+ */
+function parseSweepLimits(count, budget) {
+  const maxCount = count === undefined || count === null || count === '' ? null : Number(count)
+  const maxBudget = budget === undefined || budget === null || budget === '' ? null : Number(budget)
+
+  if (maxCount === null && maxBudget === null) {
+    return { error: 'count or budget required' }
+  }
+
+  if (maxCount !== null && (!Number.isSafeInteger(maxCount) || maxCount < 1 || maxCount > SWEEP_MAX_ITEMS)) {
+    return { error: `count must be between 1 and ${SWEEP_MAX_ITEMS}` }
+  }
+
+  if (maxBudget !== null && (!Number.isSafeInteger(maxBudget) || maxBudget <= 0)) {
+    return { error: 'budget must be a positive integer (sats)' }
+  }
+
+  return { count: maxCount, budget: maxBudget }
+}
+
+/**
+ * Preview a sweep without reserving anything
+ * GET /api/sweeps/quote?count=&budget=&type=&background=&attributes=a,b&buyer=
+ *
+ * budget includes marketplace fees; at most 20 listings per sweep
+ */
+app.get('/api/sweeps/quote', (req, res) => {
+  const { count, budget, type, background, attributes, buyer } = req.query
+
+  const limits = parseSweepLimits(count, budget)
+  if (limits.error) {
+    return res.status(400).json({ error: 'Invalid sweep', details: limits.error })
+  }
+
+  const criteria = parseTraitCriteria({
+    type,
+    background,
+    attributes: attributes ? String(attributes).split(',').map(a => a.trim()).filter(Boolean) : []
+  })
+  if (criteria.error) {
+    return res.status(400).json({ error: 'Invalid trait filter', details: criteria.error })
+  }
+
+  try {
+    releaseExpiredReservations()
+    const items = quoteSweep(criteria, { ...limits, buyerAddress: buyer })
+    const price = items.reduce((sum, item) => sum + item.price, 0)
+    const fee = items.reduce((sum, item) => sum + item.fee, 0)
+
+    return res.json({ success: true, traits: criteria, items, price, fee, total: price + fee })
+  } catch (error) {
+    console.error('Error quoting sweep:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Quote and reserve a sweep
+ * POST /api/sweeps
+ * Body: { buyerPubkey, buyerArkAddress, count?, budget?, traits?: { type?, background?, attributes?: [] } }
+ *
+ * Reserves the cheapest matching listings (see quoteSweep). The buyer sends exactly
+ * `paymentAmount` before `paymentExpiresAt` and calls /api/sweeps/:id/confirm; the purchases
+ * also execute on their own once the payment is seen.
+ */
+app.post('/api/sweeps', async (req, res) => {
+  const { buyerPubkey, buyerArkAddress, count, budget, traits } = req.body
+
+  if (!buyerPubkey || !buyerArkAddress) {
+    return res.status(400).json({ error: 'buyerPubkey and buyerArkAddress required' })
+  }
+
+  const limits = parseSweepLimits(count, budget)
+  if (limits.error) {
+    return res.status(400).json({ error: 'Invalid sweep', details: limits.error })
+  }
+
+  if (traits !== undefined && (typeof traits !== 'object' || traits === null || !Array.isArray(traits.attributes ?? []))) {
+    return res.status(400).json({ error: 'traits must be { type?, background?, attributes?: string[] }' })
+  }
+
+  const criteria = parseTraitCriteria(traits)
+  if (criteria.error) {
+    return res.status(400).json({ error: 'Invalid trait filter', details: criteria.error })
+  }
+
+  try {
+    const id = generateNonce().slice(0, 32)
+
+    let escrow = null
+    try {
+      escrow = await allocateListingEscrow(`sweep:${id}`)
+    } catch (error) {
+      console.error('❌ Failed to derive sweep escrow address:', error)
+      return res.status(503).json({ error: 'Escrow unavailable, please try again', details: error.message })
     }
+    const escrowAddress = escrow?.address || ESCROW_ADDRESS
 
-    // Create listing in "pending" state (waiting for punk deposit)
-    const now = Date.now()
-    db.prepare(`
-      INSERT INTO listings (
-        punk_id, seller_address, seller_pubkey, price_sats,
-        status, escrow_address, created_at, punk_metadata_compressed
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(punkId, sellerArkAddress, sellerPubkey, price, 'pending', ESCROW_ADDRESS, now, compressedMetadata || null)
+    releaseExpiredReservations()
 
-    // AUDIT: List created
-    logAudit('LIST_CREATED', {
-      punkId,
-      sellerAddress: sellerArkAddress,
-      amount: price,
-      status: 'SUCCESS',
-      details: { escrowAddress: ESCROW_ADDRESS }
+    // Quote and reserve together so two buyers never hold the same punk
+    let sweep
+    db.transaction(() => {
+      const items = quoteSweep(criteria, { ...limits, buyerAddress: buyerArkAddress })
+      if (items.length === 0) return
+
+      const price = items.reduce((sum, item) => sum + item.price, 0)
+      const fee = items.reduce((sum, item) => sum + item.fee, 0)
+      const paymentAmount = allocatePaymentAmount(price + fee)
+      const now = Date.now()
+
+      db.prepare(`
+        INSERT INTO sweeps (
+          id, buyer_address, buyer_pubkey, trait_type, trait_background, trait_attributes, max_count, budget_sats,
+          price_sats, fee_sats, payment_amount_sats, status, escrow_address, escrow_key_index, created_at, payment_expires_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'awaiting_payment', ?, ?, ?, ?)
+      `).run(id, buyerArkAddress, buyerPubkey, criteria.type, criteria.background,
+        criteria.attributes.length > 0 ? JSON.stringify(criteria.attributes) : null, limits.count, limits.budget,
+        price, fee, paymentAmount, escrowAddress, escrow?.keyIndex ?? null, now, now + PAYMENT_INTENT_TTL_MS)
+
+      const insertItem = db.prepare(`
+        INSERT INTO sweep_items (sweep_id, punk_id, price_sats, fee_sats, status) VALUES (?, ?, ?, ?, 'reserved')
+      `)
+      const reserveListing = db.prepare(`
+        UPDATE listings SET status = 'reserved', reserved_by = ?, reserved_until = ?
+        WHERE punk_id = ? AND status = 'deposited' AND buyer_address IS NULL
+      `)
+      for (const item of items) {
+        insertItem.run(id, item.punkId, item.price, item.fee)
+        reserveListing.run(buyerArkAddress, now + PAYMENT_INTENT_TTL_MS, item.punkId)
+      }
+
+      sweep = db.prepare('SELECT * FROM sweeps WHERE id = ?').get(id)
+    })()
+
+    if (!sweep) {
+      return res.status(404).json({ error: 'No listings match this sweep' })
+    }
+
+    const formatted = formatSweep(sweep)
+
+    logAudit('SWEEP_CREATED', {
+      buyerAddress: buyerArkAddress,
+      amount: sweep.payment_amount_sats,
+      status: 'PENDING',
+      details: {
+        sweepId: id,
+        traits: criteria,
+        count: limits.count,
+        budget: limits.budget,
+        punkIds: formatted.items.map(item => item.punkId),
+        escrowKeyIndex: escrow?.keyIndex ?? null
+      }
     })
 
-    console.log(`✅ Listing created - waiting for punk deposit`)
+    console.log(`🧹 Sweep ${id}: ${formatted.items.length} listings reserved for ${sweep.payment_amount_sats} sats`)
 
-    return res.status(200).json({
+    return res.json({
       success: true,
-      punkId,
-      escrowAddress: ESCROW_ADDRESS,
-      price,
-      message: 'Send your punk VTXO to escrow address to activate listing',
+      sweep: formatted,
       instructions: [
-        `Send your punk VTXO (~10,100 sats) to: ${ESCROW_ADDRESS}`,
-        'Once received, your listing will appear in the marketplace',
-        'Buyers can then purchase your punk',
-        'When sold, you receive payment automatically (minus 1% fee)'
+        `Send exactly ${sweep.payment_amount_sats} sats to escrow address: ${escrowAddress}`,
+        `Payment must arrive before ${new Date(sweep.payment_expires_at).toISOString()}, the listings are reserved until then`,
+        'Every purchase executes together once the payment is confirmed',
+        'Listings sold or repriced in the meantime are skipped and their share is refunded automatically'
       ]
     })
   } catch (error) {
-    console.error('❌ Error creating listing:', error)
-    return res.status(500).json({
-      error: 'Failed to create listing',
-      details: error.message
-    })
+    console.error('Error creating sweep:', error)
+    return res.status(500).json({ error: 'Failed to create sweep', details: error.message })
   }
 })
 
 /**
- * Get escrow listings
- * GET /api/escrow/listings
+ * List a buyer's sweeps
+ * GET /api/sweeps?buyer=
  */
-app.get('/api/escrow/listings', (req, res) => {
+app.get('/api/sweeps', (req, res) => {
+  const { buyer } = req.query
+
+  if (!buyer) {
+    return res.status(400).json({ error: 'buyer required' })
+  }
+
   try {
-    const listings = db.prepare(`
-      SELECT
-        l.*,
-        p.server_signature
-      FROM listings l
-      LEFT JOIN punks p ON l.punk_id = p.punk_id
-      WHERE l.status IN ('pending', 'deposited')
-      ORDER BY l.created_at DESC
-    `).all()
+    const sweeps = db.prepare(`
+      SELECT * FROM sweeps WHERE buyer_address = ? ORDER BY created_at DESC LIMIT 50
+    `).all(buyer)
 
-    // Map database fields (snake_case) to API format (camelCase)
-    const listingsWithMetadata = listings.map(listing => {
-      return {
-        punkId: listing.punk_id,
-        seller: listing.seller_address,
-        sellerPubkey: listing.seller_pubkey,
-        price: listing.price_sats,
-        status: listing.status,
-        escrowAddress: listing.escrow_address,
-        punkVtxoOutpoint: listing.punk_vtxo_outpoint,
-        compressedMetadata: listing.punk_metadata_compressed || null,
-        serverSignature: listing.server_signature || null,
-        createdAt: listing.created_at,
-        depositedAt: listing.deposited_at
+    return res.json({ success: true, sweeps: sweeps.map(formatSweep) })
+  } catch (error) {
+    console.error('Error fetching sweeps:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Get one sweep
+ * GET /api/sweeps/:id
+ */
+app.get('/api/sweeps/:id', (req, res) => {
+  try {
+    const sweep = db.prepare('SELECT * FROM sweeps WHERE id = ?').get(req.params.id)
+
+    if (!sweep) {
+      return res.status(404).json({ error: 'Sweep not found' })
+    }
+
+    return res.json({ success: true, sweep: formatSweep(sweep) })
+  } catch (error) {
+    console.error('Error fetching sweep:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Report that the sweep payment was sent and execute the purchases
+ * POST /api/sweeps/:id/confirm
+ * Body: { buyerArkAddress }
+ */
+app.post('/api/sweeps/:id/confirm', async (req, res) => {
+  const { buyerArkAddress } = req.body
+
+  try {
+    const sweep = db.prepare('SELECT * FROM sweeps WHERE id = ?').get(req.params.id)
+
+    if (!sweep || sweep.buyer_address !== buyerArkAddress) {
+      return res.status(404).json({ error: 'Sweep not found' })
+    }
+
+    if (sweep.status === 'completed' || sweep.status === 'refunded') {
+      return res.json({ success: true, sweep: formatSweep(sweep) })
+    }
+
+    if (sweep.status === 'awaiting_payment' || sweep.status === 'expired') {
+      const paid = await matchSweepPayment(sweep)
+
+      if (!paid) {
+        if (sweep.payment_expires_at <= Date.now()) {
+          return res.status(410).json({
+            error: 'Sweep payment window expired',
+            note: 'Any late payment will be refunded automatically'
+          })
+        }
+        return res.status(402).json({
+          error: 'Payment not found yet',
+          expectedAmount: sweep.payment_amount_sats,
+          paymentExpiresAt: sweep.payment_expires_at
+        })
+      }
+
+      if (sweep.status === 'expired') {
+        refundSweep(paid, 'late_payment')
+        await processPayouts()
+        return res.status(410).json({
+          error: 'Payment arrived after the sweep expired and is being refunded'
+        })
+      }
+    } else if (sweep.status !== 'paid') {
+      return res.status(400).json({ error: 'Sweep closed', currentStatus: sweep.status })
+    }
+
+    await executeSweep(sweep.id)
+
+    return res.json({ success: true, sweep: formatSweep(db.prepare('SELECT * FROM sweeps WHERE id = ?').get(sweep.id)) })
+  } catch (error) {
+    console.error('Error confirming sweep payment:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+/**
+ * Cancel an unpaid sweep (releases its reservations)
+ * POST /api/sweeps/:id/cancel
+ * Body: { nonce, timestamp, signature }
+ *
+ * signature = schnorr(sha256(canonical {punkId: null, action: 'cancel_sweep', sweepId, nonce, timestamp})) by buyer_pubkey
+ */
+app.post('/api/sweeps/:id/cancel', async (req, res) => {
+  try {
+    const sweep = db.prepare('SELECT * FROM sweeps WHERE id = ?').get(req.params.id)
+
+    if (!sweep) {
+      return res.status(404).json({ error: 'Sweep not found' })
+    }
+
+    const authError = verifySignedAction(null, sweep.buyer_pubkey, sweep.buyer_address, req.body, 'cancel_sweep', { sweepId: sweep.id })
+    if (authError) {
+      logAudit('BUYER_AUTH_FAILED', {
+        buyerAddress: sweep.buyer_address,
+        status: 'FAILED',
+        error: authError,
+        details: { action: 'cancel_sweep', sweepId: sweep.id }
+      })
+      return res.status(401).json({ error: 'Buyer signature verification failed', details: authError })
+    }
+
+    if (sweep.status !== 'awaiting_payment') {
+      return res.status(400).json({ error: 'Only unpaid sweeps can be cancelled', currentStatus: sweep.status })
+    }
+
+    // The payment may have arrived without being reported yet: then the sweep executes instead
+    if (await matchSweepPayment(sweep)) {
+      await executeSweep(sweep.id)
+      return res.status(409).json({
+        error: 'Payment already received, the sweep was executed',
+        sweep: formatSweep(db.prepare('SELECT * FROM sweeps WHERE id = ?').get(sweep.id))
+      })
+    }
+
+    db.transaction(() => {
+      const cancelled = db.prepare(`
+        UPDATE sweeps SET status = 'cancelled', closed_at = ? WHERE id = ? AND status = 'awaiting_payment'
+      `).run(Date.now(), sweep.id)
+      if (cancelled.changes === 1) {
+        releaseSweepReservations(sweep)
       }
+    })()
+
+    logAudit('SWEEP_CANCELLED', {
+      buyerAddress: sweep.buyer_address,
+      amount: sweep.payment_amount_sats,
+      status: 'SUCCESS',
+      details: { sweepId: sweep.id }
     })
 
-    return res.json({ listings: listingsWithMetadata, success: true })
+    return res.json({ success: true, sweepId: sweep.id, status: 'cancelled' })
   } catch (error) {
-    console.error('Error fetching escrow listings:', error)
-    return res.status(500).json({ error: 'Database error', success: false })
+    console.error('Error cancelling sweep:', error)
+    return res.status(500).json({ error: 'Database error' })
   }
 })
 
+// ============================================================
+// SCHEDULED LISTINGS (start and expiry times)
+// ============================================================
+//
+// Fixed price listings can carry starts_at (hidden and not for sale before) and expires_at.
+// Past expires_at a listing nobody is buying goes to 'expired' and the seller's deposit is
+// returned through the payout queue. Reserved listings wait for their buyer: they expire
+// once the reservation is released or runs out.
+
+const LISTING_MAX_START_DELAY_MS = 30 * 24 * 60 * 60 * 1000
+const LISTING_MIN_DURATION_MS = 60 * 60 * 1000
+const LISTING_MAX_DURATION_MS = 180 * 24 * 60 * 60 * 1000
+const LISTING_EXPIRY_INTERVAL_MS = 60 * 1000
+
 /**
- * Update escrow listing with punk VTXO outpoint
- * POST /api/escrow/update-outpoint
- * Body: { punkId, punkVtxoOutpoint }
+ * Validate an optional listing schedule (a start in the past opens the listing right away)
  *
- * CRITICAL: Verifies VTXO actually exists in escrow wallet before confirming deposit
+ * @returns { startsAt, expiresAt } (null when not set) or { error }
  */
-app.post('/api/escrow/update-outpoint', async (req, res) => {
-  const { punkId, punkVtxoOutpoint } = req.body
+function validateListingSchedule(startsAt, expiresAt) {
+  const now = Date.now()
+  const start = startsAt ? Number(startsAt) : null
+  const end = expiresAt ? Number(expiresAt) : null
 
-  if (!punkId || !punkVtxoOutpoint) {
-    return res.status(400).json({ error: 'punkId and punkVtxoOutpoint required' })
+  if ((start !== null && !Number.isSafeInteger(start)) || (end !== null && !Number.isSafeInteger(end))) {
+    return { error: 'startsAt and expiresAt must be timestamps in milliseconds' }
+  }
+
+  if (start !== null && start > now + LISTING_MAX_START_DELAY_MS) {
+    return { error: `Listing must start within ${LISTING_MAX_START_DELAY_MS / 86400000} days` }
   }
 
+  const opensAt = Math.max(start ?? now, now)
+  if (end !== null && (end - opensAt < LISTING_MIN_DURATION_MS || end - opensAt > LISTING_MAX_DURATION_MS)) {
+    return {
+      error: `Listing must run between ${LISTING_MIN_DURATION_MS / 3600000} hour and ${LISTING_MAX_DURATION_MS / 86400000} days`
+    }
+  }
+
+  return { startsAt: start !== null && start > now ? start : null, expiresAt: end }
+}
+
+let expiringListings = false
+
+/**
+ * Background job: expire listings past expires_at and return their deposits
+ * The expiry (status, deposit payout, LISTING_EXPIRED) is one transaction; the payout worker
+ * records the transfer itself (PAYOUT_SENT or PAYMENT_FAILED with the payout id)
+ */
+async function expireListings() {
+  if (expiringListings) return
+  expiringListings = true
+
   try {
-    const listing = db.prepare('SELECT * FROM listings WHERE punk_id = ?').get(punkId)
+    releaseExpiredReservations()
 
-    if (!listing) {
-      return res.status(404).json({ error: 'Listing not found' })
+    const now = Date.now()
+    const due = db.prepare(`
+      SELECT * FROM listings WHERE status = 'deposited' AND buyer_address IS NULL AND expires_at <= ?
+    `).all(now)
+
+    const expired = []
+
+    for (const listing of due) {
+      const depositAmount = listing.deposit_amount_sats || DEPOSIT_AMOUNT
+      const payoutId = db.transaction(() => {
+        const updated = db.prepare(`
+          UPDATE listings SET status = 'expired'
+          WHERE punk_id = ? AND status = 'deposited' AND buyer_address IS NULL
+        `).run(listing.punk_id)
+        if (updated.changes !== 1) return null
+
+        const queuedPayoutId = enqueuePayout({
+          kind: 'deposit_return',
+          recipient: listing.seller_address,
+          amount: depositAmount,
+          punkId: listing.punk_id,
+          sourceKeyIndex: listing.escrow_key_index ?? null,
+          idempotencyKey: `listing:${listing.punk_id}:${listing.created_at}:expired`
+        })
+
+        logAudit('LISTING_EXPIRED', {
+          punkId: listing.punk_id,
+          sellerAddress: listing.seller_address,
+          amount: listing.price_sats,
+          status: 'SUCCESS',
+          details: { expiresAt: listing.expires_at, depositAmount, payoutId: queuedPayoutId }
+        })
+
+        return queuedPayoutId
+      })()
+
+      if (payoutId !== null) {
+        expired.push({ listing, payoutId })
+      }
     }
 
-    if (listing.status !== 'pending') {
-      return res.status(400).json({
-        error: 'Listing not in pending state',
-        currentStatus: listing.status
-      })
+    if (expired.length === 0) return
+
+    await processPayouts()
+
+    for (const { listing, payoutId } of expired) {
+      const payout = db.prepare('SELECT status FROM payouts WHERE id = ?').get(payoutId)
+      console.log(`⌛ Listing expired: ${listing.punk_id.slice(0, 8)}... (deposit return ${payout.status})`)
     }
+  } catch (error) {
+    console.error('❌ Listing expiry failed:', error)
+  } finally {
+    expiringListings = false
+  }
+}
 
-    // CRITICAL: Verify VTXO actually exists in escrow wallet
-    const DEPOSIT_AMOUNT = 10000
-    const verification = await verifyVtxoInEscrow(punkVtxoOutpoint, DEPOSIT_AMOUNT)
+setInterval(expireListings, LISTING_EXPIRY_INTERVAL_MS)
 
-    if (!verification.exists) {
-      console.log(`❌ VTXO verification failed for ${punkId.slice(0, 8)}: ${verification.error}`)
+// ============================================================
+// WHITELIST - All punks in database are official
+// ============================================================
 
-      // AUDIT: Failed deposit attempt
-      logAudit('DEPOSIT_CONFIRMED', {
-        punkId,
-        sellerAddress: listing.seller_address,
-        amount: listing.price_sats,
-        status: 'FAILED',
-        details: { vtxoOutpoint: punkVtxoOutpoint, error: verification.error }
-      })
+app.get('/api/whitelist/list', (req, res) => {
+  try {
+    const punks = db.prepare('SELECT punk_id FROM punks').all()
+    const punkIds = punks.map(p => p.punk_id)
+
+    return res.json({
+      success: true,
+      punkIds,
+      count: punkIds.length
+    })
+  } catch (error) {
+    console.error('Error fetching whitelist:', error)
+    return res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// ============================================================
+// HEALTH CHECK
+// ============================================================
+
+app.get('/health', (req, res) => {
+  try {
+    const stats = db.prepare('SELECT COUNT(*) as count FROM punks').get()
+    return res.json({
+      status: 'ok',
+      version: '2.0',
+      database: 'connected',
+      activePunks: stats.count
+    })
+  } catch (error) {
+    return res.status(500).json({ status: 'error', error: error.message })
+  }
+})
+
+// ============================================================
+// ADMIN - AUDIT LOG
+// ============================================================
+
+app.get('/api/admin/audit', requireAdmin('support'), (req, res) => {
+  const { limit = 100, action, punkId } = req.query
+
+  try {
+    let query = 'SELECT * FROM audit_log'
+    const params = []
+    const conditions = []
+
+    if (action) {
+      conditions.push('action = ?')
+      params.push(action)
+    }
+
+    if (punkId) {
+      conditions.push('punk_id = ?')
+      params.push(punkId)
+    }
+
+    if (conditions.length > 0) {
+      query += ' WHERE ' + conditions.join(' AND ')
+    }
+
+    query += ' ORDER BY timestamp DESC LIMIT ?'
+    params.push(parseInt(limit))
+
+    const logs = db.prepare(query).all(...params)
+
+    // Parse details JSON
+    const formattedLogs = logs.map(log => ({
+      ...log,
+      details: log.details ? JSON.parse(log.details) : null,
+      timestampFormatted: new Date(log.timestamp).toISOString()
+    }))
+
+    return res.json({
+      success: true,
+      count: formattedLogs.length,
+      logs: formattedLogs
+    })
+  } catch (error) {
+    console.error('Error fetching audit log:', error)
+    return res.status(500).json({ success: false, error: error.message })
+  }
+})
 
-      return res.status(400).json({
-        error: 'Deposit verification failed',
-        details: verification.error,
-        message: 'VTXO not found in escrow wallet. Please ensure the deposit was sent correctly.'
-      })
-    }
+// ============================================================
+// ADMIN - PAYOUTS
+// ============================================================
 
-    // Update listing: mark as deposited and store punk VTXO outpoint
-    const now = Date.now()
-    db.prepare(`
-      UPDATE listings
-      SET status = 'deposited', deposited_at = ?, punk_vtxo_outpoint = ?
-      WHERE punk_id = ?
-    `).run(now, punkVtxoOutpoint, punkId)
+/**
+ * List payouts needing attention
+ * GET /api/admin/payouts?status=stuck|pending|sending|sent|failed|all (operator)
+ *
+ * stuck = failed, retried at least 3 times, or 'sending' for too long (outcome unknown)
+ */
+app.get('/api/admin/payouts', requireAdmin('operator'), (req, res) => {
+  const { status = 'stuck', limit = 100 } = req.query
 
-    // Extract TXID from outpoint for audit log
-    const [depositTxid] = punkVtxoOutpoint.split(':')
+  try {
+    let query = 'SELECT * FROM payouts'
+    const params = []
 
-    // AUDIT: Deposit confirmed (verified!) - now with TXID!
-    logAudit('DEPOSIT_CONFIRMED', {
-      punkId,
-      sellerAddress: listing.seller_address,
-      amount: DEPOSIT_AMOUNT,
-      txid: depositTxid,
-      status: 'SUCCESS',
-      details: { vtxoOutpoint: punkVtxoOutpoint, verified: true }
-    })
+    if (status === 'stuck') {
+      query += ` WHERE status = 'failed'
+        OR (status = 'pending' AND attempts >= 3)
+        OR (status = 'sending' AND updated_at < ?)`
+      params.push(Date.now() - PAYOUT_STALE_SENDING_MS)
+    } else if (status !== 'all') {
+      query += ' WHERE status = ?'
+      params.push(status)
+    }
 
-    console.log(`✅ Punk deposited to escrow (VERIFIED): ${punkId.slice(0, 8)}...`)
-    console.log(`   VTXO outpoint: ${punkVtxoOutpoint}`)
+    query += ' ORDER BY created_at DESC LIMIT ?'
+    params.push(parseInt(limit))
+
+    const payouts = db.prepare(query).all(...params)
 
     return res.json({
       success: true,
-      punkId,
-      status: 'deposited',
-      message: 'Punk successfully deposited to escrow. Listing is now active!'
+      count: payouts.length,
+      payouts
     })
   } catch (error) {
-    console.error('Error updating escrow outpoint:', error)
-    return res.status(500).json({ error: 'Database error' })
+    console.error('Error fetching payouts:', error)
+    return res.status(500).json({ success: false, error: error.message })
   }
 })
 
 /**
- * Buy punk from escrow
- * POST /api/escrow/buy
- * Body: { punkId, buyerPubkey, buyerArkAddress }
+ * Requeue a failed payout
+ * POST /api/admin/payouts/:id/retry (operator)
+ *
+ * Only 'failed' payouts can be retried; a payout stuck in 'sending' may have gone
+ * out and is resolved with /api/admin/payouts/:id/resolve after checking the escrow wallet history
  */
-app.post('/api/escrow/buy', (req, res) => {
-  const { punkId, buyerPubkey, buyerArkAddress } = req.body
-
-  if (!punkId || !buyerPubkey || !buyerArkAddress) {
-    return res.status(400).json({ error: 'punkId, buyerPubkey, and buyerArkAddress required' })
-  }
+app.post('/api/admin/payouts/:id/retry', requireAdmin('operator'), async (req, res) => {
+  const { id } = req.params
 
   try {
-    const listing = db.prepare(`
-      SELECT * FROM listings WHERE punk_id = ?
-    `).get(punkId)
-
-    if (!listing) {
-      return res.status(404).json({ error: 'Listing not found' })
-    }
+    const result = db.prepare(`
+      UPDATE payouts SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ?
+      WHERE id = ? AND status = 'failed'
+    `).run(Date.now(), Date.now(), id)
 
-    if (listing.status !== 'deposited') {
-      return res.status(400).json({
-        error: 'Punk not available for purchase',
-        currentStatus: listing.status
-      })
+    if (result.changes !== 1) {
+      return res.status(400).json({ success: false, error: 'Only failed payouts can be retried' })
     }
 
-    // Calculate fees (currently no marketplace fee)
-    const price = listing.price_sats
-    const feePercent = 0
-    const fee = 0
-    const totalWithFee = price
+    logAudit('PAYOUT_RETRY_REQUESTED', { status: 'PENDING', details: { payoutId: Number(id), adminPubkey: req.admin.pubkey } })
 
-    console.log(`🛒 Buy request for punk ${punkId.slice(0, 8)}...`)
-    console.log(`   Price: ${price} sats`)
-    console.log(`   Buyer: ${buyerArkAddress.slice(0, 20)}...`)
+    await processPayouts()
 
-    return res.json({
-      success: true,
-      punkId,
-      price: price.toString(),
-      totalWithFee: totalWithFee.toString(),
-      fee: fee.toString(),
-      feePercent,
-      escrowAddress: ESCROW_ADDRESS,
-      instructions: [
-        `Send ${totalWithFee} sats to escrow address: ${ESCROW_ADDRESS}`,
-        'Include your Ark address in the payment',
-        'The punk will be transferred to you once payment is confirmed',
-        'The seller will receive their payment automatically'
-      ]
-    })
+    const payout = db.prepare('SELECT * FROM payouts WHERE id = ?').get(id)
+    return res.json({ success: true, payout })
   } catch (error) {
-    console.error('Error processing buy request:', error)
-    return res.status(500).json({ error: 'Database error' })
+    console.error('Error retrying payout:', error)
+    return res.status(500).json({ success: false, error: error.message })
   }
 })
 
 /**
- * Execute purchase (simple account-based system)
- * POST /api/escrow/execute
- * Body: { punkId, buyerPubkey, buyerArkAddress }
+ * Settle or requeue a payout stuck in 'sending' (the send was cut off, its outcome is unknown)
+ * POST /api/admin/payouts/:id/resolve (operator)
+ * Body: { outcome: 'sent', txid } | { outcome: 'requeue' }
  *
- * Flow:
- * 1. Buyer has already sent payment to escrow
- * 2. Escrow sends payment to seller
- * 3. Update punk owner in database
+ * Check the escrow wallet history first: 'sent' records the transfer found there,
+ * 'requeue' sends the payout again. Only payouts 'sending' for longer than
+ * PAYOUT_STALE_SENDING_MS can be resolved, so a send in progress is never touched.
  */
-app.post('/api/escrow/execute', async (req, res) => {
-  const { punkId, buyerPubkey, buyerArkAddress } = req.body
+app.post('/api/admin/payouts/:id/resolve', requireAdmin('operator'), async (req, res) => {
+  const { id } = req.params
+  const { outcome, txid } = req.body
 
-  if (!punkId || !buyerPubkey || !buyerArkAddress) {
-    return res.status(400).json({ error: 'punkId, buyerPubkey, and buyerArkAddress required' })
+  if (outcome !== 'sent' && outcome !== 'requeue') {
+    return res.status(400).json({ success: false, error: "outcome must be 'sent' or 'requeue'" })
   }
 
-  try {
-    const listing = db.prepare(`
-      SELECT * FROM listings WHERE punk_id = ?
-    `).get(punkId)
+  if (outcome === 'sent' && (typeof txid !== 'string' || !txid)) {
+    return res.status(400).json({ success: false, error: 'txid of the transfer found in the escrow wallet history required' })
+  }
 
-    if (!listing) {
-      return res.status(404).json({ error: 'Listing not found' })
+  try {
+    const now = Date.now()
+    const payout = db.prepare('SELECT * FROM payouts WHERE id = ?').get(id)
+    if (!payout) {
+      return res.status(404).json({ success: false, error: 'Payout not found' })
     }
 
-    if (listing.status !== 'deposited') {
-      return res.status(400).json({
-        error: 'Listing not available for execution',
-        currentStatus: listing.status
-      })
-    }
+    const resolve = outcome === 'sent'
+      ? db.prepare(`
+          UPDATE payouts SET status = 'sent', txid = ?, last_error = NULL, sent_at = ?, updated_at = ?
+          WHERE id = ? AND status = 'sending' AND updated_at < ?
+        `).bind(txid, now, now, payout.id, now - PAYOUT_STALE_SENDING_MS)
+      : db.prepare(`
+          UPDATE payouts SET status = 'pending', next_attempt_at = ?, updated_at = ?
+          WHERE id = ? AND status = 'sending' AND updated_at < ?
+        `).bind(now, now, payout.id, now - PAYOUT_STALE_SENDING_MS)
+
+    const resolved = db.transaction(() => {
+      if (resolve.run().changes !== 1) return false
+
+      if (outcome === 'sent') {
+        applyPayoutResult(payout, txid)
+        logAudit('PAYOUT_SENT', {
+          punkId: payout.punk_id,
+          sellerAddress: payout.recipient,
+          amount: payout.amount_sats,
+          txid,
+          status: 'SUCCESS',
+          details: { payoutId: payout.id, kind: payout.kind, attempts: payout.attempts, resolvedBy: req.admin.pubkey }
+        })
+      } else {
+        logAudit('PAYOUT_RETRY_REQUESTED', {
+          status: 'PENDING',
+          details: { payoutId: payout.id, previousStatus: 'sending', adminPubkey: req.admin.pubkey }
+        })
+      }
+      return true
+    })()
 
-    // CRITICAL: Check if payment already made (prevent double payment)
-    if (listing.payment_txid) {
-      console.log(`⚠️  Payment already made for punk ${punkId.slice(0, 8)}: ${listing.payment_txid}`)
+    if (!resolved) {
       return res.status(400).json({
-        error: 'Purchase already completed',
-        paymentTxid: listing.payment_txid
+        success: false,
+        error: `Only payouts stuck in 'sending' for over ${PAYOUT_STALE_SENDING_MS / 60000} minutes can be resolved`
       })
     }
 
-    const now = Date.now()
-
-    console.log(`💰 Executing purchase for punk ${punkId.slice(0, 8)}...`)
-    console.log(`   Price: ${listing.price_sats} sats`)
-    console.log(`   Seller: ${listing.seller_address.slice(0, 20)}...`)
-    console.log(`   Buyer: ${buyerArkAddress.slice(0, 20)}...`)
+    if (outcome === 'requeue') {
+      await processPayouts()
+    }
 
-    // Note: In v2 architecture, wallets are registered via punk ownership
-    // No need for separate registered_wallets table
+    return res.json({ success: true, payout: db.prepare('SELECT * FROM payouts WHERE id = ?').get(id) })
+  } catch (error) {
+    console.error('Error resolving payout:', error)
+    return res.status(500).json({ success: false, error: error.message })
+  }
+})
 
-    // STEP 1: Update database FIRST (atomic "lock" prevents double execution)
-    console.log(`📝 Step 1: Updating database (marking as sold)...`)
+// ============================================================
+// ADMIN - WEBHOOKS
+// ============================================================
 
-    const updatePunkOwner = db.prepare(`
-      UPDATE punks
-      SET owner_address = ?,
-          updated_at = ?
-      WHERE punk_id = ?
-    `)
+// Webhook row without its secret
+function formatWebhook({ secret, ...webhook }) {
+  return { ...webhook, events: JSON.parse(webhook.events) }
+}
 
-    const insertOwnershipHistory = db.prepare(`
-      INSERT INTO ownership_history (punk_id, from_address, to_address, transferred_at)
-      VALUES (?, ?, ?, ?)
-    `)
+/**
+ * List webhooks with their pending and dead deliveries
+ * GET /api/admin/webhooks (operator)
+ */
+app.get('/api/admin/webhooks', requireAdmin('operator'), (req, res) => {
+  try {
+    const webhooks = db.prepare(`
+      SELECT w.*,
+        (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status IN ('pending', 'delivering')) AS pending,
+        (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'dead') AS dead
+      FROM webhooks w
+      ORDER BY w.created_at DESC
+    `).all()
 
-    // Execute ownership transfer in a transaction
-    const ownershipTransaction = db.transaction(() => {
-      updatePunkOwner.run(buyerArkAddress, now, punkId)
-      insertOwnershipHistory.run(punkId, listing.seller_address, buyerArkAddress, now)
+    return res.json({
+      success: true,
+      events: WEBHOOK_EVENTS,
+      webhooks: webhooks.map(formatWebhook)
     })
+  } catch (error) {
+    console.error('Error fetching webhooks:', error)
+    return res.status(500).json({ success: false, error: error.message })
+  }
+})
 
-    ownershipTransaction()
-    console.log(`✅ Ownership transferred to buyer`)
-
-    // STEP 2: Send payment from escrow to seller (AFTER database is updated)
-    // This prevents double payment because if payment fails and buyer retries,
-    // the punk is already sold to them
-    console.log(`💸 Step 2: Sending payment to seller...`)
-    let paymentTxid
-    let depositReturnTxid
-    try {
-      // Send sale price to seller
-      const payment = await returnPunkToSeller(listing.seller_address, listing.price_sats)
-      paymentTxid = payment.txid
-      console.log(`✅ Payment sent to seller: ${paymentTxid}`)
-
-      // ALSO return the 10k deposit to seller
-      console.log(`💸 Returning 10k deposit to seller...`)
-      const depositReturn = await returnPunkToSeller(listing.seller_address, 10000)
-      depositReturnTxid = depositReturn.txid
-      console.log(`✅ Deposit returned to seller: ${depositReturnTxid}`)
-    } catch (error) {
-      console.error('❌ Failed to send payment to seller:', error)
-
-      // AUDIT: Payment failed
-      logAudit('PAYMENT_FAILED', {
-        punkId,
-        sellerAddress: listing.seller_address,
-        buyerAddress: buyerArkAddress,
-        amount: listing.price_sats,
-        status: 'FAILED',
-        error: error.message
-      })
-
-      // Payment failed but punk is already transferred
-      // Mark listing with error status so we can retry payment manually
-      db.prepare(`
-        UPDATE listings
-        SET status = 'sold',
-            sold_at = ?,
-            buyer_address = ?,
-            buyer_pubkey = ?,
-            payment_txid = ?
-        WHERE punk_id = ?
-      `).run(now, buyerArkAddress, buyerPubkey, `PAYMENT_FAILED: ${error.message}`, punkId)
-
-      return res.status(500).json({
-        error: 'Punk transferred but payment to seller failed',
-        details: error.message,
-        punkId,
-        note: 'The punk is now yours, but escrow needs to manually pay the seller'
-      })
-    }
+/**
+ * Register a webhook
+ * POST /api/admin/webhooks (operator)
+ * Body: { url, events?: string[] (default all), description? }
+ *
+ * The signing secret is only returned here
+ */
+app.post('/api/admin/webhooks', requireAdmin('operator'), (req, res) => {
+  const { url, events = WEBHOOK_EVENTS, description = null } = req.body
 
-    // STEP 3: Finalize listing and record sale
-    console.log(`📊 Step 3: Finalizing sale records...`)
+  let parsedUrl = null
+  try {
+    parsedUrl = new URL(url)
+  } catch {}
 
-    const updateListing = db.prepare(`
-      UPDATE listings
-      SET status = 'sold',
-          sold_at = ?,
-          buyer_address = ?,
-          buyer_pubkey = ?,
-          payment_txid = ?
-      WHERE punk_id = ?
-    `)
+  if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+    return res.status(400).json({ success: false, error: 'url must be an http(s) URL' })
+  }
 
-    const insertSale = db.prepare(`
-      INSERT INTO sales (punk_id, price_sats, seller_address, buyer_address, sold_at, payment_txid)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `)
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    return res.status(400).json({ success: false, error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}` })
+  }
 
-    const finalizeTransaction = db.transaction(() => {
-      updateListing.run(now, buyerArkAddress, buyerPubkey, paymentTxid, punkId)
-      insertSale.run(punkId, listing.price_sats, listing.seller_address, buyerArkAddress, now, paymentTxid)
-    })
+  try {
+    const now = Date.now()
+    const secret = generateNonce()
+    const result = db.prepare(`
+      INSERT INTO webhooks (url, secret, events, description, status, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, 'active', ?, ?, ?)
+    `).run(parsedUrl.href, secret, JSON.stringify([...new Set(events)]), description, req.admin.pubkey, now, now)
 
-    finalizeTransaction()
+    const webhook = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(result.lastInsertRowid)
 
-    // AUDIT: Sale completed successfully
-    logAudit('SALE_COMPLETED', {
-      punkId,
-      sellerAddress: listing.seller_address,
-      buyerAddress: buyerArkAddress,
-      amount: listing.price_sats,
-      txid: paymentTxid,
+    logAudit('WEBHOOK_CREATED', {
       status: 'SUCCESS',
-      details: { depositReturnTxid, depositAmount: 10000 }
-    })
-
-    console.log(`✅ Purchase completed for punk ${punkId.slice(0, 8)}...`)
-    console.log(`   Seller: ${listing.seller_address.slice(0, 20)}...`)
-    console.log(`   Buyer: ${buyerArkAddress.slice(0, 20)}...`)
-    console.log(`   Price: ${listing.price_sats} sats`)
-    console.log(`   Payment TXID: ${paymentTxid}`)
-
-    return res.json({
-      success: true,
-      punkId,
-      paymentTxid,
-      message: 'Purchase completed successfully! The punk is now yours.'
+      details: { webhookId: webhook.id, url: webhook.url, events: JSON.parse(webhook.events), adminPubkey: req.admin.pubkey }
     })
 
+    return res.json({ success: true, webhook: formatWebhook(webhook), secret })
   } catch (error) {
-    console.error('Error executing purchase:', error)
-    return res.status(500).json({ error: 'Database error during purchase execution' })
+    console.error('Error creating webhook:', error)
+    return res.status(500).json({ success: false, error: error.message })
   }
 })
 
 /**
- * Cancel escrow listing
- * POST /api/escrow/cancel
- * Body: { punkId, sellerAddress }
+ * Send a WEBHOOK_TEST event to an active webhook now
+ * POST /api/admin/webhooks/:id/test (operator)
+ *
+ * A failed test is retried like any delivery
  */
-app.post('/api/escrow/cancel', async (req, res) => {
-  const { punkId, sellerAddress } = req.body
-
-  if (!punkId || !sellerAddress) {
-    return res.status(400).json({ error: 'punkId and sellerAddress required' })
-  }
+app.post('/api/admin/webhooks/:id/test', requireAdmin('operator'), async (req, res) => {
+  const id = Number(req.params.id)
 
   try {
-    const listing = db.prepare(`
-      SELECT * FROM listings WHERE punk_id = ?
-    `).get(punkId)
-
-    if (!listing) {
-      return res.status(404).json({ error: 'Listing not found' })
+    const webhook = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id)
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' })
     }
-
-    if (listing.seller_address !== sellerAddress) {
-      return res.status(403).json({ error: 'Not your listing' })
+    if (webhook.status !== 'active') {
+      return res.status(400).json({ success: false, error: 'Webhook is disabled' })
     }
 
-    if (listing.status === 'sold') {
-      return res.status(400).json({ error: 'Listing already sold' })
+    const timestamp = Date.now()
+    const details = { webhookId: id, adminPubkey: req.admin.pubkey }
+    const auditId = logAudit('WEBHOOK_TEST', { status: 'SUCCESS', details })
+    if (auditId === null) {
+      return res.status(500).json({ success: false, error: 'Database error' })
     }
 
-    // Check if we need to refund - either by status OR by checking escrow wallet
-    // This handles race condition where user cancels before deposit is confirmed in DB
-    let needsRefund = listing.status === 'deposited'
-    let vtxoOutpoint = listing.punk_vtxo_outpoint
-
-    // If status is not 'deposited', check if there's actually a VTXO in escrow
-    // This catches the race condition where deposit arrived but wasn't confirmed yet
-    if (!needsRefund && listing.status === 'pending') {
-      console.log(`🔍 Checking escrow for unreported deposit...`)
-      const { getEscrowVtxos } = await import('./escrow-wallet.js')
-      try {
-        const vtxos = await getEscrowVtxos()
-        // Look for any 10k VTXO that could be this punk's deposit
-        // Since we don't have the outpoint yet, check if there are any 10k VTXOs
-        const depositVtxos = vtxos.filter(v => v.value === 10000)
-        if (depositVtxos.length > 0) {
-          console.log(`⚠️  Found ${depositVtxos.length} potential deposit VTXO(s) in escrow`)
-          // We'll refund one of them - not perfect but better than losing user funds
-          needsRefund = true
-          // Use the first available 10k VTXO
-          vtxoOutpoint = `${depositVtxos[0].txid}:${depositVtxos[0].vout}`
-          console.log(`   Using VTXO: ${vtxoOutpoint}`)
-        }
-      } catch (err) {
-        console.error(`   Error checking escrow:`, err.message)
-        // Continue without refund check - fail safe
-      }
-    }
+    queueWebhookEvent(auditId, 'WEBHOOK_TEST', timestamp, { details }, id)
 
-    // If punk was deposited (confirmed or found in escrow), return it to seller
-    let returnTxid = null
-    if (needsRefund) {
-      console.log(`📦 Punk was deposited, returning to seller...`)
-      try {
-        const result = await returnPunkToSeller(sellerAddress, 10000)
-        returnTxid = result.txid
-        console.log(`✅ Punk returned via txid: ${returnTxid}`)
-      } catch (returnError) {
-        console.error(`❌ Failed to return punk:`, returnError)
+    const getDelivery = () => db.prepare(`
+      SELECT d.*, w.url, w.secret
+      FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.audit_id = ? AND d.webhook_id = ?
+    `).get(auditId, id)
 
-        // AUDIT: Refund failed
-        logAudit('REFUND_FAILED', {
-          punkId,
-          sellerAddress,
-          amount: 10000,
-          status: 'FAILED',
-          error: returnError.message
-        })
+    await deliverWebhook(getDelivery())
 
-        // Still mark as cancelled, but note the return failed
-        return res.status(500).json({
-          error: 'Failed to return punk from escrow',
-          details: returnError.message,
-          note: 'Listing marked as cancelled but punk not returned. Contact support.'
-        })
-      }
-    }
+    const { url, secret, ...delivery } = getDelivery()
+    return res.json({ success: delivery.status === 'delivered', delivery })
+  } catch (error) {
+    console.error('Error testing webhook:', error)
+    return res.status(500).json({ success: false, error: error.message })
+  }
+})
 
-    // Cancel the listing
-    const now = Date.now()
-    db.prepare(`
-      UPDATE listings
-      SET status = 'cancelled', cancelled_at = ?
-      WHERE punk_id = ?
-    `).run(now, punkId)
+/**
+ * Stop or resume deliveries to a webhook
+ * Events are not queued while it is disabled; deliveries already queued wait and resume with it
+ */
+function setWebhookStatus(req, res, status) {
+  const id = Number(req.params.id)
 
-    // AUDIT: Listing cancelled
-    const wasDbDeposited = listing.status === 'deposited'
-    const foundUnconfirmedDeposit = needsRefund && !wasDbDeposited
-    logAudit('LISTING_CANCELLED', {
-      punkId,
-      sellerAddress,
-      amount: listing.price_sats,
-      txid: returnTxid,
+  try {
+    const result = db.prepare('UPDATE webhooks SET status = ?, updated_at = ? WHERE id = ?').run(status, Date.now(), id)
+    if (result.changes !== 1) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' })
+    }
+
+    logAudit(status === 'active' ? 'WEBHOOK_ENABLED' : 'WEBHOOK_DISABLED', {
       status: 'SUCCESS',
-      details: {
-        wasDeposited: wasDbDeposited,
-        foundUnconfirmedDeposit,
-        refundAmount: returnTxid ? 10000 : 0
-      }
+      details: { webhookId: id, adminPubkey: req.admin.pubkey }
     })
 
-    console.log(`🔴 Listing cancelled: ${punkId.slice(0, 8)}...`)
+    if (status === 'active') {
+      processWebhookDeliveries()
+    }
+
+    const webhook = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id)
+    return res.json({ success: true, webhook: formatWebhook(webhook) })
+  } catch (error) {
+    console.error('Error updating webhook status:', error)
+    return res.status(500).json({ success: false, error: error.message })
+  }
+}
+
+/**
+ * Disable a webhook
+ * POST /api/admin/webhooks/:id/disable (operator)
+ */
+app.post('/api/admin/webhooks/:id/disable', requireAdmin('operator'), (req, res) => setWebhookStatus(req, res, 'disabled'))
+
+/**
+ * Re-enable a webhook
+ * POST /api/admin/webhooks/:id/enable (operator)
+ */
+app.post('/api/admin/webhooks/:id/enable', requireAdmin('operator'), (req, res) => setWebhookStatus(req, res, 'active'))
+
+/**
+ * List webhook deliveries, dead letters by default
+ * GET /api/admin/webhooks/deliveries?status=dead|pending|delivering|delivered|all&webhookId=&limit= (operator)
+ */
+app.get('/api/admin/webhooks/deliveries', requireAdmin('operator'), (req, res) => {
+  const { status = 'dead', webhookId, limit = 100 } = req.query
+
+  try {
+    const conditions = []
+    const params = []
+
+    if (status !== 'all') {
+      conditions.push('d.status = ?')
+      params.push(status)
+    }
+
+    if (webhookId) {
+      conditions.push('d.webhook_id = ?')
+      params.push(Number(webhookId))
+    }
+
+    const deliveries = db.prepare(`
+      SELECT d.*, w.url
+      FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY d.created_at DESC, d.id DESC
+      LIMIT ?
+    `).all(...params, parseInt(limit))
 
     return res.json({
       success: true,
-      message: returnTxid
-        ? 'Listing cancelled and punk returned to your wallet'
-        : 'Listing cancelled (punk was not yet deposited)',
-      punkId,
-      returnTxid
+      count: deliveries.length,
+      deliveries: deliveries.map(delivery => ({ ...delivery, payload: JSON.parse(delivery.payload) }))
     })
   } catch (error) {
-    console.error('Error cancelling listing:', error)
-    return res.status(500).json({ error: 'Database error' })
+    console.error('Error fetching webhook deliveries:', error)
+    return res.status(500).json({ success: false, error: error.message })
   }
 })
 
-// ============================================================
-// WHITELIST - All punks in database are official
-// ============================================================
+/**
+ * Requeue a dead delivery
+ * POST /api/admin/webhooks/deliveries/:id/retry (operator)
+ */
+app.post('/api/admin/webhooks/deliveries/:id/retry', requireAdmin('operator'), async (req, res) => {
+  const id = Number(req.params.id)
 
-app.get('/api/whitelist/list', (req, res) => {
   try {
-    const punks = db.prepare('SELECT punk_id FROM punks').all()
-    const punkIds = punks.map(p => p.punk_id)
+    const result = db.prepare(`
+      UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ?
+      WHERE id = ? AND status = 'dead'
+    `).run(Date.now(), Date.now(), id)
 
-    return res.json({
-      success: true,
-      punkIds,
-      count: punkIds.length
-    })
+    if (result.changes !== 1) {
+      return res.status(400).json({ success: false, error: 'Only dead deliveries can be retried' })
+    }
+
+    logAudit('WEBHOOK_RETRY_REQUESTED', { status: 'PENDING', details: { deliveryId: id, adminPubkey: req.admin.pubkey } })
+
+    await processWebhookDeliveries()
+
+    const delivery = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id)
+    return res.json({ success: true, delivery: { ...delivery, payload: JSON.parse(delivery.payload) } })
   } catch (error) {
-    console.error('Error fetching whitelist:', error)
+    console.error('Error retrying webhook delivery:', error)
     return res.status(500).json({ success: false, error: error.message })
   }
 })
 
 // ============================================================
-// HEALTH CHECK
+// ADMIN - FEE REVENUE
 // ============================================================
 
-app.get('/health', (req, res) => {
+const FEE_PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%Y-W%W',
+  month: '%Y-%m'
+}
+
+/**
+ * Marketplace fee revenue grouped by period
+ * GET /api/admin/fees?period=day|week|month&from=<ms>&to=<ms> (operator)
+ */
+app.get('/api/admin/fees', requireAdmin('operator'), (req, res) => {
+  const { period = 'day', from = 0, to = Date.now() } = req.query
+  const format = FEE_PERIOD_FORMATS[period]
+
+  if (!format) {
+    return res.status(400).json({ success: false, error: 'period must be day, week or month' })
+  }
+
   try {
-    const stats = db.prepare('SELECT COUNT(*) as count FROM punks').get()
+    const periods = db.prepare(`
+      SELECT
+        strftime('${format}', created_at / 1000, 'unixepoch') AS period,
+        COUNT(*) AS sales,
+        SUM(price_sats) AS volume_sats,
+        SUM(fee_sats) AS fee_sats,
+        SUM(amount_paid_sats - price_sats - fee_sats) AS payment_offset_sats
+      FROM fee_ledger
+      WHERE created_at >= ? AND created_at <= ?
+      GROUP BY period
+      ORDER BY period DESC
+    `).all(Number(from), Number(to))
+
+    const totals = periods.reduce((sum, row) => ({
+      sales: sum.sales + row.sales,
+      volumeSats: sum.volumeSats + row.volume_sats,
+      feeSats: sum.feeSats + row.fee_sats
+    }), { sales: 0, volumeSats: 0, feeSats: 0 })
+
     return res.json({
-      status: 'ok',
-      version: '2.0',
-      database: 'connected',
-      activePunks: stats.count
+      success: true,
+      period,
+      feePolicy: getFeePolicy(),
+      totals,
+      periods
     })
   } catch (error) {
-    return res.status(500).json({ status: 'error', error: error.message })
+    console.error('Error fetching fee revenue:', error)
+    return res.status(500).json({ success: false, error: error.message })
   }
 })
 
 // ============================================================
-// ADMIN - AUDIT LOG
+// ADMIN - DEPOSIT RECONCILIATION
 // ============================================================
 
-app.get('/api/admin/audit', (req, res) => {
-  const { password, limit = 100, action, punkId } = req.query
-
-  // Verify admin password (separate from support password)
-  if (password !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, error: 'Unauthorized' })
-  }
+/**
+ * Deposit reconciliation report
+ * GET /api/admin/reconciliation?status=open|resolved|all&run=true (operator)
+ *
+ * Returns the last reconciler run, escrow VTXOs flagged for review and listings still waiting for a deposit
+ */
+app.get('/api/admin/reconciliation', requireAdmin('operator'), async (req, res) => {
+  const { status = 'open', run } = req.query
 
   try {
-    let query = 'SELECT * FROM audit_log'
-    const params = []
-    const conditions = []
-
-    if (action) {
-      conditions.push('action = ?')
-      params.push(action)
+    if (run === 'true') {
+      await reconcileDeposits()
     }
 
-    if (punkId) {
-      conditions.push('punk_id = ?')
-      params.push(punkId)
-    }
+    const unattributed = (status === 'all'
+      ? db.prepare('SELECT * FROM unattributed_vtxos ORDER BY first_seen_at DESC').all()
+      : db.prepare('SELECT * FROM unattributed_vtxos WHERE status = ? ORDER BY first_seen_at DESC').all(status)
+    ).map(row => ({ ...row, candidates: row.candidates ? JSON.parse(row.candidates) : [] }))
 
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ')
-    }
+    const pendingListings = db.prepare(`
+      SELECT punk_id, seller_address, price_sats, deposit_amount_sats, created_at
+      FROM listings WHERE status = 'pending'
+      ORDER BY created_at ASC
+    `).all()
 
-    query += ' ORDER BY timestamp DESC LIMIT ?'
-    params.push(parseInt(limit))
+    return res.json({
+      success: true,
+      lastRun: lastReconciliation,
+      unattributed,
+      pendingListings
+    })
+  } catch (error) {
+    console.error('Error fetching reconciliation report:', error)
+    return res.status(500).json({ success: false, error: error.message })
+  }
+})
 
-    const logs = db.prepare(query).all(...params)
+/**
+ * Mark a flagged escrow VTXO as reviewed
+ * POST /api/admin/reconciliation/:outpoint/resolve (operator)
+ * Body: { resolution }
+ */
+app.post('/api/admin/reconciliation/:outpoint/resolve', requireAdmin('operator'), (req, res) => {
+  const { resolution } = req.body
+  const { outpoint } = req.params
 
-    // Parse details JSON
-    const formattedLogs = logs.map(log => ({
-      ...log,
-      details: log.details ? JSON.parse(log.details) : null,
-      timestampFormatted: new Date(log.timestamp).toISOString()
-    }))
+  if (!resolution) {
+    return res.status(400).json({ success: false, error: 'resolution required' })
+  }
 
-    return res.json({
-      success: true,
-      count: formattedLogs.length,
-      logs: formattedLogs
+  try {
+    const result = db.prepare(`
+      UPDATE unattributed_vtxos SET status = 'resolved', resolution = ?, resolved_at = ?
+      WHERE outpoint = ? AND status = 'open'
+    `).run(resolution, Date.now(), outpoint)
+
+    if (result.changes !== 1) {
+      return res.status(404).json({ success: false, error: 'Open flag not found' })
+    }
+
+    logAudit('DEPOSIT_REVIEW_RESOLVED', {
+      status: 'SUCCESS',
+      details: { vtxoOutpoint: outpoint, resolution, adminPubkey: req.admin.pubkey }
     })
+
+    return res.json({ success: true })
   } catch (error) {
-    console.error('Error fetching audit log:', error)
+    console.error('Error resolving flagged VTXO:', error)
     return res.status(500).json({ success: false, error: error.message })
   }
 })
@@ -1326,6 +8977,76 @@ app.get('/api/admin/audit', (req, res) => {
 // MARKETPLACE SALES & STATS
 // ============================================================
 
+// Floor history: the public floor is snapshotted every FLOOR_SNAPSHOT_INTERVAL_MS so it can be charted
+// next to sale prices (listings only keep their current state)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS floor_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    taken_at INTEGER NOT NULL,
+    floor_price_sats INTEGER,       -- NULL when nothing is listed
+    listed_count INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_floor_snapshots_taken_at ON floor_snapshots(taken_at);
+`)
+
+const FLOOR_SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Candle widths for /api/marketplace/history and the range each one covers by default
+// Weekly candles start on Monday 00:00 UTC (the epoch was a Thursday)
+const HISTORY_INTERVALS = {
+  '1h': { ms: 60 * 60 * 1000, range: 7 * DAY_MS, offset: 0 },
+  '1d': { ms: DAY_MS, range: 180 * DAY_MS, offset: 0 },
+  '1w': { ms: 7 * DAY_MS, range: 728 * DAY_MS, offset: 4 * DAY_MS }
+}
+const HISTORY_MAX_CANDLES = 1000
+
+// Listings the floor is taken from: public fixed price listings on sale at @now
+// (private, scheduled and auction listings excluded)
+const FLOOR_LISTING = `
+  l.status IN ('deposited', 'reserved') AND l.allowed_buyer IS NULL AND (l.starts_at IS NULL OR l.starts_at <= @now)
+`
+
+/**
+ * Lowest public fixed price on sale now
+ *
+ * @returns { floorPrice (null when nothing is listed), listed }
+ */
+function publicFloor(now = Date.now()) {
+  const row = db.prepare(`
+    SELECT MIN(l.price_sats) AS floor_price, COUNT(*) AS listed
+    FROM listings l
+    WHERE ${FLOOR_LISTING}
+  `).get({ now })
+  return { floorPrice: row.floor_price ?? null, listed: row.listed }
+}
+
+/**
+ * Background job: record the current floor in floor_snapshots
+ */
+function recordFloorSnapshot() {
+  try {
+    const now = Date.now()
+    const { floorPrice, listed } = publicFloor(now)
+    db.prepare(`
+      INSERT INTO floor_snapshots (taken_at, floor_price_sats, listed_count) VALUES (?, ?, ?)
+    `).run(now, floorPrice, listed)
+  } catch (error) {
+    console.error('❌ Floor snapshot failed:', error)
+  }
+}
+
+recordFloorSnapshot()
+setInterval(recordFloorSnapshot, FLOOR_SNAPSHOT_INTERVAL_MS)
+
+/**
+ * Start of the candle holding a timestamp
+ */
+function historyBucket(timestamp, interval) {
+  const { ms, offset } = HISTORY_INTERVALS[interval]
+  return Math.floor((timestamp - offset) / ms) * ms + offset
+}
+
 app.get('/api/marketplace/sales', (req, res) => {
   try {
     // Get all completed sales with punk metadata
@@ -1337,25 +9058,41 @@ app.get('/api/marketplace/sales', (req, res) => {
         s.buyer_address,
         s.sold_at,
         s.payment_txid,
+        s.bundle_id,
         p.punk_metadata_compressed
       FROM sales s
       LEFT JOIN punks p ON s.punk_id = p.punk_id
-      ORDER BY s.sold_at DESC
+      ORDER BY s.sold_at DESC, s.id
     `).all()
 
     // Get current floor price from active listings
-    const floorListing = db.prepare(`
-      SELECT MIN(price_sats) as floor_price
-      FROM listings
-      WHERE status = 'deposited'
-    `).get()
+    const { floorPrice } = publicFloor()
+
+    // A bundle is one sale of its total price; its rows are grouped under the first punk
+    const entries = []
+    const bundles = new Map()
+
+    for (const sale of sales) {
+      const bundle = sale.bundle_id && bundles.get(sale.bundle_id)
+      if (bundle) {
+        bundle.price_sats += sale.price_sats
+        bundle.punks.push(sale)
+        continue
+      }
+
+      const entry = { ...sale, punks: [sale] }
+      if (sale.bundle_id) {
+        bundles.set(sale.bundle_id, entry)
+      }
+      entries.push(entry)
+    }
 
     // Calculate stats from sales history
     let highestSale = 0
     let totalVolume = 0
-    let totalSales = sales.length
+    let totalSales = entries.length
 
-    for (const sale of sales) {
+    for (const sale of entries) {
       if (sale.price_sats > highestSale) {
         highestSale = sale.price_sats
       }
@@ -1363,23 +9100,32 @@ app.get('/api/marketplace/sales', (req, res) => {
     }
 
     const averagePrice = totalSales > 0 ? Math.floor(totalVolume / totalSales) : 0
-    const floorPrice = floorListing?.floor_price || 0
 
     // Format sales for frontend
-    const formattedSales = sales.map(sale => ({
+    const formattedSales = entries.map(sale => ({
       punkId: sale.punk_id,
       price: sale.price_sats.toString(),
       seller: sale.seller_address,
       buyer: sale.buyer_address,
       timestamp: sale.sold_at,
-      compressedMetadata: sale.punk_metadata_compressed || null
+      compressedMetadata: sale.punk_metadata_compressed || null,
+      bundle: sale.bundle_id
+        ? {
+          bundleId: sale.bundle_id,
+          punks: sale.punks.map(punk => ({
+            punkId: punk.punk_id,
+            price: punk.price_sats.toString(),
+            compressedMetadata: punk.punk_metadata_compressed || null
+          }))
+        }
+        : null
     }))
 
     return res.json({
       success: true,
       sales: formattedSales,
       stats: {
-        floorPrice: floorPrice.toString(),
+        floorPrice: (floorPrice ?? 0).toString(),
         highestSale: highestSale.toString(),
         totalVolume: totalVolume.toString(),
         totalSales,
@@ -1392,6 +9138,203 @@ app.get('/api/marketplace/sales', (req, res) => {
   }
 })
 
+/**
+ * Price history as OHLC candles, with the floor recorded over each candle
+ * GET /api/marketplace/history?interval=1h|1d|1w
+ * Query: interval (default 1d), from, to (ms timestamps, default: the interval's range up to now)
+ *
+ * Open/high/low/close come from single punk sales: a bundle only sets its total, not what each
+ * punk went for. Volume, sale count and unique buyers/sellers count a bundle as one sale like
+ * /api/marketplace/sales. Candles without sales have null prices; floor is null before any snapshot.
+ */
+app.get('/api/marketplace/history', (req, res) => {
+  try {
+    const interval = req.query.interval || '1d'
+    if (!HISTORY_INTERVALS[interval]) {
+      return res.status(400).json({ error: `interval must be one of: ${Object.keys(HISTORY_INTERVALS).join(', ')}` })
+    }
+
+    const to = req.query.to !== undefined ? Number(req.query.to) : Date.now()
+    const from = req.query.from !== undefined ? Number(req.query.from) : to - HISTORY_INTERVALS[interval].range
+    if (!Number.isSafeInteger(from) || !Number.isSafeInteger(to) || from < 0 || from >= to) {
+      return res.status(400).json({ error: 'from and to must be timestamps in milliseconds, from before to' })
+    }
+
+    const { ms } = HISTORY_INTERVALS[interval]
+    const start = historyBucket(from, interval)
+    if ((historyBucket(to, interval) - start) / ms + 1 > HISTORY_MAX_CANDLES) {
+      return res.status(400).json({ error: `Range too long: at most ${HISTORY_MAX_CANDLES} candles per request` })
+    }
+
+    const candles = []
+    const byStart = new Map()
+    for (let time = start; time <= to; time += ms) {
+      const candle = {
+        time, open: null, high: null, low: null, close: null, volume: 0, sales: 0,
+        buyers: new Set(), sellers: new Set(), bundles: new Set(), floor: null, listed: null
+      }
+      candles.push(candle)
+      byStart.set(time, candle)
+    }
+
+    const sales = db.prepare(`
+      SELECT price_sats, seller_address, buyer_address, sold_at, bundle_id
+      FROM sales
+      WHERE sold_at >= ? AND sold_at <= ?
+      ORDER BY sold_at, id
+    `).all(start, to)
+
+    for (const sale of sales) {
+      const candle = byStart.get(historyBucket(sale.sold_at, interval))
+      candle.volume += sale.price_sats
+      candle.buyers.add(sale.buyer_address)
+      candle.sellers.add(sale.seller_address)
+
+      if (sale.bundle_id) {
+        if (!candle.bundles.has(sale.bundle_id)) {
+          candle.bundles.add(sale.bundle_id)
+          candle.sales++
+        }
+        continue
+      }
+
+      candle.sales++
+      candle.open ??= sale.price_sats
+      candle.high = Math.max(candle.high ?? sale.price_sats, sale.price_sats)
+      candle.low = Math.min(candle.low ?? sale.price_sats, sale.price_sats)
+      candle.close = sale.price_sats
+    }
+
+    const snapshots = db.prepare(`
+      SELECT taken_at, floor_price_sats, listed_count
+      FROM floor_snapshots
+      WHERE taken_at >= ? AND taken_at <= ?
+      ORDER BY taken_at, id
+    `).all(start, to)
+
+    for (const snapshot of snapshots) {
+      const candle = byStart.get(historyBucket(snapshot.taken_at, interval))
+      const price = snapshot.floor_price_sats
+      candle.listed = snapshot.listed_count
+      if (price === null) continue
+
+      candle.floor ??= { open: price, high: price, low: price }
+      candle.floor.high = Math.max(candle.floor.high, price)
+      candle.floor.low = Math.min(candle.floor.low, price)
+      candle.floor.close = price
+    }
+
+    const sats = value => value === null ? null : value.toString()
+
+    return res.json({
+      success: true,
+      interval,
+      from: start,
+      to,
+      candles: candles.map(candle => ({
+        time: candle.time,
+        open: sats(candle.open),
+        high: sats(candle.high),
+        low: sats(candle.low),
+        close: sats(candle.close),
+        volume: candle.volume.toString(),
+        sales: candle.sales,
+        uniqueBuyers: candle.buyers.size,
+        uniqueSellers: candle.sellers.size,
+        floor: candle.floor && {
+          open: sats(candle.floor.open),
+          high: sats(candle.floor.high),
+          low: sats(candle.floor.low),
+          close: sats(candle.floor.close)
+        },
+        listed: candle.listed
+      }))
+    })
+  } catch (error) {
+    console.error('Error fetching price history:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
+// One row per indexed punk and trait value it has
+const PUNK_TRAIT_VALUES = `
+  SELECT punk_id, 'type' AS trait, type AS value FROM punk_traits WHERE type IS NOT NULL
+  UNION ALL SELECT punk_id, 'background', background FROM punk_traits WHERE type IS NOT NULL
+  UNION ALL SELECT punk_id, 'attributeCount', attribute_count FROM punk_traits WHERE type IS NOT NULL
+  UNION ALL SELECT punk_id, 'attribute', attribute FROM punk_trait_attributes
+`
+
+/**
+ * Market stats of every trait value: supply, floor listing, count listed, last sale and volume
+ * GET /api/marketplace/traits
+ *
+ * Traits are decoded from the compressed metadata of punks (or of their listing) by the trait index.
+ * Floor and listed count cover the listings of the global floor. Volume counts every sale of a punk
+ * with the trait, a bundled punk at its share of the bundle; lastSale skips bundles like the price candles.
+ */
+app.get('/api/marketplace/traits', (req, res) => {
+  try {
+    const frequencies = traitFrequencies()
+    const traits = new Map()
+    const addTrait = (trait, value) => traits.set(`${trait}:${value}`, {
+      trait,
+      value,
+      supply: frequencies[trait][value] || 0,
+      listed: 0,
+      floor: null,
+      lastSale: null,
+      volume: 0,
+      sales: 0
+    })
+
+    TYPE_NAMES.forEach(type => addTrait('type', type))
+    BACKGROUND_NAMES.forEach(background => addTrait('background', background))
+    Object.keys(frequencies.attributeCount).map(Number).sort((a, b) => a - b).forEach(count => addTrait('attributeCount', count))
+    ;[...new Set(ATTRIBUTES_BY_TYPE.flat())].sort().forEach(attribute => addTrait('attribute', attribute))
+
+    const listings = db.prepare(`
+      SELECT v.trait, v.value, l.punk_id, l.price_sats
+      FROM listings l
+      JOIN (${PUNK_TRAIT_VALUES}) v ON v.punk_id = l.punk_id
+      WHERE ${FLOOR_LISTING}
+      ORDER BY l.price_sats, l.punk_id
+    `).all({ now: Date.now() })
+
+    for (const listing of listings) {
+      const stats = traits.get(`${listing.trait}:${listing.value}`)
+      if (!stats) continue
+      stats.listed++
+      stats.floor ??= { punkId: listing.punk_id, price: listing.price_sats.toString() }
+    }
+
+    const sales = db.prepare(`
+      SELECT v.trait, v.value, s.punk_id, s.price_sats, s.sold_at, s.bundle_id
+      FROM sales s
+      JOIN (${PUNK_TRAIT_VALUES}) v ON v.punk_id = s.punk_id
+      ORDER BY s.sold_at, s.id
+    `).all()
+
+    for (const sale of sales) {
+      const stats = traits.get(`${sale.trait}:${sale.value}`)
+      if (!stats) continue
+      stats.volume += sale.price_sats
+      stats.sales++
+      if (!sale.bundle_id) {
+        stats.lastSale = { punkId: sale.punk_id, price: sale.price_sats.toString(), soldAt: sale.sold_at }
+      }
+    }
+
+    return res.json({
+      success: true,
+      total: frequencies.total,
+      traits: [...traits.values()].map(stats => ({ ...stats, volume: stats.volume.toString() }))
+    })
+  } catch (error) {
+    console.error('Error fetching trait stats:', error)
+    return res.status(500).json({ error: 'Database error' })
+  }
+})
+
 // ============================================================
 // SUPPORT - PUNK RECOVERY REQUESTS
 // ============================================================
@@ -1444,7 +9387,7 @@ function npubToHex(npub) {
   }
 }
 
-// Public endpoint - submit recovery request (no password)
+// Public endpoint - submit recovery request (no auth)
 app.post('/api/support/request', async (req, res) => {
   const { arkAddress, nostrPubkey, nostrNpub, boardingAddress, punksInExport, contactHandle } = req.body
 
@@ -1498,12 +9441,8 @@ app.post('/api/support/request', async (req, res) => {
 })
 
 // Admin endpoint - view support requests
-app.get('/api/admin/support-requests', (req, res) => {
-  const { password, status = 'all' } = req.query
-
-  if (password !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, error: 'Unauthorized' })
-  }
+app.get('/api/admin/support-requests', requireAdmin('support'), (req, res) => {
+  const { status = 'all' } = req.query
 
   try {
     let query = 'SELECT * FROM support_requests'
@@ -1531,12 +9470,8 @@ app.get('/api/admin/support-requests', (req, res) => {
 })
 
 // Admin endpoint - lookup punk details for a request
-app.get('/api/admin/support-lookup', (req, res) => {
-  const { password, arkAddress, nostrPubkey } = req.query
-
-  if (password !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, error: 'Unauthorized' })
-  }
+app.get('/api/admin/support-lookup', requireAdmin('support'), (req, res) => {
+  const { arkAddress, nostrPubkey } = req.query
 
   if (!arkAddress && !nostrPubkey) {
     return res.status(400).json({ success: false, error: 'arkAddress or nostrPubkey required' })
@@ -1627,14 +9562,10 @@ app.get('/api/admin/support-lookup', (req, res) => {
 })
 
 // Admin endpoint - update request status
-app.post('/api/admin/support-requests/:id/update', (req, res) => {
-  const { password, status, adminNotes } = req.body
+app.post('/api/admin/support-requests/:id/update', requireAdmin('support'), (req, res) => {
+  const { status, adminNotes } = req.body
   const { id } = req.params
 
-  if (password !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, error: 'Unauthorized' })
-  }
-
   try {
     const resolvedAt = status === 'resolved' ? Date.now() : null
 
@@ -1644,6 +9575,11 @@ app.post('/api/admin/support-requests/:id/update', (req, res) => {
       WHERE id = ?
     `).run(status, adminNotes, resolvedAt, id)
 
+    logAudit('SUPPORT_REQUEST_UPDATED', {
+      status: 'SUCCESS',
+      details: { requestId: Number(id), newStatus: status, adminPubkey: req.admin.pubkey }
+    })
+
     console.log(`📝 Support request #${id} updated to ${status}`)
 
     return res.json({ success: true })
@@ -0,0 +1,134 @@
+/**
+ * Punk Traits
+ * Decodes the 6-byte compressed punk metadata stored in punks.punk_metadata_compressed
+ * Byte 0: [Type: 3 bits] [Background: 4 bits] [Reserved: 1 bit], bytes 1-4: attribute bitmap, byte 5: attribute count
+ * Must stay in sync with src/utils/compression.ts
+ */
+
+import { sha256 } from '@noble/hashes/sha2.js'
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils.js'
+
+export const TYPE_NAMES = ['Male', 'Female', 'Zombie', 'Ape', 'Alien']
+
+export const BACKGROUND_NAMES = [
+  'Blue', 'Green', 'Orange', 'Purple', 'Red',
+  'Yellow', 'Aqua', 'Gray', 'Black', 'Pink'
+]
+
+// Attribute sets per type, indexed like TYPE_NAMES (bit i of the bitmap = attribute i)
+export const ATTRIBUTES_BY_TYPE = [
+  [
+    'Mohawk', 'Bandana', 'Beanie', 'Cap', 'Hoodie',
+    'Glasses', 'Sunglasses', 'VR Headset', 'Eye Patch',
+    'Cigarette', 'Pipe', 'Vape',
+    'Moustache', 'Beard', 'Goatee',
+    'Earring', 'Gold Chain', 'Choker'
+  ],
+  [
+    'Wild Hair', 'Straight Hair', 'Messy Hair', 'Knitted Cap', 'Headband',
+    'Glasses', 'Sunglasses', 'Clown Eyes',
+    'Hot Lipstick', 'Purple Lipstick', 'Black Lipstick',
+    'Earring', 'Choker', 'Silver Chain'
+  ],
+  [
+    'Zombie Hair', 'Zombie Bandana',
+    'Zombie Glasses', 'Zombie Eye',
+    'Rotting Flesh', 'Missing Teeth'
+  ],
+  [
+    'Ape Hair', 'Ape Bandana',
+    'Ape Glasses', 'Ape Earring',
+    'Banana', 'Cigar'
+  ],
+  [
+    'Alien Headband', 'Alien Cap',
+    'Alien Glasses', 'Alien Earring',
+    'UFO', 'Laser Eyes'
+  ]
+]
+
+/**
+ * Decode compressed metadata (12 hex chars) into traits
+ *
+ * @param hexString punks.punk_metadata_compressed
+ * @returns { type, background, attributes } or null if missing or malformed
+ */
+export function decodePunkTraits(hexString) {
+  if (typeof hexString !== 'string' || !/^[0-9a-fA-F]{12}$/.test(hexString)) {
+    return null
+  }
+
+  const data = Buffer.from(hexString, 'hex')
+  const typeIndex = (data[0] >>> 5) & 0x07
+  const bgIndex = (data[0] >>> 1) & 0x0F
+
+  if (typeIndex >= TYPE_NAMES.length || bgIndex >= BACKGROUND_NAMES.length) {
+    return null
+  }
+
+  const bitmap = data[1] | (data[2] << 8) | (data[3] << 16) | (data[4] << 24)
+  const available = ATTRIBUTES_BY_TYPE[typeIndex]
+  const attributes = []
+
+  for (let i = 0; i < available.length; i++) {
+    if (bitmap & (1 << i)) {
+      attributes.push(available[i])
+    }
+  }
+
+  if (attributes.length !== data[5]) {
+    return null
+  }
+
+  return {
+    type: TYPE_NAMES[typeIndex],
+    background: BACKGROUND_NAMES[bgIndex],
+    attributes: attributes.sort()
+  }
+}
+
+/**
+ * Check decoded traits against criteria (every given field must match, all attributes required)
+ *
+ * @param traits Result of decodePunkTraits
+ * @param criteria { type?, background?, attributes?: string[] }
+ */
+export function matchesTraits(traits, criteria) {
+  if (!traits) return false
+  if (criteria.type && traits.type !== criteria.type) return false
+  if (criteria.background && traits.background !== criteria.background) return false
+  return (criteria.attributes || []).every(attribute => traits.attributes.includes(attribute))
+}
+
+function* permutations(items) {
+  if (items.length <= 1) {
+    yield items
+    return
+  }
+  for (let i = 0; i < items.length; i++) {
+    for (const rest of permutations([...items.slice(0, i), ...items.slice(i + 1)])) {
+      yield [items[i], ...rest]
+    }
+  }
+}
+
+/**
+ * Check compressed metadata against its punk id
+ * A minted punk id is sha256 of JSON { type, attributes, background } with the attributes in the order
+ * they were drawn (src/utils/generator.ts); the bitmap does not keep that order, so every order is tried
+ *
+ * @param punkId 64-char hex punk id
+ * @param hexString Compressed metadata claimed for it
+ */
+export function metadataMatchesPunkId(punkId, hexString) {
+  const traits = decodePunkTraits(hexString)
+  if (!traits || typeof punkId !== 'string') return false
+
+  const { type, background } = traits
+  for (const attributes of permutations(traits.attributes)) {
+    if (bytesToHex(sha256(utf8ToBytes(JSON.stringify({ type, attributes, background })))) === punkId.toLowerCase()) {
+      return true
+    }
+  }
+  return false
+}
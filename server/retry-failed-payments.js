@@ -1,44 +1,166 @@
 /**
- * Retry failed payments to sellers
+ * Move legacy failed payments to sellers into the payout outbox
+ *
+ * Before the outbox, execute sent the sale price and then returned the 10k deposit, and on any
+ * error marked the listing 'PAYMENT_FAILED: <error>' (payment_txid) and logged PAYMENT_FAILED without
+ * details. Only the legs still owed are queued, each under its own key (sale:<id>:proceeds,
+ * sale:<id>:deposit); the server's payout worker sends and retries them.
+ *
+ * - The deposit is owed unless it was returned: it was never sent when either leg failed.
+ * - The price is owed only if its own transfer failed. A txid in payment_txid means it was paid (the
+ *   old retry script paid the price only); otherwise the failed amount in the error tells which leg
+ *   failed. When it cannot be told, the price is left for review: check the escrow wallet history,
+ *   then run again with --proceeds-unsent <punkId> to queue it.
+ *
+ * Failed sales were not recorded in sales: the missing rows are added so payouts have a sale id.
+ * Safe to run more than once (idempotency keys).
+ *
+ * Usage: node retry-failed-payments.js [--proceeds-unsent <punkId>]...
  */
 
 import dotenv from 'dotenv'
 dotenv.config({ path: '../.env' })
 
 import Database from 'better-sqlite3'
-import { returnPunkToSeller } from './escrow-wallet.js'
+
+// The legacy flow always returned a fixed deposit
+const LEGACY_DEPOSIT_SATS = 10000
+
+const proceedsUnsent = new Set()
+const args = process.argv.slice(2)
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--proceeds-unsent' && args[i + 1]) {
+    proceedsUnsent.add(args[++i])
+  } else {
+    console.log(`Unknown argument: ${args[i]}`)
+    process.exit(1)
+  }
+}
 
 const db = new Database('./database/arkade-punks-v2.db')
 
-// Find failed payments
+const hasOutbox = db.prepare(`
+  SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'payouts'
+`).get()
+
+if (!hasOutbox) {
+  console.log('payouts table not found - start the server once to create it')
+  process.exit(1)
+}
+
+// Sales that failed under the legacy flow: still marked, or marked then retried by the old script
+// (legacy PAYMENT_FAILED audit entries have no details, the outbox always sets them)
 const failed = db.prepare(`
-  SELECT punk_id, seller_address, price_sats
-  FROM listings
-  WHERE status = 'sold' AND payment_txid LIKE 'PAYMENT_FAILED%'
+  SELECT l.punk_id, l.seller_address, l.buyer_address, l.price_sats, l.sold_at, l.payment_txid,
+    (
+      SELECT a.error_message FROM audit_log a
+      WHERE a.action = 'PAYMENT_FAILED' AND a.details IS NULL AND a.punk_id = l.punk_id AND a.timestamp >= l.sold_at
+      ORDER BY a.timestamp ASC LIMIT 1
+    ) AS audit_error
+  FROM listings l
+  WHERE l.status = 'sold' AND (
+    l.payment_txid LIKE 'PAYMENT_FAILED%'
+    OR EXISTS (
+      SELECT 1 FROM audit_log a
+      WHERE a.action = 'PAYMENT_FAILED' AND a.details IS NULL AND a.punk_id = l.punk_id AND a.timestamp >= l.sold_at
+    )
+  )
 `).all()
 
-console.log(`Found ${failed.length} failed payment(s)`)
+console.log(`Found ${failed.length} legacy failed payment(s)`)
 
-const updatePayment = db.prepare(`
-  UPDATE listings SET payment_txid = ? WHERE punk_id = ?
+const findSale = db.prepare('SELECT id FROM sales WHERE punk_id = ? AND sold_at = ?')
+const insertSale = db.prepare(`
+  INSERT INTO sales (punk_id, price_sats, seller_address, buyer_address, sold_at, payment_txid)
+  VALUES (?, ?, ?, ?, ?, ?)
+`)
+const findPayout = db.prepare('SELECT id, status FROM payouts WHERE idempotency_key = ?')
+const enqueue = db.prepare(`
+  INSERT OR IGNORE INTO payouts (idempotency_key, kind, recipient, amount_sats, punk_id, sale_id, status, next_attempt_at, created_at, updated_at)
+  VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?)
 `)
+const clearMarker = db.prepare(`
+  UPDATE listings SET payment_txid = NULL WHERE punk_id = ? AND payment_txid LIKE 'PAYMENT_FAILED%'
+`)
+
+/**
+ * Amount of the transfer that failed, when the error names it
+ */
+function failedAmount(error) {
+  const match = /Insufficient escrow balance: \d+ < (\d+)/.exec(error || '')
+  return match ? Number(match[1]) : null
+}
+
+/**
+ * Whether the sale price still has to be paid: true, false, or null if it cannot be told
+ * (the marker is cleared once this is settled, later runs read the error from the audit log)
+ */
+function proceedsOwed(sale, saleId) {
+  const marked = sale.payment_txid?.startsWith('PAYMENT_FAILED') ?? false
+  if (sale.payment_txid && !marked) return false
+
+  if (saleId && findPayout.get(`sale:${saleId}:proceeds`)) return true
+  if (proceedsUnsent.has(sale.punk_id)) return true
+
+  const amount = failedAmount(marked ? sale.payment_txid : null) ?? failedAmount(sale.audit_error)
+  if (amount === null || sale.price_sats === LEGACY_DEPOSIT_SATS) return null
+  if (amount === sale.price_sats) return true
+  if (amount === LEGACY_DEPOSIT_SATS) return false
+  return null
+}
+
+/**
+ * Whether the deposit still has to be returned: false if the old retry script paid the price
+ * although the price had gone through (the seller already got more than the deposit back)
+ */
+function depositOwed(sale) {
+  if (!sale.payment_txid || sale.payment_txid.startsWith('PAYMENT_FAILED')) return true
+  return failedAmount(sale.audit_error) !== LEGACY_DEPOSIT_SATS
+}
 
 for (const sale of failed) {
-  const punkShort = sale.punk_id.slice(0, 8)
-  const sellerShort = sale.seller_address.slice(0, 30)
-
-  console.log(`\nRetrying payment for punk ${punkShort}...`)
-  console.log(`   Amount: ${sale.price_sats} sats`)
-  console.log(`   To: ${sellerShort}...`)
-
-  try {
-    const result = await returnPunkToSeller(sale.seller_address, sale.price_sats)
-    console.log(`   Payment sent! TXID: ${result.txid}`)
-    updatePayment.run(result.txid, sale.punk_id)
-  } catch (error) {
-    console.log(`   Failed: ${error.message}`)
+  const now = Date.now()
+  const marked = sale.payment_txid?.startsWith('PAYMENT_FAILED') ?? false
+  const recordedSaleId = findSale.get(sale.punk_id, sale.sold_at)?.id
+  const owesProceeds = proceedsOwed(sale, recordedSaleId)
+  const owesDeposit = depositOwed(sale)
+
+  const results = db.transaction(() => {
+    let saleId = recordedSaleId
+    if (!saleId) {
+      const paymentTxid = marked ? null : sale.payment_txid
+      saleId = Number(insertSale.run(sale.punk_id, sale.price_sats, sale.seller_address, sale.buyer_address, sale.sold_at, paymentTxid).lastInsertRowid)
+    }
+
+    const queue = (leg, kind, amount) => {
+      const key = `sale:${saleId}:${leg}`
+      const { changes } = enqueue.run(key, kind, sale.seller_address, amount, sale.punk_id, saleId, now, now, now)
+      return changes ? 'queued' : `already queued (${findPayout.get(key).status})`
+    }
+
+    const proceeds = owesProceeds === true ? queue('proceeds', 'sale_proceeds', sale.price_sats)
+      : owesProceeds === false ? 'paid or queued before'
+      : 'NEEDS REVIEW'
+    const deposit = owesDeposit ? queue('deposit', 'deposit_return', LEGACY_DEPOSIT_SATS) : 'NEEDS REVIEW'
+
+    // Keep the marker until the price is settled, so the sale shows up again
+    if (owesProceeds !== null) clearMarker.run(sale.punk_id)
+
+    return { saleId, proceeds, deposit }
+  })()
+
+  console.log(`\nPunk ${sale.punk_id.slice(0, 8)}... (sale ${results.saleId}) to ${sale.seller_address.slice(0, 30)}...`)
+  console.log(`   Price ${sale.price_sats} sats: ${results.proceeds}`)
+  console.log(`   Deposit ${LEGACY_DEPOSIT_SATS} sats: ${results.deposit}`)
+
+  if (owesProceeds === null) {
+    console.log(`   Could not tell whether the price was sent (${sale.audit_error || sale.payment_txid}).`)
+    console.log(`   If the escrow wallet history shows no payment, run again with --proceeds-unsent ${sale.punk_id}`)
+  }
+  if (!owesDeposit) {
+    console.log('   The old retry script paid the price again after the deposit return failed: check before paying more.')
   }
 }
 
-console.log('\nDone!')
+console.log('\nDone! The server payout worker will send queued payouts.')
 db.close()
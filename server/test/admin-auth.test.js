@@ -0,0 +1,95 @@
+/**
+ * Admin authentication: configured keys log in with a signed single-use challenge, sessions carry
+ * the key's role, and only mutating admin requests are recorded as ADMIN_ACTION
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer } from './helpers/server.js'
+import { testWallet, signPayload } from './helpers/wallets.js'
+import { adminPubkeys, adminLogin } from './helpers/admin.js'
+
+const operator = testWallet('33')
+const support = testWallet('34')
+const outsider = testWallet('66')
+
+describe('admin authentication', () => {
+  let server
+
+  before(async () => {
+    server = await startServer({ ADMIN_PUBKEYS: adminPubkeys([[operator, 'operator'], [support, 'support']]) })
+  })
+
+  after(async () => {
+    await server?.stop()
+  })
+
+  function login(wallet, nonce, signer = wallet) {
+    return server.post('/api/admin/auth/login', {
+      pubkey: wallet.pubkey,
+      nonce,
+      signature: signPayload(signer, { action: 'admin_login', pubkey: wallet.pubkey, nonce })
+    })
+  }
+
+  function adminActions() {
+    return server.db.prepare(`SELECT details FROM audit_log WHERE action = 'ADMIN_ACTION' ORDER BY id`).all()
+      .map(row => JSON.parse(row.details))
+  }
+
+  it('logs in configured keys with a signed challenge that is used once', async () => {
+    const notAdmin = await server.post('/api/admin/auth/challenge', { pubkey: outsider.pubkey })
+    assert.equal(notAdmin.status, 403)
+
+    const { body: { nonce } } = await server.post('/api/admin/auth/challenge', { pubkey: operator.pubkey })
+
+    const forged = await login(operator, nonce, outsider)
+    assert.equal(forged.status, 401)
+
+    const otherChallenge = await server.post('/api/admin/auth/challenge', { pubkey: support.pubkey })
+    const crossKey = await login(operator, otherChallenge.body.nonce)
+    assert.equal(crossKey.status, 401)
+    assert.equal(crossKey.body.details, 'Unknown challenge')
+
+    const fresh = await server.post('/api/admin/auth/challenge', { pubkey: operator.pubkey })
+    const loggedIn = await login(operator, fresh.body.nonce)
+    assert.equal(loggedIn.status, 200)
+    assert.equal(loggedIn.body.role, 'operator')
+
+    const replayed = await login(operator, fresh.body.nonce)
+    assert.equal(replayed.status, 401)
+    assert.equal(replayed.body.details, 'Challenge already used')
+
+    const session = { Authorization: `Bearer ${loggedIn.body.token}` }
+    assert.equal((await server.get('/api/admin/audit', session)).status, 200)
+    assert.equal((await server.post('/api/admin/auth/logout', {}, session)).status, 200)
+    assert.equal((await server.get('/api/admin/audit', session)).status, 401)
+  })
+
+  it('keeps operator actions from support sessions', async () => {
+    const session = await adminLogin(server, support)
+
+    assert.equal((await server.get('/api/admin/audit', session)).status, 200)
+
+    const retry = await server.post('/api/admin/payouts/1/retry', {}, session)
+    assert.equal(retry.status, 403)
+    const denied = server.db.prepare(`SELECT details FROM audit_log WHERE action = 'ADMIN_ACCESS_DENIED'`).get()
+    assert.equal(JSON.parse(denied.details).adminPubkey, support.pubkey)
+  })
+
+  it('records mutating admin requests only', async () => {
+    const session = await adminLogin(server, operator)
+    const before = adminActions().length
+
+    await server.get('/api/admin/audit', session)
+    await server.get('/api/admin/payouts', session)
+    assert.equal(adminActions().length, before)
+
+    await server.post('/api/admin/payouts/999/retry', { note: 'stuck' }, session)
+    const recorded = adminActions().slice(before)
+    assert.equal(recorded.length, 1)
+    assert.equal(recorded[0].adminPubkey, operator.pubkey)
+    assert.equal(recorded[0].method, 'POST')
+    assert.deepEqual(recorded[0].body, { note: 'stuck' })
+  })
+})
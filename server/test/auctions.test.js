@@ -0,0 +1,185 @@
+/**
+ * Auctions: bids count once their funds reach escrow, outbid and losing bids are refunded
+ * through the payout outbox, and the background sweep settles the auction at its end
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { setTimeout as sleep } from 'timers/promises'
+import { startServer } from './helpers/server.js'
+import { testWallet } from './helpers/wallets.js'
+import { registerPunk, listPunk, depositPunk, payouts } from './helpers/marketplace.js'
+
+const seller = testWallet('44')
+const alice = testWallet('55')
+const bob = testWallet('66')
+
+// The sweep runs every 15 seconds
+const CLOSE_TIMEOUT_MS = 40 * 1000
+
+describe('auctions', () => {
+  let server
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(async () => {
+    await server?.stop()
+  })
+
+  /**
+   * Register, list as an auction (price is the reserve) and deposit a punk
+   * @returns The auction id
+   */
+  async function liveAuction(punkId, reserve) {
+    registerPunk(server, seller, punkId)
+    const listed = await listPunk(server, seller, punkId, reserve, {
+      auction: { endsAt: Date.now() + 2 * 60 * 60 * 1000 }
+    })
+    const deposited = await depositPunk(server, punkId)
+    assert.equal(deposited.status, 'auction')
+    return listed.auctionId
+  }
+
+  function bid(auctionId, bidder, amount) {
+    return server.post(`/api/auctions/${auctionId}/bids`, {
+      bidderPubkey: bidder.pubkey,
+      bidderArkAddress: bidder.address,
+      amount
+    })
+  }
+
+  function confirm(auctionId, bidId, bidder) {
+    return server.post(`/api/auctions/${auctionId}/bids/${bidId}/confirm`, { bidderArkAddress: bidder.address })
+  }
+
+  /**
+   * Bid and lock the funds in escrow
+   * @returns { bidId, confirmed } with the /confirm response
+   */
+  async function fundedBid(auctionId, bidder, amount) {
+    const created = await bid(auctionId, bidder, amount)
+    assert.equal(created.status, 200)
+    const { bidId, paymentAmount } = created.body
+
+    const row = server.db.prepare('SELECT escrow_key_index FROM auction_bids WHERE id = ?').get(bidId)
+    server.pay(paymentAmount, row.escrow_key_index)
+    return { bidId, confirmed: await confirm(auctionId, bidId, bidder) }
+  }
+
+  /**
+   * Move the end of an auction to the past and wait for the sweep to close it
+   * @returns The closed listing
+   */
+  async function closeNow(auctionId) {
+    server.db.prepare('UPDATE listings SET auction_ends_at = ? WHERE auction_id = ?').run(Date.now() - 1, auctionId)
+
+    const deadline = Date.now() + CLOSE_TIMEOUT_MS
+    while (Date.now() < deadline) {
+      const listing = server.db.prepare('SELECT * FROM listings WHERE auction_id = ?').get(auctionId)
+      if (listing.status !== 'auction') return listing
+      await sleep(250)
+    }
+    throw new Error(`Auction ${auctionId} was not closed`)
+  }
+
+  function bidRow(bidId) {
+    return server.db.prepare('SELECT * FROM auction_bids WHERE id = ?').get(bidId)
+  }
+
+  it('refunds the outbid bidder and sells to the highest bid at the end', async () => {
+    const punkId = 'd1'.repeat(32)
+    const auctionId = await liveAuction(punkId, 10000)
+
+    const own = await bid(auctionId, seller, 20000)
+    assert.equal(own.status, 400)
+
+    const first = await fundedBid(auctionId, alice, 10000)
+    assert.equal(first.confirmed.status, 200)
+    assert.equal(first.confirmed.body.bid.status, 'leading')
+
+    const tooLow = await bid(auctionId, bob, 10400)
+    assert.equal(tooLow.status, 400)
+    assert.equal(tooLow.body.minimumBid, 10500)
+
+    const second = await fundedBid(auctionId, bob, 12000)
+    assert.equal(second.confirmed.status, 200)
+    assert.equal(second.confirmed.body.bid.status, 'leading')
+
+    const outbid = bidRow(first.bidId)
+    assert.equal(outbid.status, 'outbid')
+    const refunds = payouts(server).filter(payout => payout.idempotency_key === `bid:${first.bidId}:refund`)
+    assert.equal(refunds.length, 1)
+    assert.equal(refunds[0].recipient, alice.address)
+    assert.equal(refunds[0].amount_sats, outbid.payment_amount_sats)
+    assert.equal(refunds[0].status, 'sent')
+
+    const listing = await closeNow(auctionId)
+    assert.equal(listing.status, 'sold')
+    assert.equal(listing.buyer_address, bob.address)
+    assert.equal(bidRow(second.bidId).status, 'won')
+    assert.equal(server.db.prepare('SELECT owner_address FROM punks WHERE punk_id = ?').get(punkId).owner_address, bob.address)
+
+    const sale = server.db.prepare('SELECT * FROM sales WHERE punk_id = ?').get(punkId)
+    assert.equal(sale.price_sats, 12000)
+    assert.deepEqual(
+      payouts(server).filter(payout => payout.idempotency_key.startsWith(`auction:${auctionId}:`))
+        .map(payout => [payout.kind, payout.recipient, payout.amount_sats, payout.sale_id]),
+      [
+        ['sale_proceeds', seller.address, 12000, sale.id],
+        ['deposit_return', seller.address, listing.deposit_amount_sats, sale.id]
+      ]
+    )
+  })
+
+  it('extends the auction when a bid is funded close to the end', async () => {
+    const punkId = 'd2'.repeat(32)
+    const auctionId = await liveAuction(punkId, 10000)
+    const endsAt = Date.now() + 60 * 1000
+    server.db.prepare('UPDATE listings SET auction_ends_at = ? WHERE auction_id = ?').run(endsAt, auctionId)
+
+    const late = await fundedBid(auctionId, alice, 15000)
+    assert.equal(late.confirmed.status, 200)
+
+    const listing = server.db.prepare('SELECT auction_ends_at FROM listings WHERE auction_id = ?').get(auctionId)
+    assert.equal(listing.auction_ends_at, bidRow(late.bidId).funded_at + 5 * 60 * 1000)
+    assert.ok(listing.auction_ends_at > endsAt)
+  })
+
+  it('refunds the leading bid when the reserve is not met, and funds that arrive after the close', async () => {
+    const punkId = 'd3'.repeat(32)
+    const auctionId = await liveAuction(punkId, 50000)
+
+    const low = await fundedBid(auctionId, alice, 20000)
+    assert.equal(low.confirmed.body.bid.status, 'leading')
+
+    const unpaid = await bid(auctionId, bob, 25000)
+    assert.equal(unpaid.status, 200)
+
+    const listing = await closeNow(auctionId)
+    assert.equal(listing.status, 'cancelled')
+    assert.equal(server.db.prepare('SELECT owner_address FROM punks WHERE punk_id = ?').get(punkId).owner_address, seller.address)
+    assert.equal(server.db.prepare('SELECT COUNT(*) AS count FROM sales WHERE punk_id = ?').get(punkId).count, 0)
+
+    const lost = bidRow(low.bidId)
+    assert.equal(lost.status, 'lost')
+    assert.equal(lost.refund_reason, 'reserve_not_met')
+
+    const row = bidRow(unpaid.body.bidId)
+    server.pay(row.payment_amount_sats, row.escrow_key_index)
+    const tooLate = await confirm(auctionId, row.id, bob)
+    assert.equal(tooLate.status, 410)
+    assert.equal(bidRow(row.id).refund_reason, 'auction_closed')
+
+    assert.deepEqual(
+      payouts(server).filter(payout => payout.punk_id === punkId && payout.kind !== 'sale_proceeds')
+        .map(payout => [payout.kind, payout.recipient, payout.amount_sats]),
+      [
+        ['bid_refund', alice.address, lost.payment_amount_sats],
+        ['deposit_return', seller.address, listing.deposit_amount_sats],
+        ['bid_refund', bob.address, row.payment_amount_sats]
+      ]
+    )
+  })
+})
@@ -0,0 +1,139 @@
+/**
+ * Bundles: the lot goes live once every punk is deposited, one payment buys all punks together
+ * and pays the seller the bundle price once plus every deposit back
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer } from './helpers/server.js'
+import { testWallet, signAction } from './helpers/wallets.js'
+import { registerPunk, depositPunk, payIntent, payouts } from './helpers/marketplace.js'
+
+const seller = testWallet('44')
+const buyer = testWallet('55')
+const stranger = testWallet('66')
+
+describe('bundles', () => {
+  let server
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(async () => {
+    await server?.stop()
+  })
+
+  /**
+   * Register the punks to the seller and bundle them
+   * @returns The /api/bundles response body
+   */
+  async function createBundle(punkIds, price) {
+    punkIds.forEach(punkId => registerPunk(server, seller, punkId))
+    const created = await server.post('/api/bundles', {
+      sellerPubkey: seller.pubkey,
+      sellerArkAddress: seller.address,
+      price,
+      punkIds
+    })
+    assert.equal(created.status, 200)
+    return created.body
+  }
+
+  function buy(bundleId) {
+    return server.post(`/api/bundles/${bundleId}/buy`, { buyerPubkey: buyer.pubkey, buyerArkAddress: buyer.address })
+  }
+
+  function execute(bundleId, intentId) {
+    return server.post(`/api/bundles/${bundleId}/execute`, {
+      buyerPubkey: buyer.pubkey,
+      buyerArkAddress: buyer.address,
+      intentId
+    })
+  }
+
+  function bundleStatus(bundleId) {
+    return server.db.prepare('SELECT status FROM bundles WHERE id = ?').get(bundleId).status
+  }
+
+  it('sells every punk for one payment once all of them are deposited', async () => {
+    const punkIds = ['e1'.repeat(32), 'e2'.repeat(32)]
+    const { bundleId, deposits } = await createBundle(punkIds, 50001)
+
+    const relisted = await server.post('/api/bundles', {
+      sellerPubkey: seller.pubkey,
+      sellerArkAddress: seller.address,
+      price: 40000,
+      punkIds
+    })
+    assert.equal(relisted.status, 400)
+
+    await depositPunk(server, punkIds[0])
+    assert.equal(bundleStatus(bundleId), 'pending')
+    assert.equal((await buy(bundleId)).status, 400)
+
+    await depositPunk(server, punkIds[1])
+    assert.equal(bundleStatus(bundleId), 'active')
+
+    const bought = await buy(bundleId)
+    assert.equal(bought.status, 200)
+    const { intentId } = bought.body
+
+    const unpaid = await execute(bundleId, intentId)
+    assert.equal(unpaid.status, 402)
+
+    payIntent(server, intentId)
+    const executed = await execute(bundleId, intentId)
+    assert.equal(executed.status, 200)
+    assert.equal(executed.body.saleIds.length, 2)
+    assert.equal(bundleStatus(bundleId), 'sold')
+
+    for (const punkId of punkIds) {
+      assert.equal(server.db.prepare('SELECT owner_address FROM punks WHERE punk_id = ?').get(punkId).owner_address, buyer.address)
+    }
+
+    const sales = server.db.prepare('SELECT * FROM sales WHERE bundle_id = ? ORDER BY id').all(bundleId)
+    assert.deepEqual(sales.map(sale => sale.punk_id), punkIds)
+    assert.equal(sales.reduce((total, sale) => total + sale.price_sats, 0), 50001)
+
+    assert.deepEqual(
+      payouts(server).filter(payout => payout.idempotency_key.startsWith(`bundle:${intentId}:`))
+        .map(payout => [payout.kind, payout.recipient, payout.amount_sats, payout.status])
+        .sort(),
+      [
+        ['deposit_return', seller.address, deposits[0].depositAmount, 'sent'],
+        ['deposit_return', seller.address, deposits[1].depositAmount, 'sent'],
+        ['sale_proceeds', seller.address, 50001, 'sent']
+      ].sort()
+    )
+
+    const again = await execute(bundleId, intentId)
+    assert.equal(again.status, 400)
+    assert.equal(payouts(server).filter(payout => payout.kind === 'sale_proceeds').length, 1)
+  })
+
+  it('returns the deposits made so far when the seller cancels', async () => {
+    const punkIds = ['e3'.repeat(32), 'e4'.repeat(32)]
+    const { bundleId, deposits } = await createBundle(punkIds, 30000)
+    await depositPunk(server, punkIds[0])
+
+    const forged = await server.post(`/api/bundles/${bundleId}/cancel`,
+      signAction(stranger, { punkId: null, action: 'cancel_bundle', bundleId }))
+    assert.equal(forged.status, 401)
+
+    const cancelled = await server.post(`/api/bundles/${bundleId}/cancel`,
+      signAction(seller, { punkId: null, action: 'cancel_bundle', bundleId }))
+    assert.equal(cancelled.status, 200)
+    assert.equal(bundleStatus(bundleId), 'cancelled')
+    assert.deepEqual(cancelled.body.refunds.map(refund => [refund.punkId, refund.amount, refund.status]), [
+      [punkIds[0], deposits[0].depositAmount, 'sent']
+    ])
+
+    const listings = server.db.prepare('SELECT status FROM listings WHERE bundle_id = ?').all(bundleId)
+    assert.deepEqual(listings.map(listing => listing.status), ['cancelled', 'cancelled'])
+
+    const again = await server.post(`/api/bundles/${bundleId}/cancel`,
+      signAction(seller, { punkId: null, action: 'cancel_bundle', bundleId }))
+    assert.equal(again.status, 400)
+  })
+})
@@ -0,0 +1,147 @@
+/**
+ * Escrow purchases: the buyer's payment is verified before ownership moves,
+ * and a purchase that cannot complete is refunded through the payout outbox
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer } from './helpers/server.js'
+import { testWallet } from './helpers/wallets.js'
+import { activeListing, buyPunk, payIntent, executePurchase, payouts } from './helpers/marketplace.js'
+
+const seller = testWallet('44')
+const buyer = testWallet('55')
+
+describe('POST /api/escrow/execute', () => {
+  let server
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(async () => {
+    await server?.stop()
+  })
+
+  it('waits for the exact payment, then transfers the punk, records the sale and queues the seller payouts', async () => {
+    const punkId = 'a1'.repeat(32)
+    await activeListing(server, seller, punkId, 50000)
+
+    const buy = await buyPunk(server, buyer, punkId)
+    assert.equal(buy.status, 200)
+    const { intentId } = buy.body
+    const intent = server.db.prepare('SELECT * FROM payment_intents WHERE id = ?').get(intentId)
+    assert.equal(intent.amount_sats, Number(buy.body.totalWithFee))
+
+    const unpaid = await executePurchase(server, buyer, punkId, intentId)
+    assert.equal(unpaid.status, 402)
+
+    server.pay(intent.amount_sats - 1, intent.escrow_key_index)
+    const underpaid = await executePurchase(server, buyer, punkId, intentId)
+    assert.equal(underpaid.status, 402)
+
+    payIntent(server, intentId)
+    const executed = await executePurchase(server, buyer, punkId, intentId)
+    assert.equal(executed.status, 200)
+    assert.equal(executed.body.success, true)
+
+    const punk = server.db.prepare('SELECT owner_address FROM punks WHERE punk_id = ?').get(punkId)
+    assert.equal(punk.owner_address, buyer.address)
+
+    const sale = server.db.prepare('SELECT * FROM sales WHERE punk_id = ?').get(punkId)
+    assert.equal(sale.price_sats, 50000)
+    assert.equal(sale.seller_address, seller.address)
+    assert.equal(sale.buyer_address, buyer.address)
+
+    const sent = payouts(server).filter(payout => payout.sale_id === sale.id)
+    assert.deepEqual(sent.map(payout => [payout.kind, payout.recipient, payout.amount_sats, payout.status]), [
+      ['sale_proceeds', seller.address, 50000, 'sent'],
+      ['deposit_return', seller.address, server.db.prepare('SELECT deposit_amount_sats FROM listings WHERE punk_id = ?').get(punkId).deposit_amount_sats, 'sent']
+    ])
+
+    const fee = server.db.prepare('SELECT * FROM fee_ledger WHERE sale_id = ?').get(sale.id)
+    assert.equal(fee.fee_sats, intent.fee_sats)
+    assert.equal(fee.amount_paid_sats, intent.amount_sats)
+  })
+
+  it('executes an intent only once', async () => {
+    const punkId = 'a2'.repeat(32)
+    await activeListing(server, seller, punkId, 20000)
+    const { body: { intentId } } = await buyPunk(server, buyer, punkId)
+    payIntent(server, intentId)
+
+    assert.equal((await executePurchase(server, buyer, punkId, intentId)).status, 200)
+    const again = await executePurchase(server, buyer, punkId, intentId)
+    assert.equal(again.status, 400)
+    assert.equal(server.db.prepare('SELECT COUNT(*) AS n FROM sales WHERE punk_id = ?').get(punkId).n, 1)
+  })
+
+  it('keeps the sale when the seller payout fails and leaves the payout for the worker to retry', async () => {
+    const punkId = 'a3'.repeat(32)
+    const unpaidSeller = testWallet('46')
+    await activeListing(server, unpaidSeller, punkId, 30000)
+    const { body: { intentId } } = await buyPunk(server, buyer, punkId)
+    payIntent(server, intentId)
+
+    server.failSendsTo([unpaidSeller.address])
+    try {
+      const executed = await executePurchase(server, buyer, punkId, intentId)
+      assert.equal(executed.status, 200)
+      assert.equal(executed.body.paymentTxid, null)
+    } finally {
+      server.failSendsTo([])
+    }
+
+    assert.equal(server.db.prepare('SELECT owner_address FROM punks WHERE punk_id = ?').get(punkId).owner_address, buyer.address)
+    assert.equal(server.db.prepare('SELECT status FROM listings WHERE punk_id = ?').get(punkId).status, 'sold')
+
+    const owed = payouts(server).filter(payout => payout.recipient === unpaidSeller.address)
+    assert.equal(owed.length, 2)
+    for (const payout of owed) {
+      assert.equal(payout.status, 'pending')
+      assert.equal(payout.attempts, 1)
+      assert.match(payout.last_error, /Insufficient escrow balance/)
+    }
+  })
+
+  it('refunds a payment for a repriced listing through the payout outbox, once', async () => {
+    const punkId = 'a4'.repeat(32)
+    await activeListing(server, seller, punkId, 40000)
+    const { body: { intentId } } = await buyPunk(server, buyer, punkId)
+    payIntent(server, intentId)
+    server.db.prepare('UPDATE listings SET price_sats = 45000 WHERE punk_id = ?').run(punkId)
+
+    const refused = await executePurchase(server, buyer, punkId, intentId)
+    assert.equal(refused.status, 409)
+    assert.equal(refused.body.paidPrice, 40000)
+
+    const intent = server.db.prepare('SELECT * FROM payment_intents WHERE id = ?').get(intentId)
+    const refund = server.db.prepare('SELECT * FROM payouts WHERE idempotency_key = ?').get(`intent:${intentId}:refund`)
+    assert.equal(intent.status, 'refunded')
+    assert.equal(intent.refund_payout_id, refund.id)
+    assert.equal(refund.kind, 'intent_refund')
+    assert.equal(refund.recipient, buyer.address)
+    assert.equal(refund.amount_sats, intent.amount_sats)
+    assert.equal(refund.status, 'sent')
+    assert.equal(intent.refund_txid, refund.txid)
+    assert.equal(refused.body.refundTxid, refund.txid)
+
+    const closed = await executePurchase(server, buyer, punkId, intentId)
+    assert.equal(closed.status, 410)
+    assert.equal(closed.body.refundTxid, refund.txid)
+    assert.equal(payouts(server).filter(payout => payout.kind === 'intent_refund').length, 1)
+    assert.equal(server.db.prepare('SELECT owner_address FROM punks WHERE punk_id = ?').get(punkId).owner_address, seller.address)
+  })
+
+  it('rejects an intent presented by another buyer', async () => {
+    const punkId = 'a5'.repeat(32)
+    await activeListing(server, seller, punkId, 10000)
+    const { body: { intentId } } = await buyPunk(server, buyer, punkId)
+    payIntent(server, intentId)
+
+    const other = testWallet('56')
+    const stolen = await executePurchase(server, other, punkId, intentId)
+    assert.equal(stolen.status, 404)
+    assert.equal(server.db.prepare('SELECT owner_address FROM punks WHERE punk_id = ?').get(punkId).owner_address, seller.address)
+  })
+})
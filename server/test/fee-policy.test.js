@@ -0,0 +1,40 @@
+/**
+ * Fee policy: tiered percent in basis points rounded down, raised to the minimum fee
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_FEE_POLICY, parseFeePolicy, calculateMarketplaceFee } from '../fee-policy.js'
+
+describe('calculateMarketplaceFee', () => {
+  it('charges the default percent, at least the minimum fee', () => {
+    assert.deepEqual(calculateMarketplaceFee(50000, DEFAULT_FEE_POLICY), { fee: 500, percent: 1 })
+    assert.deepEqual(calculateMarketplaceFee(12345, DEFAULT_FEE_POLICY), { fee: 123, percent: 1 })
+    assert.deepEqual(calculateMarketplaceFee(5000, DEFAULT_FEE_POLICY), { fee: 100, percent: 1 })
+  })
+
+  it('applies the highest tier the price reaches', () => {
+    const policy = parseFeePolicy(JSON.stringify({
+      percent: 2,
+      minimumSats: 0,
+      tiers: [{ minPriceSats: 1000000, percent: 1.5 }, { minPriceSats: 100000, percent: 1.75 }]
+    }))
+
+    assert.deepEqual(policy.tiers.map(tier => tier.minPriceSats), [100000, 1000000])
+    assert.deepEqual(calculateMarketplaceFee(99999, policy), { fee: 1999, percent: 2 })
+    assert.deepEqual(calculateMarketplaceFee(100000, policy), { fee: 1750, percent: 1.75 })
+    assert.deepEqual(calculateMarketplaceFee(1000000, policy), { fee: 15000, percent: 1.5 })
+  })
+
+  it('stays exact for prices whose product exceeds the safe integer range', () => {
+    assert.equal(calculateMarketplaceFee(Number.MAX_SAFE_INTEGER, DEFAULT_FEE_POLICY).fee, 90071992547409)
+    assert.equal(calculateMarketplaceFee(10n ** 17n, DEFAULT_FEE_POLICY).fee, 10 ** 15)
+  })
+})
+
+describe('parseFeePolicy', () => {
+  it('falls back to the default policy and fields', () => {
+    assert.equal(parseFeePolicy(undefined), DEFAULT_FEE_POLICY)
+    assert.deepEqual(parseFeePolicy('{"percent":2.5}'), { percent: 2.5, minimumSats: 100, tiers: [] })
+  })
+})
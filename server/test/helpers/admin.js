@@ -0,0 +1,25 @@
+/**
+ * Admin Sessions
+ * Log in with a challenge signed by an admin key (configured with startServer({ ADMIN_PUBKEYS }))
+ */
+
+import { signPayload } from './wallets.js'
+
+/**
+ * ADMIN_PUBKEYS value for the given wallets and roles, e.g. adminPubkeys([[operator, 'operator']])
+ */
+export function adminPubkeys(entries) {
+  return entries.map(([wallet, role]) => `${wallet.pubkey}:${role}`).join(',')
+}
+
+/**
+ * @returns Authorization headers of a fresh admin session
+ */
+export async function adminLogin(server, wallet) {
+  const challenge = await server.post('/api/admin/auth/challenge', { pubkey: wallet.pubkey })
+  const { nonce } = challenge.body
+  const signature = signPayload(wallet, { action: 'admin_login', pubkey: wallet.pubkey, nonce })
+  const login = await server.post('/api/admin/auth/login', { pubkey: wallet.pubkey, nonce, signature })
+  if (login.status !== 200) throw new Error(`Admin login failed (${login.status}): ${JSON.stringify(login.body)}`)
+  return { Authorization: `Bearer ${login.body.token}` }
+}
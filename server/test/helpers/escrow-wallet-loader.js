@@ -0,0 +1,12 @@
+/**
+ * Module resolve hook (tests only): the server imports the fake escrow wallet instead of the real one
+ */
+
+const FAKE_ESCROW_WALLET = new URL('./fake-escrow-wallet.js', import.meta.url).href
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === './escrow-wallet.js' && context.parentURL?.endsWith('/server/index-v2.js')) {
+    return { url: FAKE_ESCROW_WALLET, shortCircuit: true }
+  }
+  return nextResolve(specifier, context)
+}
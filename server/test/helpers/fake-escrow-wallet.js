@@ -0,0 +1,59 @@
+/**
+ * Fake Escrow Wallet (tests only)
+ * Stands in for escrow-wallet.js so the server runs without an Ark server.
+ * The escrow VTXOs live in the JSON file FAKE_ESCROW_STATE, written by the test:
+ * { vtxos: [{ txid, vout, value, createdAt, keyIndex }], failSendsTo: [address] }
+ * Sends succeed with a made-up txid unless the recipient is in failSendsTo.
+ */
+
+import { existsSync, readFileSync } from 'fs'
+
+let sends = 0
+
+function readState() {
+  const path = process.env.FAKE_ESCROW_STATE
+  if (!path || !existsSync(path)) return { vtxos: [], failSendsTo: [] }
+  return { vtxos: [], failSendsTo: [], ...JSON.parse(readFileSync(path, 'utf-8')) }
+}
+
+export function deriveEscrowKey(masterKeyHex, keyIndex) {
+  return `${masterKeyHex}:${keyIndex}`
+}
+
+export async function getEscrowSubAddress(keyIndex) {
+  return `ark1fakeescrow${keyIndex}`
+}
+
+export async function returnPunkToSeller(sellerArkAddress, punkAmount = 10000, keyIndex = null) {
+  if (readState().failSendsTo.includes(sellerArkAddress)) {
+    throw new Error(`Insufficient escrow balance: 0 < ${punkAmount}`)
+  }
+  return { txid: `fakesend${++sends}`, amount: punkAmount }
+}
+
+export async function getEscrowBalance(keyIndex = null) {
+  const vtxos = await getEscrowVtxos(keyIndex)
+  const total = vtxos.reduce((sum, vtxo) => sum + vtxo.value, 0)
+  return { total, available: total }
+}
+
+export async function verifyVtxoInEscrow(vtxoOutpoint, expectedAmount = 10000, keyIndex = null) {
+  const vtxo = (await getEscrowVtxos(keyIndex)).find(v => `${v.txid}:${v.vout}` === vtxoOutpoint)
+  if (!vtxo) return { exists: false, error: 'VTXO not found in escrow' }
+  if (vtxo.value !== expectedAmount) return { exists: false, error: `Amount mismatch: ${vtxo.value} != ${expectedAmount}` }
+  return { exists: true, vtxo }
+}
+
+export async function getEscrowVtxos(keyIndex = null) {
+  return readState().vtxos.filter(vtxo => (vtxo.keyIndex ?? null) === keyIndex)
+}
+
+export async function findIncomingPayment(expectedAmount, since = 0, excludeOutpoints = [], keyIndex = null) {
+  const excluded = new Set(excludeOutpoints)
+  const vtxos = await getEscrowVtxos(keyIndex)
+  return vtxos.find(v =>
+    v.value === expectedAmount &&
+    new Date(v.createdAt).getTime() >= since &&
+    !excluded.has(`${v.txid}:${v.vout}`)
+  ) || null
+}
@@ -0,0 +1,94 @@
+/**
+ * Marketplace Fixtures
+ * Punks registered straight into the test database, listings created and deposited through the API
+ */
+
+import { signAction } from './wallets.js'
+
+/**
+ * Register a punk to `owner` (punk ids are any 64 hex chars, e.g. 'a1'.repeat(32))
+ */
+export function registerPunk(server, owner, punkId) {
+  server.db.prepare(`
+    INSERT INTO punks (punk_id, owner_address, minted_at) VALUES (?, ?, ?)
+  `).run(punkId, owner.address, Date.now())
+}
+
+/**
+ * List a registered punk, signed by its owner
+ * @returns The /api/escrow/list response body
+ */
+export async function listPunk(server, seller, punkId, price, extra = {}) {
+  const { status, body } = await server.post('/api/escrow/list', {
+    punkId,
+    sellerPubkey: seller.pubkey,
+    sellerArkAddress: seller.address,
+    price,
+    ...extra,
+    ...signAction(seller, { punkId, action: 'list', price, sellerArkAddress: seller.address, allowedBuyer: extra.allowedBuyer })
+  })
+  if (status !== 200) throw new Error(`List failed (${status}): ${JSON.stringify(body)}`)
+  return body
+}
+
+/**
+ * Send the deposit of a pending listing to its escrow address and confirm it
+ * @returns The /api/escrow/update-outpoint response body
+ */
+export async function depositPunk(server, punkId) {
+  const listing = server.db.prepare('SELECT * FROM listings WHERE punk_id = ?').get(punkId)
+  const outpoint = server.pay(listing.deposit_amount_sats, listing.escrow_key_index)
+  const { status, body } = await server.post('/api/escrow/update-outpoint', { punkId, punkVtxoOutpoint: outpoint })
+  if (status !== 200) throw new Error(`Deposit failed (${status}): ${JSON.stringify(body)}`)
+  return body
+}
+
+/**
+ * Register, list and deposit a punk: an active fixed-price listing
+ */
+export async function activeListing(server, seller, punkId, price, extra = {}) {
+  registerPunk(server, seller, punkId)
+  await listPunk(server, seller, punkId, price, extra)
+  return depositPunk(server, punkId)
+}
+
+/**
+ * Reserve a listing for `buyer`, signed by the buyer
+ * @returns { status, body } of /api/escrow/buy
+ */
+export function buyPunk(server, buyer, punkId) {
+  return server.post('/api/escrow/buy', {
+    punkId,
+    buyerPubkey: buyer.pubkey,
+    buyerArkAddress: buyer.address,
+    ...signAction(buyer, { punkId, action: 'buy', buyerArkAddress: buyer.address })
+  })
+}
+
+/**
+ * Pay a payment intent with exactly the amount it asks for
+ */
+export function payIntent(server, intentId) {
+  const intent = server.db.prepare('SELECT * FROM payment_intents WHERE id = ?').get(intentId)
+  return server.pay(intent.amount_sats, intent.escrow_key_index)
+}
+
+/**
+ * Execute a purchase
+ * @returns { status, body } of /api/escrow/execute
+ */
+export function executePurchase(server, buyer, punkId, intentId) {
+  return server.post('/api/escrow/execute', {
+    punkId,
+    buyerPubkey: buyer.pubkey,
+    buyerArkAddress: buyer.address,
+    intentId
+  })
+}
+
+/**
+ * Payouts of the outbox, oldest first
+ */
+export function payouts(server) {
+  return server.db.prepare('SELECT * FROM payouts ORDER BY id ASC').all()
+}
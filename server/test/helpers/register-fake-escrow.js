@@ -0,0 +1,4 @@
+// node --import ./test/helpers/register-fake-escrow.js index-v2.js
+import { register } from 'node:module'
+
+register('./escrow-wallet-loader.js', import.meta.url)
@@ -0,0 +1,122 @@
+/**
+ * Test Server
+ * Starts index-v2.js in a child process on a free port with its own temporary database and the
+ * fake escrow wallet, and gives the test an HTTP client, the database and control over escrow VTXOs.
+ */
+
+import { spawn } from 'child_process'
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { createServer } from 'net'
+import { tmpdir } from 'os'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+import Database from 'better-sqlite3'
+
+const SERVER_DIR = join(dirname(fileURLToPath(import.meta.url)), '../..')
+const STARTUP_TIMEOUT_MS = 20 * 1000
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer()
+    probe.unref()
+    probe.on('error', reject)
+    probe.listen(0, () => {
+      const { port } = probe.address()
+      probe.close(() => resolve(port))
+    })
+  })
+}
+
+/**
+ * Start a server for one test file
+ *
+ * @param env Extra environment (e.g. ADMIN_PUBKEYS)
+ * @returns { url, db, get, post, pay, failSendsTo, processPayouts, stop }
+ */
+export async function startServer(env = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'arkade-punks-test-'))
+  const statePath = join(dir, 'escrow.json')
+  const state = { vtxos: [], failSendsTo: [] }
+  const saveState = () => writeFileSync(statePath, JSON.stringify(state))
+  saveState()
+
+  const port = await freePort()
+  const child = spawn(process.execPath, ['--import', './test/helpers/register-fake-escrow.js', 'index-v2.js'], {
+    cwd: SERVER_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATABASE_PATH: join(dir, 'test.db'),
+      FAKE_ESCROW_STATE: statePath,
+      ESCROW_WALLET_PRIVATE_KEY: '11'.repeat(32),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  })
+
+  let output = ''
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), STARTUP_TIMEOUT_MS)
+    child.stdout.on('data', chunk => {
+      output += chunk
+      if (output.includes('Listening on')) {
+        clearTimeout(timer)
+        resolve()
+      }
+    })
+    child.stderr.on('data', chunk => { output += chunk })
+    child.on('exit', code => {
+      clearTimeout(timer)
+      reject(new Error(`Server exited with code ${code}:\n${output}`))
+    })
+  })
+
+  const url = `http://127.0.0.1:${port}`
+  const db = new Database(join(dir, 'test.db'))
+  let vtxoCount = 0
+
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(url + path, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    })
+    return { status: response.status, body: await response.json() }
+  }
+
+  return {
+    url,
+    db,
+    get: (path, headers) => request('GET', path, undefined, headers),
+    post: (path, body = {}, headers) => request('POST', path, body, headers),
+
+    /**
+     * Put a VTXO of `value` sats in an escrow (sub-)wallet, as if someone paid it
+     * @returns Outpoint "txid:vout"
+     */
+    pay(value, keyIndex = null) {
+      const txid = `fakepay${++vtxoCount}`
+      state.vtxos.push({ txid, vout: 0, value, createdAt: new Date().toISOString(), keyIndex: keyIndex ?? null })
+      saveState()
+      return `${txid}:0`
+    },
+
+    /**
+     * Make escrow sends to these addresses fail (empty list: all sends succeed again)
+     */
+    failSendsTo(addresses) {
+      state.failSendsTo = addresses
+      saveState()
+    },
+
+    async stop() {
+      db.close()
+      if (child.exitCode === null) {
+        const exited = new Promise(resolve => child.once('exit', resolve))
+        child.kill()
+        await exited
+      }
+      rmSync(dir, { recursive: true, force: true })
+    }
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Test Wallets
+ * Deterministic keys with their taproot address (controlled by the key, see pubkeyControlsAddress)
+ * and signing in the same canonical format as the client
+ */
+
+import { schnorr } from '@noble/curves/secp256k1.js'
+import { sha256 } from '@noble/hashes/sha2.js'
+import { bytesToHex, hexToBytes, randomBytes, utf8ToBytes } from '@noble/hashes/utils.js'
+import { p2tr, NETWORK } from '@scure/btc-signer'
+import { canonicalMessage } from '../../wallet-auth.js'
+
+/**
+ * @param seed One byte as two hex chars, e.g. '44'
+ * @returns { privateKey, pubkey, address }
+ */
+export function testWallet(seed) {
+  const privateKey = seed.repeat(32)
+  const pubkey = bytesToHex(schnorr.getPublicKey(hexToBytes(privateKey)))
+  const address = p2tr(hexToBytes(pubkey), undefined, NETWORK).address
+  return { privateKey, pubkey, address }
+}
+
+/**
+ * Schnorr signature over sha256(canonicalMessage(payload))
+ */
+export function signPayload(wallet, payload) {
+  const hash = sha256(utf8ToBytes(canonicalMessage(payload)))
+  return bytesToHex(schnorr.sign(hash, hexToBytes(wallet.privateKey)))
+}
+
+/**
+ * Sign a punk action ({ punkId, action, ...extra }) with a fresh nonce and timestamp
+ * @returns { nonce, timestamp, signature } to spread into the request body
+ */
+export function signAction(wallet, payload) {
+  const nonce = bytesToHex(randomBytes(16))
+  const timestamp = Date.now()
+  return { nonce, timestamp, signature: signPayload(wallet, { ...payload, nonce, timestamp }) }
+}
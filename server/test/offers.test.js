@@ -0,0 +1,130 @@
+/**
+ * Offers: the buyer locks funds in escrow, the owner accepts with a signature,
+ * and the sale pays the seller who deposited the punk; withdrawn offers are refunded once
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer } from './helpers/server.js'
+import { testWallet, signAction } from './helpers/wallets.js'
+import { registerPunk, activeListing, depositPunk, payouts } from './helpers/marketplace.js'
+
+const owner = testWallet('44')
+const buyer = testWallet('55')
+const stranger = testWallet('66')
+
+describe('offers', () => {
+  let server
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(async () => {
+    await server?.stop()
+  })
+
+  /**
+   * Make an offer and fund it
+   * @returns The offer id
+   */
+  async function fundedOffer(punkId, amount) {
+    const created = await server.post('/api/offers', {
+      punkId,
+      buyerPubkey: buyer.pubkey,
+      buyerArkAddress: buyer.address,
+      amount
+    })
+    assert.equal(created.status, 200)
+    const { offerId, paymentAmount } = created.body
+
+    const early = await server.post(`/api/offers/${offerId}/confirm`, { buyerArkAddress: buyer.address })
+    assert.equal(early.status, 402)
+
+    const offer = server.db.prepare('SELECT * FROM offers WHERE id = ?').get(offerId)
+    server.pay(paymentAmount, offer.escrow_key_index)
+    const confirmed = await server.post(`/api/offers/${offerId}/confirm`, { buyerArkAddress: buyer.address })
+    assert.equal(confirmed.status, 200)
+    assert.equal(confirmed.body.offer.status, 'active')
+    return offerId
+  }
+
+  function accept(offerId, punkId, wallet, sellerArkAddress = wallet.address) {
+    return server.post(`/api/offers/${offerId}/accept`, {
+      sellerPubkey: wallet.pubkey,
+      sellerArkAddress,
+      ...signAction(wallet, { punkId, action: 'accept_offer', offerId, sellerArkAddress })
+    })
+  }
+
+  it('sells an unlisted punk once the accepting owner deposits it', async () => {
+    const punkId = 'c1'.repeat(32)
+    registerPunk(server, owner, punkId)
+    const offerId = await fundedOffer(punkId, 30000)
+
+    const byStranger = await accept(offerId, punkId, stranger)
+    assert.equal(byStranger.status, 401)
+
+    const accepted = await accept(offerId, punkId, owner)
+    assert.equal(accepted.status, 200)
+    const listing = server.db.prepare('SELECT * FROM listings WHERE punk_id = ?').get(punkId)
+    assert.equal(listing.status, 'pending')
+    assert.equal(listing.offer_id, offerId)
+
+    const deposited = await depositPunk(server, punkId)
+    assert.equal(deposited.status, 'sold')
+
+    assert.equal(server.db.prepare('SELECT owner_address FROM punks WHERE punk_id = ?').get(punkId).owner_address, buyer.address)
+    const sale = server.db.prepare('SELECT * FROM sales WHERE punk_id = ?').get(punkId)
+    assert.equal(sale.price_sats, 30000)
+    assert.equal(sale.seller_address, owner.address)
+    assert.deepEqual(
+      payouts(server).filter(payout => payout.sale_id === sale.id).map(payout => [payout.kind, payout.recipient, payout.amount_sats]),
+      [['sale_proceeds', owner.address, 30000], ['deposit_return', owner.address, listing.deposit_amount_sats]]
+    )
+    assert.equal(server.db.prepare('SELECT status FROM offers WHERE id = ?').get(offerId).status, 'completed')
+  })
+
+  it('pays the seller who deposited the punk, whatever address the acceptance names', async () => {
+    const punkId = 'c2'.repeat(32)
+    await activeListing(server, owner, punkId, 90000)
+    const offerId = await fundedOffer(punkId, 35000)
+
+    const accepted = await accept(offerId, punkId, owner, 'ark1someotheraddress')
+    assert.equal(accepted.status, 200)
+    assert.equal(accepted.body.status, 'completed')
+
+    const sale = server.db.prepare('SELECT * FROM sales WHERE id = ?').get(accepted.body.saleId)
+    assert.equal(sale.seller_address, owner.address)
+    const recipients = payouts(server).filter(payout => payout.sale_id === sale.id).map(payout => payout.recipient)
+    assert.deepEqual(recipients, [owner.address, owner.address])
+
+    const transfer = server.db.prepare(`
+      SELECT from_address, to_address FROM ownership_history WHERE punk_id = ? ORDER BY id DESC LIMIT 1
+    `).get(punkId)
+    assert.deepEqual({ ...transfer }, { from_address: owner.address, to_address: buyer.address })
+  })
+
+  it('refunds a withdrawn offer once, and only on the buyer\'s signature', async () => {
+    const punkId = 'c3'.repeat(32)
+    registerPunk(server, owner, punkId)
+    const offerId = await fundedOffer(punkId, 12000)
+
+    const forged = await server.post(`/api/offers/${offerId}/cancel`, signAction(stranger, { punkId, action: 'cancel_offer', offerId }))
+    assert.equal(forged.status, 401)
+
+    const cancelled = await server.post(`/api/offers/${offerId}/cancel`, signAction(buyer, { punkId, action: 'cancel_offer', offerId }))
+    assert.equal(cancelled.status, 200)
+    assert.equal(cancelled.body.status, 'refunded')
+    assert.equal(cancelled.body.refund.status, 'sent')
+
+    const again = await server.post(`/api/offers/${offerId}/cancel`, signAction(buyer, { punkId, action: 'cancel_offer', offerId }))
+    assert.equal(again.status, 400)
+
+    const refunds = payouts(server).filter(payout => payout.idempotency_key === `offer:${offerId}:refund`)
+    assert.equal(refunds.length, 1)
+    const offer = server.db.prepare('SELECT * FROM offers WHERE id = ?').get(offerId)
+    assert.equal(refunds[0].recipient, buyer.address)
+    assert.equal(refunds[0].amount_sats, offer.payment_amount_sats)
+  })
+})
@@ -0,0 +1,122 @@
+/**
+ * Payout outbox: every escrow payout is queued once under its idempotency key, a failed send
+ * stays queued, and operators can retry failed payouts and resolve ones stuck in 'sending'
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer } from './helpers/server.js'
+import { testWallet } from './helpers/wallets.js'
+import { adminLogin, adminPubkeys } from './helpers/admin.js'
+import { activeListing, buyPunk, payIntent, executePurchase, payouts } from './helpers/marketplace.js'
+
+const seller = testWallet('44')
+const buyer = testWallet('55')
+const operator = testWallet('33')
+
+const STALE_SENDING = 11 * 60 * 1000
+
+describe('payout outbox', () => {
+  let server
+  let admin
+
+  before(async () => {
+    server = await startServer({ ADMIN_PUBKEYS: adminPubkeys([[operator, 'operator']]) })
+    admin = await adminLogin(server, operator)
+  })
+
+  after(async () => {
+    await server?.stop()
+  })
+
+  /**
+   * Sell a punk while sends to its seller fail: both seller payouts stay queued
+   */
+  async function saleWithUnpaidSeller(punkId, sellerWallet) {
+    await activeListing(server, sellerWallet, punkId, 25000)
+    const { body: { intentId } } = await buyPunk(server, buyer, punkId)
+    payIntent(server, intentId)
+
+    server.failSendsTo([sellerWallet.address])
+    try {
+      assert.equal((await executePurchase(server, buyer, punkId, intentId)).status, 200)
+    } finally {
+      server.failSendsTo([])
+    }
+    return payouts(server).filter(payout => payout.punk_id === punkId)
+  }
+
+  it('queues each payout once when the same purchase is executed concurrently', async () => {
+    const punkId = 'b1'.repeat(32)
+    await activeListing(server, seller, punkId, 15000)
+    const { body: { intentId } } = await buyPunk(server, buyer, punkId)
+    payIntent(server, intentId)
+
+    const results = await Promise.all([1, 2, 3].map(() => executePurchase(server, buyer, punkId, intentId)))
+    assert.equal(results.filter(result => result.status === 200).length, 1)
+
+    const queued = payouts(server).filter(payout => payout.punk_id === punkId)
+    assert.deepEqual(queued.map(payout => payout.idempotency_key).sort(), [
+      `sale:${intentId}:deposit`,
+      `sale:${intentId}:proceeds`
+    ])
+    assert.equal(server.db.prepare('SELECT COUNT(*) AS n FROM sales WHERE punk_id = ?').get(punkId).n, 1)
+  })
+
+  it('lists failed payouts for operators and requeues them on retry', async () => {
+    const punkId = 'b2'.repeat(32)
+    const [proceeds] = await saleWithUnpaidSeller(punkId, testWallet('47'))
+    server.db.prepare(`UPDATE payouts SET status = 'failed' WHERE id = ?`).run(proceeds.id)
+
+    const stuck = await server.get('/api/admin/payouts?status=stuck', admin)
+    assert.ok(stuck.body.payouts.some(payout => payout.id === proceeds.id))
+
+    const retried = await server.post(`/api/admin/payouts/${proceeds.id}/retry`, {}, admin)
+    assert.equal(retried.status, 200)
+    assert.equal(retried.body.payout.status, 'sent')
+
+    const sale = server.db.prepare('SELECT payment_txid FROM sales WHERE id = ?').get(proceeds.sale_id)
+    assert.equal(sale.payment_txid, retried.body.payout.txid)
+
+    const again = await server.post(`/api/admin/payouts/${proceeds.id}/retry`, {}, admin)
+    assert.equal(again.status, 400)
+  })
+
+  it('settles a payout stuck in sending with the txid found in the escrow wallet', async () => {
+    const punkId = 'b3'.repeat(32)
+    const [proceeds] = await saleWithUnpaidSeller(punkId, testWallet('48'))
+    server.db.prepare(`UPDATE payouts SET status = 'sending', updated_at = ? WHERE id = ?`).run(Date.now() - STALE_SENDING, proceeds.id)
+
+    const withoutTxid = await server.post(`/api/admin/payouts/${proceeds.id}/resolve`, { outcome: 'sent' }, admin)
+    assert.equal(withoutTxid.status, 400)
+
+    const settled = await server.post(`/api/admin/payouts/${proceeds.id}/resolve`, { outcome: 'sent', txid: 'foundinwallet' }, admin)
+    assert.equal(settled.status, 200)
+    assert.equal(settled.body.payout.status, 'sent')
+    assert.equal(settled.body.payout.txid, 'foundinwallet')
+    assert.equal(server.db.prepare('SELECT payment_txid FROM sales WHERE id = ?').get(proceeds.sale_id).payment_txid, 'foundinwallet')
+
+    const twice = await server.post(`/api/admin/payouts/${proceeds.id}/resolve`, { outcome: 'requeue' }, admin)
+    assert.equal(twice.status, 400)
+  })
+
+  it('requeues a payout stuck in sending, but never one whose send may still be running', async () => {
+    const punkId = 'b4'.repeat(32)
+    const [proceeds, deposit] = await saleWithUnpaidSeller(punkId, testWallet('49'))
+    server.db.prepare(`UPDATE payouts SET status = 'sending', updated_at = ? WHERE id = ?`).run(Date.now() - STALE_SENDING, proceeds.id)
+    server.db.prepare(`UPDATE payouts SET status = 'sending', updated_at = ? WHERE id = ?`).run(Date.now(), deposit.id)
+
+    const requeued = await server.post(`/api/admin/payouts/${proceeds.id}/resolve`, { outcome: 'requeue' }, admin)
+    assert.equal(requeued.status, 200)
+    assert.equal(requeued.body.payout.status, 'sent')
+
+    const inFlight = await server.post(`/api/admin/payouts/${deposit.id}/resolve`, { outcome: 'requeue' }, admin)
+    assert.equal(inFlight.status, 400)
+    assert.equal(server.db.prepare('SELECT status FROM payouts WHERE id = ?').get(deposit.id).status, 'sending')
+  })
+
+  it('requires an operator session for payout actions', async () => {
+    const anonymous = await server.post('/api/admin/payouts/1/retry', {})
+    assert.equal(anonymous.status, 401)
+  })
+})
@@ -0,0 +1,82 @@
+/**
+ * Punk search: cursor pagination walks every match exactly once in sort order,
+ * and a cursor only continues the search that returned it
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer } from './helpers/server.js'
+import { testWallet } from './helpers/wallets.js'
+import { registerPunk, activeListing } from './helpers/marketplace.js'
+
+const owner = testWallet('44')
+const seller = testWallet('45')
+
+describe('GET /api/punks', () => {
+  let server
+  const unlisted = ['91', '92', '93', '94'].map(byte => byte.repeat(32))
+  const listed = [['95'.repeat(32), 30000], ['96'.repeat(32), 10000], ['97'.repeat(32), 20000]]
+
+  before(async () => {
+    server = await startServer()
+    unlisted.forEach(punkId => registerPunk(server, owner, punkId))
+    for (const [punkId, price] of listed) {
+      await activeListing(server, seller, punkId, price)
+    }
+  })
+
+  after(async () => {
+    await server?.stop()
+  })
+
+  /**
+   * Follow nextCursor from the first page to the last
+   * @returns Every page's punks, in order
+   */
+  async function allPages(query, limit) {
+    const pages = []
+    let cursor = null
+    do {
+      const { status, body } = await server.get(`/api/punks?${query}&limit=${limit}${cursor ? `&cursor=${cursor}` : ''}`)
+      assert.equal(status, 200)
+      assert.equal(body.total, 7 - (query.includes('listed=true') ? unlisted.length : 0))
+      assert.ok(body.punks.length <= limit)
+      pages.push(body.punks)
+      cursor = body.nextCursor
+    } while (cursor)
+    return pages
+  }
+
+  it('returns every punk exactly once across pages, ties broken by punk id', async () => {
+    const { body: unpaged } = await server.get('/api/punks?sort=recent')
+    assert.equal(unpaged.nextCursor, null)
+
+    const pages = await allPages('sort=recent', 2)
+    assert.equal(pages.length, 4)
+    assert.deepEqual(pages.flat().map(punk => punk.punk_id), unpaged.punks.map(punk => punk.punk_id))
+    assert.equal(new Set(pages.flat().map(punk => punk.punk_id)).size, 7)
+  })
+
+  it('pages through listed punks by price with unlisted ones last', async () => {
+    const ascending = (await allPages('sort=price_asc', 3)).flat()
+    assert.deepEqual(ascending.slice(0, 3).map(punk => punk.listing_price_sats), [10000, 20000, 30000])
+    assert.deepEqual(ascending.slice(3).map(punk => punk.listing_price_sats), [null, null, null, null])
+
+    const descending = (await allPages('sort=price_desc&listed=true', 2)).flat()
+    assert.deepEqual(descending.map(punk => punk.listing_price_sats), [30000, 20000, 10000])
+  })
+
+  it('rejects cursors of another sort and malformed cursors', async () => {
+    const { body } = await server.get('/api/punks?sort=recent&limit=2')
+    assert.ok(body.nextCursor)
+
+    const otherSort = await server.get(`/api/punks?sort=price_asc&limit=2&cursor=${body.nextCursor}`)
+    assert.equal(otherSort.status, 400)
+
+    const malformed = await server.get('/api/punks?sort=recent&limit=2&cursor=not-a-cursor')
+    assert.equal(malformed.status, 400)
+
+    const tooLarge = await server.get('/api/punks?limit=100000')
+    assert.equal(tooLarge.status, 400)
+  })
+})
@@ -0,0 +1,104 @@
+/**
+ * Reservations: /api/escrow/buy holds a listing for the signing buyer until the payment is due,
+ * a buyer key holds a limited number of unpaid reservations and can release them with a signature
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer } from './helpers/server.js'
+import { testWallet, signAction } from './helpers/wallets.js'
+import { activeListing, buyPunk } from './helpers/marketplace.js'
+
+const seller = testWallet('44')
+const buyer = testWallet('55')
+const rival = testWallet('66')
+
+describe('reservations', () => {
+  let server
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(async () => {
+    await server?.stop()
+  })
+
+  function listing(punkId) {
+    return server.db.prepare('SELECT * FROM listings WHERE punk_id = ?').get(punkId)
+  }
+
+  function release(wallet, punkId, intentId) {
+    return server.post('/api/escrow/release', {
+      punkId,
+      intentId,
+      ...signAction(wallet, { punkId, action: 'release_reservation', intentId })
+    })
+  }
+
+  it('holds the listing for the signing buyer and turns other buyers away', async () => {
+    const punkId = '71'.repeat(32)
+    await activeListing(server, seller, punkId, 20000)
+
+    const forAnotherAddress = await server.post('/api/escrow/buy', {
+      punkId,
+      buyerPubkey: rival.pubkey,
+      buyerArkAddress: buyer.address,
+      ...signAction(rival, { punkId, action: 'buy', buyerArkAddress: buyer.address })
+    })
+    assert.equal(forAnotherAddress.status, 401)
+
+    const unsigned = await server.post('/api/escrow/buy', { punkId, buyerPubkey: buyer.pubkey, buyerArkAddress: buyer.address })
+    assert.equal(unsigned.status, 401)
+    assert.equal(listing(punkId).status, 'deposited')
+
+    const reserved = await buyPunk(server, buyer, punkId)
+    assert.equal(reserved.status, 200)
+    assert.equal(listing(punkId).status, 'reserved')
+    assert.equal(listing(punkId).reserved_by, buyer.address)
+
+    const taken = await buyPunk(server, rival, punkId)
+    assert.equal(taken.status, 409)
+    assert.equal(taken.body.reserved, true)
+    assert.equal(taken.body.reservedUntil, reserved.body.reservedUntil)
+
+    const reload = await buyPunk(server, buyer, punkId)
+    assert.equal(reload.status, 200)
+    assert.equal(reload.body.intentId, reserved.body.intentId)
+    assert.equal(reload.body.totalWithFee, reserved.body.totalWithFee)
+  })
+
+  it('caps unpaid reservations per buyer key until one is released', async () => {
+    const punkIds = ['72', '73', '74', '75'].map(byte => byte.repeat(32))
+    for (const punkId of punkIds) {
+      await activeListing(server, seller, punkId, 15000)
+    }
+
+    // The first test left one unpaid reservation
+    const first = await buyPunk(server, buyer, punkIds[0])
+    const second = await buyPunk(server, buyer, punkIds[1])
+    assert.equal(first.status, 200)
+    assert.equal(second.status, 200)
+
+    const capped = await buyPunk(server, buyer, punkIds[2])
+    assert.equal(capped.status, 429)
+    assert.equal(capped.body.maxUnpaidReservations, 3)
+    assert.equal(listing(punkIds[2]).status, 'deposited')
+
+    const forged = await release(rival, punkIds[0], first.body.intentId)
+    assert.equal(forged.status, 401)
+    assert.equal(listing(punkIds[0]).status, 'reserved')
+
+    const released = await release(buyer, punkIds[0], first.body.intentId)
+    assert.equal(released.status, 200)
+    assert.equal(listing(punkIds[0]).status, 'deposited')
+    assert.equal(server.db.prepare('SELECT status FROM payment_intents WHERE id = ?').get(first.body.intentId).status, 'expired')
+
+    const again = await release(buyer, punkIds[0], first.body.intentId)
+    assert.equal(again.status, 400)
+
+    assert.equal((await buyPunk(server, buyer, punkIds[2])).status, 200)
+    assert.equal((await buyPunk(server, buyer, punkIds[3])).status, 429)
+    assert.equal((await buyPunk(server, rival, punkIds[0])).status, 200)
+  })
+})
@@ -0,0 +1,145 @@
+/**
+ * Signed seller actions: listing needs the registered owner's signature, relist and cancel
+ * need the listing key's signature, and a signed message is accepted once while it is fresh
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer } from './helpers/server.js'
+import { testWallet, signAction, signPayload } from './helpers/wallets.js'
+import { registerPunk, listPunk, depositPunk } from './helpers/marketplace.js'
+
+const seller = testWallet('44')
+const attacker = testWallet('66')
+
+describe('signed seller actions', () => {
+  let server
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(async () => {
+    await server?.stop()
+  })
+
+  // Listing terms as the server checks them (see listPunk)
+  function listTerms(wallet, punkId, price) {
+    return { punkId, action: 'list', price, sellerArkAddress: wallet.address, allowedBuyer: null }
+  }
+
+  function list(wallet, punkId, price, signature = signAction(wallet, listTerms(wallet, punkId, price))) {
+    return server.post('/api/escrow/list', {
+      punkId,
+      sellerPubkey: wallet.pubkey,
+      sellerArkAddress: wallet.address,
+      price,
+      ...signature
+    })
+  }
+
+  function relist(wallet, punkId, price) {
+    return server.post('/api/escrow/relist', { punkId, price, ...signAction(wallet, { punkId, action: 'relist', price }) })
+  }
+
+  function cancel(wallet, punkId, sellerAddress = seller.address) {
+    return server.post('/api/escrow/cancel', { punkId, sellerAddress, ...signAction(wallet, { punkId, action: 'cancel' }) })
+  }
+
+  function listing(punkId) {
+    return server.db.prepare('SELECT * FROM listings WHERE punk_id = ?').get(punkId)
+  }
+
+  it('lists a punk only on its registered owner\'s fresh signature', async () => {
+    const punkId = '81'.repeat(32)
+
+    const unregistered = await list(seller, punkId, 10000)
+    assert.equal(unregistered.status, 404)
+
+    registerPunk(server, seller, punkId)
+
+    const byAttacker = await list(attacker, punkId, 10000)
+    assert.equal(byAttacker.status, 401)
+    assert.equal(byAttacker.body.details, 'Signer does not own this punk')
+
+    const unsigned = await server.post('/api/escrow/list', {
+      punkId,
+      sellerPubkey: seller.pubkey,
+      sellerArkAddress: seller.address,
+      price: 10000
+    })
+    assert.equal(unsigned.status, 401)
+
+    const otherPrice = await list(seller, punkId, 10000, signAction(seller, listTerms(seller, punkId, 1)))
+    assert.equal(otherPrice.status, 401)
+
+    const timestamp = Date.now() - 10 * 60 * 1000
+    const nonce = 'aa'.repeat(16)
+    const stale = await list(seller, punkId, 10000, {
+      nonce,
+      timestamp,
+      signature: signPayload(seller, { ...listTerms(seller, punkId, 10000), nonce, timestamp })
+    })
+    assert.equal(stale.status, 401)
+    assert.equal(stale.body.details, 'Signed message expired')
+    assert.equal(listing(punkId), undefined)
+
+    const signature = signAction(seller, listTerms(seller, punkId, 10000))
+    const listed = await list(seller, punkId, 10000, signature)
+    assert.equal(listed.status, 200)
+    assert.equal(listing(punkId).status, 'pending')
+
+    const replayed = await list(seller, punkId, 10000, signature)
+    assert.equal(replayed.status, 401)
+    assert.equal(replayed.body.details, 'Signed message already used')
+  })
+
+  it('changes the price only on the seller\'s signature over the new price', async () => {
+    const punkId = '82'.repeat(32)
+    registerPunk(server, seller, punkId)
+    await listPunk(server, seller, punkId, 10000)
+    await depositPunk(server, punkId)
+
+    const byAttacker = await relist(attacker, punkId, 1)
+    assert.equal(byAttacker.status, 401)
+
+    const tampered = await server.post('/api/escrow/relist', {
+      punkId,
+      price: 1,
+      ...signAction(seller, { punkId, action: 'relist', price: 15000 })
+    })
+    assert.equal(tampered.status, 401)
+    assert.equal(listing(punkId).price_sats, 10000)
+
+    const relisted = await relist(seller, punkId, 15000)
+    assert.equal(relisted.status, 200)
+    assert.equal(relisted.body.oldPrice, 10000)
+    assert.equal(listing(punkId).price_sats, 15000)
+    assert.equal(listing(punkId).status, 'deposited')
+
+    const history = server.db.prepare('SELECT old_price_sats, new_price_sats FROM listing_history WHERE punk_id = ?').all(punkId)
+    assert.deepEqual(history.map(row => [row.old_price_sats, row.new_price_sats]), [[10000, 15000]])
+  })
+
+  it('cancels a listing and returns the deposit only on the seller\'s signature', async () => {
+    const punkId = '83'.repeat(32)
+    registerPunk(server, seller, punkId)
+    await listPunk(server, seller, punkId, 10000)
+    await depositPunk(server, punkId)
+
+    const otherAddress = await cancel(attacker, punkId, attacker.address)
+    assert.equal(otherAddress.status, 403)
+
+    const forged = await cancel(attacker, punkId)
+    assert.equal(forged.status, 401)
+    assert.equal(listing(punkId).status, 'deposited')
+
+    const cancelled = await cancel(seller, punkId)
+    assert.equal(cancelled.status, 200)
+    assert.equal(listing(punkId).status, 'cancelled')
+
+    const audit = server.db.prepare(`SELECT * FROM audit_log WHERE action = 'LISTING_CANCELLED' AND punk_id = ?`).get(punkId)
+    assert.equal(audit.seller_address, seller.address)
+    assert.ok(audit.txid)
+  })
+})
@@ -0,0 +1,116 @@
+/**
+ * Sweeps: the cheapest listings are reserved for one combined payment, every purchase executes
+ * together and the share of listings lost in the meantime is refunded
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer } from './helpers/server.js'
+import { testWallet, signAction } from './helpers/wallets.js'
+import { activeListing, buyPunk, payIntent, executePurchase, payouts } from './helpers/marketplace.js'
+
+const seller = testWallet('44')
+const buyer = testWallet('55')
+const rival = testWallet('66')
+
+describe('sweeps', () => {
+  let server
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(async () => {
+    await server?.stop()
+  })
+
+  function createSweep(count) {
+    return server.post('/api/sweeps', { buyerPubkey: buyer.pubkey, buyerArkAddress: buyer.address, count })
+  }
+
+  function confirm(sweepId) {
+    return server.post(`/api/sweeps/${sweepId}/confirm`, { buyerArkAddress: buyer.address })
+  }
+
+  function listingStatus(punkId) {
+    return server.db.prepare('SELECT status FROM listings WHERE punk_id = ?').get(punkId).status
+  }
+
+  it('buys the reserved listings still available and refunds the share of the others', async () => {
+    const [cheapest, middle, dearest] = ['f1'.repeat(32), 'f2'.repeat(32), 'f3'.repeat(32)]
+    await activeListing(server, seller, cheapest, 10000)
+    await activeListing(server, seller, middle, 20000)
+    await activeListing(server, seller, dearest, 30000)
+
+    const quote = await server.get('/api/sweeps/quote?count=2')
+    assert.equal(quote.status, 200)
+    assert.deepEqual(quote.body.items.map(item => item.punkId), [cheapest, middle])
+
+    const created = await createSweep(2)
+    assert.equal(created.status, 200)
+    const { sweepId, paymentAmount, items } = created.body.sweep
+    assert.ok(paymentAmount >= quote.body.total)
+    assert.equal(listingStatus(cheapest), 'reserved')
+    assert.equal(listingStatus(dearest), 'deposited')
+
+    const locked = await buyPunk(server, rival, cheapest)
+    assert.notEqual(locked.status, 200)
+
+    // The reservation of `middle` lapses and another buyer takes it before the sweep is paid
+    server.db.prepare('UPDATE listings SET reserved_until = ? WHERE punk_id = ?').run(Date.now() - 1, middle)
+    const rivalBuy = await buyPunk(server, rival, middle)
+    assert.equal(rivalBuy.status, 200)
+    payIntent(server, rivalBuy.body.intentId)
+    assert.equal((await executePurchase(server, rival, middle, rivalBuy.body.intentId)).status, 200)
+
+    const unpaid = await confirm(sweepId)
+    assert.equal(unpaid.status, 402)
+
+    const sweep = server.db.prepare('SELECT * FROM sweeps WHERE id = ?').get(sweepId)
+    server.pay(paymentAmount, sweep.escrow_key_index)
+    const confirmed = await confirm(sweepId)
+    assert.equal(confirmed.status, 200)
+    assert.equal(confirmed.body.sweep.status, 'completed')
+    assert.deepEqual(
+      confirmed.body.sweep.items.map(item => [item.punkId, item.status, item.skipReason]),
+      [[cheapest, 'purchased', null], [middle, 'skipped', 'sold']]
+    )
+
+    assert.equal(server.db.prepare('SELECT owner_address FROM punks WHERE punk_id = ?').get(cheapest).owner_address, buyer.address)
+    assert.equal(server.db.prepare('SELECT owner_address FROM punks WHERE punk_id = ?').get(middle).owner_address, rival.address)
+
+    const skipped = items.find(item => item.punkId === middle)
+    const sent = payouts(server).filter(payout => payout.idempotency_key.startsWith(`sweep:${sweepId}:`))
+    assert.deepEqual(sent.map(payout => [payout.kind, payout.recipient, payout.amount_sats, payout.status]), [
+      ['sale_proceeds', seller.address, 10000, 'sent'],
+      ['deposit_return', seller.address, server.db.prepare('SELECT deposit_amount_sats FROM listings WHERE punk_id = ?').get(cheapest).deposit_amount_sats, 'sent'],
+      ['sweep_refund', buyer.address, skipped.price + skipped.fee, 'sent']
+    ])
+    assert.equal(confirmed.body.sweep.refundReason, 'partially_filled')
+
+    const again = await confirm(sweepId)
+    assert.equal(again.status, 200)
+    assert.equal(payouts(server).filter(payout => payout.idempotency_key.startsWith(`sweep:${sweepId}:`)).length, 3)
+  })
+
+  it('releases the reservations of a sweep cancelled by the buyer', async () => {
+    const punkId = 'f4'.repeat(32)
+    await activeListing(server, seller, punkId, 5000)
+
+    const created = await createSweep(1)
+    assert.equal(created.status, 200)
+    const { sweepId, items } = created.body.sweep
+    assert.deepEqual(items.map(item => item.punkId), [punkId])
+    assert.equal(listingStatus(punkId), 'reserved')
+
+    const forged = await server.post(`/api/sweeps/${sweepId}/cancel`,
+      signAction(rival, { punkId: null, action: 'cancel_sweep', sweepId }))
+    assert.equal(forged.status, 401)
+
+    const cancelled = await server.post(`/api/sweeps/${sweepId}/cancel`,
+      signAction(buyer, { punkId: null, action: 'cancel_sweep', sweepId }))
+    assert.equal(cancelled.status, 200)
+    assert.equal(listingStatus(punkId), 'deposited')
+    assert.equal(server.db.prepare('SELECT status FROM sweep_items WHERE sweep_id = ?').get(sweepId).status, 'released')
+  })
+})
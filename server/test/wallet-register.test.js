@@ -0,0 +1,114 @@
+/**
+ * Wallet registration: punks are only registered to an address whose key signed a fresh,
+ * single-use server challenge, and only with metadata that matches the punk id
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer } from './helpers/server.js'
+import { testWallet, signPayload } from './helpers/wallets.js'
+
+const owner = testWallet('44')
+const attacker = testWallet('66')
+
+// Generated punks (src/utils/generator.ts) with their compressed metadata
+const PUNK = {
+  punkId: '7c74c05eef64fda31d16af7a5807078e6c1890e39c1b6d9b98c5d40c27ac6d00',
+  compressedMetadata: '2c0227000005'
+}
+const OTHER_PUNK = {
+  punkId: 'ac1155bebfa6cb8fd734363ee3cf6897d82bdaab0f5a33d3d70c69bf7d5b6260',
+  compressedMetadata: '0a8800000002'
+}
+
+describe('POST /api/wallet/register', () => {
+  let server
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(async () => {
+    await server?.stop()
+  })
+
+  async function challenge(address) {
+    const { status, body } = await server.post('/api/wallet/challenge', { address })
+    assert.equal(status, 200)
+    return body.nonce
+  }
+
+  /**
+   * Register punks to `address`, signed by `signer` over `nonce`
+   */
+  function register(signer, address, nonce, punks) {
+    return server.post('/api/wallet/register', {
+      address,
+      punks,
+      pubkey: signer.pubkey,
+      nonce,
+      signature: signPayload(signer, { action: 'wallet_register', address, bitcoinAddress: null, nonce })
+    })
+  }
+
+  function ownerOf(punkId) {
+    return server.db.prepare('SELECT owner_address FROM punks WHERE punk_id = ?').get(punkId)?.owner_address ?? null
+  }
+
+  it('rejects registrations without a valid proof of ownership', async () => {
+    const unknown = await register(owner, owner.address, 'ff'.repeat(32), [PUNK])
+    assert.equal(unknown.status, 401)
+    assert.equal(unknown.body.details, 'Unknown challenge')
+
+    const forAttacker = await challenge(attacker.address)
+    const otherAddress = await register(owner, owner.address, forAttacker, [PUNK])
+    assert.equal(otherAddress.status, 401)
+    assert.equal(otherAddress.body.details, 'Unknown challenge')
+
+    const notTheOwnersKey = await register(attacker, owner.address, await challenge(owner.address), [PUNK])
+    assert.equal(notTheOwnersKey.status, 401)
+    assert.equal(notTheOwnersKey.body.details, 'Pubkey does not match address')
+
+    const nonce = await challenge(owner.address)
+    const badSignature = await server.post('/api/wallet/register', {
+      address: owner.address,
+      punks: [PUNK],
+      pubkey: owner.pubkey,
+      nonce,
+      signature: signPayload(owner, { action: 'wallet_register', address: attacker.address, bitcoinAddress: null, nonce })
+    })
+    assert.equal(badSignature.status, 401)
+    assert.equal(badSignature.body.details, 'Invalid signature')
+
+    assert.equal(ownerOf(PUNK.punkId), null)
+    const rejected = server.db.prepare(`SELECT COUNT(*) AS count FROM audit_log WHERE action = 'WALLET_REGISTER_REJECTED'`).get()
+    assert.equal(rejected.count, 4)
+  })
+
+  it('registers punks with matching metadata and consumes the challenge', async () => {
+    const mismatched = { punkId: 'ab'.repeat(32), compressedMetadata: PUNK.compressedMetadata }
+    const nonce = await challenge(owner.address)
+
+    const registered = await register(owner, owner.address, nonce, [PUNK, mismatched])
+    assert.equal(registered.status, 200)
+    assert.deepEqual(registered.body.results.registered.map(punk => punk.punkId), [PUNK.punkId])
+    assert.deepEqual(registered.body.results.errors, [{ punkId: mismatched.punkId, error: 'Metadata does not match punk id' }])
+
+    const punk = server.db.prepare('SELECT * FROM punks WHERE punk_id = ?').get(PUNK.punkId)
+    assert.equal(punk.owner_address, owner.address)
+    assert.equal(punk.punk_metadata_compressed, PUNK.compressedMetadata)
+    assert.equal(ownerOf(mismatched.punkId), null)
+
+    const replayed = await register(owner, owner.address, nonce, [OTHER_PUNK])
+    assert.equal(replayed.status, 401)
+    assert.equal(replayed.body.details, 'Challenge already used')
+    assert.equal(ownerOf(OTHER_PUNK.punkId), null)
+  })
+
+  it('never moves a registered punk to another wallet', async () => {
+    const claimed = await register(attacker, attacker.address, await challenge(attacker.address), [PUNK])
+    assert.equal(claimed.status, 200)
+    assert.equal(claimed.body.summary.conflicts, 1)
+    assert.equal(ownerOf(PUNK.punkId), owner.address)
+  })
+})
@@ -0,0 +1,139 @@
+/**
+ * Wallet Authentication
+ * Verifies schnorr-signed messages from user wallets and checks that
+ * the signing pubkey actually controls the claimed address
+ */
+
+import { schnorr } from '@noble/curves/secp256k1.js'
+import { sha256 } from '@noble/hashes/sha2.js'
+import { hexToBytes, utf8ToBytes, randomBytes, bytesToHex } from '@noble/hashes/utils.js'
+import { ArkAddress, DefaultVtxo, RestArkProvider } from '@arkade-os/sdk'
+import { p2tr, NETWORK, TEST_NETWORK } from '@scure/btc-signer'
+
+const ARK_URL = process.env.ARK_URL || 'https://arkade.computer'
+
+// How long a signed action stays valid (clock skew included)
+export const SIGNED_ACTION_TTL_MS = 5 * 60 * 1000
+
+// Ark server info is only needed for its exit delay, cache it for the process lifetime
+let arkInfoPromise = null
+
+/**
+ * Generate a random hex nonce for challenges
+ */
+export function generateNonce() {
+  return bytesToHex(randomBytes(32))
+}
+
+/**
+ * Serialize a flat payload with sorted keys
+ * Client and server must produce the exact same string before hashing
+ *
+ * @param payload Object of primitive values
+ * @returns Canonical JSON string
+ */
+export function canonicalMessage(payload) {
+  const sorted = {}
+  for (const key of Object.keys(payload).sort()) {
+    sorted[key] = payload[key] ?? null
+  }
+  return JSON.stringify(sorted)
+}
+
+/**
+ * Verify a schnorr signature over sha256(canonicalMessage(payload))
+ *
+ * @param payload Signed payload
+ * @param signatureHex 64-byte schnorr signature (hex)
+ * @param pubkeyHex 32-byte x-only public key (hex)
+ * @returns true if the signature is valid
+ */
+export function verifyWalletSignature(payload, signatureHex, pubkeyHex) {
+  try {
+    const messageHash = sha256(utf8ToBytes(canonicalMessage(payload)))
+    return schnorr.verify(hexToBytes(signatureHex), messageHash, hexToBytes(pubkeyHex))
+  } catch (error) {
+    console.error('❌ Signature verification error:', error.message)
+    return false
+  }
+}
+
+/**
+ * Check a signed seller/user action
+ * Payload must carry a client nonce and a millisecond timestamp; the caller
+ * is responsible for rejecting reused nonces
+ *
+ * @param payload Signed payload ({ punkId, action, nonce, timestamp, ... })
+ * @param signatureHex Schnorr signature (hex)
+ * @param pubkeyHex Expected signer pubkey (hex)
+ * @returns Error message, or null if the action is authentic and fresh
+ */
+export function checkSignedAction(payload, signatureHex, pubkeyHex) {
+  const { nonce, timestamp } = payload
+
+  if (!nonce || !timestamp || !signatureHex) {
+    return 'nonce, timestamp and signature required'
+  }
+
+  if (Math.abs(Date.now() - Number(timestamp)) > SIGNED_ACTION_TTL_MS) {
+    return 'Signed message expired'
+  }
+
+  if (!verifyWalletSignature(payload, signatureHex, pubkeyHex)) {
+    return 'Invalid signature'
+  }
+
+  return null
+}
+
+async function getArkInfo() {
+  if (!arkInfoPromise) {
+    arkInfoPromise = new RestArkProvider(ARK_URL).getInfo().catch(error => {
+      arkInfoPromise = null
+      throw error
+    })
+  }
+  return arkInfoPromise
+}
+
+/**
+ * Check that a pubkey controls an address
+ * - bc1p/tb1p: key-path taproot address of the pubkey (same as the wallet UI derives)
+ * - ark/tark: default VTXO script of the pubkey under the address' server key
+ *
+ * @param pubkeyHex 32-byte x-only public key (hex)
+ * @param address Bitcoin or Ark address
+ * @returns true if the address is derived from the pubkey
+ */
+export async function pubkeyControlsAddress(pubkeyHex, address) {
+  if (!pubkeyHex || !address) return false
+
+  try {
+    const pubkey = hexToBytes(pubkeyHex)
+
+    if (address.startsWith('bc1p') || address.startsWith('tb1p')) {
+      const network = address.startsWith('bc1p') ? NETWORK : TEST_NETWORK
+      return p2tr(pubkey, undefined, network).address === address
+    }
+
+    if (address.startsWith('ark') || address.startsWith('tark')) {
+      const decoded = ArkAddress.decode(address)
+      const info = await getArkInfo()
+      const exitDelay = info.unilateralExitDelay
+      const script = new DefaultVtxo.Script({
+        pubKey: pubkey,
+        serverPubKey: decoded.serverPubKey,
+        csvTimelock: {
+          value: exitDelay,
+          type: exitDelay < 512n ? 'blocks' : 'seconds'
+        }
+      })
+      return script.address(decoded.hrp, decoded.serverPubKey).encode() === address
+    }
+
+    return false
+  } catch (error) {
+    console.error('❌ Failed to match pubkey to address:', error.message)
+    return false
+  }
+}
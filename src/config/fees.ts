@@ -0,0 +1,79 @@
+/**
+ * Marketplace Fee Policy
+ *
+ * Single fee schedule for escrow sales. The buyer pays the fee on top of the
+ * listing price; the seller always receives the full listing price.
+ *
+ * Backends read the active policy from the MARKETPLACE_FEE_POLICY env var (JSON,
+ * same shape as DEFAULT_FEE_POLICY) and expose it via /api/escrow/info, so the
+ * UI never hard-codes a percentage.
+ * The Express server's server/fee-policy.js applies the same schedule with the same BigInt arithmetic.
+ */
+
+export interface FeeTier {
+  minPriceSats: number // Tier applies to prices >= this amount
+  percent: number
+}
+
+export interface FeePolicy {
+  percent: number // Default fee in percent (1 = 1%)
+  minimumSats: number // Fee is never lower than this
+  tiers: FeeTier[] // Optional price tiers overriding `percent`
+}
+
+export interface FeeQuote {
+  fee: bigint
+  percent: number // Percent that was applied (before the minimum)
+}
+
+export const DEFAULT_FEE_POLICY: FeePolicy = {
+  percent: 1,
+  minimumSats: 100,
+  tiers: []
+}
+
+/**
+ * Parse a fee policy from JSON, falling back to the default for missing fields
+ */
+export function parseFeePolicy(json?: string | null): FeePolicy {
+  if (!json) return DEFAULT_FEE_POLICY
+
+  const parsed = JSON.parse(json)
+  return {
+    percent: Number(parsed.percent ?? DEFAULT_FEE_POLICY.percent),
+    minimumSats: Number(parsed.minimumSats ?? DEFAULT_FEE_POLICY.minimumSats),
+    tiers: (parsed.tiers || [])
+      .map((tier: FeeTier) => ({ minPriceSats: Number(tier.minPriceSats), percent: Number(tier.percent) }))
+      .sort((a: FeeTier, b: FeeTier) => a.minPriceSats - b.minPriceSats)
+  }
+}
+
+/**
+ * Calculate the marketplace fee for a listing price
+ * Highest matching tier wins, percent is applied in basis points (rounded down),
+ * then raised to the minimum fee
+ */
+export function calculateMarketplaceFee(price: bigint, policy: FeePolicy = DEFAULT_FEE_POLICY): FeeQuote {
+  let percent = policy.percent
+  for (const tier of policy.tiers) {
+    if (price >= BigInt(tier.minPriceSats)) {
+      percent = tier.percent
+    }
+  }
+
+  const basisPoints = BigInt(Math.round(percent * 100))
+  const fee = (price * basisPoints) / 10000n
+  const minimum = BigInt(policy.minimumSats)
+
+  return { fee: fee < minimum ? minimum : fee, percent }
+}
+
+/**
+ * Short human-readable description, e.g. "1% (min 100 sats)"
+ */
+export function describeFeePolicy(policy: FeePolicy = DEFAULT_FEE_POLICY): string {
+  const tiers = policy.tiers.length > 0
+    ? `, ${policy.tiers.map(t => `${t.percent}% from ${t.minPriceSats.toLocaleString()} sats`).join(', ')}`
+    : ''
+  return `${policy.percent}%${tiers} (min ${policy.minimumSats.toLocaleString()} sats)`
+}
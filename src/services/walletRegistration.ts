@@ -3,15 +3,40 @@
  * Handles automatic punk registration when wallet is imported/loaded
  */
 
+import { signWalletMessage } from '@/utils/walletAuth'
+
 // API URL - uses environment variable or defaults to localhost for dev
 const API_BASE = import.meta.env.VITE_API_URL || ''
 
+export interface RegistrationPunk {
+  punkId: string
+  vtxoOutpoint?: string
+  mintDate?: string | number
+  compressedMetadata?: string
+}
+
+export interface WalletToRegister {
+  address: string
+  bitcoinAddress?: string | null // Former Bitcoin address, lets the server move punks registered under it
+  punks: RegistrationPunk[]
+}
+
+export interface RegistrationConflict {
+  punkId: string
+  currentOwner: string
+}
+
+export interface RegistrationResult {
+  success: true
+  summary: { total: number; registered: number; updated: number; conflicts: number; errors: number }
+  results: { conflicts: RegistrationConflict[]; [key: string]: unknown }
+}
+
 /**
  * Check if wallet needs registration
- * @param {string} address - Wallet address (bc1p... or ark1...)
- * @returns {Promise<boolean>}
+ * @param address Wallet address (bc1p... or ark1...)
  */
-export async function needsRegistration(address) {
+export async function needsRegistration(address: string): Promise<boolean> {
   try {
     // Check localStorage flag first (fast path)
     const flag = localStorage.getItem(`wallet-registered-v2:${address}`)
@@ -40,19 +65,52 @@ export async function needsRegistration(address) {
   }
 }
 
+/**
+ * Request a registration challenge nonce from the server
+ * @param address Wallet address being registered
+ * @returns Nonce to sign
+ */
+async function requestChallenge(address: string): Promise<string> {
+  const response = await fetch(`${API_BASE}/api/wallet/challenge`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ address })
+  })
+
+  const data = await response.json()
+
+  if (!data.success) {
+    throw new Error(data.error || 'Failed to get registration challenge')
+  }
+
+  return data.nonce
+}
+
 /**
  * Register wallet and its punks
- * @param {Object} wallet - Wallet object with address and punks
- * @returns {Promise<Object>} Registration result
+ * Proves ownership by signing a server challenge with the wallet identity
  */
-export async function registerWallet(wallet) {
+export async function registerWallet(wallet: WalletToRegister): Promise<RegistrationResult> {
   try {
+    const nonce = await requestChallenge(wallet.address)
+    const { pubkey, signature } = signWalletMessage({
+      action: 'wallet_register',
+      address: wallet.address,
+      bitcoinAddress: wallet.bitcoinAddress || null,
+      nonce
+    })
+
     const payload = {
       address: wallet.address,
+      bitcoinAddress: wallet.bitcoinAddress,
+      pubkey,
+      nonce,
+      signature,
       punks: wallet.punks.map(punk => ({
         punkId: punk.punkId,
         vtxoOutpoint: punk.vtxoOutpoint,
-        mintDate: punk.mintDate
+        mintDate: punk.mintDate,
+        compressedMetadata: punk.compressedMetadata
       }))
     }
 
@@ -82,7 +140,7 @@ export async function registerWallet(wallet) {
 
       return result
     } else {
-      throw new Error(result.error || 'Registration failed')
+      throw new Error(result.details || result.error || 'Registration failed')
     }
   } catch (error) {
     console.error('❌ Wallet registration failed:', error)
@@ -92,9 +150,8 @@ export async function registerWallet(wallet) {
 
 /**
  * Handle punk ownership conflicts
- * @param {Array} conflicts - List of conflicting punks
  */
-function handleConflicts(conflicts) {
+function handleConflicts(conflicts: RegistrationConflict[]) {
   console.warn('⚠️ Ownership conflicts detected:', conflicts)
 
   // Show user notification
@@ -123,10 +180,11 @@ function handleConflicts(conflicts) {
 
 /**
  * Main registration flow - call this when wallet is imported or loaded
- * @param {Object} wallet - Wallet object (supports both formats: { address, punks } and { wallet: { address }, punks })
- * @returns {Promise<void>}
+ * @param wallet Supports both formats: { address, punks } and { wallet: { address }, punks }
  */
-export async function handleWalletImport(wallet) {
+export async function handleWalletImport(
+  wallet: { address?: string; wallet?: { address?: string }; punks?: RegistrationPunk[] }
+): Promise<RegistrationResult | undefined> {
   // Handle both wallet formats
   const address = wallet.address || wallet.wallet?.address
   const punks = wallet.punks || []
@@ -154,7 +212,7 @@ export async function handleWalletImport(wallet) {
 
     console.log('✅ Wallet import complete')
     return result
-  } catch (error) {
+  } catch (error: any) {
     console.error('❌ Wallet import failed:', error)
 
     // Show user-friendly error
@@ -165,10 +223,10 @@ export async function handleWalletImport(wallet) {
 
 /**
  * Recovery flow - for users who lost wallet JSON but have private key
- * @param {string} minterPubkey - Nostr pubkey derived from private key
- * @returns {Promise<Object>} Available punks for recovery
+ * @param minterPubkey Nostr pubkey derived from private key
+ * @returns Available punks for recovery
  */
-export async function recoverWallet(minterPubkey) {
+export async function recoverWallet(minterPubkey: string) {
   try {
     console.log(`🔍 Searching for punks with minterPubkey ${minterPubkey.slice(0, 16)}...`)
 
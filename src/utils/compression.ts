@@ -12,6 +12,8 @@ import { generatePunkImage } from './generator'
  *
  * This allows punk metadata to be stored directly in Bitcoin VTXOs
  * while using minimal space (6 bytes vs hundreds of bytes of JSON)
+ *
+ * Trait tables must stay in sync with server/punk-traits.js
  */
 
 // Type encoding (3 bits = 8 possible types)
@@ -38,7 +40,7 @@ export enum Background {
 }
 
 // Attribute sets per type (max 32 attributes per type)
-const ATTRIBUTES_BY_TYPE: Record<PunkType, string[]> = {
+export const ATTRIBUTES_BY_TYPE: Record<PunkType, string[]> = {
   [PunkType.Male]: [
     'Mohawk', 'Bandana', 'Beanie', 'Cap', 'Hoodie',
     'Glasses', 'Sunglasses', 'VR Headset', 'Eye Patch',
@@ -69,12 +71,12 @@ const ATTRIBUTES_BY_TYPE: Record<PunkType, string[]> = {
   ]
 }
 
-const BACKGROUND_NAMES = [
+export const BACKGROUND_NAMES = [
   'Blue', 'Green', 'Orange', 'Purple', 'Red',
   'Yellow', 'Aqua', 'Gray', 'Black', 'Pink'
 ]
 
-const TYPE_NAMES = ['Male', 'Female', 'Zombie', 'Ape', 'Alien']
+export const TYPE_NAMES = ['Male', 'Female', 'Zombie', 'Ape', 'Alien']
 
 /**
  * Compressed punk data structure (6 bytes)
@@ -216,31 +216,3 @@ export function verifyPunkIntegrity(
     return false
   }
 }
-
-/**
- * Get punk rarity score based on compressed data
- */
-export function getRarityFromCompressed(compressedData: Uint8Array): number {
-  const typeIndex = (compressedData[0] >>> 5) & 0x07
-  const attributeCount = compressedData[5]
-
-  let score = 100
-
-  // Type rarity
-  switch (typeIndex) {
-    case PunkType.Alien:
-      score -= 50
-      break
-    case PunkType.Ape:
-      score -= 40
-      break
-    case PunkType.Zombie:
-      score -= 30
-      break
-  }
-
-  // Attribute count (fewer = more rare)
-  score -= (5 - attributeCount) * 5
-
-  return Math.max(0, score)
-}
@@ -4,6 +4,9 @@
  * Client-side functions for interacting with the escrow serverless functions
  */
 
+import { getWalletPubkey, signSellerAction, signWalletMessage } from './walletAuth'
+import type { FeePolicy } from '@/config/fees'
+
 export interface EscrowListing {
   punkId: string
   sellerPubkey: string
@@ -11,7 +14,19 @@ export interface EscrowListing {
   price: string
   punkVtxoOutpoint: string
   escrowAddress: string
-  status: 'pending' | 'deposited' | 'sold' | 'cancelled'
+  status: 'pending' | 'deposited' | 'auction' | 'bundled' | 'reserved' | 'sold' | 'cancelled' | 'expired'
+  bundleId?: string | null // Set when the punk is sold as part of a bundle
+  reservedBy?: string | null // Buyer holding a 'reserved' listing
+  reservedUntil?: number | null
+  previousPrice?: number | null // Price before the last update of this listing
+  priceUpdatedAt?: number | null
+  isPrivate?: boolean // Private listing, hidden from the marketplace
+  allowedBuyer?: string | null // Private listing: the only Ark address or Nostr pubkey that can buy (shown to its seller and that buyer only)
+  shareToken?: string | null // Our own listings only: secret of the share link (see getListingShareUrl)
+  startsAt?: number | null // Scheduled listing: not for sale before
+  expiresAt?: number | null // Scheduled listing: expires (deposit returned) if unsold
+  traits?: { type: string; background: string; attributes: string[] } | null // Marketplace search results only
+  rarityScore?: number | null // Higher is rarer (marketplace search results only)
   createdAt: number
   depositedAt?: number
   soldAt?: number
@@ -19,6 +34,27 @@ export interface EscrowListing {
   buyerPubkey?: string
 }
 
+export type ListingSort = 'recent' | 'price_asc' | 'price_desc' | 'rarity'
+
+// Filters of a marketplace search, omitted fields match anything
+export interface ListingSearch {
+  type?: string | null
+  background?: string | null
+  attributes?: string[]
+  attributeMatch?: 'all' | 'any' // Listings need every attribute (default) or at least one
+  attributeCount?: number | null
+  owner?: string | null // Seller address
+  minPrice?: number | null
+  maxPrice?: number | null
+  sort?: ListingSort
+}
+
+export interface ListingSearchResult {
+  listings: EscrowListing[]
+  total: number // Matches across all pages
+  nextCursor: string | null // Null on the last page
+}
+
 export interface ListPunkRequest {
   punkId: string
   sellerPubkey: string
@@ -26,6 +62,10 @@ export interface ListPunkRequest {
   price: string
   punkVtxoOutpoint: string
   compressedMetadata?: string // Punk metadata for buyer recovery
+  auction?: { startsAt?: number; endsAt: number } // Auction instead of fixed price (`price` is the reserve)
+  allowedBuyer?: string // Private listing for one buyer (Ark address or Nostr pubkey), hidden from the marketplace
+  startsAt?: number // Fixed price only: hidden until then
+  expiresAt?: number // Fixed price only: unsold listings expire and the deposit is returned
 }
 
 export interface ListPunkResponse {
@@ -33,6 +73,14 @@ export interface ListPunkResponse {
   punkId: string
   escrowAddress: string
   price: string
+  depositAmount?: number // Exact deposit to send (unique per listing so the server can match it)
+  auctionId?: string | null
+  auctionStartsAt?: number | null
+  auctionEndsAt?: number | null
+  allowedBuyer?: string | null
+  startsAt?: number | null
+  expiresAt?: number | null
+  shareToken: string // Opens the listing through its share link while it is private or not yet started
   message: string
   instructions: string[]
 }
@@ -46,6 +94,9 @@ export interface BuyPunkRequest {
 export interface BuyPunkResponse {
   success: boolean
   punkId: string
+  intentId: string // Payment intent to pass to executeEscrowSwap
+  expiresAt: number // Payment must arrive before this timestamp (ms)
+  reservedUntil: number // The listing is held for this buyer until then
   price: string
   totalWithFee: string
   fee: string
@@ -58,18 +109,27 @@ export interface ExecuteSwapRequest {
   punkId: string
   buyerPubkey: string
   buyerArkAddress: string
+  intentId: string
+}
+
+export interface PayoutStatus {
+  kind: 'sale_proceeds' | 'deposit_return' | 'offer_refund' | 'bid_refund' | 'floor_bid_refund' | 'sweep_refund' | 'intent_refund'
+  status: 'pending' | 'sending' | 'sent' | 'failed'
+  txid: string | null
 }
 
 export interface ExecuteSwapResponse {
   success: boolean
   punkId: string
-  paymentTxid: string
+  paymentTxid: string | null  // null while the seller payout is queued for retry
+  payouts?: PayoutStatus[]
   message: string
 }
 
 export interface CancelListingRequest {
   punkId: string
   sellerAddress: string
+  sellerPubkey: string
 }
 
 export interface CancelListingResponse {
@@ -79,6 +139,75 @@ export interface CancelListingResponse {
   message: string
 }
 
+export interface RelistResponse {
+  success: boolean
+  punkId: string
+  oldPrice: number
+  price: number
+  status: 'pending' | 'deposited'
+  changedAt: number
+}
+
+export interface PunkTransferResponse {
+  success: boolean
+  transferId: string // Referenced by the Nostr transfer events
+  recipientAddress: string
+  punkIds: string[]
+  transferredAt: number
+}
+
+export interface ListingPriceChange {
+  oldPrice: number
+  newPrice: number
+  seller: string
+  changedAt: number
+  listingCreatedAt: number
+  current: boolean // Change made to the punk's current listing
+}
+
+export type PunkActivityType =
+  | 'mint' | 'migration' | 'transfer' | 'sale'
+  | 'listed' | 'price_updated' | 'delisted' | 'listing_expired' | 'offer_accepted' | 'auction_ended'
+
+export interface PunkActivityEvent {
+  type: PunkActivityType
+  timestamp: number
+  from: string | null
+  to: string | null
+  price: number | null // Null for private listings
+  txid: string | null
+  details: Record<string, any> | null // Type specific: minterPubkey/mintOutpoint, saleId/bundleId, transferId, oldPrice...
+}
+
+export type PriceInterval = '1h' | '1d' | '1w'
+
+// Sats amounts are strings, prices are null when nothing sold in the candle
+export interface PriceCandle {
+  time: number // Candle start
+  open: string | null
+  high: string | null
+  low: string | null
+  close: string | null
+  volume: string
+  sales: number // A bundle counts once
+  uniqueBuyers: number
+  uniqueSellers: number
+  floor: { open: string; high: string; low: string; close: string } | null // From the floor snapshots
+  listed: number | null // Public listings at the last snapshot
+}
+
+// Market of one trait value, sats amounts as strings
+export interface TraitMarketStats {
+  trait: 'type' | 'background' | 'attributeCount' | 'attribute'
+  value: string | number
+  supply: number // Minted punks with the trait
+  listed: number // Public fixed price listings
+  floor: { punkId: string; price: string } | null
+  lastSale: { punkId: string; price: string; soldAt: number } | null // Bundles excluded
+  volume: string
+  sales: number // Punks sold, bundled ones included
+}
+
 export interface EscrowStatusResponse {
   success: boolean
   listing?: EscrowListing
@@ -86,17 +215,279 @@ export interface EscrowStatusResponse {
   count?: number
 }
 
+export type OfferStatus = 'awaiting_payment' | 'active' | 'accepted' | 'completed' | 'expired' | 'cancelled' | 'refunded'
+
+export interface PunkOffer {
+  offerId: string
+  punkId: string
+  buyerAddress: string
+  buyerPubkey: string
+  amount: number // Offered price, received by the owner
+  fee: number // Marketplace fee paid on top by the buyer
+  paymentAmount: number // Exact amount locked in escrow
+  status: OfferStatus
+  escrowAddress: string
+  sellerAddress: string | null
+  refundReason: string | null
+  saleId: number | null
+  createdAt: number
+  paymentExpiresAt: number
+  expiresAt: number
+  fundedAt: number | null
+  acceptedAt: number | null
+  depositExpiresAt: number | null
+  closedAt: number | null
+  ownerAddress?: string // Current owner of the punk
+}
+
+export interface CreateOfferRequest {
+  punkId: string
+  buyerPubkey: string
+  buyerArkAddress: string
+  amount: number
+  durationHours?: number
+}
+
+export interface CreateOfferResponse {
+  success: boolean
+  offerId: string
+  punkId: string
+  amount: number
+  fee: number
+  feePercent: number
+  paymentAmount: number // Exact amount to send (unique per offer)
+  escrowAddress: string
+  paymentExpiresAt: number
+  expiresAt: number
+  instructions: string[]
+}
+
+export interface AcceptOfferResponse {
+  success: boolean
+  offerId: string
+  punkId: string
+  status: 'accepted' | 'completed'
+  // Sold right away (punk was already in escrow)
+  saleId?: number | null
+  payouts?: PayoutStatus[]
+  // Punk not in escrow yet: deposit like for a listing
+  escrowAddress?: string
+  depositAmount?: number
+  depositExpiresAt?: number
+  message?: string
+  instructions?: string[]
+}
+
+export type AuctionPhase = 'awaiting_deposit' | 'scheduled' | 'live' | 'closing' | 'ended'
+
+export interface AuctionInfo {
+  auctionId: string
+  phase: AuctionPhase
+  reservePrice: number
+  startsAt: number
+  endsAt: number // Moves back when a bid arrives in the last minutes
+  highestBid: number | null
+  highestBidder: string | null
+  reserveMet: boolean
+  bidCount: number
+  minimumBid: number | null // Lowest acceptable next bid (null once ended)
+}
+
+export type BidStatus = 'awaiting_payment' | 'leading' | 'outbid' | 'won' | 'lost' | 'expired' | 'refunded'
+
+export interface AuctionBid {
+  bidId: string
+  auctionId: string
+  punkId: string
+  bidderAddress: string
+  amount: number // Bid, received by the seller if it wins
+  fee: number // Marketplace fee paid on top by the bidder
+  paymentAmount: number // Exact amount locked in escrow
+  status: BidStatus
+  escrowAddress: string
+  refundReason: string | null
+  saleId: number | null
+  createdAt: number
+  paymentExpiresAt: number
+  fundedAt: number | null // Bid time
+  closedAt: number | null
+}
+
+export interface AuctionDetails {
+  success: boolean
+  punkId: string
+  seller: string
+  status: EscrowListing['status']
+  auction: AuctionInfo
+  bids: AuctionBid[] // Funded bids, newest first
+}
+
+export interface CreateBidResponse {
+  success: boolean
+  bidId: string
+  auctionId: string
+  punkId: string
+  amount: number
+  fee: number
+  feePercent: number
+  paymentAmount: number // Exact amount to send (unique per bid)
+  escrowAddress: string
+  paymentExpiresAt: number
+  endsAt: number
+  instructions: string[]
+}
+
+export interface TraitFilter {
+  type?: string | null // Any type if omitted
+  background?: string | null // Any background if omitted
+  attributes?: string[] // The punk must have all of them
+}
+
+export type FloorBidStatus = 'awaiting_payment' | 'active' | 'filled' | 'expired' | 'cancelled' | 'refunded'
+
+export interface FloorBid {
+  bidId: string
+  buyerAddress: string
+  buyerPubkey: string
+  traits: { type: string | null; background: string | null; attributes: string[] }
+  amount: number // Bid price, received by the owner who fills it
+  fee: number // Marketplace fee paid on top by the buyer
+  paymentAmount: number // Exact amount locked in escrow
+  status: FloorBidStatus
+  escrowAddress: string
+  punkId: string | null // Punk that filled the bid
+  sellerAddress: string | null
+  refundReason: string | null
+  saleId: number | null
+  createdAt: number
+  paymentExpiresAt: number
+  expiresAt: number
+  fundedAt: number | null
+  closedAt: number | null
+  matchingPunkIds?: string[] // Only when filtering by punkId or owner
+}
+
+export interface CreateFloorBidResponse {
+  success: boolean
+  bidId: string
+  traits: FloorBid['traits']
+  amount: number
+  fee: number
+  feePercent: number
+  paymentAmount: number // Exact amount to send (unique per bid)
+  escrowAddress: string
+  paymentExpiresAt: number
+  expiresAt: number
+  instructions: string[]
+}
+
+export type BundleStatus = 'pending' | 'active' | 'sold' | 'cancelled'
+
+export interface BundlePunk {
+  punkId: string
+  price: number // Share of the bundle price
+  status: EscrowListing['status'] | null
+  escrowAddress: string | null
+  depositAmount: number | null // Exact deposit to send for this punk
+  deposited: boolean
+  compressedMetadata: string | null
+}
+
+export interface PunkBundle {
+  bundleId: string
+  seller: string
+  sellerPubkey: string
+  price: number
+  status: BundleStatus
+  escrowAddress: string // Where the buyer pays the bundle price
+  punks: BundlePunk[]
+  depositedCount: number
+  buyerAddress: string | null
+  createdAt: number
+  activatedAt: number | null
+  soldAt: number | null
+  cancelledAt: number | null
+}
+
+export interface CreateBundleResponse {
+  success: boolean
+  bundleId: string
+  price: number
+  punkIds: string[]
+  escrowAddress: string
+  deposits: { punkId: string; escrowAddress: string; depositAmount: number }[]
+  message: string
+  instructions: string[]
+}
+
+export interface BuyBundleResponse extends Omit<BuyPunkResponse, 'punkId'> {
+  bundleId: string
+  punkIds: string[]
+}
+
+export type SweepStatus = 'awaiting_payment' | 'paid' | 'completed' | 'expired' | 'cancelled' | 'refunded'
+
+export interface SweepItem {
+  punkId: string
+  price: number // Listing price when quoted
+  fee: number
+  status: 'reserved' | 'purchased' | 'skipped' | 'released'
+  skipReason: string | null // 'sold', 'purchase_in_progress' or 'price_changed'
+  saleId: number | null
+  compressedMetadata: string | null
+}
+
+export interface SweepQuote {
+  success: boolean
+  traits: FloorBid['traits']
+  items: Omit<SweepItem, 'status' | 'skipReason' | 'saleId'>[] // Cheapest first
+  price: number
+  fee: number
+  total: number
+}
+
+export interface PunkSweep {
+  sweepId: string
+  buyerAddress: string
+  traits: FloorBid['traits']
+  count: number | null
+  budget: number | null
+  price: number // Sum of the reserved listing prices
+  fee: number
+  paymentAmount: number // Exact amount to send (unique per sweep)
+  status: SweepStatus
+  escrowAddress: string
+  items: SweepItem[]
+  refundAmount: number | null // Share of skipped listings sent back
+  refundReason: string | null
+  createdAt: number
+  paymentExpiresAt: number
+  paidAt: number | null
+  closedAt: number | null
+}
+
+export interface CreateSweepResponse {
+  success: boolean
+  sweep: PunkSweep
+  instructions: string[]
+}
+
 const API_BASE_URL = import.meta.env.VITE_API_URL || ''
 
 /**
  * Get escrow wallet information
+ *
+ * @param punkId Optional listed punk: returns that listing's own escrow address
  */
-export async function getEscrowInfo(): Promise<{
+export async function getEscrowInfo(punkId?: string): Promise<{
   escrowAddress: string
   escrowPubkey: string
+  perListing?: boolean
   network: 'mainnet' | 'testnet'
+  feePolicy?: FeePolicy
 }> {
-  const response = await fetch(`${API_BASE_URL}/api/escrow/info`)
+  const query = punkId ? `?punkId=${encodeURIComponent(punkId)}` : ''
+  const response = await fetch(`${API_BASE_URL}/api/escrow/info${query}`)
 
   if (!response.ok) {
     throw new Error(`Failed to get escrow info: ${response.statusText}`)
@@ -120,6 +511,7 @@ export async function testEscrowApi(): Promise<{ message: string; timestamp: str
 
 /**
  * List a punk in escrow mode
+ * Signed with the wallet identity, which must control the punk's registered owner address
  *
  * @param request Listing details
  * @returns Escrow address and instructions
@@ -130,12 +522,19 @@ export async function listPunkInEscrow(request: ListPunkRequest): Promise<ListPu
     headers: {
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify(request)
+    body: JSON.stringify({
+      ...request,
+      ...signSellerAction(request.punkId, 'list', {
+        price: request.price,
+        sellerArkAddress: request.sellerArkAddress,
+        allowedBuyer: request.allowedBuyer
+      })
+    })
   })
 
   if (!response.ok) {
     const error = await response.json()
-    throw new Error(error.error || 'Failed to list punk in escrow')
+    throw new Error(error.details || error.error || 'Failed to list punk in escrow')
   }
 
   return response.json()
@@ -166,6 +565,7 @@ export async function updateEscrowOutpoint(punkId: string, newVtxoOutpoint: stri
 
 /**
  * Buy a punk from escrow
+ * The request is signed with the wallet identity, which must control buyerArkAddress
  *
  * @param request Purchase details including payment TXID
  * @returns Transaction IDs for punk transfer and seller payout
@@ -176,12 +576,40 @@ export async function buyPunkFromEscrow(request: BuyPunkRequest): Promise<BuyPun
     headers: {
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify(request)
+    body: JSON.stringify({ ...request, ...signSellerAction(request.punkId, 'buy', { buyerArkAddress: request.buyerArkAddress }) })
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    if (error.reserved) {
+      throw new Error(`${error.error}, try again after ${new Date(error.reservedUntil).toLocaleTimeString()}`)
+    }
+    throw new Error(error.details || error.error || 'Failed to purchase punk from escrow')
+  }
+
+  return response.json()
+}
+
+/**
+ * Give up a reservation taken by buyPunkFromEscrow before paying
+ * The request is signed with the wallet identity (must be the intent's buyer key)
+ */
+export async function releaseReservation(punkId: string, intentId: string): Promise<{ success: boolean; status: 'deposited' }> {
+  const response = await fetch(`${API_BASE_URL}/api/escrow/release`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      punkId,
+      intentId,
+      ...signSellerAction(punkId, 'release_reservation', { intentId })
+    })
   })
 
   if (!response.ok) {
     const error = await response.json()
-    throw new Error(error.error || 'Failed to purchase punk from escrow')
+    throw new Error(error.details || error.error || 'Failed to release reservation')
   }
 
   return response.json()
@@ -210,13 +638,112 @@ export async function getEscrowStatus(punkId: string): Promise<EscrowListing> {
   return data.listing
 }
 
+/**
+ * URL of the active escrow listings (fetch with viewerSessionHeaders to include our private and scheduled listings)
+ */
+export function escrowListingsUrl(): string {
+  return `${API_BASE_URL}/api/escrow/listings`
+}
+
+let viewerSession: { address: string; pubkey: string; token: string; expiresAt: number } | null = null
+
+/**
+ * Open a wallet session for `address` by signing a server challenge with the wallet identity
+ */
+async function openViewerSession(address: string): Promise<{ token: string; expiresAt: number }> {
+  const challengeResponse = await fetch(`${API_BASE_URL}/api/wallet/session/challenge`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ address })
+  })
+  const challenge = await challengeResponse.json()
+  if (!challenge.success) {
+    throw new Error(challenge.error || 'Failed to get session challenge')
+  }
+
+  const { pubkey, signature } = signWalletMessage({ action: 'wallet_session', address, nonce: challenge.nonce })
+  const response = await fetch(`${API_BASE_URL}/api/wallet/session`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ address, pubkey, nonce: challenge.nonce, signature })
+  })
+  const data = await response.json()
+  if (!data.success) {
+    throw new Error(data.details || data.error || 'Failed to open wallet session')
+  }
+
+  return { token: data.token, expiresAt: data.expiresAt }
+}
+
+/**
+ * Authorization header of a wallet session for our address, so listing queries include the private
+ * listings we sell or may buy and our scheduled listings (no header without a wallet: public listings only)
+ *
+ * @param viewerAddress Our Ark address (private listings can be designated to it instead of our pubkey)
+ */
+export async function viewerSessionHeaders(viewerAddress?: string | null): Promise<Record<string, string>> {
+  if (!viewerAddress) return {}
+
+  try {
+    const pubkey = getWalletPubkey()
+    if (!viewerSession || viewerSession.address !== viewerAddress || viewerSession.pubkey !== pubkey ||
+        viewerSession.expiresAt < Date.now() + 60 * 1000) {
+      viewerSession = { address: viewerAddress, pubkey, ...(await openViewerSession(viewerAddress)) }
+    }
+  } catch (error) {
+    console.warn('⚠️ No wallet session, showing public listings only:', error)
+    return {}
+  }
+
+  return { Authorization: `Bearer ${viewerSession.token}` }
+}
+
+/**
+ * Share link of a listing, opens it in the marketplace (the only way to reach a private listing)
+ *
+ * @param shareToken Share token of our listing (from listPunkInEscrow or our own listings), needed for
+ *   private and not yet started listings
+ */
+export function getListingShareUrl(punkId: string, shareToken?: string | null): string {
+  const query = new URLSearchParams({ listing: punkId })
+  if (shareToken) query.set('token', shareToken)
+  return `${window.location.origin}${window.location.pathname}?${query}`
+}
+
+/**
+ * Link opening the marketplace with trait filters set (read back by getLinkedListingSearch)
+ */
+export function getTraitSearchUrl(search: Pick<ListingSearch, 'type' | 'background' | 'attributes' | 'attributeCount'>): string {
+  const params = new URLSearchParams()
+  if (search.type) params.set('type', search.type)
+  if (search.background) params.set('background', search.background)
+  if (search.attributes?.length) params.set('attributes', search.attributes.join(','))
+  if (search.attributeCount !== undefined && search.attributeCount !== null) params.set('attributeCount', String(search.attributeCount))
+  return `${window.location.pathname}?${params}`
+}
+
+/**
+ * Trait filters of the page URL, if it was opened through a trait link
+ */
+export function getLinkedListingSearch(): Pick<ListingSearch, 'type' | 'background' | 'attributes' | 'attributeCount'> | null {
+  const params = new URLSearchParams(window.location.search)
+  if (!['type', 'background', 'attributes', 'attributeCount'].some(key => params.has(key))) return null
+
+  return {
+    type: params.get('type'),
+    background: params.get('background'),
+    attributes: params.get('attributes')?.split(',').filter(Boolean) || [],
+    attributeCount: params.has('attributeCount') ? Number(params.get('attributeCount')) : null
+  }
+}
+
 /**
  * Get all active escrow listings
  *
  * @returns Array of all escrow listings
  */
 export async function getAllEscrowListings(): Promise<EscrowListing[]> {
-  const response = await fetch(`${API_BASE_URL}/api/escrow/listings`)
+  const response = await fetch(escrowListingsUrl())
 
   if (!response.ok) {
     const error = await response.json()
@@ -228,6 +755,42 @@ export async function getAllEscrowListings(): Promise<EscrowListing[]> {
   return data.listings || []
 }
 
+/**
+ * Search the marketplace listings, one page at a time (sorted and filtered by the server)
+ *
+ * @param cursor nextCursor of the previous page, with the same search
+ * @param viewerAddress Our Ark address, to include the private listings we sell or may buy
+ */
+export async function searchMarketplaceListings(
+  search: ListingSearch,
+  { cursor, limit, viewerAddress }: { cursor?: string | null; limit?: number; viewerAddress?: string | null } = {}
+): Promise<ListingSearchResult> {
+  const query = new URLSearchParams()
+  if (search.type) query.set('type', search.type)
+  if (search.background) query.set('background', search.background)
+  if (search.attributes?.length) query.set('attributes', search.attributes.join(','))
+  if (search.attributeMatch) query.set('attributeMatch', search.attributeMatch)
+  if (search.attributeCount != null) query.set('attributeCount', String(search.attributeCount))
+  if (search.owner) query.set('owner', search.owner)
+  if (search.minPrice != null) query.set('minPrice', String(search.minPrice))
+  if (search.maxPrice != null) query.set('maxPrice', String(search.maxPrice))
+  if (search.sort) query.set('sort', search.sort)
+  if (limit) query.set('limit', String(limit))
+  if (cursor) query.set('cursor', cursor)
+
+  const response = await fetch(`${API_BASE_URL}/api/marketplace/listings?${query}`, {
+    headers: await viewerSessionHeaders(viewerAddress)
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to search listings')
+  }
+
+  const data = await response.json()
+  return { listings: data.listings || [], total: data.total ?? 0, nextCursor: data.nextCursor ?? null }
+}
+
 /**
  * Execute atomic swap for an escrow listing
  *
@@ -256,6 +819,7 @@ export async function executeEscrowSwap(request: ExecuteSwapRequest): Promise<Ex
 
 /**
  * Cancel an escrow listing and return the punk to the seller
+ * The request is signed with the wallet identity (must be the listing's seller key)
  *
  * @param request Cancel request with seller verification
  * @returns Cancellation result with optional TXID
@@ -266,7 +830,11 @@ export async function cancelEscrowListing(request: CancelListingRequest): Promis
     headers: {
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify(request)
+    body: JSON.stringify({
+      ...request,
+      sellerArkAddress: request.sellerAddress,
+      ...signSellerAction(request.punkId, 'cancel')
+    })
   })
 
   if (!response.ok) {
@@ -276,3 +844,677 @@ export async function cancelEscrowListing(request: CancelListingRequest): Promis
 
   return response.json()
 }
+
+/**
+ * Change the price of an active escrow listing
+ * The request is signed with the wallet identity (must be the listing's seller key)
+ *
+ * @param punkId Listed punk
+ * @param price New price in sats
+ * @returns Old and new price
+ */
+export async function relistEscrowListing(punkId: string, price: number): Promise<RelistResponse> {
+  const response = await fetch(`${API_BASE_URL}/api/escrow/relist`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      punkId,
+      price,
+      ...signSellerAction(punkId, 'relist', { price })
+    })
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.details || error.error || 'Failed to update listing price')
+  }
+
+  return response.json()
+}
+
+/**
+ * Get the price changes of a punk's listings (newest first)
+ */
+export async function getListingHistory(punkId: string): Promise<ListingPriceChange[]> {
+  const response = await fetch(`${API_BASE_URL}/api/escrow/history/${encodeURIComponent(punkId)}`)
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to get listing history')
+  }
+
+  const data = await response.json()
+  return data.history || []
+}
+
+/**
+ * Get a punk's provenance: mint, ownership changes, sales and listing activity (oldest first)
+ */
+export async function getPunkHistory(punkId: string): Promise<PunkActivityEvent[]> {
+  const response = await fetch(`${API_BASE_URL}/api/punks/${encodeURIComponent(punkId)}/history`)
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to get punk history')
+  }
+
+  const data = await response.json()
+  return data.events || []
+}
+
+/**
+ * One line label of a punk activity event
+ */
+export function describePunkActivity(event: PunkActivityEvent): string {
+  switch (event.type) {
+    case 'mint': return 'Minted'
+    case 'migration': return 'Moved to Ark address'
+    case 'transfer': return 'Sent'
+    case 'sale': return event.details?.bundleId ? 'Sold in bundle' : 'Sold'
+    case 'listed':
+      if (event.details?.auctionId) return 'Auction started'
+      return event.details?.private ? 'Listed privately' : 'Listed'
+    case 'price_updated': return 'Price changed'
+    case 'delisted': return 'Listing cancelled'
+    case 'listing_expired': return 'Listing expired'
+    case 'offer_accepted': return 'Offer accepted'
+    case 'auction_ended': return event.details?.sold ? 'Auction won' : 'Auction ended unsold'
+  }
+}
+
+/**
+ * Sale price candles with volume and the recorded floor (oldest first)
+ *
+ * @param range from/to in ms, defaults to the last week (1h), 180 days (1d) or two years (1w)
+ */
+export async function getPriceHistory(interval: PriceInterval, range: { from?: number; to?: number } = {}): Promise<PriceCandle[]> {
+  const params = new URLSearchParams({ interval })
+  if (range.from !== undefined) params.set('from', String(range.from))
+  if (range.to !== undefined) params.set('to', String(range.to))
+
+  const response = await fetch(`${API_BASE_URL}/api/marketplace/history?${params}`)
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to get price history')
+  }
+
+  const data = await response.json()
+  return data.candles || []
+}
+
+/**
+ * Floor, listings, last sale and volume of every trait value
+ */
+export async function getTraitMarketStats(): Promise<TraitMarketStats[]> {
+  const response = await fetch(`${API_BASE_URL}/api/marketplace/traits`)
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to get trait stats')
+  }
+
+  const data = await response.json()
+  return data.traits || []
+}
+
+/**
+ * Make an escrowed offer on any punk
+ * The buyer then sends exactly `paymentAmount` to `escrowAddress` and calls confirmOffer
+ */
+export async function createOffer(request: CreateOfferRequest): Promise<CreateOfferResponse> {
+  const response = await fetch(`${API_BASE_URL}/api/offers`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(request)
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.details || error.error || 'Failed to create offer')
+  }
+
+  return response.json()
+}
+
+/**
+ * Tell the server the offer's funds were sent (throws 'Payment not found yet' until they arrive)
+ */
+export async function confirmOffer(offerId: string, buyerArkAddress: string): Promise<PunkOffer> {
+  const response = await fetch(`${API_BASE_URL}/api/offers/${encodeURIComponent(offerId)}/confirm`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ buyerArkAddress })
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to confirm offer')
+  }
+
+  const data = await response.json()
+  return data.offer
+}
+
+/**
+ * List offers
+ *
+ * @param filters punkId, buyer address, owner address (offers on punks they own), status ('open' = active or accepted)
+ */
+export async function getOffers(filters: { punkId?: string; buyer?: string; owner?: string; status?: string }): Promise<PunkOffer[]> {
+  const query = new URLSearchParams()
+  for (const [key, value] of Object.entries(filters)) {
+    if (value) query.set(key, value)
+  }
+
+  const response = await fetch(`${API_BASE_URL}/api/offers?${query}`)
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to get offers')
+  }
+
+  const data = await response.json()
+  return data.offers || []
+}
+
+/**
+ * Withdraw an offer, locked funds are refunded
+ * The request is signed with the wallet identity (must be the offer's buyer key)
+ */
+export async function cancelOffer(offer: PunkOffer): Promise<{ success: boolean; status: OfferStatus }> {
+  const response = await fetch(`${API_BASE_URL}/api/offers/${encodeURIComponent(offer.offerId)}/cancel`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(signSellerAction(offer.punkId, 'cancel_offer', { offerId: offer.offerId }))
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.details || error.error || 'Failed to cancel offer')
+  }
+
+  return response.json()
+}
+
+/**
+ * Accept an offer on a punk owned by this wallet
+ * The request is signed with the wallet identity (must control the punk's owner address)
+ *
+ * @param offer Offer to accept
+ * @param sellerArkAddress Address receiving the offer amount
+ */
+export async function acceptOffer(offer: PunkOffer, sellerArkAddress: string): Promise<AcceptOfferResponse> {
+  const response = await fetch(`${API_BASE_URL}/api/offers/${encodeURIComponent(offer.offerId)}/accept`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      sellerPubkey: getWalletPubkey(),
+      sellerArkAddress,
+      ...signSellerAction(offer.punkId, 'accept_offer', { offerId: offer.offerId, sellerArkAddress })
+    })
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.details || error.error || 'Failed to accept offer')
+  }
+
+  return response.json()
+}
+
+/**
+ * Get an auction with its bid history
+ */
+export async function getAuction(auctionId: string): Promise<AuctionDetails> {
+  const response = await fetch(`${API_BASE_URL}/api/auctions/${encodeURIComponent(auctionId)}`)
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to get auction')
+  }
+
+  return response.json()
+}
+
+/**
+ * Bid on a live auction
+ * The bidder then sends exactly `paymentAmount` to `escrowAddress` and calls confirmBid
+ */
+export async function createBid(
+  auctionId: string,
+  request: { bidderPubkey: string; bidderArkAddress: string; amount: number }
+): Promise<CreateBidResponse> {
+  const response = await fetch(`${API_BASE_URL}/api/auctions/${encodeURIComponent(auctionId)}/bids`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(request)
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.details || error.error || 'Failed to place bid')
+  }
+
+  return response.json()
+}
+
+/**
+ * Tell the server the bid's funds were sent (throws 'Payment not found yet' until they arrive,
+ * or if a higher bid arrived first and the funds are being refunded)
+ */
+export async function confirmBid(auctionId: string, bidId: string, bidderArkAddress: string): Promise<AuctionBid> {
+  const response = await fetch(
+    `${API_BASE_URL}/api/auctions/${encodeURIComponent(auctionId)}/bids/${encodeURIComponent(bidId)}/confirm`,
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ bidderArkAddress })
+    }
+  )
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to confirm bid')
+  }
+
+  const data = await response.json()
+  return data.bid
+}
+
+/**
+ * Place a floor bid on any punk matching `traits` (collection-wide without traits)
+ * The buyer then sends exactly `paymentAmount` to `escrowAddress` and calls confirmFloorBid
+ */
+export async function createFloorBid(request: {
+  buyerPubkey: string
+  buyerArkAddress: string
+  amount: number
+  traits?: TraitFilter
+  durationHours?: number
+}): Promise<CreateFloorBidResponse> {
+  const response = await fetch(`${API_BASE_URL}/api/floor-bids`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(request)
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.details || error.error || 'Failed to create floor bid')
+  }
+
+  return response.json()
+}
+
+/**
+ * Tell the server the floor bid's funds were sent (throws 'Payment not found yet' until they arrive)
+ */
+export async function confirmFloorBid(bidId: string, buyerArkAddress: string): Promise<FloorBid> {
+  const response = await fetch(`${API_BASE_URL}/api/floor-bids/${encodeURIComponent(bidId)}/confirm`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ buyerArkAddress })
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to confirm floor bid')
+  }
+
+  const data = await response.json()
+  return data.floorBid
+}
+
+/**
+ * List floor bids (highest first)
+ *
+ * @param filters buyer address, status ('open' = funded and not expired),
+ *   punkId (open bids this punk can fill), owner (open bids fillable by punks they own)
+ */
+export async function getFloorBids(filters: { buyer?: string; status?: string; punkId?: string; owner?: string }): Promise<FloorBid[]> {
+  const query = new URLSearchParams()
+  for (const [key, value] of Object.entries(filters)) {
+    if (value) query.set(key, value)
+  }
+
+  const response = await fetch(`${API_BASE_URL}/api/floor-bids?${query}`)
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to get floor bids')
+  }
+
+  const data = await response.json()
+  return data.floorBids || []
+}
+
+/**
+ * Withdraw a floor bid, locked funds are refunded
+ * The request is signed with the wallet identity (must be the bid's buyer key)
+ */
+export async function cancelFloorBid(bid: FloorBid): Promise<{ success: boolean; status: FloorBidStatus }> {
+  const response = await fetch(`${API_BASE_URL}/api/floor-bids/${encodeURIComponent(bid.bidId)}/cancel`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(signSellerAction(null, 'cancel_floor_bid', { bidId: bid.bidId }))
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.details || error.error || 'Failed to cancel floor bid')
+  }
+
+  return response.json()
+}
+
+/**
+ * Sell a punk owned by this wallet into a matching floor bid (settles immediately)
+ * The request is signed with the wallet identity (must control the punk's owner address)
+ *
+ * @param bid Floor bid to fill
+ * @param punkId Matching punk to sell
+ * @param sellerArkAddress Address receiving the bid amount
+ */
+export async function fillFloorBid(
+  bid: FloorBid,
+  punkId: string,
+  sellerArkAddress: string
+): Promise<{ success: boolean; saleId: number; payouts: PayoutStatus[]; message: string }> {
+  const response = await fetch(`${API_BASE_URL}/api/floor-bids/${encodeURIComponent(bid.bidId)}/fill`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      punkId,
+      sellerPubkey: getWalletPubkey(),
+      sellerArkAddress,
+      ...signSellerAction(punkId, 'fill_floor_bid', { bidId: bid.bidId, sellerArkAddress })
+    })
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.details || error.error || 'Failed to fill floor bid')
+  }
+
+  return response.json()
+}
+
+/**
+ * List several punks as one lot
+ * The seller then deposits every punk (one escrow address and exact amount each) and reports
+ * each deposit with updateEscrowOutpoint; the bundle goes live once all are confirmed
+ */
+export async function createBundle(request: {
+  sellerPubkey: string
+  sellerArkAddress: string
+  price: number
+  punkIds: string[]
+  compressedMetadata?: Record<string, string>
+}): Promise<CreateBundleResponse> {
+  const response = await fetch(`${API_BASE_URL}/api/bundles`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(request)
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.details || error.error || 'Failed to create bundle')
+  }
+
+  return response.json()
+}
+
+/**
+ * List bundles (active ones unless a seller or status is given)
+ */
+export async function getBundles(filters: { status?: BundleStatus; seller?: string } = {}): Promise<PunkBundle[]> {
+  const query = new URLSearchParams()
+  for (const [key, value] of Object.entries(filters)) {
+    if (value) query.set(key, value)
+  }
+
+  const response = await fetch(`${API_BASE_URL}/api/bundles?${query}`)
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to get bundles')
+  }
+
+  const data = await response.json()
+  return data.bundles || []
+}
+
+/**
+ * Start buying a bundle: returns the payment intent for the bundle price plus fee
+ */
+export async function buyBundle(bundleId: string, buyerPubkey: string, buyerArkAddress: string): Promise<BuyBundleResponse> {
+  const response = await fetch(`${API_BASE_URL}/api/bundles/${encodeURIComponent(bundleId)}/buy`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ buyerPubkey, buyerArkAddress })
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to buy bundle')
+  }
+
+  return response.json()
+}
+
+/**
+ * Complete a bundle purchase once the payment was sent (every punk is transferred together)
+ */
+export async function executeBundle(
+  bundleId: string,
+  request: Omit<ExecuteSwapRequest, 'punkId'>
+): Promise<{ success: boolean; punkIds: string[]; paymentTxid: string | null; payouts: PayoutStatus[]; message: string }> {
+  const response = await fetch(`${API_BASE_URL}/api/bundles/${encodeURIComponent(bundleId)}/execute`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(request)
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to execute bundle purchase')
+  }
+
+  return response.json()
+}
+
+/**
+ * Cancel a bundle, every deposited punk is returned
+ * The request is signed with the wallet identity (must be the bundle's seller key)
+ */
+export async function cancelBundle(bundleId: string): Promise<{ success: boolean; refunds: { punkId: string; status: string; txid: string | null }[]; message: string }> {
+  const response = await fetch(`${API_BASE_URL}/api/bundles/${encodeURIComponent(bundleId)}/cancel`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(signSellerAction(null, 'cancel_bundle', { bundleId }))
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.details || error.error || 'Failed to cancel bundle')
+  }
+
+  return response.json()
+}
+
+/**
+ * Preview the cheapest listings a sweep would buy (nothing is reserved)
+ *
+ * @param request count and/or budget (sats, fees included), optional trait filter
+ */
+export async function quoteSweep(request: {
+  count?: number
+  budget?: number
+  traits?: TraitFilter
+  buyerArkAddress?: string
+}): Promise<SweepQuote> {
+  const query = new URLSearchParams()
+  if (request.count) query.set('count', String(request.count))
+  if (request.budget) query.set('budget', String(request.budget))
+  if (request.traits?.type) query.set('type', request.traits.type)
+  if (request.traits?.background) query.set('background', request.traits.background)
+  if (request.traits?.attributes?.length) query.set('attributes', request.traits.attributes.join(','))
+  if (request.buyerArkAddress) query.set('buyer', request.buyerArkAddress)
+
+  const response = await fetch(`${API_BASE_URL}/api/sweeps/quote?${query}`)
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.details || error.error || 'Failed to quote sweep')
+  }
+
+  return response.json()
+}
+
+/**
+ * Reserve the cheapest matching listings for one combined payment
+ * The buyer then sends exactly `sweep.paymentAmount` to `sweep.escrowAddress` and calls confirmSweep
+ */
+export async function createSweep(request: {
+  buyerPubkey: string
+  buyerArkAddress: string
+  count?: number
+  budget?: number
+  traits?: TraitFilter
+}): Promise<CreateSweepResponse> {
+  const response = await fetch(`${API_BASE_URL}/api/sweeps`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(request)
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.details || error.error || 'Failed to create sweep')
+  }
+
+  return response.json()
+}
+
+/**
+ * Tell the server the sweep payment was sent; every purchase executes once it is seen
+ * (throws 'Payment not found yet' until it arrives)
+ */
+export async function confirmSweep(sweepId: string, buyerArkAddress: string): Promise<PunkSweep> {
+  const response = await fetch(`${API_BASE_URL}/api/sweeps/${encodeURIComponent(sweepId)}/confirm`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ buyerArkAddress })
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to confirm sweep')
+  }
+
+  const data = await response.json()
+  return data.sweep
+}
+
+/**
+ * List a buyer's sweeps (newest first)
+ */
+export async function getSweeps(buyer: string): Promise<PunkSweep[]> {
+  const response = await fetch(`${API_BASE_URL}/api/sweeps?buyer=${encodeURIComponent(buyer)}`)
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to get sweeps')
+  }
+
+  const data = await response.json()
+  return data.sweeps || []
+}
+
+/**
+ * Cancel an unpaid sweep, its listings are released
+ * The request is signed with the wallet identity (must be the sweep's buyer key)
+ */
+export async function cancelSweep(sweep: PunkSweep): Promise<{ success: boolean; status: SweepStatus }> {
+  const response = await fetch(`${API_BASE_URL}/api/sweeps/${encodeURIComponent(sweep.sweepId)}/cancel`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(signSellerAction(null, 'cancel_sweep', { sweepId: sweep.sweepId }))
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.details || error.error || 'Failed to cancel sweep')
+  }
+
+  return response.json()
+}
+
+/**
+ * Give punks to another wallet (all of them move or none does)
+ * The request is signed with the wallet identity (must control the owner address of every punk)
+ *
+ * @param punkIds Punks to send, none of them may be in escrow
+ * @param recipientAddress Recipient Ark address
+ * @param recipientPubkey Recipient Nostr pubkey, if known
+ */
+export async function transferPunks(punkIds: string[], recipientAddress: string, recipientPubkey?: string): Promise<PunkTransferResponse> {
+  const response = await fetch(`${API_BASE_URL}/api/punks/transfer`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      punkIds,
+      recipientAddress,
+      recipientPubkey,
+      senderPubkey: getWalletPubkey(),
+      ...signSellerAction(null, 'transfer_punks', { punkIds: punkIds.join(','), recipientAddress })
+    })
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.details || error.error || 'Failed to transfer punks')
+  }
+
+  return response.json()
+}
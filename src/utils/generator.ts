@@ -438,24 +438,3 @@ export function generatePunkCollection(count: number): PunkMetadata[] {
 
   return punks
 }
-
-/**
- * Calculates rarity score for a punk
- * Lower score = more rare
- */
-export function calculateRarityScore(metadata: PunkMetadata): number {
-  let score = 100
-
-  // Type rarity
-  switch (metadata.traits.type) {
-    case 'Alien': score -= 50; break
-    case 'Ape': score -= 40; break
-    case 'Zombie': score -= 30; break
-    default: score -= 0
-  }
-
-  // Attribute count (fewer attributes = more rare)
-  score -= (5 - metadata.traits.attributes.length) * 5
-
-  return Math.max(0, score)
-}
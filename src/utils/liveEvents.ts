@@ -0,0 +1,71 @@
+/**
+ * Live Market Events
+ *
+ * One EventSource on /api/events/stream shared by every subscribed component, opened with the first
+ * subscriber and closed with the last. EventSource reconnects by itself and resumes with Last-Event-ID,
+ * so events missed while offline are replayed; 'reset' means they could not be and views should reload.
+ */
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || ''
+
+interface LiveEventData {
+  timestamp: number
+}
+
+export type LiveEvent =
+  | { type: 'listing_created' | 'listing_deposited'; data: LiveEventData & { punkId: string; seller: string; price: string } }
+  | { type: 'listing_cancelled'; data: LiveEventData & { punkId: string } }
+  | { type: 'sale'; data: LiveEventData & { punkId: string; price: string; seller: string; buyer: string; bundleId: string | null; compressedMetadata: string | null } }
+  | { type: 'registration'; data: LiveEventData & { address: string; punkIds: string[] } }
+  | { type: 'supply'; data: LiveEventData & { totalMinted: number; maxPunks: number } }
+  | { type: 'reset'; data: Record<string, never> }
+
+export type LiveEventHandler = (event: LiveEvent) => void
+
+const LIVE_EVENT_TYPES: LiveEvent['type'][] = [
+  'listing_created', 'listing_deposited', 'listing_cancelled', 'sale', 'registration', 'supply', 'reset'
+]
+
+const handlers = new Set<LiveEventHandler>()
+let source: EventSource | null = null
+
+function dispatch(type: LiveEvent['type'], message: MessageEvent) {
+  let data
+  try {
+    data = JSON.parse(message.data)
+  } catch {
+    console.warn(`⚠️ Ignoring malformed live event ${type}`)
+    return
+  }
+
+  const event = { type, data } as LiveEvent
+  for (const handler of handlers) {
+    try {
+      handler(event)
+    } catch (error) {
+      console.error(`Live event handler failed for ${type}:`, error)
+    }
+  }
+}
+
+/**
+ * Call `handler` for every live market event until the returned function is called
+ */
+export function subscribeLiveEvents(handler: LiveEventHandler): () => void {
+  handlers.add(handler)
+
+  if (!source && typeof EventSource !== 'undefined') {
+    source = new EventSource(`${API_BASE_URL}/api/events/stream`)
+    for (const type of LIVE_EVENT_TYPES) {
+      source.addEventListener(type, message => dispatch(type, message as MessageEvent))
+    }
+  }
+
+  return () => {
+    handlers.delete(handler)
+    if (handlers.size === 0 && source) {
+      source.close()
+      source = null
+    }
+  }
+}
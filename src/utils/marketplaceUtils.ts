@@ -31,6 +31,7 @@ export interface MarketplaceListing {
   listedAt: number
   saleMode?: SaleMode // 'escrow' (server-managed) or 'p2p' (HTLC)
   escrowAddress?: string // Only for escrow mode
+  previousPrice?: bigint // Set when the listing was repriced
 }
 
 /**
@@ -143,6 +144,7 @@ export async function getMarketplaceListings(): Promise<MarketplaceListing[]> {
         const arkAddressTag = event.tags.find(t => t[0] === 'ark_address')
         const saleModeTag = event.tags.find(t => t[0] === 'sale_mode')
         const escrowAddressTag = event.tags.find(t => t[0] === 'escrow_address')
+        const previousPriceTag = event.tags.find(t => t[0] === 'previous_price')
 
         if (!punkIdTag || !priceTag) {
           continue
@@ -219,7 +221,8 @@ export async function getMarketplaceListings(): Promise<MarketplaceListing[]> {
           vtxoOutpoint: `${punkId}:0`, // Placeholder - VTXO tracked via wallet, not Nostr
           listedAt: event.created_at,
           saleMode,
-          escrowAddress
+          escrowAddress,
+          previousPrice: previousPriceTag ? BigInt(previousPriceTag[1]) : undefined
         })
 
         console.log(`   ✅ Active listing: ${metadata.name} (${price.toLocaleString()} sats) by ${event.pubkey.slice(0, 8)}...`)
@@ -245,6 +248,7 @@ export async function getMarketplaceListings(): Promise<MarketplaceListing[]> {
 
 /**
  * List a punk for sale
+ * Also used after a price update: pass the old price as previousPrice, the newest event replaces the listing
  */
 export async function listPunkForSale(
   punkId: string,
@@ -253,7 +257,8 @@ export async function listPunkForSale(
   privateKey: string,
   arkAddress: string,
   saleMode: SaleMode = 'p2p',
-  escrowAddress?: string
+  escrowAddress?: string,
+  previousPrice?: bigint
 ): Promise<boolean> {
   const pool = new SimplePool()
 
@@ -286,11 +291,18 @@ export async function listPunkForSale(
       console.log('   Escrow address:', escrowAddress)
     }
 
+    if (previousPrice !== undefined) {
+      tags.push(['previous_price', previousPrice.toString()])
+      console.log('   Previous price:', previousPrice.toString())
+    }
+
     const eventTemplate: EventTemplate = {
       kind: KIND_PUNK_LISTING,
       created_at: Math.floor(Date.now() / 1000),
       tags,
-      content: `Punk ${punkId} listed for ${price} sats (${saleMode === 'escrow' ? 'Escrow Mode' : 'P2P Mode'})`
+      content: previousPrice !== undefined
+        ? `Punk ${punkId} repriced from ${previousPrice} to ${price} sats (${saleMode === 'escrow' ? 'Escrow Mode' : 'P2P Mode'})`
+        : `Punk ${punkId} listed for ${price} sats (${saleMode === 'escrow' ? 'Escrow Mode' : 'P2P Mode'})`
     }
 
     console.log('   Event template created:', eventTemplate)
@@ -407,12 +419,13 @@ export async function publishPunkSold(
 
 /**
  * Publish a "punk transfer" event for direct transfers (gifts/trades)
+ * The 'to' tag is only set when the recipient's Nostr pubkey is known; transferId is the server transfer record
  */
 export async function publishPunkTransfer(
   punkId: string,
   fromPubkey: string,
-  toPubkey: string,
-  txid: string,
+  toPubkey: string | undefined,
+  transferId: string,
   privateKey: string
 ): Promise<boolean> {
   const pool = new SimplePool()
@@ -428,11 +441,13 @@ export async function publishPunkTransfer(
         ['t', 'arkade-punk-transfer'],
         ['punk_id', punkId],
         ['from', fromPubkey],
-        ['to', toPubkey],
-        ['txid', txid],
+        ...(toPubkey ? [['to', toPubkey]] : []),
+        ['transfer_id', transferId],
         ['network', currentNetwork]  // Add network tag for filtering
       ],
-      content: `Punk ${punkId} transferred from ${fromPubkey.slice(0, 8)}... to ${toPubkey.slice(0, 8)}...`
+      content: toPubkey
+        ? `Punk ${punkId} transferred from ${fromPubkey.slice(0, 8)}... to ${toPubkey.slice(0, 8)}...`
+        : `Punk ${punkId} transferred from ${fromPubkey.slice(0, 8)}...`
     }
 
     const signedEvent = finalizeEvent(eventTemplate, hex.decode(privateKey))
@@ -613,10 +628,10 @@ export async function syncPunksFromNostr(
         const { getAllEscrowListings } = await import('./escrowApi')
         const blobListings = await getAllEscrowListings()
 
-        // Build set of active blob listings (status = pending or deposited)
+        // Build set of active blob listings (status = pending, deposited, auction or bundled)
         const activeBlobPunkIds = new Set(
           blobListings
-            .filter(l => l.status === 'pending' || l.status === 'deposited')
+            .filter(l => l.status === 'pending' || l.status === 'deposited' || l.status === 'auction' || l.status === 'bundled' || l.status === 'reserved')
             .map(l => l.punkId)
         )
 
@@ -707,11 +722,11 @@ export async function syncPunksFromNostr(
       const fromTag = event.tags.find(t => t[0] === 'from')
       const toTag = event.tags.find(t => t[0] === 'to')
 
-      if (!punkIdTag || !fromTag || !toTag) continue
+      if (!punkIdTag || !fromTag) continue
 
       const punkId = punkIdTag[1]
       const from = fromTag[1]
-      const to = toTag[1]
+      const to = toTag?.[1] ?? null // No 'to' tag: sent to an Ark address without a known Nostr pubkey
       const timestamp = event.created_at
 
       const existing = punkOwnership.get(punkId)
@@ -0,0 +1,93 @@
+/**
+ * Punk Rarity
+ *
+ * Rarity is ranked by the server from how often each trait occurs among all minted punks
+ * (see syncTraitIndex in server/index-v2.js). The score is the sum of total / punks sharing the trait
+ * over type, background, attribute count and each attribute: higher is rarer, rank 1 is the rarest.
+ */
+
+import type { PunkMetadata } from '@/types/punk'
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || ''
+
+// Punks sharing each trait value
+export interface TraitFrequencies {
+  type: Record<string, number>
+  background: Record<string, number>
+  attributeCount: Record<string, number>
+  attribute: Record<string, number>
+}
+
+export interface RarityRanking {
+  total: number // Ranked punks
+  frequencies: TraitFrequencies
+  ranking: { punkId: string; rank: number; score: number }[] // Rarest first
+}
+
+export interface PunkRarity {
+  rank: number
+  total: number
+  score: number
+  traits: { trait: 'type' | 'background' | 'attributeCount' | 'attribute'; value: string | number; count: number; frequency: number }[]
+}
+
+// The ranking only changes when punks are registered
+let rankingCache: { ranking: RarityRanking; lastFetch: number } | null = null
+const RANKING_CACHE_DURATION = 60000 // 1 minute
+
+/**
+ * Trait frequencies and rarity ranking of the minted supply
+ */
+export async function getRarityRanking(): Promise<RarityRanking> {
+  if (rankingCache && Date.now() - rankingCache.lastFetch < RANKING_CACHE_DURATION) {
+    return rankingCache.ranking
+  }
+
+  const response = await fetch(`${API_BASE_URL}/api/rarity`)
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to get rarity ranking')
+  }
+
+  const data = await response.json()
+  const ranking: RarityRanking = { total: data.total, frequencies: data.frequencies, ranking: data.ranking || [] }
+  rankingCache = { ranking, lastFetch: Date.now() }
+  return ranking
+}
+
+/**
+ * Rarity of one registered punk, with the frequency of each of its traits
+ *
+ * @returns null if the server cannot read the punk's metadata
+ */
+export async function getPunkRarity(punkId: string): Promise<PunkRarity | null> {
+  const response = await fetch(`${API_BASE_URL}/api/punks/${encodeURIComponent(punkId)}`)
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to get punk rarity')
+  }
+
+  const data = await response.json()
+  return data.rarity
+}
+
+/**
+ * Score and rank a punk the server has not ranked yet (a fresh mint), against the current ranking
+ * Same formula as the server; traits no punk has yet count as held by one
+ */
+export function estimateRarity(metadata: PunkMetadata, ranking: RarityRanking): { score: number; rank: number } {
+  const { type, background, attributes } = metadata.traits
+  const { total, frequencies } = ranking
+  const counts = [
+    frequencies.type[type],
+    frequencies.background[background],
+    frequencies.attributeCount[attributes.length],
+    ...attributes.map(attribute => frequencies.attribute[attribute])
+  ]
+
+  const score = Math.round(counts.reduce((sum: number, count) => sum + total / Math.max(count || 0, 1), 0) * 100) / 100
+  const rank = ranking.ranking.filter(punk => punk.score > score).length + 1
+  return { score, rank }
+}
@@ -0,0 +1,88 @@
+/**
+ * Wallet Authentication
+ *
+ * Signs server messages with the local wallet identity so the server can
+ * verify that requests really come from the owner of an address.
+ * Must stay in sync with server/wallet-auth.js
+ */
+
+import { schnorr } from '@noble/curves/secp256k1'
+import { sha256 } from '@noble/hashes/sha256'
+import { bytesToHex, randomBytes, utf8ToBytes } from '@noble/hashes/utils'
+import { loadIdentity } from './arkadeWallet'
+
+export type SignablePayload = Record<string, string | number | boolean | null | undefined>
+
+export interface SignedMessage {
+  pubkey: string
+  signature: string
+}
+
+export interface SignedAction {
+  nonce: string
+  timestamp: number
+  signature: string
+}
+
+/**
+ * Serialize a flat payload with sorted keys (undefined becomes null)
+ */
+export function canonicalMessage(payload: SignablePayload): string {
+  const sorted: Record<string, string | number | boolean | null> = {}
+  for (const key of Object.keys(payload).sort()) {
+    sorted[key] = payload[key] ?? null
+  }
+  return JSON.stringify(sorted)
+}
+
+/**
+ * x-only pubkey (hex) of the wallet identity stored in localStorage
+ */
+export function getWalletPubkey(): string {
+  const identity = loadIdentity()
+
+  if (!identity) {
+    throw new Error('No wallet identity found. Please connect your wallet.')
+  }
+
+  return bytesToHex(schnorr.getPublicKey(identity.privateKey))
+}
+
+/**
+ * Sign a payload with the wallet identity stored in localStorage
+ *
+ * @param payload Flat object to sign
+ * @returns x-only pubkey and schnorr signature (hex)
+ */
+export function signWalletMessage(payload: SignablePayload): SignedMessage {
+  const identity = loadIdentity()
+
+  if (!identity) {
+    throw new Error('No wallet identity found. Please connect your wallet.')
+  }
+
+  const messageHash = sha256(utf8ToBytes(canonicalMessage(payload)))
+  const signature = schnorr.sign(messageHash, identity.privateKey)
+
+  return {
+    pubkey: bytesToHex(schnorr.getPublicKey(identity.privateKey)),
+    signature: bytesToHex(signature)
+  }
+}
+
+/**
+ * Sign a seller action on a listing (cancel, relist, ...)
+ * The server checks the signature against the seller pubkey stored with the listing,
+ * rejects reused nonces and messages older than a few minutes
+ *
+ * @param punkId Listed punk (null for actions not tied to a punk, e.g. floor bids)
+ * @param action Action name
+ * @param extra Additional fields covered by the signature (e.g. price)
+ */
+export function signSellerAction(punkId: string | null, action: string, extra: SignablePayload = {}): SignedAction {
+  const nonce = bytesToHex(randomBytes(16))
+  const timestamp = Date.now()
+  const { signature } = signWalletMessage({ punkId, action, nonce, timestamp, ...extra })
+
+  return { nonce, timestamp, signature }
+}